@@ -0,0 +1,44 @@
+// A throwaway sync server for development, serving the API described in src/restSyncAdapter.js
+// from memory. Start it with `npm run mock-sync-server` (SYNC_PORT picks the port, 4000 by
+// default), then start the app with REACT_APP_SYNC_URL=http://localhost:4000. Everything it
+// stores is gone when it stops. Needs Node 20.19 or later, which loads the ES module from src/.
+
+import http from 'node:http';
+import { createMockSyncServer } from '../src/mockSyncServer.js';
+
+const port = Number(process.env.SYNC_PORT) || 4000;
+const api = createMockSyncServer();
+
+// The app is served from another port, so every origin may call it
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-Unmodified-Since'
+};
+
+const server = http.createServer((request, response) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', (chunk) => { body += chunk; });
+  request.on('end', () => {
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, CORS_HEADERS);
+      response.end();
+      return;
+    }
+    const result = api.handle({
+      method: request.method,
+      path: new URL(request.url, `http://localhost:${port}`).pathname,
+      headers: request.headers,
+      body
+    });
+    const hasBody = result.body !== undefined;
+    response.writeHead(result.status, hasBody ? { ...CORS_HEADERS, 'Content-Type': 'application/json' } : CORS_HEADERS);
+    response.end(hasBody ? JSON.stringify(result.body) : undefined);
+    console.log(`${request.method} ${request.url} ${result.status}`);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock sync server listening on http://localhost:${port}/assignments`);
+});
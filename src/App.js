@@ -1,282 +1,971 @@
 
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
-  Plus, Edit, Trash2, CheckCircle, Circle, ClipboardList, Filter, Search,
-  ArrowUp, ArrowDown, Download, Sun, Moon, AlertTriangle, XCircle, Tag, Calendar, SlidersHorizontal, BookOpenText
+  Plus, Edit, Trash2, CheckCircle, ClipboardList, Filter,
+  Download, Upload, FileJson, Sun, Moon, Undo2, Redo2, AlertTriangle, XCircle, Tag, SlidersHorizontal, BookOpenText,
+  LayoutList, CalendarDays, CalendarPlus, ArrowUpDown, BarChart3, GraduationCap, WifiOff, RefreshCw, CalendarClock, Command, Keyboard
 } from 'lucide-react';
+import AssignmentItem from './AssignmentItem';
+import CalendarView from './CalendarView';
+import ImportDialog from './ImportDialog';
+import Toast from './Toast';
+import NotificationCenter from './NotificationCenter';
+import useLocalStorage from './useLocalStorage';
+import useUndoHistory from './useUndoHistory';
+import useNow from './useNow';
+import useReminders from './useReminders';
+import useUrlState from './useUrlState';
+import useOnlineStatus from './useOnlineStatus';
+import useSync from './useSync';
+import { subscribeToUpdates, applyUpdate } from './serviceWorkerRegistration';
+import QueryBar from './QueryBar';
+import { repairAssignment, PRIORITIES } from './storageSchema';
+import { getDefaultRepository } from './storageRepository';
+import { getDefaultSyncAdapter } from './restSyncAdapter';
+import useAssignmentStore from './useAssignmentStore';
+import { getPriorityText } from './assignmentUtils';
+import { getIdRange } from './bulkActions';
+import RecurrenceFields from './RecurrenceFields';
+import {
+  assignmentsToCsv, assignmentsToJson, downloadFile, parseImportFile, markDuplicates
+} from './importExport';
+import { assignmentsToIcs } from './ical';
+import { SORT_MODES } from './sorting';
+import { parseQuery } from './query';
+import { filterAssignments, hasActiveFilters, STATUS_FILTERS } from './filters';
+import { BUILT_IN_VIEWS, createSavedView, isSameView } from './savedViews';
+import SavedViewsBar from './SavedViewsBar';
+import BulkActionBar from './BulkActionBar';
+import StatsPanel from './StatsPanel';
+import PlannerPanel from './PlannerPanel';
+import CommandPalette from './CommandPalette';
+import ShortcutsHelp from './ShortcutsHelp';
+import { isTypingTarget } from './commands';
+import CourseManager from './CourseManager';
+import CourseCombobox from './CourseCombobox';
+import GradeFields from './GradeFields';
+import GradesPanel from './GradesPanel';
+import AssignmentDetails from './AssignmentDetails';
+import SyncStatus from './SyncStatus';
+import { collectAttachmentFiles, saveAttachmentFiles, deleteOrphanedAttachments } from './attachmentStore';
+import { DEFAULT_AVAILABILITY, planWorkload } from './planner';
+import { formatDueDate } from './dates';
+import { EMPTY_GRADE_FIELDS, gradeFieldsFromAssignment, getCourseGrades } from './grades';
+import {
+  actions, listsReducer, validateAssignmentForm, selectAssignment, selectVisibleAssignments, selectAssignmentCounts, selectCourseAssignmentCounts
+} from './assignmentDomain';
+import {
+  createCourseRegistry, getCourseNameMap, getCourseName, findCourseByName, resolveCourseFilter
+} from './courses';
 
-// Custom hook for localStorage persistence
-const useLocalStorage = (key, initialValue) => {
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      console.error('Error reading from localStorage:', error);
-      return initialValue;
-    }
-  });
-
-  const setValue = useCallback((value) => {
-    try {
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
-      setStoredValue(valueToStore);
-      window.localStorage.setItem(key, JSON.stringify(valueToStore));
-    } catch (error) {
-      console.error('Error writing to localStorage:', error);
-    }
-  }, [key, storedValue]);
-
-  return [storedValue, setValue];
-};
-
-const AssignmentManager = () => {
-  const [assignments, setAssignments] = useLocalStorage('studentAssignments', []);
+const AssignmentManager = ({ repository = getDefaultRepository(), syncAdapter = getDefaultSyncAdapter() }) => {
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const handleSyncConflicts = useCallback((conflicts) => {
+    setSyncConflicts(prevConflicts => [
+      ...prevConflicts.filter(prev => !conflicts.some(conflict => conflict.id === prev.id)),
+      ...conflicts
+    ]);
+  }, []);
+  const [assignmentStore, setAssignmentStore, storage] = useAssignmentStore(repository, { onConflict: handleSyncConflicts });
+  const assignments = assignmentStore.assignments;
+  const courses = assignmentStore.courses;
+  const quarantine = assignmentStore.quarantine;
   const [newAssignmentTitle, setNewAssignmentTitle] = useState('');
-  const [newAssignmentCategory, setNewAssignmentCategory] = useState('');
+  const [newAssignmentCourse, setNewAssignmentCourse] = useState(''); // course name, resolved on save
   const [newAssignmentDueDate, setNewAssignmentDueDate] = useState('');
+  const [newAssignmentDueTime, setNewAssignmentDueTime] = useState('');
   const [newAssignmentPriority, setNewAssignmentPriority] = useState('medium'); // Default priority
+  const [newAssignmentRecurrence, setNewAssignmentRecurrence] = useState(null);
+  const [newAssignmentGrade, setNewAssignmentGrade] = useState(EMPTY_GRADE_FIELDS);
+  const [newAssignmentEstimate, setNewAssignmentEstimate] = useState(''); // hours, as typed
   const [editingAssignmentId, setEditingAssignmentId] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterCategory, setFilterCategory] = useState('all');
-  const [filterStatus, setFilterStatus] = useState('all');
-  const [filterPriority, setFilterPriority] = useState('all');
+  const [editScope, setEditScope] = useState('occurrence'); // 'occurrence' or 'series' for repeating assignments
+  const [searchTerm, setSearchTerm] = useUrlState('q', '');
+  const [filterCategory, setFilterCategory] = useUrlState('category', 'all');
+  const [filterStatus, setFilterStatus] = useUrlState('status', 'all');
+  const [filterPriority, setFilterPriority] = useUrlState('priority', 'all');
   const [titleError, setTitleError] = useState('');
   const [dueDateError, setDueDateError] = useState('');
+  const [recurrenceError, setRecurrenceError] = useState('');
+  const [gradeError, setGradeError] = useState('');
+  const [estimateError, setEstimateError] = useState('');
   const [isDarkMode, setIsDarkMode] = useLocalStorage('darkMode', false);
+  const [autoCompleteFromSubtasks, setAutoCompleteFromSubtasks] = useLocalStorage('autoCompleteFromSubtasks', true);
+  const [assignmentView, setAssignmentView] = useLocalStorage('assignmentView', 'list');
+  const [sortMode, setSortMode] = useLocalStorage('sortMode', 'smart');
+  const [savedViews, setSavedViews] = useLocalStorage('savedViews', []);
+  const [showStats, setShowStats] = useLocalStorage('showStats', false);
+  const [showPlanner, setShowPlanner] = useLocalStorage('showPlanner', false);
+  const [studyAvailability, setStudyAvailability] = useLocalStorage('studyAvailability', DEFAULT_AVAILABILITY);
+  const [showCourseManager, setShowCourseManager] = useState(false);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // The row j/k move between and x/e act on
+  const [activeAssignmentId, setActiveAssignmentId] = useState(null);
+  // `{ elementId }` to focus once the next render is on screen
+  const [focusRequest, setFocusRequest] = useState(null);
+  const [detailAssignmentId, setDetailAssignmentId] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importError, setImportError] = useState('');
+  const [icsComponent, setIcsComponent] = useState('VEVENT');
+  const importInputRef = useRef(null);
+  const now = useNow();
+  const isOnline = useOnlineStatus();
+  const [isUpdateAvailable, setIsUpdateAvailable] = useState(false);
 
-  const availableCategories = useMemo(() => {
-    const categories = new Set(assignments.map(a => a.category).filter(Boolean));
-    return ['all', ...Array.from(categories).sort()];
-  }, [assignments]);
+  useEffect(() => subscribeToUpdates(() => setIsUpdateAvailable(true)), []);
+
+  const setAssignments = useCallback((value) => {
+    setAssignmentStore(prevStore => ({
+      ...prevStore,
+      assignments: value instanceof Function ? value(prevStore.assignments) : value
+    }));
+  }, [setAssignmentStore]);
+
+  // Assignments and courses share one undo history, since merging or deleting a course changes both
+  const setLists = useCallback((value) => {
+    setAssignmentStore(prevStore => {
+      const lists = value instanceof Function ? value({ assignments: prevStore.assignments, courses: prevStore.courses }) : value;
+      return { ...prevStore, assignments: lists.assignments, courses: lists.courses };
+    });
+  }, [setAssignmentStore]);
+
+  const { applyChange: applyListsChange, undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useUndoHistory(setLists);
+
+  // Applies a domain action (see assignmentDomain.js) as one undoable change
+  const dispatch = useCallback((action, label) => applyListsChange(lists => listsReducer(lists, action), label), [applyListsChange]);
+
+  // Changes from the sync server skip the undo history, like changes from other tabs
+  const syncLists = useMemo(() => ({ assignments, courses }), [assignments, courses]);
+  const sync = useSync(syncAdapter, {
+    lists: syncLists,
+    setLists,
+    enabled: storage.status === 'ready',
+    onConflict: handleSyncConflicts
+  });
+
+  const courseNames = useMemo(() => getCourseNameMap(courses), [courses]);
+  const coursesById = useMemo(() => new Map(courses.map(course => [course.id, course])), [courses]);
+  const activeCourses = useMemo(
+    () => courses.filter(course => !course.archived).sort((a, b) => a.name.localeCompare(b.name)),
+    [courses]
+  );
+  const activeCourseNames = useMemo(() => activeCourses.map(course => course.name), [activeCourses]);
+  const courseGrades = useMemo(() => getCourseGrades(courses, assignments), [courses, assignments]);
+  const formCourse = useMemo(() => (newAssignmentCourse ? findCourseByName(courses, newAssignmentCourse) : null), [courses, newAssignmentCourse]);
+  // Recalculated whenever assignments are added, edited or completed
+  const plan = useMemo(() => planWorkload(assignments, studyAvailability, now), [assignments, studyAvailability, now]);
+  const planWarnings = plan.days.filter(day => day.overbooked).length + plan.assignments.filter(entry => entry.shortBy > 0).length;
+  const reminders = useReminders(assignments, now, courseNames, storage.status === 'ready');
+  const [toast, setToast] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectionAnchorRef = useRef(null);
 
   useEffect(() => {
     document.documentElement.classList.toggle('dark', isDarkMode);
   }, [isDarkMode]);
 
-  const handleAddOrUpdateAssignment = useCallback((e) => {
-    e.preventDefault();
-    let valid = true;
+  // Files removed from assignments stay stored while the removal can still be undone, so they are
+  // only cleaned up on the next start, once the saved assignments have loaded. Until then the list
+  // is empty, and after a failed load it may be missing assignments that still have files.
+  const hasCleanedUpAttachmentsRef = useRef(false);
+  useEffect(() => {
+    if (storage.status !== 'ready' || hasCleanedUpAttachmentsRef.current) return;
+    hasCleanedUpAttachmentsRef.current = true;
+    deleteOrphanedAttachments(assignments, quarantine).catch(() => {});
+  }, [storage.status, assignments, quarantine]);
 
-    if (!newAssignmentTitle.trim()) {
-      setTitleError('Title is required.');
-      valid = false;
-    } else {
-      setTitleError('');
-    }
+  const resetForm = useCallback(() => {
+    setEditingAssignmentId(null);
+    setNewAssignmentTitle('');
+    setNewAssignmentCourse('');
+    setNewAssignmentDueDate('');
+    setNewAssignmentDueTime('');
+    setNewAssignmentPriority('medium');
+    setNewAssignmentRecurrence(null);
+    setNewAssignmentGrade(EMPTY_GRADE_FIELDS);
+    setNewAssignmentEstimate('');
+    setEditScope('occurrence');
+  }, []);
 
-    if (newAssignmentDueDate && new Date(newAssignmentDueDate) < new Date(new Date().setHours(0, 0, 0, 0))) {
-      setDueDateError('Due date cannot be in the past.');
-      valid = false;
-    } else {
-      setDueDateError('');
-    }
+  const editingAssignment = useMemo(() => selectAssignment(assignments, editingAssignmentId), [assignments, editingAssignmentId]);
 
-    if (!valid) return;
+  const handleAddOrUpdateAssignment = useCallback((e) => {
+    e.preventDefault();
+    const { errors, values } = validateAssignmentForm({
+      title: newAssignmentTitle,
+      courseName: newAssignmentCourse,
+      dueDate: newAssignmentDueDate,
+      dueTime: newAssignmentDueTime,
+      priority: newAssignmentPriority,
+      recurrence: newAssignmentRecurrence,
+      estimatedHours: newAssignmentEstimate,
+      grade: newAssignmentGrade
+    }, editingAssignment);
+    setTitleError(errors.title);
+    setDueDateError(errors.dueDate);
+    setRecurrenceError(errors.recurrence);
+    setEstimateError(errors.estimatedHours);
+    setGradeError(errors.grade);
+    if (!values) return;
 
     if (editingAssignmentId) {
-      setAssignments(assignments.map(assign =>
-        assign.id === editingAssignmentId
-          ? {
-              ...assign,
-              title: newAssignmentTitle.trim(),
-              category: newAssignmentCategory.trim(),
-              dueDate: newAssignmentDueDate,
-              priority: newAssignmentPriority
-            }
-          : assign
-      ));
-      setEditingAssignmentId(null);
+      const editSeries = editScope === 'series' && editingAssignment && editingAssignment.seriesId !== null;
+      dispatch(actions.edit(editingAssignmentId, values, editScope), editSeries ? `Edit series "${values.title}"` : `Edit "${values.title}"`);
     } else {
-      const newAssignment = {
-        id: Date.now(),
-        title: newAssignmentTitle.trim(),
-        completed: false,
-        category: newAssignmentCategory.trim(),
-        dueDate: newAssignmentDueDate,
-        priority: newAssignmentPriority,
-        createdAt: new Date().toISOString()
-      };
-      setAssignments([newAssignment, ...assignments]);
+      dispatch(actions.add(values), `Add "${values.title}"`);
     }
-    setNewAssignmentTitle('');
-    setNewAssignmentCategory('');
-    setNewAssignmentDueDate('');
-    setNewAssignmentPriority('medium');
-  }, [assignments, editingAssignmentId, newAssignmentTitle, newAssignmentCategory, newAssignmentDueDate, newAssignmentPriority, setAssignments]);
+    resetForm();
+  }, [dispatch, resetForm, editingAssignmentId, editingAssignment, editScope, newAssignmentTitle, newAssignmentCourse, newAssignmentDueDate, newAssignmentDueTime, newAssignmentPriority, newAssignmentRecurrence, newAssignmentEstimate, newAssignmentGrade]);
 
   const handleEditAssignment = useCallback((assignment) => {
     setEditingAssignmentId(assignment.id);
     setNewAssignmentTitle(assignment.title);
-    setNewAssignmentCategory(assignment.category);
+    setNewAssignmentCourse(courseNames.get(assignment.courseId) || '');
     setNewAssignmentDueDate(assignment.dueDate);
+    setNewAssignmentDueTime(assignment.dueTime || '');
     setNewAssignmentPriority(assignment.priority);
-  }, []);
+    setNewAssignmentRecurrence(assignment.recurrence);
+    setNewAssignmentGrade(gradeFieldsFromAssignment(assignment));
+    setNewAssignmentEstimate(String(assignment.estimatedHours ?? ''));
+    setEditScope('occurrence');
+  }, [courseNames]);
 
   const handleDeleteAssignment = useCallback((id) => {
-    setAssignments(assignments.filter(assign => assign.id !== id));
+    const assignment = assignments.find(assign => assign.id === id);
+    if (!assignment) return;
+    dispatch(actions.delete(new Set([id])), `Delete "${assignment.title}"`);
+    setToast({ message: `Deleted "${assignment.title}".`, undoable: true });
     if (editingAssignmentId === id) {
-      setEditingAssignmentId(null);
-      setNewAssignmentTitle('');
-      setNewAssignmentCategory('');
-      setNewAssignmentDueDate('');
-      setNewAssignmentPriority('medium');
+      resetForm();
     }
-  }, [assignments, editingAssignmentId, setAssignments]);
+  }, [dispatch, resetForm, assignments, editingAssignmentId]);
 
   const handleToggleComplete = useCallback((id) => {
-    setAssignments(assignments.map(assign =>
-      assign.id === id ? { ...assign, completed: !assign.completed } : assign
-    ));
-  }, [assignments, setAssignments]);
+    const assignment = assignments.find(assign => assign.id === id);
+    if (!assignment) return;
+    dispatch(
+      actions.setCompleted(new Set([id]), !assignment.completed),
+      `${assignment.completed ? 'Reopen' : 'Complete'} "${assignment.title}"`
+    );
+  }, [dispatch, assignments]);
+
+  const handleRescheduleAssignment = useCallback((id, dueDate) => {
+    const assignment = assignments.find(assign => assign.id === id);
+    if (!assignment) return;
+    dispatch(actions.reschedule(id, dueDate), `Reschedule "${assignment.title}"`);
+  }, [dispatch, assignments]);
+
+  const handleAddSubtask = useCallback((assignmentId, title) => {
+    dispatch(actions.addSubtask(assignmentId, title, autoCompleteFromSubtasks), `Add subtask "${title}"`);
+  }, [dispatch, autoCompleteFromSubtasks]);
+
+  const handleToggleSubtask = useCallback((assignmentId, subtaskId) => {
+    dispatch(actions.toggleSubtask(assignmentId, subtaskId, autoCompleteFromSubtasks), 'Check off subtask');
+  }, [dispatch, autoCompleteFromSubtasks]);
+
+  const handleMoveSubtask = useCallback((assignmentId, subtaskId, direction) => {
+    dispatch(actions.moveSubtask(assignmentId, subtaskId, direction, autoCompleteFromSubtasks), `Move subtask ${direction}`);
+  }, [dispatch, autoCompleteFromSubtasks]);
+
+  const handleDeleteSubtask = useCallback((assignmentId, subtaskId) => {
+    dispatch(actions.deleteSubtask(assignmentId, subtaskId, autoCompleteFromSubtasks), 'Delete subtask');
+  }, [dispatch, autoCompleteFromSubtasks]);
 
   const handleClearFilters = useCallback(() => {
     setSearchTerm('');
     setFilterCategory('all');
     setFilterStatus('all');
     setFilterPriority('all');
-  }, []);
+  }, [setSearchTerm, setFilterCategory, setFilterStatus, setFilterPriority]);
 
   const handleBulkDeleteCompleted = useCallback(() => {
-    setAssignments(assignments.filter(assign => !assign.completed));
-  }, [assignments, setAssignments]);
+    const count = assignments.filter(assign => assign.completed).length;
+    if (count === 0) return;
+    dispatch(actions.deleteCompleted(), `Delete ${count} completed`);
+    setToast({ message: `Deleted ${count} completed assignment${count === 1 ? '' : 's'}.`, undoable: true });
+  }, [dispatch, assignments]);
 
   const handleExportAssignments = useCallback(() => {
     if (assignments.length === 0) {
       alert("No assignments to export!");
       return;
     }
-    const headers = ["Title", "Category", "Due Date", "Priority", "Completed", "Created At"];
-    const csvRows = assignments.map(assignment => [
-      `"${assignment.title.replace(/"/g, '""')}"`,
-      `"${assignment.category ? assignment.category.replace(/"/g, '""') : ''}"`,
-      assignment.dueDate || '',
-      assignment.priority,
-      assignment.completed ? 'Yes' : 'No',
-      assignment.createdAt
-    ].join(','));
-
-    const csvContent = [headers.join(','), ...csvRows].join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.setAttribute('href', url);
-    link.setAttribute('download', 'assignments.csv');
-    link.click();
-    URL.revokeObjectURL(url);
-  }, [assignments]);
+    downloadFile(assignmentsToCsv(assignments, courses, courseGrades), 'assignments.csv', 'text/csv;charset=utf-8;');
+  }, [assignments, courses, courseGrades]);
 
-  const moveAssignment = useCallback((id, direction) => {
-    setAssignments(prevAssignments => {
-      const index = prevAssignments.findIndex(a => a.id === id);
-      if (index === -1) return prevAssignments;
+  // JSON backups include attachment files, which have to be read from IndexedDB first
+  const exportJsonWithFiles = useCallback(async (list, listCourses, fileName) => {
+    let files = [];
+    let missing = 0;
+    try {
+      ({ files, missing } = await collectAttachmentFiles(list));
+    } catch (error) {
+      missing = list.reduce((count, assign) => count + assign.attachments.length, 0);
+    }
+    downloadFile(assignmentsToJson(list, listCourses, files), fileName, 'application/json;charset=utf-8;');
+    if (missing > 0) {
+      setToast({ message: `${missing} attachment${missing === 1 ? ' is' : 's are'} missing from this browser and ${missing === 1 ? 'was' : 'were'} left out of the backup.` });
+    }
+  }, []);
 
-      const newIndex = direction === 'up' ? index - 1 : index + 1;
-      if (newIndex < 0 || newIndex >= prevAssignments.length) return prevAssignments;
+  const handleExportAssignmentsJson = useCallback(() => {
+    if (assignments.length === 0) {
+      alert("No assignments to export!");
+      return;
+    }
+    exportJsonWithFiles(assignments, courses, 'assignments.json');
+  }, [assignments, courses, exportJsonWithFiles]);
 
-      const newArr = [...prevAssignments];
-      const [movedItem] = newArr.splice(index, 1);
-      newArr.splice(newIndex, 0, movedItem);
-      return newArr;
-    });
-  }, [setAssignments]);
+  const handleExportIcs = useCallback(() => {
+    if (!assignments.some(assignment => assignment.dueDate)) {
+      alert("No assignments with a due date to export!");
+      return;
+    }
+    downloadFile(assignmentsToIcs(assignments, courses, icsComponent), 'assignments.ics', 'text/calendar;charset=utf-8;');
+  }, [assignments, courses, icsComponent]);
 
-  const filteredAndSortedAssignments = useMemo(() => {
-    let filtered = assignments;
+  const handleImportFileSelected = useCallback((e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again after cancelling
+    if (!file) return;
 
-    if (searchTerm) {
-      filtered = filtered.filter(assign =>
-        assign.title.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { rows } = parseImportFile(file.name, String(reader.result));
+        setImportError('');
+        setPendingImport({ fileName: file.name, rows: markDuplicates(rows, assignments, courses) });
+      } catch (error) {
+        setImportError(`Could not import ${file.name}: ${error.message}`);
+      }
+    };
+    reader.onerror = () => setImportError(`Could not read ${file.name}.`);
+    reader.readAsText(file);
+  }, [assignments, courses]);
 
-    if (filterCategory !== 'all') {
-      filtered = filtered.filter(assign => assign.category === filterCategory);
+  const handleConfirmImport = useCallback((mode) => {
+    const { fileName, rows } = pendingImport;
+    dispatch(actions.import(rows, mode), `Import ${fileName}`);
+    setToast({ message: mode === 'replace' ? `Replaced your list with ${fileName}.` : `Imported ${fileName}.`, undoable: true });
+    setPendingImport(null);
+    // Attachment files from a JSON backup; the assignments are usable even if these fail to save
+    const files = rows.filter(row => row.errors.length === 0).flatMap(row => row.files || []);
+    if (files.length > 0) {
+      saveAttachmentFiles(files).catch(error => setImportError(`The attachments in ${fileName} could not be saved: ${error.message}`));
     }
+  }, [dispatch, pendingImport]);
 
-    if (filterStatus !== 'all') {
-      filtered = filtered.filter(assign =>
-        filterStatus === 'completed' ? assign.completed : !assign.completed
-      );
-    }
+  const handleCancelImport = useCallback(() => setPendingImport(null), []);
 
-    if (filterPriority !== 'all') {
-      filtered = filtered.filter(assign => assign.priority === filterPriority);
-    }
+  const detailAssignment = useMemo(() => selectAssignment(assignments, detailAssignmentId), [assignments, detailAssignmentId]);
 
-    // Sort by due date (closest first), then by priority (high to low), then completed (uncompleted first)
-    return [...filtered].sort((a, b) => {
-      // Uncompleted tasks first
-      if (a.completed !== b.completed) {
-        return a.completed ? 1 : -1;
-      }
+  const handleUpdateDetails = useCallback((changes, label) => {
+    dispatch(actions.update(new Set([detailAssignmentId]), changes), label);
+  }, [dispatch, detailAssignmentId]);
+
+  const handleCloseDetails = useCallback(() => setDetailAssignmentId(null), []);
+
+  const handleRestoreQuarantined = useCallback(() => {
+    setAssignmentStore(prevStore => {
+      const usedIds = new Set(prevStore.assignments.map(a => a.id));
+      const registry = createCourseRegistry(prevStore.courses);
+      let nextId = Date.now();
+      const restored = prevStore.quarantine.map(entry => {
+        while (usedIds.has(nextId)) nextId++;
+        // Records quarantined before courses existed still carry a category name
+        const { category, ...repaired } = repairAssignment(entry.record, nextId);
+        if (usedIds.has(repaired.id)) repaired.id = nextId;
+        if (repaired.courseId === null || !registry.courses.some(course => course.id === repaired.courseId)) {
+          repaired.courseId = registry.courseIdFor(category);
+        }
+        usedIds.add(repaired.id);
+        return repaired;
+      });
+      return { ...prevStore, assignments: [...restored, ...prevStore.assignments], courses: registry.courses, quarantine: [] };
+    });
+  }, [setAssignmentStore]);
 
-      // Priority sort (High > Medium > Low)
-      const priorityOrder = { 'high': 3, 'medium': 2, 'low': 1 };
-      const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
-      if (priorityDiff !== 0) {
-        return priorityDiff;
+  const handleDownloadQuarantined = useCallback(() => {
+    downloadFile(JSON.stringify(quarantine, null, 2), 'quarantined-assignments.json', 'application/json;charset=utf-8;');
+  }, [quarantine]);
+
+  const handleDiscardQuarantined = useCallback(() => {
+    if (!window.confirm(`Permanently discard ${quarantine.length} unreadable assignment record(s)?`)) return;
+    setAssignmentStore(prevStore => ({ ...prevStore, quarantine: [] }));
+  }, [quarantine, setAssignmentStore]);
+
+  // Puts back the version of a record that lost a cross-tab conflict
+  const handleKeepOtherVersion = useCallback((conflict) => {
+    const restored = { ...conflict.discarded, updatedAt: new Date().toISOString() };
+    setAssignments(prevAssignments => (
+      prevAssignments.some(a => a.id === conflict.id)
+        ? prevAssignments.map(a => (a.id === conflict.id ? restored : a))
+        : [restored, ...prevAssignments]
+    ));
+    setSyncConflicts(prevConflicts => prevConflicts.filter(c => c !== conflict));
+  }, [setAssignments]);
+
+  const handleDismissConflict = useCallback((conflict) => {
+    setSyncConflicts(prevConflicts => prevConflicts.filter(c => c !== conflict));
+  }, []);
+
+  const handleUndo = useCallback(() => {
+    const entry = undo();
+    if (entry) setToast({ message: `Undid: ${entry.label}`, redoable: true });
+  }, [undo]);
+
+  const handleRedo = useCallback(() => {
+    const entry = redo();
+    if (entry) setToast({ message: `Redid: ${entry.label}`, undoable: true });
+  }, [redo]);
+
+  const handleDismissToast = useCallback(() => setToast(null), []);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own native undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
       }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  const parsedQuery = useMemo(() => parseQuery(searchTerm), [searchTerm]);
 
-      // Due date sort
-      const dateA = a.dueDate ? new Date(a.dueDate) : null;
-      const dateB = b.dueDate ? new Date(b.dueDate) : null;
+  const filters = useMemo(
+    () => ({ searchTerm, filterCategory: resolveCourseFilter(courses, filterCategory), filterStatus, filterPriority }),
+    [searchTerm, filterCategory, filterStatus, filterPriority, courses]
+  );
+
+  const filteredAndSortedAssignments = useMemo(
+    () => selectVisibleAssignments(assignments, { filters, sortMode, now, query: parsedQuery, courseNames }),
+    [assignments, filters, now, parsedQuery, courseNames, sortMode]
+  );
+
+  const resolvedViews = useMemo(() => savedViews.map(view => ({
+    ...view,
+    filters: { ...view.filters, filterCategory: resolveCourseFilter(courses, view.filters.filterCategory) }
+  })), [savedViews, courses]);
+
+  const viewCounts = useMemo(() => Object.fromEntries(
+    [...BUILT_IN_VIEWS, ...resolvedViews].map(view => [
+      view.id,
+      filterAssignments(assignments, view.filters, now, parseQuery(view.filters.searchTerm), courseNames).length
+    ])
+  ), [assignments, resolvedViews, now, courseNames]);
+
+  const activeViewId = useMemo(() => {
+    if (!hasActiveFilters(filters)) return 'all';
+    const match = [...BUILT_IN_VIEWS, ...resolvedViews].find(view => isSameView(view, filters, sortMode));
+    return match ? match.id : null;
+  }, [filters, sortMode, resolvedViews]);
+
+  const handleApplyView = useCallback((view) => {
+    setSearchTerm(view.filters.searchTerm);
+    setFilterCategory(view.filters.filterCategory);
+    setFilterStatus(view.filters.filterStatus);
+    setFilterPriority(view.filters.filterPriority);
+    setSortMode(view.sortMode);
+  }, [setSearchTerm, setFilterCategory, setFilterStatus, setFilterPriority, setSortMode]);
+
+  const handleSaveView = useCallback((name) => {
+    setSavedViews(prevViews => [...prevViews, createSavedView(name, filters, sortMode, prevViews)]);
+  }, [setSavedViews, filters, sortMode]);
+
+  const handleRenameView = useCallback((id, name) => {
+    setSavedViews(prevViews => prevViews.map(view => (view.id === id ? { ...view, name } : view)));
+  }, [setSavedViews]);
+
+  const handleDeleteView = useCallback((id) => {
+    setSavedViews(prevViews => prevViews.filter(view => view.id !== id));
+  }, [setSavedViews]);
+
+
+  const handleReorderAssignment = useCallback((id, targetId, placement) => {
+    const assignment = assignments.find(assign => assign.id === id);
+    if (!assignment) return;
+    dispatch(actions.move(id, targetId, placement), `Move "${assignment.title}"`);
+  }, [assignments, dispatch]);
+
+  // Up/down swap with the neighbour that is actually on screen, whatever the filters hide
+  const moveAssignment = useCallback((id, direction) => {
+    const index = filteredAndSortedAssignments.findIndex(assign => assign.id === id);
+    const neighbour = filteredAndSortedAssignments[direction === 'up' ? index - 1 : index + 1];
+    if (index === -1 || !neighbour) return;
+    handleReorderAssignment(id, neighbour.id, direction === 'up' ? 'before' : 'after');
+  }, [filteredAndSortedAssignments, handleReorderAssignment]);
+
+  // Only what is on screen counts as selected, so a bulk action never reaches hidden assignments
+  const selectedAssignments = useMemo(
+    () => filteredAndSortedAssignments.filter(assign => selectedIds.has(assign.id)),
+    [filteredAndSortedAssignments, selectedIds]
+  );
 
-      if (dateA && dateB) {
-        return dateA.getTime() - dateB.getTime();
+  const handleSelectAssignment = useCallback((id, extendRange) => {
+    const visibleIds = filteredAndSortedAssignments.map(assign => assign.id);
+    setSelectedIds(prevIds => {
+      const nextIds = new Set(prevIds);
+      // Shift-click selects everything between the last clicked row and this one
+      if (extendRange && selectionAnchorRef.current !== null) {
+        getIdRange(visibleIds, selectionAnchorRef.current, id).forEach(rangeId => nextIds.add(rangeId));
+      } else if (nextIds.has(id)) {
+        nextIds.delete(id);
+      } else {
+        nextIds.add(id);
       }
-      if (dateA) return -1; // Assignments with due dates come before those without
-      if (dateB) return 1;
-      return 0; // No due dates, maintain original order
+      return nextIds;
     });
-  }, [assignments, searchTerm, filterCategory, filterStatus, filterPriority]);
-
-  const totalAssignments = assignments.length;
-  const pendingAssignments = assignments.filter(a => !a.completed).length;
-  const completedAssignments = assignments.filter(a => a.completed).length;
-
-  const getPriorityColor = (priority) => {
-    switch (priority) {
-      case 'high': return 'bg-rose-500';
-      case 'medium': return 'bg-indigo-500';
-      case 'low': return 'bg-emerald-500';
-      default: return 'bg-gray-400';
-    }
-  };
-
-  const getPriorityText = (priority) => {
-    switch (priority) {
-      case 'high': return 'High';
-      case 'medium': return 'Medium';
-      case 'low': return 'Low';
-      default: return 'N/A';
-    }
-  };
-
-  const isOverdue = useCallback((dueDate, completed) => {
-    if (completed || !dueDate) return false;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const due = new Date(dueDate);
-    due.setHours(0, 0, 0, 0);
-    return due < today;
+    selectionAnchorRef.current = id;
+  }, [filteredAndSortedAssignments]);
+
+  const handleSelectAllMatching = useCallback(() => {
+    setSelectedIds(new Set(filteredAndSortedAssignments.map(assign => assign.id)));
+  }, [filteredAndSortedAssignments]);
+
+  const handleClearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+    selectionAnchorRef.current = null;
   }, []);
 
+  // `createAction(ids)` builds the action for the selected ids
+  const applyBulkChange = useCallback((createAction, describe) => {
+    const ids = new Set(selectedAssignments.map(assign => assign.id));
+    if (ids.size === 0) return;
+    const summary = describe(`${ids.size} assignment${ids.size === 1 ? '' : 's'}`);
+    dispatch(createAction(ids), summary);
+    setToast({ message: `${summary}.`, undoable: true });
+  }, [dispatch, selectedAssignments]);
+
+  const handleBulkSetCompleted = useCallback((completed) => {
+    applyBulkChange(
+      ids => actions.setCompleted(ids, completed),
+      count => `${completed ? 'Completed' : 'Reopened'} ${count}`
+    );
+  }, [applyBulkChange]);
+
+  const handleBulkDelete = useCallback(() => {
+    applyBulkChange(ids => actions.delete(ids), count => `Deleted ${count}`);
+    handleClearSelection();
+  }, [applyBulkChange, handleClearSelection]);
+
+  // Setting a course by a name that is not known yet creates the course
+  const handleBulkSetCourse = useCallback((courseName) => {
+    const existing = courseName ? findCourseByName(courses, courseName) : null;
+    applyBulkChange(
+      ids => actions.setCourse(ids, courseName),
+      count => (courseName ? `Moved ${count} to ${existing ? existing.name : courseName}` : `Removed the course from ${count}`)
+    );
+  }, [applyBulkChange, courses]);
+
+  const handleBulkSetPriority = useCallback((priority) => {
+    applyBulkChange(
+      ids => actions.update(ids, { priority }),
+      count => `Set ${count} to ${getPriorityText(priority).toLowerCase()} priority`
+    );
+  }, [applyBulkChange]);
+
+  const handleBulkShiftDueDates = useCallback((days) => {
+    applyBulkChange(
+      ids => actions.shiftDueDates(ids, days),
+      count => `Moved the due dates of ${count} ${days > 0 ? 'later' : 'earlier'} by ${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'}`
+    );
+  }, [applyBulkChange]);
+
+  const handleExportSelected = useCallback((format) => {
+    if (format === 'json') {
+      const usedCourses = courses.filter(course => selectedAssignments.some(assign => assign.courseId === course.id));
+      exportJsonWithFiles(selectedAssignments, usedCourses, 'selected-assignments.json');
+    } else {
+      downloadFile(assignmentsToCsv(selectedAssignments, courses, courseGrades), 'selected-assignments.csv', 'text/csv;charset=utf-8;');
+    }
+  }, [selectedAssignments, courses, courseGrades, exportJsonWithFiles]);
+
+  const courseAssignmentCounts = useMemo(() => selectCourseAssignmentCounts(assignments), [assignments]);
+
+  const handleCreateCourse = useCallback((name) => {
+    dispatch(actions.createCourse(name), `Add course "${name}"`);
+  }, [dispatch]);
+
+  // Renaming only touches the course; assignments show whatever name it has now
+  const handleUpdateCourse = useCallback((id, changes) => {
+    const course = coursesById.get(id);
+    if (!course) return;
+    let label = `Edit course "${course.name}"`;
+    if (changes.archived !== undefined) label = `${changes.archived ? 'Archive' : 'Unarchive'} course "${course.name}"`;
+    else if (changes.name && changes.name !== course.name) label = `Rename course "${course.name}" to "${changes.name}"`;
+    dispatch(actions.updateCourse(id, changes), label);
+  }, [dispatch, coursesById]);
+
+  const handleMergeCourse = useCallback((sourceId, targetId) => {
+    const source = coursesById.get(sourceId);
+    const target = coursesById.get(targetId);
+    if (!source || !target) return;
+    const label = `Merge course "${source.name}" into "${target.name}"`;
+    dispatch(actions.mergeCourses(sourceId, targetId), label);
+    setToast({ message: `${label}.`, undoable: true });
+    // Keep the list showing the same assignments when it was filtered by the merged course
+    if (filters.filterCategory === sourceId) setFilterCategory(targetId);
+  }, [dispatch, coursesById, filters.filterCategory, setFilterCategory]);
+
+  const handleDeleteCourse = useCallback((id) => {
+    const course = coursesById.get(id);
+    if (!course) return;
+    dispatch(actions.deleteCourse(id), `Delete course "${course.name}"`);
+    setToast({ message: `Deleted course "${course.name}".`, undoable: true });
+    if (filters.filterCategory === id) setFilterCategory('all');
+  }, [dispatch, coursesById, filters.filterCategory, setFilterCategory]);
+
+
+  // Keyboard control: the command palette, the shortcuts in commands.js and the current row
+
+  useEffect(() => {
+    if (!focusRequest) return;
+    const element = document.getElementById(focusRequest.elementId);
+    if (element) element.focus();
+    setFocusRequest(null);
+  }, [focusRequest]);
+
+  const activeAssignment = useMemo(
+    () => filteredAndSortedAssignments.find(assign => assign.id === activeAssignmentId) || null,
+    [filteredAndSortedAssignments, activeAssignmentId]
+  );
+
+  // Shows the assignment in the list, clearing filters that hide it, and moves focus to it
+  const focusAssignment = useCallback((id) => {
+    if (!filteredAndSortedAssignments.some(assign => assign.id === id)) handleClearFilters();
+    setAssignmentView('list');
+    setActiveAssignmentId(id);
+    setFocusRequest({ elementId: `assignment-${id}` });
+  }, [filteredAndSortedAssignments, handleClearFilters, setAssignmentView]);
+
+  const moveActiveAssignment = useCallback((step) => {
+    if (filteredAndSortedAssignments.length === 0) return;
+    const index = filteredAndSortedAssignments.findIndex(assign => assign.id === activeAssignmentId);
+    const nextIndex = index === -1
+      ? (step > 0 ? 0 : filteredAndSortedAssignments.length - 1)
+      : Math.min(Math.max(index + step, 0), filteredAndSortedAssignments.length - 1);
+    focusAssignment(filteredAndSortedAssignments[nextIndex].id);
+  }, [filteredAndSortedAssignments, activeAssignmentId, focusAssignment]);
+
+  // Without a click there is nothing on screen to say it worked, so these say it in a toast
+  const toggleCompleteAndAnnounce = useCallback((assignment) => {
+    handleToggleComplete(assignment.id);
+    setToast({ message: `${assignment.completed ? 'Reopened' : 'Completed'} "${assignment.title}".`, undoable: true });
+  }, [handleToggleComplete]);
+
+  const editAndFocus = useCallback((assignment) => {
+    handleEditAssignment(assignment);
+    setFocusRequest({ elementId: 'assignmentTitle' });
+  }, [handleEditAssignment]);
+
+  const setPriorityAndAnnounce = useCallback((assignment, priority) => {
+    const label = `Set "${assignment.title}" to ${getPriorityText(priority).toLowerCase()} priority`;
+    dispatch(actions.update(new Set([assignment.id]), { priority }), label);
+    setToast({ message: `${label}.`, undoable: true });
+  }, [dispatch]);
+
+  const getAssignmentCommands = useCallback((assignment) => [
+    { id: 'go', label: 'Go to assignment', run: () => focusAssignment(assignment.id) },
+    {
+      id: 'complete',
+      label: assignment.completed ? 'Mark as not complete' : 'Mark as complete',
+      shortcut: 'x',
+      run: () => toggleCompleteAndAnnounce(assignment)
+    },
+    { id: 'edit', label: 'Edit', shortcut: 'e', run: () => editAndFocus(assignment) },
+    { id: 'details', label: 'Open notes, links and files', keywords: 'details', run: () => setDetailAssignmentId(assignment.id) },
+    ...PRIORITIES.map(priority => ({
+      id: `priority-${priority}`,
+      label: `Set priority to ${getPriorityText(priority)}${assignment.priority === priority ? ' (current)' : ''}`,
+      run: () => setPriorityAndAnnounce(assignment, priority)
+    })),
+    { id: 'delete', label: 'Delete', keywords: 'remove', run: () => handleDeleteAssignment(assignment.id) }
+  ], [focusAssignment, toggleCompleteAndAnnounce, editAndFocus, setPriorityAndAnnounce, handleDeleteAssignment]);
+
+  const commands = useMemo(() => [
+    {
+      id: 'add',
+      label: 'Add assignment',
+      group: 'Action',
+      keywords: 'new create',
+      run: () => {
+        if (editingAssignmentId) resetForm();
+        setFocusRequest({ elementId: 'assignmentTitle' });
+      }
+    },
+    { id: 'search', label: 'Search assignments', group: 'Action', keywords: 'find', shortcut: '/', run: () => setFocusRequest({ elementId: 'assignmentSearch' }) },
+    ...(canUndo ? [{ id: 'undo', label: `Undo: ${undoLabel}`, group: 'Action', run: handleUndo }] : []),
+    ...(canRedo ? [{ id: 'redo', label: `Redo: ${redoLabel}`, group: 'Action', run: handleRedo }] : []),
+    ...assignments.map(assignment => ({
+      id: `assignment-${assignment.id}`,
+      label: assignment.title,
+      group: 'Assignment',
+      keywords: getCourseName(courseNames, assignment.courseId),
+      hint: [
+        getCourseName(courseNames, assignment.courseId),
+        assignment.dueDate && `Due ${formatDueDate(assignment.dueDate, assignment.dueTime)}`,
+        assignment.completed && 'Completed'
+      ].filter(Boolean).join(' · '),
+      commands: () => getAssignmentCommands(assignment)
+    })),
+    ...STATUS_FILTERS.map(status => ({
+      id: `status-${status.value}`, label: `Show ${status.label.toLowerCase()}`, group: 'Filter', keywords: 'status', run: () => setFilterStatus(status.value)
+    })),
+    ...PRIORITIES.map(priority => ({
+      id: `priority-${priority}`,
+      label: `Show ${getPriorityText(priority).toLowerCase()} priority`,
+      group: 'Filter',
+      run: () => setFilterPriority(priority)
+    })),
+    ...activeCourses.map(course => ({
+      id: `course-${course.id}`, label: `Show ${course.name}`, group: 'Filter', keywords: 'course', run: () => setFilterCategory(course.id)
+    })),
+    { id: 'clear-filters', label: 'Show all assignments', group: 'Filter', keywords: 'clear reset', run: handleClearFilters },
+    { id: 'export-csv', label: 'Export to CSV', group: 'Export', run: handleExportAssignments },
+    { id: 'export-json', label: 'Backup to JSON', group: 'Export', keywords: 'export', run: handleExportAssignmentsJson },
+    { id: 'export-ics', label: 'Export due dates to a calendar file', group: 'Export', keywords: 'ics ical', run: handleExportIcs },
+    {
+      id: 'view',
+      label: assignmentView === 'list' ? 'Switch to calendar view' : 'Switch to list view',
+      group: 'View',
+      run: () => setAssignmentView(assignmentView === 'list' ? 'calendar' : 'list')
+    },
+    { id: 'theme', label: isDarkMode ? 'Switch to light mode' : 'Switch to dark mode', group: 'View', keywords: 'theme toggle', run: () => setIsDarkMode(!isDarkMode) },
+    { id: 'stats', label: showStats ? 'Hide statistics' : 'Show statistics', group: 'View', run: () => setShowStats(!showStats) },
+    { id: 'planner', label: showPlanner ? 'Hide study plan' : 'Show study plan', group: 'View', keywords: 'planner', run: () => setShowPlanner(!showPlanner) },
+    { id: 'courses', label: 'Manage courses', group: 'View', run: () => setShowCourseManager(true) },
+    { id: 'shortcuts', label: 'Show keyboard shortcuts', group: 'Help', shortcut: '?', run: () => setShowShortcuts(true) }
+  ], [
+    assignments, activeCourses, courseNames, getAssignmentCommands, editingAssignmentId, resetForm, canUndo, canRedo, undoLabel, redoLabel,
+    handleUndo, handleRedo, setFilterStatus, setFilterPriority, setFilterCategory, handleClearFilters, handleExportAssignments,
+    handleExportAssignmentsJson, handleExportIcs, assignmentView, setAssignmentView, isDarkMode, setIsDarkMode, showStats, setShowStats,
+    showPlanner, setShowPlanner
+  ]);
+
+  const handleCloseCommandPalette = useCallback(() => setShowCommandPalette(false), []);
+  const handleCloseShortcuts = useCallback(() => setShowShortcuts(false), []);
+
+  const isDialogOpen = showCommandPalette || showShortcuts || showCourseManager || Boolean(pendingImport) || Boolean(detailAssignment);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+        if (isDialogOpen && !showCommandPalette) return;
+        e.preventDefault();
+        setShowCommandPalette(!showCommandPalette);
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey || isDialogOpen || isTypingTarget(e.target)) return;
+      if (e.key === '/') {
+        e.preventDefault();
+        setFocusRequest({ elementId: 'assignmentSearch' });
+      } else if (e.key === '?') {
+        e.preventDefault();
+        setShowShortcuts(true);
+      } else if ((e.key === 'j' || e.key === 'k') && assignmentView === 'list') {
+        e.preventDefault();
+        moveActiveAssignment(e.key === 'j' ? 1 : -1);
+      } else if (e.key === 'x' && activeAssignment) {
+        e.preventDefault();
+        toggleCompleteAndAnnounce(activeAssignment);
+      } else if (e.key === 'e' && activeAssignment) {
+        e.preventDefault();
+        editAndFocus(activeAssignment);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isDialogOpen, showCommandPalette, assignmentView, activeAssignment, moveActiveAssignment, toggleCompleteAndAnnounce, editAndFocus]);
+
+
+  const { total: totalAssignments, pending: pendingAssignments, completed: completedAssignments } = selectAssignmentCounts(assignments);
+
   return (
     <div className={`min-h-screen p-4 sm:p-6 md:p-8 font-sans ${isDarkMode ? 'dark bg-slate-900 text-slate-200' : 'bg-slate-50 text-slate-800'}`}>
       <header className="flex flex-col sm:flex-row justify-between items-center mb-8 pb-4 border-b border-slate-200 dark:border-slate-700">
         <h1 className="text-3xl sm:text-4xl font-extrabold text-indigo-600 dark:text-indigo-400 mb-4 sm:mb-0">
           Student Assignment Hub
         </h1>
-        <button
-          onClick={() => setIsDarkMode(!isDarkMode)}
-          className="p-2 rounded-full text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
-          aria-label={isDarkMode ? 'Switch to light mode' : 'Switch to dark mode'}
-        >
-          {isDarkMode ? <Sun size={24} /> : <Moon size={24} />}
-        </button>
+        <div className="flex items-center gap-2">
+          {!isOnline && (
+            <span
+              className="flex items-center px-3 py-1 rounded-full text-xs font-medium bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-300"
+              title="Everything keeps working and is saved on this device"
+            >
+              <WifiOff size={14} className="mr-1" />Offline
+            </span>
+          )}
+          {sync && <SyncStatus sync={sync} />}
+          <NotificationCenter
+            notifications={reminders.notifications}
+            snoozedCount={reminders.snoozedCount}
+            settings={reminders.settings}
+            onSettingsChange={reminders.setSettings}
+            permission={reminders.permission}
+            onRequestPermission={reminders.requestPermission}
+            onDismiss={reminders.dismiss}
+            onDismissAll={reminders.dismissAll}
+            onSnooze={reminders.snooze}
+          />
+          <button
+            onClick={() => setShowCommandPalette(true)}
+            className="p-2 rounded-full text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
+            aria-label="Open command palette"
+            aria-keyshortcuts="Control+K Meta+K"
+            title="Commands (Ctrl+K)"
+          >
+            <Command size={24} />
+          </button>
+          <button
+            onClick={() => setShowShortcuts(true)}
+            className="p-2 rounded-full text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
+            aria-label="Keyboard shortcuts"
+            aria-keyshortcuts="?"
+            title="Keyboard shortcuts (?)"
+          >
+            <Keyboard size={24} />
+          </button>
+          <button
+            onClick={handleUndo}
+            disabled={!canUndo}
+            className="p-2 rounded-full text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 disabled:opacity-30 disabled:cursor-not-allowed transition-colors duration-200"
+            aria-label={canUndo ? `Undo: ${undoLabel}` : 'Nothing to undo'}
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 size={24} />
+          </button>
+          <button
+            onClick={handleRedo}
+            disabled={!canRedo}
+            className="p-2 rounded-full text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 disabled:opacity-30 disabled:cursor-not-allowed transition-colors duration-200"
+            aria-label={canRedo ? `Redo: ${redoLabel}` : 'Nothing to redo'}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 size={24} />
+          </button>
+          <button
+            onClick={() => setIsDarkMode(!isDarkMode)}
+            className="p-2 rounded-full text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
+            aria-label={isDarkMode ? 'Switch to light mode' : 'Switch to dark mode'}
+          >
+            {isDarkMode ? <Sun size={24} /> : <Moon size={24} />}
+          </button>
+        </div>
       </header>
 
+      {isUpdateAvailable && (
+        <div role="status" className="mb-8 p-4 rounded-xl bg-indigo-50 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-200 flex flex-col sm:flex-row sm:items-center gap-3">
+          <p className="flex-grow flex items-center">
+            <RefreshCw size={20} className="mr-2 flex-shrink-0" />
+            A new version of the hub is available.{' '}
+            {storage.status === 'ready' && !storage.saving
+              ? 'Your assignments are saved, so reloading is safe.'
+              : 'Your latest changes are not saved yet and would be lost by reloading now.'}
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={applyUpdate}
+              className="px-3 py-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 transition-colors duration-200"
+            >
+              Reload now
+            </button>
+            <button
+              onClick={() => setIsUpdateAvailable(false)}
+              className="px-3 py-2 rounded-lg bg-white dark:bg-slate-800 font-semibold hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
+            >
+              Later
+            </button>
+          </div>
+        </div>
+      )}
+
+      {storage.status === 'error' && (
+        <div role="alert" className="mb-8 p-4 rounded-xl bg-rose-50 dark:bg-rose-900/40 text-rose-800 dark:text-rose-200 flex flex-col sm:flex-row sm:items-center gap-3">
+          <p className="flex-grow flex items-center">
+            <XCircle size={20} className="mr-2 flex-shrink-0" />
+            Your changes are not being saved. {storage.error} Until this is fixed, anything you change is lost when you close this page.
+          </p>
+          <button
+            onClick={storage.retry}
+            className="px-3 py-2 rounded-lg bg-rose-600 text-white font-semibold hover:bg-rose-700 transition-colors duration-200"
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {quarantine.length > 0 && (
+        <div role="alert" className="mb-8 p-4 rounded-xl bg-amber-50 dark:bg-amber-900/40 text-amber-800 dark:text-amber-200 flex flex-col sm:flex-row sm:items-center gap-3">
+          <p className="flex-grow flex items-center">
+            <AlertTriangle size={20} className="mr-2 flex-shrink-0" />
+            {quarantine.length} saved assignment{quarantine.length === 1 ? ' was' : 's were'} damaged and set aside so the rest of your list could load.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={handleRestoreQuarantined}
+              className="px-3 py-2 rounded-lg bg-amber-600 text-white font-semibold hover:bg-amber-700 transition-colors duration-200"
+            >
+              Restore
+            </button>
+            <button
+              onClick={handleDownloadQuarantined}
+              className="px-3 py-2 rounded-lg bg-white dark:bg-slate-800 font-semibold hover:bg-amber-100 dark:hover:bg-slate-700 transition-colors duration-200"
+            >
+              Download
+            </button>
+            <button
+              onClick={handleDiscardQuarantined}
+              className="px-3 py-2 rounded-lg bg-white dark:bg-slate-800 font-semibold hover:bg-amber-100 dark:hover:bg-slate-700 transition-colors duration-200"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      {syncConflicts.map(conflict => (
+        <div key={conflict.id} role="alert" className="mb-4 p-4 rounded-xl bg-indigo-50 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-200 flex flex-col sm:flex-row sm:items-center gap-3">
+          <p className="flex-grow flex items-center">
+            <AlertTriangle size={20} className="mr-2 flex-shrink-0" />
+            {conflict.source === 'device' ? (
+              conflict.discarded
+                ? `"${conflict.kept.title}" was changed on another device at the same time. The most recent edit was kept.`
+                : `"${conflict.kept.title}" was deleted on one device while being edited on another, so it was kept.`
+            ) : (
+              conflict.discarded
+                ? `"${conflict.kept.title}" was changed in another tab at the same time. The most recent edit was kept.`
+                : `"${conflict.kept.title}" was deleted in one tab while being edited in another, so it was kept.`
+            )}
+          </p>
+          <div className="flex gap-2">
+            {conflict.discarded && (
+              <button
+                onClick={() => handleKeepOtherVersion(conflict)}
+                className="px-3 py-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 transition-colors duration-200"
+              >
+                Use other version
+              </button>
+            )}
+            <button
+              onClick={() => handleDismissConflict(conflict)}
+              className="px-3 py-2 rounded-lg bg-white dark:bg-slate-800 font-semibold hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      ))}
+
       <main className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Assignment Form & Stats */}
         <div className="lg:col-span-1 bg-white dark:bg-slate-800 p-6 rounded-xl shadow-lg transition-colors duration-200">
@@ -307,32 +996,37 @@ const AssignmentManager = () => {
             </div>
 
             <div>
-              <label htmlFor="assignmentCategory" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
-                Category (e.g., Class, Subject)
+              <label htmlFor="assignmentCourse" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Course (e.g., Class, Subject)
               </label>
-              <input
-                type="text"
-                id="assignmentCategory"
-                value={newAssignmentCategory}
-                onChange={(e) => setNewAssignmentCategory(e.target.value)}
-                placeholder="e.g., Math, History, Essay"
-                className="w-full p-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
-              />
+              <CourseCombobox id="assignmentCourse" value={newAssignmentCourse} onChange={setNewAssignmentCourse} courses={courses} />
             </div>
 
             <div>
               <label htmlFor="assignmentDueDate" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
-                Due Date
+                Due Date <span className="font-normal text-slate-500 dark:text-slate-400">(time optional)</span>
               </label>
-              <input
-                type="date"
-                id="assignmentDueDate"
-                value={newAssignmentDueDate}
-                onChange={(e) => { setNewAssignmentDueDate(e.target.value); setDueDateError(''); }}
-                className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:border-slate-600 dark:text-slate-200 ${dueDateError ? 'border-rose-500 dark:border-rose-400' : 'border-slate-300 dark:border-slate-600'}`}
-                aria-invalid={dueDateError ? "true" : "false"}
-                aria-describedby={dueDateError ? "due-date-error" : undefined}
-              />
+              <div className="flex gap-2">
+                <input
+                  type="date"
+                  id="assignmentDueDate"
+                  value={newAssignmentDueDate}
+                  onChange={(e) => { setNewAssignmentDueDate(e.target.value); setDueDateError(''); }}
+                  className={`flex-grow min-w-0 p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:border-slate-600 dark:text-slate-200 ${dueDateError ? 'border-rose-500 dark:border-rose-400' : 'border-slate-300 dark:border-slate-600'}`}
+                  aria-invalid={dueDateError ? "true" : "false"}
+                  aria-describedby={dueDateError ? "due-date-error" : undefined}
+                />
+                <input
+                  type="time"
+                  id="assignmentDueTime"
+                  value={newAssignmentDueTime}
+                  onChange={(e) => { setNewAssignmentDueTime(e.target.value); setDueDateError(''); }}
+                  className={`w-32 p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:border-slate-600 dark:text-slate-200 ${dueDateError ? 'border-rose-500 dark:border-rose-400' : 'border-slate-300 dark:border-slate-600'}`}
+                  aria-label="Due time"
+                  aria-invalid={dueDateError ? "true" : "false"}
+                  aria-describedby={dueDateError ? "due-date-error" : undefined}
+                />
+              </div>
               {dueDateError && (
                 <p id="due-date-error" className="text-rose-500 text-sm mt-1 flex items-center">
                   <XCircle size={16} className="mr-1" />{dueDateError}
@@ -356,6 +1050,79 @@ const AssignmentManager = () => {
               </select>
             </div>
 
+            <div>
+              <label htmlFor="assignmentEstimate" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Estimated effort (hours)
+              </label>
+              <input
+                type="number"
+                id="assignmentEstimate"
+                min="0"
+                step="0.25"
+                placeholder="Optional"
+                value={newAssignmentEstimate}
+                onChange={(e) => { setNewAssignmentEstimate(e.target.value); setEstimateError(''); }}
+                className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200 ${estimateError ? 'border-rose-500 dark:border-rose-400' : 'border-slate-300 dark:border-slate-600'}`}
+                aria-invalid={estimateError ? "true" : "false"}
+                aria-describedby={estimateError ? "estimate-error" : undefined}
+              />
+              {estimateError && (
+                <p id="estimate-error" className="text-rose-500 text-sm mt-1 flex items-center">
+                  <XCircle size={16} className="mr-1" />{estimateError}
+                </p>
+              )}
+            </div>
+
+            <RecurrenceFields
+              value={newAssignmentRecurrence}
+              onChange={(value) => { setNewAssignmentRecurrence(value); setRecurrenceError(''); }}
+            />
+            {recurrenceError && (
+              <p id="recurrence-error" className="text-rose-500 text-sm mt-1 flex items-center">
+                <XCircle size={16} className="mr-1" />{recurrenceError}
+              </p>
+            )}
+
+            <GradeFields
+              value={newAssignmentGrade}
+              onChange={(value) => { setNewAssignmentGrade(value); setGradeError(''); }}
+              gradingCategories={formCourse ? formCourse.gradingCategories : []}
+              error={gradeError}
+            />
+            {gradeError && (
+              <p id="grade-error" className="text-rose-500 text-sm mt-1 flex items-center">
+                <XCircle size={16} className="mr-1" />{gradeError}
+              </p>
+            )}
+
+            {editingAssignment && editingAssignment.seriesId !== null && (
+              <fieldset>
+                <legend className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Apply changes to</legend>
+                <label className="flex items-center text-sm">
+                  <input
+                    type="radio"
+                    name="editScope"
+                    value="occurrence"
+                    checked={editScope === 'occurrence'}
+                    onChange={() => setEditScope('occurrence')}
+                    className="mr-2"
+                  />
+                  Only this occurrence
+                </label>
+                <label className="flex items-center text-sm">
+                  <input
+                    type="radio"
+                    name="editScope"
+                    value="series"
+                    checked={editScope === 'series'}
+                    onChange={() => setEditScope('series')}
+                    className="mr-2"
+                  />
+                  All upcoming occurrences in the series
+                </label>
+              </fieldset>
+            )}
+
             <button
               type="submit"
               className="w-full bg-indigo-600 text-white p-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors duration-200 flex items-center justify-center shadow-md"
@@ -367,13 +1134,12 @@ const AssignmentManager = () => {
               <button
                 type="button"
                 onClick={() => {
-                  setEditingAssignmentId(null);
-                  setNewAssignmentTitle('');
-                  setNewAssignmentCategory('');
-                  setNewAssignmentDueDate('');
-                  setNewAssignmentPriority('medium');
+                  resetForm();
                   setTitleError('');
                   setDueDateError('');
+                  setRecurrenceError('');
+                  setEstimateError('');
+                  setGradeError('');
                 }}
                 className="w-full mt-2 bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300 p-3 rounded-lg font-semibold hover:bg-slate-300 dark:hover:bg-slate-600 transition-colors duration-200 shadow-md"
               >
@@ -400,6 +1166,41 @@ const AssignmentManager = () => {
                 <p className="text-sm text-slate-600 dark:text-slate-400">Completed</p>
               </div>
             </div>
+            <GradesPanel courses={courses} courseGrades={courseGrades} />
+            <label className="mt-6 flex items-center text-sm text-slate-700 dark:text-slate-300">
+              <input
+                type="checkbox"
+                checked={autoCompleteFromSubtasks}
+                onChange={(e) => setAutoCompleteFromSubtasks(e.target.checked)}
+                className="mr-2 h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              Mark assignments complete when all their subtasks are done
+            </label>
+            <button
+              onClick={() => setShowStats(!showStats)}
+              className="mt-4 w-full bg-slate-100 dark:bg-slate-700 text-indigo-700 dark:text-indigo-300 p-3 rounded-lg font-semibold hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200 flex items-center justify-center shadow-sm"
+              aria-expanded={showStats}
+            >
+              <BarChart3 size={20} className="mr-2" /> {showStats ? 'Hide Statistics' : 'Show Statistics'}
+            </button>
+            <button
+              onClick={() => setShowPlanner(!showPlanner)}
+              className="mt-3 w-full bg-slate-100 dark:bg-slate-700 text-indigo-700 dark:text-indigo-300 p-3 rounded-lg font-semibold hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200 flex items-center justify-center shadow-sm"
+              aria-expanded={showPlanner}
+            >
+              <CalendarClock size={20} className="mr-2" /> {showPlanner ? 'Hide Study Plan' : 'Show Study Plan'}
+              {planWarnings > 0 && (
+                <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-amber-200 dark:bg-amber-800 text-amber-900 dark:text-amber-100" title="Overbooked days and assignments that won't fit">
+                  {planWarnings}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setShowCourseManager(true)}
+              className="mt-3 w-full bg-slate-100 dark:bg-slate-700 text-indigo-700 dark:text-indigo-300 p-3 rounded-lg font-semibold hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200 flex items-center justify-center shadow-sm"
+            >
+              <GraduationCap size={20} className="mr-2" /> Manage Courses
+            </button>
             <div className="mt-6 flex flex-col sm:flex-row gap-3">
               <button
                 onClick={handleBulkDeleteCompleted}
@@ -417,40 +1218,119 @@ const AssignmentManager = () => {
                 <Download size={20} className="mr-2" /> Export to CSV
               </button>
             </div>
+            <div className="mt-3 flex flex-col sm:flex-row gap-3">
+              <button
+                onClick={handleExportAssignmentsJson}
+                className="flex-1 bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300 p-3 rounded-lg font-semibold hover:bg-slate-300 dark:hover:bg-slate-600 transition-colors duration-200 flex items-center justify-center shadow-md"
+                aria-label="Export assignments to JSON backup"
+              >
+                <FileJson size={20} className="mr-2" /> Backup to JSON
+              </button>
+              <button
+                onClick={() => importInputRef.current.click()}
+                className="flex-1 bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300 p-3 rounded-lg font-semibold hover:bg-slate-300 dark:hover:bg-slate-600 transition-colors duration-200 flex items-center justify-center shadow-md"
+                aria-label="Import assignments from CSV, JSON or iCalendar"
+              >
+                <Upload size={20} className="mr-2" /> Import
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".csv,.json,.ics,text/csv,application/json,text/calendar"
+                onChange={handleImportFileSelected}
+                className="hidden"
+                aria-hidden="true"
+                tabIndex={-1}
+              />
+            </div>
+            <div className="mt-3 flex flex-col sm:flex-row gap-3">
+              <select
+                value={icsComponent}
+                onChange={(e) => setIcsComponent(e.target.value)}
+                className="flex-1 p-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
+                aria-label="Calendar export format"
+              >
+                <option value="VEVENT">As events (at the due time, or all day without one)</option>
+                <option value="VTODO">As tasks (VTODO)</option>
+              </select>
+              <button
+                onClick={handleExportIcs}
+                className="flex-1 bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300 p-3 rounded-lg font-semibold hover:bg-slate-300 dark:hover:bg-slate-600 transition-colors duration-200 flex items-center justify-center shadow-md"
+                aria-label="Export due dates to an iCalendar file"
+              >
+                <CalendarPlus size={20} className="mr-2" /> Export .ics
+              </button>
+            </div>
+            {importError && (
+              <p role="alert" className="text-rose-500 text-sm mt-3 flex items-center">
+                <XCircle size={16} className="mr-1 flex-shrink-0" />{importError}
+              </p>
+            )}
           </div>
         </div>
 
         {/* Assignment List */}
         <div className="lg:col-span-2 bg-white dark:bg-slate-800 p-6 rounded-xl shadow-lg transition-colors duration-200">
-          <h2 className="text-2xl font-bold text-indigo-700 dark:text-indigo-300 mb-6 flex items-center">
-            <Filter size={24} className="mr-3" /> All Assignments
-          </h2>
+          <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mb-6">
+            <h2 className="text-2xl font-bold text-indigo-700 dark:text-indigo-300 flex items-center">
+              <Filter size={24} className="mr-3" /> All Assignments
+            </h2>
+            <div className="flex rounded-lg overflow-hidden border border-slate-300 dark:border-slate-600" role="group" aria-label="Assignment view">
+              <button
+                onClick={() => setAssignmentView('list')}
+                aria-pressed={assignmentView === 'list'}
+                className={`px-3 py-2 flex items-center text-sm font-medium transition-colors duration-200
+                  ${assignmentView === 'list' ? 'bg-indigo-600 text-white' : 'hover:bg-slate-100 dark:hover:bg-slate-700'}`}
+              >
+                <LayoutList size={16} className="mr-1" /> List
+              </button>
+              <button
+                onClick={() => setAssignmentView('calendar')}
+                aria-pressed={assignmentView === 'calendar'}
+                className={`px-3 py-2 flex items-center text-sm font-medium transition-colors duration-200
+                  ${assignmentView === 'calendar' ? 'bg-indigo-600 text-white' : 'hover:bg-slate-100 dark:hover:bg-slate-700'}`}
+              >
+                <CalendarDays size={16} className="mr-1" /> Calendar
+              </button>
+            </div>
+          </div>
+
+          <SavedViewsBar
+            views={savedViews}
+            counts={viewCounts}
+            totalCount={assignments.length}
+            activeViewId={activeViewId}
+            canSave={activeViewId === null}
+            onApply={handleApplyView}
+            onShowAll={handleClearFilters}
+            onSave={handleSaveView}
+            onRename={handleRenameView}
+            onDelete={handleDeleteView}
+          />
 
           {/* Filters */}
-          <div className="mb-6 grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4">
-            <div className="relative">
-              <input
-                type="text"
-                placeholder="Search assignments..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full p-3 pl-10 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
-                aria-label="Search assignments"
-              />
-              <Search size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 dark:text-slate-500" />
-            </div>
+          <div className="mb-6 grid grid-cols-1 sm:grid-cols-2 md:grid-cols-5 gap-4">
+            <QueryBar
+              value={searchTerm}
+              onChange={setSearchTerm}
+              categories={activeCourseNames}
+              errors={parsedQuery.errors}
+            />
 
             <div className="relative">
               <select
-                value={filterCategory}
+                value={filters.filterCategory}
                 onChange={(e) => setFilterCategory(e.target.value)}
                 className="w-full p-3 pl-10 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 appearance-none dark:bg-slate-700 dark:text-slate-200"
-                aria-label="Filter by category"
+                aria-label="Filter by course"
               >
-                <option value="all">All Categories</option>
-                {availableCategories.filter(cat => cat !== 'all').map(cat => (
-                  <option key={cat} value={cat}>{cat}</option>
-                ))}
+                <option value="all">All Courses</option>
+                {courses
+                  .filter(course => !course.archived || course.id === filters.filterCategory)
+                  .sort((a, b) => a.name.localeCompare(b.name))
+                  .map(course => (
+                    <option key={course.id} value={course.id}>{course.name}{course.archived ? ' (archived)' : ''}</option>
+                  ))}
               </select>
               <Tag size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 dark:text-slate-500 pointer-events-none" />
             </div>
@@ -463,8 +1343,9 @@ const AssignmentManager = () => {
                 aria-label="Filter by status"
               >
                 <option value="all">All Statuses</option>
-                <option value="pending">Pending</option>
-                <option value="completed">Completed</option>
+                {STATUS_FILTERS.map(status => (
+                  <option key={status.value} value={status.value}>{status.label}</option>
+                ))}
               </select>
               <CheckCircle size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 dark:text-slate-500 pointer-events-none" />
             </div>
@@ -484,10 +1365,24 @@ const AssignmentManager = () => {
               <SlidersHorizontal size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 dark:text-slate-500 pointer-events-none" />
             </div>
 
-            {(searchTerm !== '' || filterCategory !== 'all' || filterStatus !== 'all' || filterPriority !== 'all') && (
+            <div className="relative">
+              <select
+                value={sortMode}
+                onChange={(e) => setSortMode(e.target.value)}
+                className="w-full p-3 pl-10 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 appearance-none dark:bg-slate-700 dark:text-slate-200"
+                aria-label="Sort assignments"
+              >
+                {SORT_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>Sort: {mode.label}</option>
+                ))}
+              </select>
+              <ArrowUpDown size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 dark:text-slate-500 pointer-events-none" />
+            </div>
+
+            {hasActiveFilters(filters) && (
               <button
                 onClick={handleClearFilters}
-                className="col-span-full md:col-span-4 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 p-3 rounded-lg font-semibold hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200 shadow-sm"
+                className="col-span-full bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 p-3 rounded-lg font-semibold hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200 shadow-sm"
                 aria-label="Clear all filters"
               >
                 Clear Filters
@@ -495,105 +1390,139 @@ const AssignmentManager = () => {
             )}
           </div>
 
-          {filteredAndSortedAssignments.length === 0 ? (
+          {assignmentView === 'calendar' ? (
+            <CalendarView
+              assignments={filteredAndSortedAssignments}
+              now={now}
+              onReschedule={handleRescheduleAssignment}
+              onEdit={handleEditAssignment}
+            />
+          ) : storage.status === 'loading' && assignments.length === 0 ? (
+            <p className="text-center py-10 text-slate-500 dark:text-slate-400" role="status">Loading your assignments…</p>
+          ) : filteredAndSortedAssignments.length === 0 ? (
             <div className="text-center py-10 text-slate-500 dark:text-slate-400">
               <AlertTriangle size={48} className="mx-auto mb-4" />
               <p className="text-xl font-semibold">No assignments found!</p>
               <p className="text-md">Try adjusting your filters or add a new assignment.</p>
             </div>
           ) : (
-            <ul className="space-y-4">
-              {filteredAndSortedAssignments.map((assignment, index) => (
-                <li
-                  key={assignment.id}
-                  className={`flex flex-col sm:flex-row items-start sm:items-center p-4 rounded-lg shadow-md transition-all duration-300 ease-in-out
-                    ${assignment.completed ? 'bg-emerald-50 dark:bg-emerald-900/40' : 'bg-slate-100 dark:bg-slate-700'}
-                    ${isOverdue(assignment.dueDate, assignment.completed) ? 'ring-2 ring-rose-500 dark:ring-rose-400' : ''}
-                    hover:shadow-lg transform hover:-translate-y-1
-                  `}
-                  aria-labelledby={`assignment-title-${assignment.id}`}
-                  aria-describedby={`assignment-details-${assignment.id}`}
-                >
-                  <button
-                    onClick={() => handleToggleComplete(assignment.id)}
-                    className={`flex-shrink-0 p-1 rounded-full border-2 transition-all duration-200
-                      ${assignment.completed
-                        ? 'border-emerald-500 text-emerald-500 hover:bg-emerald-100 dark:hover:bg-emerald-800'
-                        : 'border-slate-400 text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600'}
-                    `}
-                    aria-label={assignment.completed ? `Mark "${assignment.title}" as incomplete` : `Mark "${assignment.title}" as complete`}
-                  >
-                    {assignment.completed ? <CheckCircle size={24} fill="currentColor" /> : <Circle size={24} />}
-                  </button>
-
-                  <div className="flex-grow ml-4 mt-2 sm:mt-0">
-                    <p
-                      id={`assignment-title-${assignment.id}`}
-                      className={`text-lg font-semibold ${assignment.completed ? 'line-through text-slate-500 dark:text-slate-400' : 'text-slate-800 dark:text-slate-200'}`}
-                    >
-                      {assignment.title}
-                    </p>
-                    <div id={`assignment-details-${assignment.id}`} className="text-sm text-slate-600 dark:text-slate-400 mt-1 flex flex-wrap items-center gap-2">
-                      {assignment.category && (
-                        <span className="flex items-center bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300 px-2 py-0.5 rounded-full text-xs font-medium">
-                          <Tag size={12} className="mr-1" />{assignment.category}
-                        </span>
-                      )}
-                      {assignment.dueDate && (
-                        <span className={`flex items-center px-2 py-0.5 rounded-full text-xs font-medium
-                          ${isOverdue(assignment.dueDate, assignment.completed)
-                            ? 'bg-rose-100 dark:bg-rose-900 text-rose-700 dark:text-rose-300'
-                            : 'bg-slate-200 dark:bg-slate-600 text-slate-700 dark:text-slate-300'
-                          }`}
-                        >
-                          <Calendar size={12} className="mr-1" />Due: {new Date(assignment.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
-                          {isOverdue(assignment.dueDate, assignment.completed) && <span className="ml-1 font-bold">(Overdue)</span>}
-                        </span>
-                      )}
-                      <span className={`flex items-center px-2 py-0.5 rounded-full text-xs font-medium text-white ${getPriorityColor(assignment.priority)}`}>
-                        <SlidersHorizontal size={12} className="mr-1" />{getPriorityText(assignment.priority)}
-                      </span>
-                    </div>
-                  </div>
-
-                  <div className="flex-shrink-0 flex gap-2 ml-auto mt-4 sm:mt-0">
-                    <button
-                      onClick={() => moveAssignment(assignment.id, 'up')}
-                      disabled={index === 0}
-                      className="p-2 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors duration-200"
-                      aria-label={`Move "${assignment.title}" up`}
-                    >
-                      <ArrowUp size={20} />
-                    </button>
-                    <button
-                      onClick={() => moveAssignment(assignment.id, 'down')}
-                      disabled={index === filteredAndSortedAssignments.length - 1}
-                      className="p-2 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors duration-200"
-                      aria-label={`Move "${assignment.title}" down`}
-                    >
-                      <ArrowDown size={20} />
-                    </button>
-                    <button
-                      onClick={() => handleEditAssignment(assignment)}
-                      className="p-2 rounded-lg text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
-                      aria-label={`Edit "${assignment.title}"`}
-                    >
-                      <Edit size={20} />
-                    </button>
-                    <button
-                      onClick={() => handleDeleteAssignment(assignment.id)}
-                      className="p-2 rounded-lg text-rose-500 hover:bg-rose-100 dark:hover:bg-rose-900 transition-colors duration-200"
-                      aria-label={`Delete "${assignment.title}"`}
-                    >
-                      <Trash2 size={20} />
-                    </button>
-                  </div>
-                </li>
-              ))}
-            </ul>
+            <>
+              {selectedAssignments.length > 0 && (
+                <BulkActionBar
+                  selectedCount={selectedAssignments.length}
+                  matchingCount={filteredAndSortedAssignments.length}
+                  allMatchingSelected={selectedAssignments.length === filteredAndSortedAssignments.length}
+                  courseNames={activeCourseNames}
+                  onSelectAllMatching={handleSelectAllMatching}
+                  onClearSelection={handleClearSelection}
+                  onSetCompleted={handleBulkSetCompleted}
+                  onDelete={handleBulkDelete}
+                  onSetCourse={handleBulkSetCourse}
+                  onSetPriority={handleBulkSetPriority}
+                  onShiftDueDates={handleBulkShiftDueDates}
+                  onExport={handleExportSelected}
+                />
+              )}
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3 text-xs text-slate-500 dark:text-slate-400">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selectedAssignments.length === filteredAndSortedAssignments.length}
+                    ref={el => { if (el) el.indeterminate = selectedAssignments.length > 0 && selectedAssignments.length < filteredAndSortedAssignments.length; }}
+                    onChange={(e) => (e.target.checked ? handleSelectAllMatching() : handleClearSelection())}
+                    className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  Select all {filteredAndSortedAssignments.length} shown
+                </label>
+                {sortMode === 'manual' && (
+                  <p>Drag assignments by their handle, or use the arrows, to set your own order.</p>
+                )}
+              </div>
+              <ul className="space-y-4">
+                {filteredAndSortedAssignments.map((assignment, index) => (
+                  <AssignmentItem
+                    key={assignment.id}
+                    assignment={assignment}
+                    course={coursesById.get(assignment.courseId) || null}
+                    now={now}
+                    isSelected={selectedIds.has(assignment.id)}
+                    onSelect={handleSelectAssignment}
+                    isActive={assignment.id === activeAssignmentId}
+                    onActivate={setActiveAssignmentId}
+                    isFirst={index === 0}
+                    isLast={index === filteredAndSortedAssignments.length - 1}
+                    onToggleComplete={handleToggleComplete}
+                    onMove={sortMode === 'manual' ? moveAssignment : undefined}
+                    onReorder={sortMode === 'manual' ? handleReorderAssignment : undefined}
+                    onEdit={handleEditAssignment}
+                    onDelete={handleDeleteAssignment}
+                    onOpenDetails={setDetailAssignmentId}
+                    onAddSubtask={handleAddSubtask}
+                    onToggleSubtask={handleToggleSubtask}
+                    onMoveSubtask={handleMoveSubtask}
+                    onDeleteSubtask={handleDeleteSubtask}
+                  />
+                ))}
+              </ul>
+            </>
           )}
         </div>
+
+        {showPlanner && (
+          <PlannerPanel
+            plan={plan}
+            assignments={assignments}
+            availability={studyAvailability}
+            onAvailabilityChange={setStudyAvailability}
+            onOpenDetails={setDetailAssignmentId}
+            onClose={() => setShowPlanner(false)}
+          />
+        )}
+        {showStats && <StatsPanel assignments={assignments} courseNames={courseNames} now={now} onClose={() => setShowStats(false)} />}
       </main>
+
+      {pendingImport && (
+        <ImportDialog
+          fileName={pendingImport.fileName}
+          rows={pendingImport.rows}
+          onConfirm={handleConfirmImport}
+          onCancel={handleCancelImport}
+        />
+      )}
+
+      {detailAssignment && (
+        <AssignmentDetails
+          key={detailAssignment.id}
+          assignment={detailAssignment}
+          course={coursesById.get(detailAssignment.courseId) || null}
+          onUpdate={handleUpdateDetails}
+          onClose={handleCloseDetails}
+        />
+      )}
+
+      {showCourseManager && (
+        <CourseManager
+          courses={courses}
+          assignmentCounts={courseAssignmentCounts}
+          onCreate={handleCreateCourse}
+          onUpdate={handleUpdateCourse}
+          onMerge={handleMergeCourse}
+          onDelete={handleDeleteCourse}
+          onClose={() => setShowCourseManager(false)}
+        />
+      )}
+
+      {showCommandPalette && <CommandPalette commands={commands} onClose={handleCloseCommandPalette} />}
+      {showShortcuts && <ShortcutsHelp onClose={handleCloseShortcuts} />}
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.undoable ? 'Undo' : toast.redoable ? 'Redo' : null}
+          onAction={toast.undoable ? handleUndo : handleRedo}
+          onDismiss={handleDismissToast}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,233 @@
+import 'fake-indexeddb/auto';
+import { render, screen, waitFor, within, cleanup } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+import { createAssignmentRepository, createMemoryBackend } from './storageRepository';
+import { createEmptyStore } from './storageSchema';
+import { createAssignment } from './assignmentDomain';
+import { DEFAULT_REMINDER_SETTINGS } from './reminders';
+import { createRestSyncAdapter } from './restSyncAdapter';
+import { createMockSyncServer } from './mockSyncServer';
+import { addDays, getTodayKey } from './dates';
+import { saveAttachmentFile, loadAttachmentFile } from './attachmentStore';
+
+// fake-indexeddb stands in for the attachment store; jsdom has no structuredClone for it to copy
+// values with, and the files only need to come back as they went in
+if (!global.structuredClone) global.structuredClone = (value) => value;
+
+// Each test gets its own in-memory store instead of the browser's IndexedDB
+const renderApp = async (props = {}) => {
+  const user = userEvent.setup();
+  const repository = createAssignmentRepository(createMemoryBackend());
+  render(<App repository={repository} {...props} />);
+  await screen.findByText('No assignments found!');
+  return { user, repository };
+};
+
+const addAssignment = async (user, title) => {
+  await user.type(screen.getByLabelText('Assignment Title'), title);
+  await user.click(screen.getByRole('button', { name: 'Add Assignment' }));
+  return screen.findByRole('listitem', { name: title });
+};
+
+afterEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('adds an assignment and saves it', async () => {
+  const { user, repository } = await renderApp();
+  await addAssignment(user, 'Lab report');
+  expect(screen.getByLabelText('Assignment Title')).toHaveValue('');
+
+  const store = await repository.load();
+  expect(store.assignments.map(assign => assign.title)).toEqual(['Lab report']);
+});
+
+test('asks for a title before adding', async () => {
+  const { user } = await renderApp();
+  await user.click(screen.getByRole('button', { name: 'Add Assignment' }));
+  expect(screen.getByLabelText('Assignment Title')).toHaveAttribute('aria-invalid', 'true');
+  expect(screen.queryAllByRole('listitem')).toHaveLength(0);
+});
+
+test('marks an assignment complete and back', async () => {
+  const { user } = await renderApp();
+  await addAssignment(user, 'Essay draft');
+  await user.click(screen.getByRole('button', { name: 'Mark "Essay draft" as complete' }));
+  expect(screen.getByRole('button', { name: 'Mark "Essay draft" as incomplete' })).toBeInTheDocument();
+  await user.click(screen.getByRole('button', { name: 'Mark "Essay draft" as incomplete' }));
+  expect(screen.getByRole('button', { name: 'Mark "Essay draft" as complete' })).toBeInTheDocument();
+});
+
+test('deletes an assignment and undoes it from the toast', async () => {
+  const { user } = await renderApp();
+  await addAssignment(user, 'Problem set 4');
+  await user.click(screen.getByRole('button', { name: 'Delete "Problem set 4"' }));
+  expect(screen.queryByRole('listitem', { name: 'Problem set 4' })).not.toBeInTheDocument();
+
+  const toast = screen.getByText('Deleted "Problem set 4".').parentElement;
+  await user.click(within(toast).getByRole('button', { name: 'Undo' }));
+  expect(await screen.findByRole('listitem', { name: 'Problem set 4' })).toBeInTheDocument();
+});
+
+test('keeps attachment files of saved assignments when the app starts again', async () => {
+  const repository = createAssignmentRepository(createMemoryBackend());
+  const { user } = await renderApp({ repository });
+  await addAssignment(user, 'Lab report');
+  await user.click(screen.getByRole('button', { name: 'Notes, links and attachments of "Lab report"' }));
+  const drawer = screen.getByRole('dialog', { name: 'Lab report' });
+  await user.upload(drawer.querySelector('input[type="file"]'), new File(['rubric'], 'rubric.txt', { type: 'text/plain' }));
+  expect(await within(drawer).findByRole('button', { name: 'Download rubric.txt' })).toBeInTheDocument();
+  await waitFor(async () => expect((await repository.load()).assignments[0].attachments).toHaveLength(1));
+  const [{ id }] = (await repository.load()).assignments[0].attachments;
+  await saveAttachmentFile('file-orphan', new Blob(['old']));
+
+  cleanup();
+  render(<App repository={repository} />);
+  await screen.findByRole('listitem', { name: 'Lab report' });
+  await waitFor(() => expect(loadAttachmentFile('file-orphan')).rejects.toThrow('missing'));
+  await expect(loadAttachmentFile(id)).resolves.toBeDefined();
+});
+
+test('sends the daily digest about saved assignments once they have loaded', async () => {
+  const repository = createAssignmentRepository(createMemoryBackend());
+  await repository.replace({
+    ...createEmptyStore(),
+    assignments: [createAssignment({ title: 'Quiz', dueDate: getTodayKey() }, 1, new Date().toISOString())]
+  });
+  window.localStorage.setItem('reminderSettings', JSON.stringify({ ...DEFAULT_REMINDER_SETTINGS, digestTime: '00:00', useBrowserNotifications: false }));
+
+  render(<App repository={repository} />);
+  await screen.findByRole('listitem', { name: 'Quiz' });
+  await waitFor(() => {
+    const state = JSON.parse(window.localStorage.getItem('reminderState'));
+    expect(state.notifications.map(notification => notification.kind)).toContain('digest');
+  });
+});
+
+test('reschedules from the calendar with the keyboard, but not into the past', async () => {
+  const { user } = await renderApp();
+  await user.type(screen.getByLabelText('Assignment Title'), 'Quiz');
+  await user.type(screen.getByLabelText(/^Due Date/), getTodayKey());
+  await user.click(screen.getByRole('button', { name: 'Add Assignment' }));
+  await screen.findByRole('listitem', { name: 'Quiz' });
+  await user.click(screen.getByRole('button', { name: 'Calendar' }));
+
+  const dayLabel = (key) => new Date(`${key}T12:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+  const quizIn = (key) => within(screen.getByRole('gridcell', { name: dayLabel(key) })).queryByRole('button', { name: /^Quiz,/ });
+
+  quizIn(getTodayKey()).focus();
+  await user.keyboard('{Alt>}{ArrowRight}{/Alt}');
+  expect(quizIn(addDays(getTodayKey(), 1))).toHaveFocus();
+
+  await user.keyboard('{Alt>}{ArrowLeft}{/Alt}');
+  await user.keyboard('{Alt>}{ArrowLeft}{/Alt}');
+  expect(quizIn(getTodayKey())).toHaveFocus();
+  expect(screen.getByText('Due dates cannot be in the past.')).toBeInTheDocument();
+});
+
+test('cancelling an edit clears its grade error', async () => {
+  const { user } = await renderApp();
+  await addAssignment(user, 'Quiz');
+  await user.click(screen.getByRole('button', { name: 'Edit "Quiz"' }));
+  await user.type(screen.getByLabelText('Points earned'), '5');
+  await user.click(screen.getByRole('button', { name: 'Update Assignment' }));
+  expect(screen.getByText('Enter the points possible to go with the points earned.')).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Cancel Edit' }));
+  expect(screen.queryByText('Enter the points possible to go with the points earned.')).not.toBeInTheDocument();
+});
+
+test('search narrows the list', async () => {
+  const { user } = await renderApp();
+  await addAssignment(user, 'Chemistry lab');
+  await addAssignment(user, 'History essay');
+  await user.type(screen.getByRole('combobox', { name: 'Search assignments' }), 'essay');
+  expect(screen.getByRole('listitem', { name: 'History essay' })).toBeInTheDocument();
+  expect(screen.queryByRole('listitem', { name: 'Chemistry lab' })).not.toBeInTheDocument();
+});
+
+test('plans study time for estimated assignments and replans when one is done', async () => {
+  const { user } = await renderApp();
+  await user.type(screen.getByLabelText('Assignment Title'), 'Essay');
+  await user.type(screen.getByLabelText(/^Due Date/), addDays(getTodayKey(), 5));
+  await user.type(screen.getByLabelText('Estimated effort (hours)'), '3');
+  await user.click(screen.getByRole('button', { name: 'Add Assignment' }));
+  expect(await screen.findByText('3h')).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Show Study Plan' }));
+  const planner = screen.getByRole('region', { name: 'Study Plan' });
+  expect(within(planner).getByText('3h planned for 1 assignment.')).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Mark "Essay" as complete' }));
+  expect(within(planner).getByText('Nothing to plan.')).toBeInTheDocument();
+});
+
+test('runs commands from the command palette', async () => {
+  const { user } = await renderApp();
+  await addAssignment(user, 'Lab report');
+
+  await user.keyboard('{Control>}k{/Control}');
+  const palette = screen.getByRole('dialog', { name: 'Command palette' });
+  expect(within(palette).getByRole('combobox', { name: 'Search commands' })).toHaveFocus();
+  await user.keyboard('dark mode{Enter}');
+  expect(screen.queryByRole('dialog', { name: 'Command palette' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Switch to light mode' })).toBeInTheDocument();
+
+  // An assignment opens its own list of commands
+  await user.keyboard('{Meta>}k{/Meta}lab rep{Enter}');
+  expect(screen.getByRole('combobox', { name: 'Search Lab report' })).toHaveFocus();
+  await user.keyboard('complete{Enter}');
+  expect(screen.getByRole('button', { name: 'Mark "Lab report" as incomplete' })).toBeInTheDocument();
+  expect(screen.getByText('Completed "Lab report".')).toBeInTheDocument();
+
+  await user.keyboard('{Control>}k{/Control}{Escape}');
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('moves through the list and acts on it with single keys', async () => {
+  const { user } = await renderApp();
+  await addAssignment(user, 'Essay');
+  await addAssignment(user, 'Quiz');
+  await user.click(document.body);
+
+  await user.keyboard('j');
+  const first = screen.getAllByRole('listitem')[0];
+  expect(first).toHaveFocus();
+  await user.keyboard('j');
+  const second = screen.getAllByRole('listitem')[1];
+  expect(second).toHaveFocus();
+  expect(second).toHaveAttribute('aria-current', 'true');
+
+  await user.keyboard('x');
+  expect(within(second).getByRole('button', { name: /as incomplete/ })).toBeInTheDocument();
+  await user.keyboard('e');
+  expect(screen.getByLabelText('Assignment Title')).toHaveFocus();
+  expect(screen.getByRole('button', { name: 'Update Assignment' })).toBeInTheDocument();
+  // Typing in a field is left alone
+  await user.keyboard('j');
+  expect(screen.getByLabelText('Assignment Title').value).toMatch(/j$/);
+
+  await user.click(document.body);
+  await user.keyboard('/');
+  expect(screen.getByRole('combobox', { name: 'Search assignments' })).toHaveFocus();
+
+  await user.click(document.body);
+  await user.keyboard('?');
+  expect(screen.getByRole('dialog', { name: 'Keyboard Shortcuts' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Close keyboard shortcuts' })).toHaveFocus();
+  await user.keyboard('{Escape}');
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('syncs with the server when one is configured', async () => {
+  const server = createMockSyncServer();
+  const { user } = await renderApp({ syncAdapter: createRestSyncAdapter('http://localhost:4000', { fetch: server.fetch }) });
+  expect(await screen.findByRole('button', { name: 'Synced' })).toBeInTheDocument();
+
+  await addAssignment(user, 'Lab report');
+  expect(screen.getByRole('button', { name: '1 change to sync' })).toBeInTheDocument();
+  await waitFor(() => expect(server.records().map(record => record.title)).toEqual(['Lab report']), { timeout: 5000 });
+  expect(await screen.findByRole('button', { name: 'Synced' })).toBeInTheDocument();
+});
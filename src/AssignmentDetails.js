@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, FileText, Link2, Paperclip, Eye, Pencil, Trash2, Download, ExternalLink, Plus, XCircle } from 'lucide-react';
+import Markdown from './Markdown';
+import {
+  attachmentsSupported, saveAttachmentFile, loadAttachmentFile, createAttachmentId, formatFileSize, MAX_ATTACHMENT_SIZE
+} from './attachmentStore';
+import { downloadFile } from './importExport';
+import { formatDueDate } from './dates';
+import { SAFE_LINK_URL } from './storageSchema';
+
+const inputClass = 'w-full p-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200';
+const smallButtonClass = 'flex items-center px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors duration-200';
+
+// Accepts "example.com/page" as well as full URLs; only web and mail links are allowed
+const normalizeUrl = (text) => {
+  const trimmed = text.trim();
+  const withScheme = /^[a-z][a-z\d+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  try {
+    const url = new URL(withScheme);
+    return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const NotesSection = ({ assignment, onUpdate }) => {
+  const [draft, setDraft] = useState(assignment.notes);
+  const [savedNotes, setSavedNotes] = useState(assignment.notes);
+  const [isEditing, setIsEditing] = useState(assignment.notes === '');
+  const isDirty = draft !== assignment.notes;
+
+  // Follow undo/redo and edits from other tabs unless there is unsaved typing
+  if (assignment.notes !== savedNotes) {
+    setSavedNotes(assignment.notes);
+    if (draft === savedNotes) setDraft(assignment.notes);
+  }
+
+  const handleSave = () => {
+    onUpdate({ notes: draft }, `Edit notes of "${assignment.title}"`);
+    if (draft) setIsEditing(false);
+  };
+
+  return (
+    <section aria-labelledby="details-notes-heading">
+      <div className="flex items-center justify-between mb-2">
+        <h3 id="details-notes-heading" className="font-semibold flex items-center"><FileText size={18} className="mr-2" />Notes</h3>
+        <button
+          onClick={() => setIsEditing(!isEditing)}
+          className="flex items-center text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+          aria-pressed={!isEditing}
+        >
+          {isEditing ? <><Eye size={14} className="mr-1" />Preview</> : <><Pencil size={14} className="mr-1" />Edit</>}
+        </button>
+      </div>
+      {isEditing ? (
+        <>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={8}
+            placeholder={'Instructions, ideas, sources…\n\nMarkdown works: **bold**, *italic*, - lists, [links](https://example.com)'}
+            className={`${inputClass} font-mono`}
+            aria-label="Notes (Markdown)"
+          />
+          <div className="flex gap-2 mt-2">
+            <button onClick={handleSave} disabled={!isDirty} className={`${smallButtonClass} bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed`}>
+              Save notes
+            </button>
+            {isDirty && (
+              <button onClick={() => setDraft(assignment.notes)} className={`${smallButtonClass} bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500`}>
+                Discard changes
+              </button>
+            )}
+          </div>
+        </>
+      ) : draft ? (
+        <Markdown text={draft} />
+      ) : (
+        <p className="text-sm text-slate-500 dark:text-slate-400">No notes yet.</p>
+      )}
+    </section>
+  );
+};
+
+const LinksSection = ({ assignment, onUpdate }) => {
+  const [url, setUrl] = useState('');
+  const [title, setTitle] = useState('');
+  const [error, setError] = useState('');
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const href = normalizeUrl(url);
+    if (!href) {
+      setError('Enter a web address such as https://example.com.');
+      return;
+    }
+    const link = { id: `link-${Date.now().toString(36)}`, url: href, title: title.trim() };
+    onUpdate({ links: [...assignment.links, link] }, `Add link to "${assignment.title}"`);
+    setUrl('');
+    setTitle('');
+  };
+
+  return (
+    <section aria-labelledby="details-links-heading">
+      <h3 id="details-links-heading" className="font-semibold flex items-center mb-2"><Link2 size={18} className="mr-2" />Links</h3>
+      {assignment.links.length > 0 && (
+        <ul className="space-y-1 mb-3">
+          {assignment.links.map(link => (
+            <li key={link.id} className="flex items-center gap-2 text-sm">
+              {SAFE_LINK_URL.test(link.url) ? (
+                <a href={link.url} target="_blank" rel="noopener noreferrer" className="flex items-center flex-grow min-w-0 text-indigo-600 dark:text-indigo-400 hover:underline">
+                  <ExternalLink size={14} className="mr-1 flex-shrink-0" />
+                  <span className="truncate">{link.title || link.url}</span>
+                </a>
+              ) : (
+                <span className="flex-grow min-w-0 truncate">{link.title || link.url}</span>
+              )}
+              <button
+                onClick={() => onUpdate({ links: assignment.links.filter(other => other.id !== link.id) }, `Remove link from "${assignment.title}"`)}
+                className="p-1 rounded-full text-slate-500 hover:text-rose-500"
+                aria-label={`Remove link ${link.title || link.url}`}
+              >
+                <X size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleAdd} className="space-y-2">
+        <input
+          value={url}
+          onChange={(e) => { setUrl(e.target.value); setError(''); }}
+          placeholder="https://…"
+          className={inputClass}
+          aria-label="Link address"
+          aria-invalid={error ? 'true' : 'false'}
+          aria-describedby={error ? 'details-link-error' : undefined}
+        />
+        <div className="flex gap-2">
+          <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Title (optional)" className={inputClass} aria-label="Link title" />
+          <button type="submit" disabled={!url.trim()} className={`${smallButtonClass} bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed`}>
+            <Plus size={16} className="mr-1" />Add
+          </button>
+        </div>
+        {error && (
+          <p id="details-link-error" className="text-rose-500 text-sm flex items-center"><XCircle size={16} className="mr-1" />{error}</p>
+        )}
+      </form>
+    </section>
+  );
+};
+
+const AttachmentsSection = ({ assignment, onUpdate }) => {
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+  const supported = attachmentsSupported();
+
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    const tooLarge = files.filter(file => file.size > MAX_ATTACHMENT_SIZE);
+    const accepted = files.filter(file => file.size <= MAX_ATTACHMENT_SIZE);
+    setError(tooLarge.length > 0 ? `${tooLarge.map(file => file.name).join(', ')} ${tooLarge.length === 1 ? 'is' : 'are'} larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}.` : '');
+    if (accepted.length === 0) return;
+
+    setIsSaving(true);
+    try {
+      const added = [];
+      for (const file of accepted) {
+        const attachment = { id: createAttachmentId(), name: file.name, type: file.type, size: file.size, addedAt: new Date().toISOString() };
+        await saveAttachmentFile(attachment.id, file);
+        added.push(attachment);
+      }
+      onUpdate(
+        { attachments: [...assignment.attachments, ...added] },
+        `Attach ${added.length === 1 ? `"${added[0].name}"` : `${added.length} files`} to "${assignment.title}"`
+      );
+    } catch (saveError) {
+      setError(`Could not save the file: ${saveError.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleOpen = async (attachment) => {
+    try {
+      const blob = await loadAttachmentFile(attachment.id);
+      downloadFile(blob, attachment.name, attachment.type || 'application/octet-stream');
+    } catch (loadError) {
+      setError(`Could not open ${attachment.name}: ${loadError.message}`);
+    }
+  };
+
+  return (
+    <section aria-labelledby="details-attachments-heading">
+      <h3 id="details-attachments-heading" className="font-semibold flex items-center mb-2"><Paperclip size={18} className="mr-2" />Attachments</h3>
+      {assignment.attachments.length > 0 && (
+        <ul className="space-y-1 mb-3">
+          {assignment.attachments.map(attachment => (
+            <li key={attachment.id} className="flex items-center gap-2 text-sm">
+              <button
+                onClick={() => handleOpen(attachment)}
+                className="flex items-center flex-grow min-w-0 text-left text-indigo-600 dark:text-indigo-400 hover:underline"
+                aria-label={`Download ${attachment.name}`}
+              >
+                <Download size={14} className="mr-1 flex-shrink-0" />
+                <span className="truncate">{attachment.name}</span>
+              </button>
+              <span className="text-xs text-slate-500 dark:text-slate-400 flex-shrink-0">{formatFileSize(attachment.size)}</span>
+              <button
+                onClick={() => onUpdate(
+                  { attachments: assignment.attachments.filter(other => other.id !== attachment.id) },
+                  `Remove "${attachment.name}" from "${assignment.title}"`
+                )}
+                className="p-1 rounded-full text-slate-500 hover:text-rose-500"
+                aria-label={`Remove ${attachment.name}`}
+              >
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {supported ? (
+        <>
+          <input ref={fileInputRef} type="file" multiple onChange={handleFilesSelected} className="hidden" aria-hidden="true" tabIndex={-1} />
+          <button
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+            disabled={isSaving}
+            className={`${smallButtonClass} bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 disabled:opacity-50`}
+          >
+            <Plus size={16} className="mr-1" />{isSaving ? 'Saving…' : 'Attach files'}
+          </button>
+          <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+            Rubrics, PDFs and other files up to {formatFileSize(MAX_ATTACHMENT_SIZE)}, kept in this browser.
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-slate-500 dark:text-slate-400">This browser cannot store files.</p>
+      )}
+      {error && <p className="text-rose-500 text-sm mt-2 flex items-center"><XCircle size={16} className="mr-1 flex-shrink-0" />{error}</p>}
+    </section>
+  );
+};
+
+// Side drawer with an assignment's notes, links and attachments. `onUpdate(changes, label)`
+// applies a change through the undo history.
+const AssignmentDetails = ({ assignment, course, onUpdate, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-slate-900/40" onClick={onClose}>
+      <aside
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="details-title"
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-lg h-full overflow-y-auto bg-white dark:bg-slate-800 text-slate-800 dark:text-slate-200 shadow-xl p-6 space-y-6"
+      >
+        <div className="flex justify-between items-start gap-4">
+          <div className="min-w-0">
+            <h2 id="details-title" className="text-2xl font-bold text-indigo-700 dark:text-indigo-300 break-words">{assignment.title}</h2>
+            <p className="text-sm text-slate-600 dark:text-slate-400 mt-1">
+              {[course && course.name, assignment.dueDate && `Due ${formatDueDate(assignment.dueDate, assignment.dueTime)}`].filter(Boolean).join(' · ')}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-full text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-700 transition-colors duration-200 flex-shrink-0"
+            aria-label="Close details"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <NotesSection assignment={assignment} onUpdate={onUpdate} />
+        <LinksSection assignment={assignment} onUpdate={onUpdate} />
+        <AttachmentsSection assignment={assignment} onUpdate={onUpdate} />
+      </aside>
+    </div>
+  );
+};
+
+export default AssignmentDetails;
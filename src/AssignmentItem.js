@@ -0,0 +1,340 @@
+import React, { useState, useRef } from 'react';
+import {
+  Edit, Trash2, CheckCircle, Circle, ArrowUp, ArrowDown, Tag, Calendar, SlidersHorizontal,
+  ListChecks, Plus, X, ChevronDown, ChevronUp, Repeat, GripVertical, Award, FileText, Paperclip, Link2, Hourglass
+} from 'lucide-react';
+import { getPriorityColor, getPriorityText, isOverdue, getSubtaskProgress } from './assignmentUtils';
+import { describeRecurrence } from './recurrence';
+import { formatDueDate, formatCountdown } from './dates';
+import { isGraded, formatPercent } from './grades';
+import { formatHours } from './planner';
+
+const SubtaskList = ({ assignment, onAddSubtask, onToggleSubtask, onMoveSubtask, onDeleteSubtask }) => {
+  const [newSubtaskTitle, setNewSubtaskTitle] = useState('');
+  const subtasks = assignment.subtasks || [];
+
+  const handleAddSubtask = (e) => {
+    e.preventDefault();
+    if (!newSubtaskTitle.trim()) return;
+    onAddSubtask(assignment.id, newSubtaskTitle.trim());
+    setNewSubtaskTitle('');
+  };
+
+  return (
+    <div className="mt-3 pl-2 sm:pl-12">
+      {subtasks.length > 0 && (
+        <ul className="space-y-1 mb-2" aria-label={`Subtasks of "${assignment.title}"`}>
+          {subtasks.map((subtask, index) => (
+            <li key={subtask.id} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                id={`subtask-${assignment.id}-${subtask.id}`}
+                checked={subtask.done}
+                onChange={() => onToggleSubtask(assignment.id, subtask.id)}
+                className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              <label
+                htmlFor={`subtask-${assignment.id}-${subtask.id}`}
+                className={`flex-grow ${subtask.done ? 'line-through text-slate-500 dark:text-slate-400' : ''}`}
+              >
+                {subtask.title}
+              </label>
+              <button
+                onClick={() => onMoveSubtask(assignment.id, subtask.id, 'up')}
+                disabled={index === 0}
+                className="p-1 rounded text-slate-500 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors duration-200"
+                aria-label={`Move subtask "${subtask.title}" up`}
+              >
+                <ArrowUp size={14} />
+              </button>
+              <button
+                onClick={() => onMoveSubtask(assignment.id, subtask.id, 'down')}
+                disabled={index === subtasks.length - 1}
+                className="p-1 rounded text-slate-500 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors duration-200"
+                aria-label={`Move subtask "${subtask.title}" down`}
+              >
+                <ArrowDown size={14} />
+              </button>
+              <button
+                onClick={() => onDeleteSubtask(assignment.id, subtask.id)}
+                className="p-1 rounded text-rose-500 hover:bg-rose-100 dark:hover:bg-rose-900 transition-colors duration-200"
+                aria-label={`Delete subtask "${subtask.title}"`}
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleAddSubtask} className="flex gap-2">
+        <input
+          type="text"
+          value={newSubtaskTitle}
+          onChange={(e) => setNewSubtaskTitle(e.target.value)}
+          placeholder="e.g., Read chapter, Draft, Proofread"
+          className="flex-grow p-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
+          aria-label={`New subtask for "${assignment.title}"`}
+        />
+        <button
+          type="submit"
+          className="px-3 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors duration-200 flex items-center"
+          aria-label="Add subtask"
+        >
+          <Plus size={16} />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const AssignmentItem = ({
+  assignment, course, now, isSelected, onSelect, isActive, onActivate, isFirst, isLast, onToggleComplete, onMove, onReorder, onEdit,
+  onDelete, onOpenDetails, onAddSubtask, onToggleSubtask, onMoveSubtask, onDeleteSubtask
+}) => {
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  // Which half of this row a dragged assignment is over: 'before', 'after' or null
+  const [dropPlacement, setDropPlacement] = useState(null);
+  const itemRef = useRef(null);
+  const overdue = isOverdue(assignment.dueDate, assignment.completed, assignment.dueTime, now);
+  const progress = getSubtaskProgress(assignment);
+
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData('application/x-assignment-id', JSON.stringify(assignment.id));
+    e.dataTransfer.effectAllowed = 'move';
+    if (itemRef.current) e.dataTransfer.setDragImage(itemRef.current, 20, 20);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('application/x-assignment-id')) return;
+    e.preventDefault();
+    const { top, height } = e.currentTarget.getBoundingClientRect();
+    setDropPlacement(e.clientY < top + height / 2 ? 'before' : 'after');
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const placement = dropPlacement;
+    setDropPlacement(null);
+    const id = e.dataTransfer.getData('application/x-assignment-id');
+    if (id && placement) onReorder(JSON.parse(id), assignment.id, placement);
+  };
+
+  const dropProps = onReorder ? {
+    onDragOver: handleDragOver,
+    onDragLeave: () => setDropPlacement(null),
+    onDrop: handleDrop
+  } : {};
+
+  return (
+    <li
+      ref={itemRef}
+      id={`assignment-${assignment.id}`}
+      // Focusable for j/k navigation; focusing anything in the row makes it the current one
+      tabIndex={-1}
+      onFocus={() => onActivate(assignment.id)}
+      aria-current={isActive ? 'true' : undefined}
+      {...dropProps}
+      className={`p-4 rounded-lg shadow-md transition-all duration-300 ease-in-out
+        ${assignment.completed ? 'bg-emerald-50 dark:bg-emerald-900/40' : 'bg-slate-100 dark:bg-slate-700'}
+        ${overdue ? 'ring-2 ring-rose-500 dark:ring-rose-400' : ''}
+        ${isSelected ? 'outline outline-2 outline-indigo-500' : ''}
+        ${isActive ? 'border-l-4 border-indigo-500' : ''}
+        ${dropPlacement === 'before' ? 'border-t-4 border-indigo-500' : ''}
+        ${dropPlacement === 'after' ? 'border-b-4 border-indigo-500' : ''}
+        hover:shadow-lg transform hover:-translate-y-1
+      `}
+      aria-labelledby={`assignment-title-${assignment.id}`}
+      aria-describedby={`assignment-details-${assignment.id}`}
+    >
+      <div className="flex flex-col sm:flex-row items-start sm:items-center">
+        <input
+          type="checkbox"
+          checked={isSelected}
+          readOnly
+          // A click rather than a change event, so shift can extend the selection
+          onClick={(e) => onSelect(assignment.id, e.shiftKey)}
+          className="flex-shrink-0 h-4 w-4 mr-3 mb-2 sm:mb-0 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500 cursor-pointer"
+          aria-label={`Select "${assignment.title}"`}
+        />
+        {onReorder && (
+          <span
+            draggable
+            onDragStart={handleDragStart}
+            onDragEnd={() => setDropPlacement(null)}
+            className="hidden sm:flex flex-shrink-0 mr-2 text-slate-400 cursor-grab"
+            title="Drag to reorder"
+            aria-hidden="true"
+          >
+            <GripVertical size={20} />
+          </span>
+        )}
+        <button
+          onClick={() => onToggleComplete(assignment.id)}
+          className={`flex-shrink-0 p-1 rounded-full border-2 transition-all duration-200
+            ${assignment.completed
+              ? 'border-emerald-500 text-emerald-500 hover:bg-emerald-100 dark:hover:bg-emerald-800'
+              : 'border-slate-400 text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600'}
+          `}
+          aria-label={assignment.completed ? `Mark "${assignment.title}" as incomplete` : `Mark "${assignment.title}" as complete`}
+        >
+          {assignment.completed ? <CheckCircle size={24} fill="currentColor" /> : <Circle size={24} />}
+        </button>
+
+        <div className="flex-grow ml-4 mt-2 sm:mt-0">
+          <p
+            id={`assignment-title-${assignment.id}`}
+            className={`text-lg font-semibold ${assignment.completed ? 'line-through text-slate-500 dark:text-slate-400' : 'text-slate-800 dark:text-slate-200'}`}
+          >
+            {assignment.title}
+          </p>
+          <div id={`assignment-details-${assignment.id}`} className="text-sm text-slate-600 dark:text-slate-400 mt-1 flex flex-wrap items-center gap-2">
+            {course && (
+              <span
+                className="flex items-center bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-300 px-2 py-0.5 rounded-full text-xs font-medium border"
+                style={{ borderColor: course.color }}
+              >
+                <Tag size={12} className="mr-1" style={{ color: course.color }} />{course.name}
+              </span>
+            )}
+            {assignment.dueDate && (
+              <span className={`flex items-center px-2 py-0.5 rounded-full text-xs font-medium
+                ${overdue
+                  ? 'bg-rose-100 dark:bg-rose-900 text-rose-700 dark:text-rose-300'
+                  : 'bg-slate-200 dark:bg-slate-600 text-slate-700 dark:text-slate-300'
+                }`}
+              >
+                <Calendar size={12} className="mr-1" />Due: {formatDueDate(assignment.dueDate, assignment.dueTime)}
+                {!assignment.completed && (
+                  <span className={`ml-1 ${overdue ? 'font-bold' : ''}`}>({formatCountdown(assignment.dueDate, assignment.dueTime, now)})</span>
+                )}
+              </span>
+            )}
+            <span className={`flex items-center px-2 py-0.5 rounded-full text-xs font-medium text-white ${getPriorityColor(assignment.priority)}`}>
+              <SlidersHorizontal size={12} className="mr-1" />{getPriorityText(assignment.priority)}
+            </span>
+            {assignment.estimatedHours !== null && (
+              <span className="flex items-center bg-sky-100 dark:bg-sky-900 text-sky-700 dark:text-sky-300 px-2 py-0.5 rounded-full text-xs font-medium" title="Estimated effort">
+                <Hourglass size={12} className="mr-1" aria-hidden="true" />{formatHours(assignment.estimatedHours)}
+                <span className="sr-only"> estimated</span>
+              </span>
+            )}
+            {assignment.recurrence && (
+              <span className="flex items-center bg-violet-100 dark:bg-violet-900 text-violet-700 dark:text-violet-300 px-2 py-0.5 rounded-full text-xs font-medium">
+                <Repeat size={12} className="mr-1" />{describeRecurrence(assignment.recurrence)}
+              </span>
+            )}
+            {isGraded(assignment) && (
+              <span className="flex items-center bg-emerald-100 dark:bg-emerald-900 text-emerald-700 dark:text-emerald-300 px-2 py-0.5 rounded-full text-xs font-medium">
+                <Award size={12} className="mr-1" />
+                {assignment.pointsEarned}/{assignment.pointsPossible} ({formatPercent((assignment.pointsEarned / assignment.pointsPossible) * 100)})
+                {assignment.weight !== null && assignment.weight !== 1 && ` ×${assignment.weight}`}
+              </span>
+            )}
+            {assignment.notes && (
+              <span className="flex items-center text-slate-500 dark:text-slate-400" title="Has notes">
+                <FileText size={14} aria-hidden="true" /><span className="sr-only">Has notes</span>
+              </span>
+            )}
+            {assignment.links.length > 0 && (
+              <span className="flex items-center text-xs text-slate-500 dark:text-slate-400" title="Links">
+                <Link2 size={14} className="mr-0.5" aria-hidden="true" />{assignment.links.length}
+                <span className="sr-only"> link{assignment.links.length === 1 ? '' : 's'}</span>
+              </span>
+            )}
+            {assignment.attachments.length > 0 && (
+              <span className="flex items-center text-xs text-slate-500 dark:text-slate-400" title="Attachments">
+                <Paperclip size={14} className="mr-0.5" aria-hidden="true" />{assignment.attachments.length}
+                <span className="sr-only"> attachment{assignment.attachments.length === 1 ? '' : 's'}</span>
+              </span>
+            )}
+          </div>
+          {progress.total > 0 && (
+            <div className="mt-2 flex items-center gap-2">
+              <div
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={progress.total}
+                aria-valuenow={progress.done}
+                aria-label={`Subtasks done for "${assignment.title}"`}
+                className="flex-grow max-w-xs h-2 rounded-full bg-slate-200 dark:bg-slate-600 overflow-hidden"
+              >
+                <div
+                  className="h-full bg-emerald-500 transition-all duration-300"
+                  style={{ width: `${progress.percent}%` }}
+                />
+              </div>
+              <span className="text-xs text-slate-600 dark:text-slate-400">{progress.done}/{progress.total}</span>
+            </div>
+          )}
+        </div>
+
+        <div className="flex-shrink-0 flex gap-2 ml-auto mt-4 sm:mt-0">
+          <button
+            onClick={() => setShowSubtasks(!showSubtasks)}
+            className="p-2 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200 flex items-center"
+            aria-expanded={showSubtasks}
+            aria-label={`${showSubtasks ? 'Hide' : 'Show'} subtasks of "${assignment.title}"`}
+          >
+            <ListChecks size={20} />
+            {showSubtasks ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+          </button>
+          <button
+            onClick={() => onOpenDetails(assignment.id)}
+            className="p-2 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200"
+            aria-label={`Notes, links and attachments of "${assignment.title}"`}
+            title="Notes, links and attachments"
+          >
+            <FileText size={20} />
+          </button>
+          {/* Moving only means something in the custom order */}
+          {onMove && (
+            <>
+              <button
+                onClick={() => onMove(assignment.id, 'up')}
+                disabled={isFirst}
+                className="p-2 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors duration-200"
+                aria-label={`Move "${assignment.title}" up`}
+              >
+                <ArrowUp size={20} />
+              </button>
+              <button
+                onClick={() => onMove(assignment.id, 'down')}
+                disabled={isLast}
+                className="p-2 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors duration-200"
+                aria-label={`Move "${assignment.title}" down`}
+              >
+                <ArrowDown size={20} />
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => onEdit(assignment)}
+            className="p-2 rounded-lg text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
+            aria-label={`Edit "${assignment.title}"`}
+          >
+            <Edit size={20} />
+          </button>
+          <button
+            onClick={() => onDelete(assignment.id)}
+            className="p-2 rounded-lg text-rose-500 hover:bg-rose-100 dark:hover:bg-rose-900 transition-colors duration-200"
+            aria-label={`Delete "${assignment.title}"`}
+          >
+            <Trash2 size={20} />
+          </button>
+        </div>
+      </div>
+
+      {showSubtasks && (
+        <SubtaskList
+          assignment={assignment}
+          onAddSubtask={onAddSubtask}
+          onToggleSubtask={onToggleSubtask}
+          onMoveSubtask={onMoveSubtask}
+          onDeleteSubtask={onDeleteSubtask}
+        />
+      )}
+    </li>
+  );
+};
+
+export default AssignmentItem;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { CheckCircle, Circle, Trash2, Tag, SlidersHorizontal, CalendarClock, Download, X } from 'lucide-react';
+
+const buttonClass = 'flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium bg-white dark:bg-slate-800 hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed';
+const inputClass = 'p-1.5 text-sm border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200';
+
+// Actions for the selected assignments; shown above the list while anything is selected
+const BulkActionBar = ({
+  selectedCount, matchingCount, allMatchingSelected, courseNames,
+  onSelectAllMatching, onClearSelection, onSetCompleted, onDelete, onSetCourse, onSetPriority, onShiftDueDates, onExport
+}) => {
+  const [course, setCourse] = useState('');
+  const [shiftDays, setShiftDays] = useState('1');
+  const days = parseInt(shiftDays, 10);
+
+  const handleSetCourse = (e) => {
+    e.preventDefault();
+    onSetCourse(course.trim());
+    setCourse('');
+  };
+
+  const handleShift = (e) => {
+    e.preventDefault();
+    if (days) onShiftDueDates(days);
+  };
+
+  return (
+    <div role="toolbar" aria-label="Bulk actions" className="mb-4 p-3 rounded-xl bg-indigo-50 dark:bg-indigo-900/40 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-semibold" aria-live="polite">{selectedCount} selected</span>
+        {!allMatchingSelected && (
+          <button onClick={onSelectAllMatching} className="text-indigo-600 dark:text-indigo-400 font-medium hover:underline">
+            Select all {matchingCount} matching
+          </button>
+        )}
+        <button onClick={onClearSelection} className="flex items-center text-slate-600 dark:text-slate-400 hover:underline">
+          <X size={14} className="mr-0.5" />Clear selection
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => onSetCompleted(true)} className={buttonClass}>
+          <CheckCircle size={16} />Complete
+        </button>
+        <button onClick={() => onSetCompleted(false)} className={buttonClass}>
+          <Circle size={16} />Mark incomplete
+        </button>
+        <button onClick={onDelete} className={`${buttonClass} text-rose-600 dark:text-rose-400`}>
+          <Trash2 size={16} />Delete
+        </button>
+        <button onClick={() => onExport('csv')} className={buttonClass}>
+          <Download size={16} />Export CSV
+        </button>
+        <button onClick={() => onExport('json')} className={buttonClass}>
+          <Download size={16} />Export JSON
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <form onSubmit={handleSetCourse} className="flex items-center gap-1">
+          <Tag size={16} className="text-slate-500" aria-hidden="true" />
+          <input
+            type="text"
+            list="bulk-course-options"
+            value={course}
+            onChange={(e) => setCourse(e.target.value)}
+            placeholder="Course (blank to clear)"
+            className={inputClass}
+            aria-label="Course for selected assignments"
+          />
+          <datalist id="bulk-course-options">
+            {courseNames.map(name => <option key={name} value={name} />)}
+          </datalist>
+          <button type="submit" className={buttonClass}>Set</button>
+        </form>
+
+        <div className="flex items-center gap-1">
+          <SlidersHorizontal size={16} className="text-slate-500" aria-hidden="true" />
+          <select
+            value=""
+            onChange={(e) => e.target.value && onSetPriority(e.target.value)}
+            className={inputClass}
+            aria-label="Priority for selected assignments"
+          >
+            <option value="">Set priority…</option>
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+
+        <form onSubmit={handleShift} className="flex items-center gap-1">
+          <CalendarClock size={16} className="text-slate-500" aria-hidden="true" />
+          <label htmlFor="bulkShiftDays" className="text-sm">Shift due dates by</label>
+          <input
+            type="number"
+            id="bulkShiftDays"
+            value={shiftDays}
+            onChange={(e) => setShiftDays(e.target.value)}
+            className={`${inputClass} w-20`}
+          />
+          <span className="text-sm">days</span>
+          <button type="submit" disabled={!days} className={buttonClass}>Shift</button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
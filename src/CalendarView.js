@@ -0,0 +1,215 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { getPriorityColor, getPriorityText, isOverdue } from './assignmentUtils';
+import {
+  getTodayKey, addDays, addMonths, startOfWeek, startOfMonth, parseDateKey, compareDue, formatTime, formatDueDate, WEEKDAY_NAMES
+} from './dates';
+
+// Alt plus an arrow key moves the focused assignment by this many days
+const KEYBOARD_STEPS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+const CalendarView = ({ assignments, now, onReschedule, onEdit }) => {
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(getTodayKey);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Announces keyboard moves and refused ones
+  const [notice, setNotice] = useState('');
+  // The assignment to focus again once it shows up on its new day
+  const focusIdRef = useRef(null);
+  const today = getTodayKey(now);
+
+  const days = useMemo(() => {
+    if (mode === 'week') {
+      const first = startOfWeek(anchor);
+      return Array.from({ length: 7 }, (_, i) => addDays(first, i));
+    }
+    // Whole weeks covering the month, starting on Sunday
+    const monthStart = startOfMonth(anchor);
+    const first = startOfWeek(monthStart);
+    const last = addDays(addMonths(monthStart, 1), -1);
+    const result = [];
+    for (let day = first; day <= last || result.length % 7 !== 0; day = addDays(day, 1)) {
+      result.push(day);
+    }
+    return result;
+  }, [mode, anchor]);
+
+  const assignmentsByDay = useMemo(() => {
+    const byDay = {};
+    assignments.forEach(assignment => {
+      if (!assignment.dueDate) return;
+      (byDay[assignment.dueDate] = byDay[assignment.dueDate] || []).push(assignment);
+    });
+    Object.values(byDay).forEach(list => list.sort(compareDue));
+    return byDay;
+  }, [assignments]);
+
+  const undatedCount = assignments.filter(assignment => !assignment.dueDate).length;
+  const currentMonth = anchor.slice(0, 7);
+
+  const title = mode === 'month'
+    ? parseDateKey(anchor).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : `${parseDateKey(days[0]).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${parseDateKey(days[6]).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+  const handleNavigate = (step) => {
+    setAnchor(mode === 'month' ? addMonths(anchor, step) : addDays(anchor, step * 7));
+  };
+
+  // Like the edit form, a due date cannot be moved into the past
+  const reschedule = (id, day) => {
+    if (day < today) {
+      setNotice('Due dates cannot be in the past.');
+      return false;
+    }
+    setNotice('');
+    onReschedule(id, day);
+    return true;
+  };
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const id = e.dataTransfer.getData('application/x-assignment-id');
+    if (id) reschedule(JSON.parse(id), day);
+  };
+
+  const handleItemKeyDown = (e, assignment) => {
+    const step = KEYBOARD_STEPS[e.key];
+    if (!e.altKey || !step) return;
+    e.preventDefault();
+    const day = addDays(assignment.dueDate, step);
+    if (!reschedule(assignment.id, day)) return;
+    focusIdRef.current = assignment.id;
+    if (!days.includes(day)) setAnchor(day);
+    setNotice(`Moved "${assignment.title}" to ${formatDueDate(day)}.`);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => handleNavigate(-1)}
+            className="p-2 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200"
+            aria-label={mode === 'month' ? 'Previous month' : 'Previous week'}
+          >
+            <ChevronLeft size={20} />
+          </button>
+          <h3 className="text-lg font-semibold min-w-[12rem] text-center" aria-live="polite">{title}</h3>
+          <button
+            onClick={() => handleNavigate(1)}
+            className="p-2 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200"
+            aria-label={mode === 'month' ? 'Next month' : 'Next week'}
+          >
+            <ChevronRight size={20} />
+          </button>
+          <button
+            onClick={() => setAnchor(today)}
+            className="px-3 py-1 rounded-lg text-sm bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200"
+          >
+            Today
+          </button>
+        </div>
+        <div className="flex rounded-lg overflow-hidden border border-slate-300 dark:border-slate-600" role="group" aria-label="Calendar layout">
+          {['month', 'week'].map(option => (
+            <button
+              key={option}
+              onClick={() => setMode(option)}
+              aria-pressed={mode === option}
+              className={`px-3 py-1 text-sm capitalize transition-colors duration-200
+                ${mode === option ? 'bg-indigo-600 text-white' : 'hover:bg-slate-100 dark:hover:bg-slate-700'}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div role="grid" aria-label={title} className="grid grid-cols-7 gap-1 text-sm">
+        <div role="row" className="contents">
+          {WEEKDAY_NAMES.map(name => (
+            <div key={name} role="columnheader" className="text-center font-medium text-slate-500 dark:text-slate-400 py-1">
+              {name}
+            </div>
+          ))}
+        </div>
+        {Array.from({ length: days.length / 7 }, (_, week) => (
+          <div key={week} role="row" className="contents">
+            {days.slice(week * 7, week * 7 + 7).map(day => {
+              const dayAssignments = assignmentsByDay[day] || [];
+              const outsideMonth = mode === 'month' && day.slice(0, 7) !== currentMonth;
+              return (
+                <div
+                  key={day}
+                  role="gridcell"
+                  aria-label={parseDateKey(day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+                  onDragOver={(e) => {
+                    // Not calling preventDefault refuses the drop on past days
+                    if (day < today) return;
+                    e.preventDefault();
+                    setDropTarget(day);
+                  }}
+                  onDragLeave={() => setDropTarget(prev => (prev === day ? null : prev))}
+                  onDrop={(e) => handleDrop(e, day)}
+                  className={`p-1 rounded-lg border transition-colors duration-200
+                    ${mode === 'week' ? 'min-h-[16rem]' : 'min-h-[6rem]'}
+                    ${dropTarget === day ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-900/40' : 'border-slate-200 dark:border-slate-700'}
+                    ${outsideMonth ? 'opacity-50' : ''}`}
+                >
+                  <div className={`text-xs font-semibold mb-1 w-6 h-6 flex items-center justify-center rounded-full
+                    ${day === today ? 'bg-indigo-600 text-white' : 'text-slate-600 dark:text-slate-400'}`}
+                  >
+                    {parseDateKey(day).getDate()}
+                  </div>
+                  <ul className="space-y-1">
+                    {dayAssignments.map(assignment => {
+                      const overdue = isOverdue(assignment.dueDate, assignment.completed, assignment.dueTime, now);
+                      return (
+                        <li key={assignment.id}>
+                          <button
+                            ref={el => {
+                              if (el && focusIdRef.current === assignment.id) {
+                                focusIdRef.current = null;
+                                el.focus();
+                              }
+                            }}
+                            draggable
+                            onDragStart={(e) => {
+                              e.dataTransfer.setData('application/x-assignment-id', JSON.stringify(assignment.id));
+                              e.dataTransfer.effectAllowed = 'move';
+                            }}
+                            onClick={() => onEdit(assignment)}
+                            onKeyDown={(e) => handleItemKeyDown(e, assignment)}
+                            aria-keyshortcuts="Alt+ArrowLeft Alt+ArrowRight Alt+ArrowUp Alt+ArrowDown"
+                            className={`w-full text-left truncate px-1.5 py-0.5 rounded text-xs font-medium text-white cursor-grab
+                              ${getPriorityColor(assignment.priority)}
+                              ${assignment.completed ? 'line-through opacity-60' : ''}
+                              ${overdue ? 'ring-2 ring-rose-500 dark:ring-rose-400 ring-offset-1' : ''}`}
+                            title={assignment.title}
+                            aria-label={`${assignment.title}, ${getPriorityText(assignment.priority)} priority${assignment.dueTime ? `, due ${formatTime(assignment.dueTime)}` : ''}${assignment.completed ? ', completed' : ''}${overdue ? ', overdue' : ''}. Edit`}
+                          >
+                            {assignment.dueTime && <span className="mr-1 opacity-80">{formatTime(assignment.dueTime)}</span>}
+                            {assignment.title}
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      <p className="text-sm text-slate-700 dark:text-slate-300 mt-3" role="status" aria-live="polite">{notice}</p>
+      <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+        Drag an assignment to another day to reschedule it, or focus it and press Alt with the arrow keys
+        (Alt+←/→ for a day, Alt+↑/↓ for a week).
+        {undatedCount > 0 && ` ${undatedCount} matching assignment${undatedCount === 1 ? ' has' : 's have'} no due date and ${undatedCount === 1 ? 'is' : 'are'} not shown.`}
+      </p>
+    </div>
+  );
+};
+
+export default CalendarView;
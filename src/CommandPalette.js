@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Search, ChevronRight, ArrowLeft } from 'lucide-react';
+import { searchCommands } from './commands';
+
+const MAX_RESULTS = 50;
+
+// Ctrl/Cmd+K palette over the commands from App (see commands.js). Commands with their own
+// `commands` open a further list; Backspace in an empty search goes back. Focus returns to where
+// it was when the palette closes, unless the command moved it somewhere else.
+const CommandPalette = ({ commands, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  // Lists opened from a command: `{ label, commands }`
+  const [stack, setStack] = useState([]);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    const returnFocusTo = document.activeElement;
+    return () => {
+      if (returnFocusTo && returnFocusTo.focus && document.contains(returnFocusTo)) returnFocusTo.focus();
+    };
+  }, []);
+
+  const current = stack.length > 0 ? stack[stack.length - 1] : null;
+  const results = useMemo(
+    () => searchCommands(current ? current.commands : commands, query).slice(0, MAX_RESULTS),
+    [current, commands, query]
+  );
+  const activeCommand = results[Math.min(activeIndex, results.length - 1)];
+
+  const openList = (list) => {
+    setStack(list);
+    setQuery('');
+    setActiveIndex(0);
+  };
+
+  const runCommand = (command) => {
+    if (command.commands) {
+      openList([...stack, { label: command.label, commands: command.commands() }]);
+      return;
+    }
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((Math.min(activeIndex, results.length - 1) + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((Math.min(activeIndex, results.length - 1) - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (activeCommand) runCommand(activeCommand);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === 'Backspace' && query === '' && stack.length > 0) {
+      e.preventDefault();
+      openList(stack.slice(0, -1));
+    } else if (e.key === 'Tab') {
+      // The search is the only thing to focus here
+      e.preventDefault();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-slate-900/60 p-4 pt-[15vh]" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white dark:bg-slate-800 text-slate-800 dark:text-slate-200 rounded-xl shadow-lg w-full max-w-xl overflow-hidden"
+      >
+        <div className="flex items-center gap-2 p-3 border-b border-slate-200 dark:border-slate-700">
+          {current ? (
+            <button
+              onClick={() => { openList(stack.slice(0, -1)); inputRef.current.focus(); }}
+              tabIndex={-1}
+              className="flex items-center flex-shrink-0 text-sm px-2 py-1 rounded bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600"
+              aria-label="Back"
+            >
+              <ArrowLeft size={14} className="mr-1" />{current.label}
+            </button>
+          ) : (
+            <Search size={20} className="flex-shrink-0 text-slate-400 dark:text-slate-500" />
+          )}
+          <input
+            ref={inputRef}
+            autoFocus
+            type="text"
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+            onKeyDown={handleKeyDown}
+            placeholder={current ? 'Choose…' : 'Type a command or an assignment'}
+            className="flex-grow min-w-0 p-2 bg-transparent focus:outline-none"
+            role="combobox"
+            aria-label={current ? `Search ${current.label}` : 'Search commands'}
+            aria-autocomplete="list"
+            aria-expanded="true"
+            aria-controls="command-results"
+            aria-activedescendant={activeCommand ? `command-${activeCommand.id}` : undefined}
+          />
+        </div>
+        <ul id="command-results" role="listbox" aria-label="Commands" className="max-h-[50vh] overflow-y-auto py-2">
+          {results.map((command, index) => {
+            const isActive = command === activeCommand;
+            return (
+              <li
+                key={command.id}
+                id={`command-${command.id}`}
+                role="option"
+                aria-selected={isActive}
+                ref={el => { if (el && isActive && el.scrollIntoView) el.scrollIntoView({ block: 'nearest' }); }}
+                onMouseMove={() => { if (!isActive) setActiveIndex(index); }}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => runCommand(command)}
+                className={`flex items-center justify-between gap-3 px-4 py-2 cursor-pointer ${isActive ? 'bg-indigo-100 dark:bg-indigo-900/60' : ''}`}
+              >
+                <span className="min-w-0">
+                  {command.group && <span className="text-xs text-slate-500 dark:text-slate-400 mr-2">{command.group}</span>}
+                  <span className="truncate">{command.label}</span>
+                  {command.hint && <span className="block text-xs text-slate-500 dark:text-slate-400 truncate">{command.hint}</span>}
+                </span>
+                <span className="flex items-center flex-shrink-0 text-xs text-slate-500 dark:text-slate-400">
+                  {command.shortcut && <kbd className="px-1.5 py-0.5 rounded border border-slate-300 dark:border-slate-600 font-sans">{command.shortcut}</kbd>}
+                  {command.commands && <ChevronRight size={16} aria-hidden="true" />}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+        {results.length === 0 && <p className="px-4 pb-4 text-sm text-slate-500 dark:text-slate-400">Nothing matches "{query}".</p>}
+        <p className="sr-only" role="status" aria-live="polite">
+          {results.length === 0 ? 'No results' : `${results.length} result${results.length === 1 ? '' : 's'}`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,94 @@
+import React, { useState, useMemo } from 'react';
+import { findCourseByName, normalizeCourseName } from './courses';
+
+// Text input for a course name that suggests existing courses. A name that matches no course
+// creates one when the form is saved.
+const CourseCombobox = ({ id, value, onChange, courses }) => {
+  const [isFocused, setIsFocused] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+
+  const typed = normalizeCourseName(value).toLowerCase();
+  const suggestions = useMemo(() => courses
+    .filter(course => !course.archived)
+    .filter(course => course.name.toLowerCase().includes(typed) && course.name.toLowerCase() !== typed)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, 8), [courses, typed]);
+  const isOpen = isFocused && !dismissed && suggestions.length > 0;
+  const isNewCourse = typed !== '' && !findCourseByName(courses, value);
+
+  const applySuggestion = (course) => {
+    onChange(course.name);
+    setActiveIndex(0);
+    setDismissed(true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      applySuggestion(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setDismissed(true);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id={id}
+        value={value}
+        onChange={(e) => { onChange(e.target.value); setActiveIndex(0); setDismissed(false); }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => setIsFocused(false)}
+        placeholder="e.g., Math, History, Essay"
+        autoComplete="off"
+        className="w-full p-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={`${id}-suggestions`}
+        aria-activedescendant={isOpen ? `${id}-suggestion-${activeIndex}` : undefined}
+        aria-describedby={isNewCourse ? `${id}-new` : undefined}
+      />
+      {isOpen && (
+        <ul
+          id={`${id}-suggestions`}
+          role="listbox"
+          className="absolute left-0 right-0 mt-1 z-20 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-lg overflow-hidden"
+        >
+          {suggestions.map((course, index) => (
+            <li
+              key={course.id}
+              id={`${id}-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so the blur does not close the list before the click lands
+              onMouseDown={(e) => { e.preventDefault(); applySuggestion(course); }}
+              className={`flex items-center px-3 py-2 text-sm cursor-pointer ${index === activeIndex ? 'bg-indigo-100 dark:bg-slate-600' : ''}`}
+            >
+              <span className="w-3 h-3 rounded-full mr-2 flex-shrink-0" style={{ backgroundColor: course.color }} aria-hidden="true" />
+              {course.name}
+              {course.term && <span className="ml-auto pl-2 text-xs text-slate-500 dark:text-slate-400">{course.term}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {isNewCourse && (
+        <p id={`${id}-new`} className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+          A new course "{normalizeCourseName(value)}" will be created.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CourseCombobox;
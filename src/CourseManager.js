@@ -0,0 +1,351 @@
+import React, { useState, useEffect } from 'react';
+import { GraduationCap, Plus, Edit, Trash2, Archive, ArchiveRestore, GitMerge, X, XCircle } from 'lucide-react';
+import { COURSE_COLORS, normalizeCourseName, validateCourseName } from './courses';
+import { createGradingCategory, validateGradingCategories } from './grades';
+
+const inputClass = 'w-full p-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200';
+const iconButtonClass = 'p-2 rounded-full text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200';
+
+const ColorPicker = ({ value, onChange, label }) => (
+  <div role="radiogroup" aria-label={label} className="flex flex-wrap gap-2">
+    {COURSE_COLORS.map(color => (
+      <button
+        key={color}
+        type="button"
+        role="radio"
+        aria-checked={value === color}
+        aria-label={color}
+        onClick={() => onChange(color)}
+        className={`w-6 h-6 rounded-full ${value === color ? 'ring-2 ring-offset-2 ring-slate-500 dark:ring-offset-slate-800' : ''}`}
+        style={{ backgroundColor: color }}
+      />
+    ))}
+  </div>
+);
+
+// Weights are edited as text and only turned into numbers on save
+const GradingCategoriesEditor = ({ value, onChange }) => {
+  const total = value.reduce((sum, category) => sum + (Number(category.weight) || 0), 0);
+  const update = (id, changes) => onChange(value.map(category => (category.id === id ? { ...category, ...changes } : category)));
+
+  return (
+    <fieldset>
+      <legend className="block text-xs font-medium mb-1">Grading categories</legend>
+      {value.length === 0 ? (
+        <p className="text-xs text-slate-500 dark:text-slate-400 mb-2">
+          Without grading categories, all graded work in this course counts by points.
+        </p>
+      ) : (
+        <ul className="space-y-2 mb-2">
+          {value.map((category, index) => (
+            <li key={category.id} className="flex items-center gap-2">
+              <input
+                value={category.name}
+                onChange={(e) => update(category.id, { name: e.target.value })}
+                placeholder="e.g., Homework"
+                className={inputClass}
+                aria-label={`Grading category ${index + 1} name`}
+              />
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="any"
+                value={category.weight}
+                onChange={(e) => update(category.id, { weight: e.target.value })}
+                className={`${inputClass} w-24`}
+                aria-label={`Grading category ${index + 1} weight in percent`}
+              />
+              <span className="text-sm">%</span>
+              <button
+                type="button"
+                onClick={() => onChange(value.filter(other => other.id !== category.id))}
+                className={iconButtonClass}
+                aria-label={`Remove grading category ${category.name || index + 1}`}
+              >
+                <X size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center justify-between text-xs">
+        <button
+          type="button"
+          onClick={() => onChange([...value, { ...createGradingCategory(value), weight: '' }])}
+          className="flex items-center text-indigo-600 dark:text-indigo-400 font-medium hover:underline"
+        >
+          <Plus size={14} className="mr-1" />Add grading category
+        </button>
+        {value.length > 0 && (
+          <span className={total === 100 ? 'text-slate-500 dark:text-slate-400' : 'text-amber-600 dark:text-amber-400'}>
+            Total {total}%{total !== 100 && ' (grades are scaled to the categories with graded work)'}
+          </span>
+        )}
+      </div>
+    </fieldset>
+  );
+};
+
+const CourseEditor = ({ course, courses, onSave, onCancel }) => {
+  const [name, setName] = useState(course.name);
+  const [instructor, setInstructor] = useState(course.instructor);
+  const [term, setTerm] = useState(course.term);
+  const [color, setColor] = useState(course.color);
+  const [gradingCategories, setGradingCategories] = useState(
+    () => course.gradingCategories.map(category => ({ ...category, weight: String(category.weight) }))
+  );
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const categories = gradingCategories.map(category => ({
+      ...category,
+      name: category.name.trim(),
+      weight: category.weight.trim() === '' ? NaN : Number(category.weight)
+    }));
+    const formError = validateCourseName(name, courses, course.id) || validateGradingCategories(categories);
+    if (formError) {
+      setError(formError);
+      return;
+    }
+    onSave({ name: normalizeCourseName(name), instructor: instructor.trim(), term: term.trim(), color, gradingCategories: categories });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <div>
+          <label htmlFor={`course-name-${course.id}`} className="block text-xs font-medium mb-1">Name</label>
+          <input
+            id={`course-name-${course.id}`}
+            value={name}
+            onChange={(e) => { setName(e.target.value); setError(''); }}
+            className={inputClass}
+            aria-invalid={error ? 'true' : 'false'}
+            aria-describedby={error ? `course-error-${course.id}` : undefined}
+          />
+        </div>
+        <div>
+          <label htmlFor={`course-instructor-${course.id}`} className="block text-xs font-medium mb-1">Instructor</label>
+          <input id={`course-instructor-${course.id}`} value={instructor} onChange={(e) => setInstructor(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor={`course-term-${course.id}`} className="block text-xs font-medium mb-1">Term</label>
+          <input
+            id={`course-term-${course.id}`}
+            value={term}
+            onChange={(e) => setTerm(e.target.value)}
+            placeholder="e.g., Fall 2024"
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <ColorPicker value={color} onChange={setColor} label={`Colour for ${course.name}`} />
+      <GradingCategoriesEditor
+        value={gradingCategories}
+        onChange={(value) => { setGradingCategories(value); setError(''); }}
+      />
+      {error && (
+        <p id={`course-error-${course.id}`} className="text-rose-500 text-sm flex items-center">
+          <XCircle size={16} className="mr-1" />{error}
+        </p>
+      )}
+      <div className="flex gap-2">
+        <button type="submit" className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-indigo-600 text-white hover:bg-indigo-700 transition-colors duration-200">
+          Save
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 transition-colors duration-200">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Create, rename, recolour, archive, merge and delete courses. Every change goes through the
+// undo history, so the confirmations here are only for the changes that touch assignments.
+const CourseManager = ({ courses, assignmentCounts, onCreate, onUpdate, onMerge, onDelete, onClose }) => {
+  const [newCourseName, setNewCourseName] = useState('');
+  const [createError, setCreateError] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [mergingId, setMergingId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const archivedCount = courses.filter(course => course.archived).length;
+  const visibleCourses = courses
+    .filter(course => showArchived || !course.archived)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const countFor = (course) => assignmentCounts.get(course.id) || 0;
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const error = validateCourseName(newCourseName, courses);
+    if (error) {
+      setCreateError(error);
+      return;
+    }
+    onCreate(normalizeCourseName(newCourseName));
+    setNewCourseName('');
+  };
+
+  const handleMerge = (source, targetId) => {
+    const target = courses.find(course => course.id === targetId);
+    if (!target) return;
+    const count = countFor(source);
+    if (count > 0 && !window.confirm(`Move ${count} assignment${count === 1 ? '' : 's'} from "${source.name}" to "${target.name}" and remove "${source.name}"?`)) return;
+    onMerge(source.id, target.id);
+    setMergingId(null);
+  };
+
+  const handleDelete = (course) => {
+    const count = countFor(course);
+    if (count > 0 && !window.confirm(`Delete "${course.name}"? Its ${count} assignment${count === 1 ? '' : 's'} will be kept without a course.`)) return;
+    onDelete(course.id);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="course-manager-title"
+        className="bg-white dark:bg-slate-800 rounded-xl shadow-lg w-full max-w-2xl max-h-[90vh] flex flex-col"
+      >
+        <div className="p-6 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+          <h2 id="course-manager-title" className="text-2xl font-bold text-indigo-700 dark:text-indigo-300 flex items-center">
+            <GraduationCap size={24} className="mr-3" />Courses
+          </h2>
+          <button onClick={onClose} className={iconButtonClass} aria-label="Close courses">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto flex-grow p-6">
+          <form onSubmit={handleCreate} className="mb-6">
+            <label htmlFor="newCourseName" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">New course</label>
+            <div className="flex gap-2">
+              <input
+                id="newCourseName"
+                value={newCourseName}
+                onChange={(e) => { setNewCourseName(e.target.value); setCreateError(''); }}
+                placeholder="e.g., Biology 101"
+                className={inputClass}
+                aria-invalid={createError ? 'true' : 'false'}
+                aria-describedby={createError ? 'new-course-error' : undefined}
+              />
+              <button type="submit" className="flex items-center px-3 rounded-lg text-sm font-semibold bg-indigo-600 text-white hover:bg-indigo-700 transition-colors duration-200">
+                <Plus size={16} className="mr-1" />Add
+              </button>
+            </div>
+            {createError && (
+              <p id="new-course-error" className="text-rose-500 text-sm mt-1 flex items-center">
+                <XCircle size={16} className="mr-1" />{createError}
+              </p>
+            )}
+          </form>
+
+          {visibleCourses.length === 0 ? (
+            <p className="text-center text-slate-500 dark:text-slate-400 py-6">
+              No courses yet. Add one above, or just type a course name when adding an assignment.
+            </p>
+          ) : (
+            <ul className="space-y-3">
+              {visibleCourses.map(course => (
+                <li key={course.id} className={`p-3 rounded-lg bg-slate-100 dark:bg-slate-700 ${course.archived ? 'opacity-70' : ''}`}>
+                  <div className="flex items-center gap-2">
+                    <span className="w-4 h-4 rounded-full flex-shrink-0" style={{ backgroundColor: course.color }} aria-hidden="true" />
+                    <div className="flex-grow min-w-0">
+                      <p className="font-semibold truncate">
+                        {course.name}
+                        {course.archived && <span className="ml-2 text-xs font-normal text-slate-500 dark:text-slate-400">Archived</span>}
+                      </p>
+                      <p className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                        {[
+                          `${countFor(course)} assignment${countFor(course) === 1 ? '' : 's'}`,
+                          course.instructor,
+                          course.term
+                        ].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                    <button onClick={() => setEditingId(editingId === course.id ? null : course.id)} className={iconButtonClass} aria-label={`Edit ${course.name}`}>
+                      <Edit size={18} />
+                    </button>
+                    <button
+                      onClick={() => onUpdate(course.id, { archived: !course.archived })}
+                      className={iconButtonClass}
+                      aria-label={course.archived ? `Unarchive ${course.name}` : `Archive ${course.name}`}
+                      title={course.archived ? 'Unarchive' : 'Archive: hide from suggestions and filters but keep its assignments'}
+                    >
+                      {course.archived ? <ArchiveRestore size={18} /> : <Archive size={18} />}
+                    </button>
+                    <button
+                      onClick={() => setMergingId(mergingId === course.id ? null : course.id)}
+                      disabled={courses.length < 2}
+                      className={`${iconButtonClass} disabled:opacity-40 disabled:cursor-not-allowed`}
+                      aria-label={`Merge ${course.name} into another course`}
+                    >
+                      <GitMerge size={18} />
+                    </button>
+                    <button onClick={() => handleDelete(course)} className={`${iconButtonClass} text-rose-500`} aria-label={`Delete ${course.name}`}>
+                      <Trash2 size={18} />
+                    </button>
+                  </div>
+
+                  {mergingId === course.id && (
+                    <div className="mt-3 flex items-center gap-2 text-sm">
+                      <label htmlFor={`merge-target-${course.id}`}>Merge into</label>
+                      <select
+                        id={`merge-target-${course.id}`}
+                        value=""
+                        onChange={(e) => handleMerge(course, e.target.value)}
+                        className={`${inputClass} w-auto`}
+                      >
+                        <option value="">Choose a course…</option>
+                        {courses
+                          .filter(other => other.id !== course.id)
+                          .sort((a, b) => a.name.localeCompare(b.name))
+                          .map(other => <option key={other.id} value={other.id}>{other.name}</option>)}
+                      </select>
+                    </div>
+                  )}
+
+                  {editingId === course.id && (
+                    <CourseEditor
+                      course={course}
+                      courses={courses}
+                      onSave={(changes) => { onUpdate(course.id, changes); setEditingId(null); }}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {archivedCount > 0 && (
+            <label className="flex items-center text-sm mt-4">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)}
+                className="mr-2 h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              Show {archivedCount} archived course{archivedCount === 1 ? '' : 's'}
+            </label>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CourseManager;
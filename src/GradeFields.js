@@ -0,0 +1,77 @@
+import React from 'react';
+
+const inputClass = 'w-full p-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200';
+
+// Form controls for an assignment's grade; `value` holds the fields as text (see grades.js).
+// `gradingCategories` are those of the course picked in the form, if it exists yet.
+const GradeFields = ({ value, onChange, gradingCategories, error }) => {
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+        Grade <span className="font-normal text-slate-500 dark:text-slate-400">(optional)</span>
+      </legend>
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <label htmlFor="assignmentPointsEarned" className="block text-xs text-slate-600 dark:text-slate-400 mb-1">Points earned</label>
+          <input
+            type="number"
+            id="assignmentPointsEarned"
+            min="0"
+            step="any"
+            value={value.pointsEarned}
+            onChange={update('pointsEarned')}
+            className={inputClass}
+            aria-describedby={error ? 'grade-error' : undefined}
+          />
+        </div>
+        <div>
+          <label htmlFor="assignmentPointsPossible" className="block text-xs text-slate-600 dark:text-slate-400 mb-1">Points possible</label>
+          <input
+            type="number"
+            id="assignmentPointsPossible"
+            min="0"
+            step="any"
+            value={value.pointsPossible}
+            onChange={update('pointsPossible')}
+            className={inputClass}
+            aria-describedby={error ? 'grade-error' : undefined}
+          />
+        </div>
+        <div>
+          <label htmlFor="assignmentWeight" className="block text-xs text-slate-600 dark:text-slate-400 mb-1">Weight</label>
+          <input
+            type="number"
+            id="assignmentWeight"
+            min="0"
+            step="any"
+            placeholder="1"
+            value={value.weight}
+            onChange={update('weight')}
+            className={inputClass}
+            title="How many times this counts within its grading category"
+          />
+        </div>
+      </div>
+      {gradingCategories.length > 0 && (
+        <div className="mt-2">
+          <label htmlFor="assignmentGradingCategory" className="block text-xs text-slate-600 dark:text-slate-400 mb-1">Grading category</label>
+          <select
+            id="assignmentGradingCategory"
+            value={value.gradingCategoryId}
+            onChange={update('gradingCategoryId')}
+            className={inputClass}
+          >
+            <option value="">None</option>
+            {gradingCategories.map(category => (
+              <option key={category.id} value={category.id}>{category.name} ({category.weight}%)</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+export default GradeFields;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { GraduationCap, ChevronDown, ChevronUp } from 'lucide-react';
+import { formatPercent, getNeededFinalScore } from './grades';
+
+const inputClass = 'w-20 p-1.5 text-sm border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200';
+
+const describeNeeded = (needed, target) => {
+  if (needed === null) return 'Record some graded work first.';
+  if (needed <= 0) return `You will finish at ${target}% or better whatever you score on the final.`;
+  if (needed > 100) return `You would need ${formatPercent(needed)} on the final, so ${target}% is out of reach.`;
+  return `You need ${formatPercent(needed)} on the final to finish at ${target}%.`;
+};
+
+// "What do I need on the final?" for one course
+const FinalEstimator = ({ courseId, currentPercent }) => {
+  const [target, setTarget] = useState('90');
+  const [finalWeight, setFinalWeight] = useState('20');
+  const needed = getNeededFinalScore(currentPercent, Number(target), Number(finalWeight));
+
+  return (
+    <div className="mt-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor={`final-target-${courseId}`}>Target grade</label>
+        <input
+          type="number"
+          id={`final-target-${courseId}`}
+          min="0"
+          max="100"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          className={inputClass}
+        />
+        <span>%, final worth</span>
+        <input
+          type="number"
+          id={`final-weight-${courseId}`}
+          min="1"
+          max="100"
+          value={finalWeight}
+          onChange={(e) => setFinalWeight(e.target.value)}
+          className={inputClass}
+          aria-label="Weight of the final in percent of the course grade"
+        />
+        <span>% of the grade</span>
+      </div>
+      <p className="mt-2 font-medium" aria-live="polite">
+        {Number(finalWeight) > 0 && Number(finalWeight) <= 100
+          ? describeNeeded(needed, Number(target))
+          : 'Enter a final weight between 1 and 100%.'}
+      </p>
+    </div>
+  );
+};
+
+// Current grade per course, from the points recorded on its assignments (see grades.js)
+const GradesPanel = ({ courses, courseGrades }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const graded = courses.filter(course => !course.archived && courseGrades.get(course.id).gradedCount > 0);
+
+  return (
+    <div className="mt-6">
+      <h4 className="font-semibold mb-2 flex items-center">
+        <GraduationCap size={18} className="mr-2" />Course Grades
+      </h4>
+      {graded.length === 0 ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400">
+          Enter points earned and points possible on an assignment to see its course grade here.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {graded.map(course => {
+            const grade = courseGrades.get(course.id);
+            const isExpanded = expandedId === course.id;
+            return (
+              <li key={course.id} className="bg-slate-100 dark:bg-slate-700 rounded-lg p-3">
+                <button
+                  onClick={() => setExpandedId(isExpanded ? null : course.id)}
+                  className="w-full flex items-center gap-2 text-left"
+                  aria-expanded={isExpanded}
+                >
+                  <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: course.color }} aria-hidden="true" />
+                  <span className="flex-grow truncate font-medium">{course.name}</span>
+                  <span className="text-lg font-bold text-indigo-600 dark:text-indigo-400">{formatPercent(grade.percent)}</span>
+                  {isExpanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                </button>
+                {isExpanded && (
+                  <div className="mt-2 text-sm text-slate-600 dark:text-slate-400">
+                    <p>{grade.gradedCount} graded assignment{grade.gradedCount === 1 ? '' : 's'}</p>
+                    {grade.categories.length > 0 && (
+                      <ul className="mt-1">
+                        {grade.categories.map(category => (
+                          <li key={category.id} className="flex justify-between">
+                            <span>{category.name} ({category.weight}%)</span>
+                            <span>{category.gradedCount > 0 ? formatPercent(category.percent) : 'nothing graded'}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {grade.uncategorizedCount > 0 && (
+                      <p className="mt-1 text-amber-600 dark:text-amber-400">
+                        {grade.uncategorizedCount} graded assignment{grade.uncategorizedCount === 1 ? ' has' : 's have'} no grading category and {grade.uncategorizedCount === 1 ? 'is' : 'are'} not counted.
+                      </p>
+                    )}
+                    <FinalEstimator courseId={course.id} currentPercent={grade.percent} />
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GradesPanel;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { Upload, XCircle, AlertTriangle, CheckCircle, Copy } from 'lucide-react';
+
+const ImportDialog = ({ fileName, rows, onConfirm, onCancel }) => {
+  const [mode, setMode] = useState('merge');
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const invalidCount = rows.filter(row => row.errors.length > 0).length;
+  const existingDuplicateCount = rows.filter(row => row.duplicate === 'existing').length;
+  const fileDuplicateCount = rows.filter(row => row.duplicate === 'file').length;
+  const importCount = rows.length - invalidCount - fileDuplicateCount - (mode === 'merge' ? existingDuplicateCount : 0);
+
+  const getRowStatus = (row) => {
+    if (row.errors.length > 0) {
+      return (
+        <span className="flex items-start text-rose-600 dark:text-rose-400">
+          <XCircle size={16} className="mr-1 mt-0.5 flex-shrink-0" />{row.errors.join(' ')}
+        </span>
+      );
+    }
+    if (row.duplicate === 'existing') {
+      return (
+        <span className="flex items-center text-amber-600 dark:text-amber-400">
+          <Copy size={16} className="mr-1" />
+          {mode === 'merge' ? 'Already in your list (skipped)' : 'Already in your list'}
+        </span>
+      );
+    }
+    if (row.duplicate === 'file') {
+      return (
+        <span className="flex items-center text-amber-600 dark:text-amber-400">
+          <Copy size={16} className="mr-1" />Repeated in this file (skipped)
+        </span>
+      );
+    }
+    return (
+      <span className="flex items-center text-emerald-600 dark:text-emerald-400">
+        <CheckCircle size={16} className="mr-1" />Ready
+      </span>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-dialog-title"
+        className="bg-white dark:bg-slate-800 rounded-xl shadow-lg w-full max-w-3xl max-h-[90vh] flex flex-col"
+      >
+        <div className="p-6 border-b border-slate-200 dark:border-slate-700">
+          <h2 id="import-dialog-title" className="text-2xl font-bold text-indigo-700 dark:text-indigo-300 flex items-center">
+            <Upload size={24} className="mr-3" />Import Assignments
+          </h2>
+          <p className="text-sm text-slate-600 dark:text-slate-400 mt-1">
+            {fileName}: {rows.length} row{rows.length === 1 ? '' : 's'} found
+            {invalidCount > 0 && <>, <span className="text-rose-600 dark:text-rose-400">{invalidCount} malformed</span></>}
+            {existingDuplicateCount + fileDuplicateCount > 0 && (
+              <>, <span className="text-amber-600 dark:text-amber-400">{existingDuplicateCount + fileDuplicateCount} duplicate{existingDuplicateCount + fileDuplicateCount === 1 ? '' : 's'}</span></>
+            )}
+          </p>
+        </div>
+
+        <div className="overflow-y-auto flex-grow p-6">
+          {rows.length === 0 ? (
+            <div className="text-center py-10 text-slate-500 dark:text-slate-400">
+              <AlertTriangle size={48} className="mx-auto mb-4" />
+              <p className="text-xl font-semibold">No assignments in this file.</p>
+            </div>
+          ) : (
+            <table className="w-full text-sm text-left">
+              <thead className="text-slate-600 dark:text-slate-400">
+                <tr>
+                  <th scope="col" className="py-2 pr-3">Row</th>
+                  <th scope="col" className="py-2 pr-3">Title</th>
+                  <th scope="col" className="py-2 pr-3">Course</th>
+                  <th scope="col" className="py-2 pr-3">Due Date</th>
+                  <th scope="col" className="py-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.line} className="border-t border-slate-200 dark:border-slate-700 align-top">
+                    <td className="py-2 pr-3 text-slate-500 dark:text-slate-400">{row.line}</td>
+                    <td className="py-2 pr-3 font-medium">{row.assignment ? row.assignment.title : '—'}</td>
+                    <td className="py-2 pr-3">{row.assignment && row.assignment.course ? row.assignment.course.name : ''}</td>
+                    <td className="py-2 pr-3">{row.assignment ? `${row.assignment.dueDate} ${row.assignment.dueTime || ''}`.trim() : ''}</td>
+                    <td className="py-2">{getRowStatus(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-slate-200 dark:border-slate-700 space-y-4">
+          <fieldset className="flex flex-col sm:flex-row gap-4">
+            <legend className="sr-only">Import mode</legend>
+            <label className="flex items-center text-sm">
+              <input
+                type="radio"
+                name="importMode"
+                value="merge"
+                checked={mode === 'merge'}
+                onChange={() => setMode('merge')}
+                className="mr-2"
+              />
+              Merge with my current assignments
+            </label>
+            <label className="flex items-center text-sm">
+              <input
+                type="radio"
+                name="importMode"
+                value="replace"
+                checked={mode === 'replace'}
+                onChange={() => setMode('replace')}
+                className="mr-2"
+              />
+              Replace all current assignments
+            </label>
+          </fieldset>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <button
+              type="button"
+              onClick={() => onConfirm(mode)}
+              disabled={importCount === 0}
+              className="flex-1 bg-indigo-600 text-white p-3 rounded-lg font-semibold hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center justify-center shadow-md"
+            >
+              <Upload size={20} className="mr-2" />
+              {mode === 'replace' ? `Replace with ${importCount} assignment${importCount === 1 ? '' : 's'}` : `Import ${importCount} assignment${importCount === 1 ? '' : 's'}`}
+            </button>
+            <button
+              type="button"
+              onClick={onCancel}
+              className="flex-1 bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300 p-3 rounded-lg font-semibold hover:bg-slate-300 dark:hover:bg-slate-600 transition-colors duration-200 shadow-md"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
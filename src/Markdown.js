@@ -0,0 +1,140 @@
+import React from 'react';
+
+// A small Markdown renderer for assignment notes: headings, paragraphs, bullet and numbered lists,
+// quotes, fenced code, and inline code, bold, italics and links. It builds React elements rather
+// than HTML, so nothing in a note can inject markup; links only open http(s) and mailto URLs.
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"])/g;
+
+const renderLink = (href, children, key) => (SAFE_URL.test(href) ? (
+  <a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-indigo-600 dark:text-indigo-400 underline break-words">
+    {children}
+  </a>
+) : <React.Fragment key={key}>{children}</React.Fragment>);
+
+const renderInline = (text) => {
+  const nodes = [];
+  let last = 0;
+  let match;
+  INLINE.lastIndex = 0;
+  while ((match = INLINE.exec(text)) !== null) {
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+    const [token, code, bold, italic, link, url] = match;
+    const key = match.index;
+    if (code) {
+      nodes.push(<code key={key} className="px-1 rounded bg-slate-200 dark:bg-slate-700 font-mono text-sm">{code.slice(1, -1)}</code>);
+    } else if (bold) {
+      nodes.push(<strong key={key}>{bold.slice(2, -2)}</strong>);
+    } else if (italic) {
+      nodes.push(<em key={key}>{italic.slice(1, -1)}</em>);
+    } else if (link) {
+      const [, label, href] = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(link);
+      nodes.push(renderLink(href, label, key));
+    } else if (url) {
+      nodes.push(renderLink(url, url, key));
+    }
+    last = match.index + token.length;
+  }
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+// Groups lines into blocks: { type, lines } plus `level` for headings and `ordered` for lists
+export const parseMarkdownBlocks = (text) => {
+  const blocks = [];
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (/^```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+      i++; // closing fence
+      blocks.push({ type: 'code', lines: code });
+      continue;
+    }
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, lines: [heading[2]] });
+      i++;
+      continue;
+    }
+    const listMatch = /^\s*([-*+]|\d+[.)])\s+/.exec(line);
+    if (listMatch) {
+      const ordered = /\d/.test(listMatch[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = /^\s*([-*+]|\d+[.)])\s+(.*)$/.exec(lines[i]);
+        if (!item || /\d/.test(item[1]) !== ordered) break;
+        items.push(item[2]);
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, lines: items });
+      continue;
+    }
+    if (/^>\s?/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^>\s?/.test(lines[i])) quote.push(lines[i++].replace(/^>\s?/, ''));
+      blocks.push({ type: 'quote', lines: quote });
+      continue;
+    }
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() !== '' && !/^(```|#{1,6}\s|>|\s*([-*+]|\d+[.)])\s)/.test(lines[i])) {
+      paragraph.push(lines[i++]);
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+  return blocks;
+};
+
+const withLineBreaks = (lines) => lines.flatMap((line, index) => (
+  index === 0 ? renderInline(line) : [<br key={`br-${index}`} />, ...renderInline(line)]
+));
+
+const HEADING_CLASSES = ['text-lg font-bold', 'text-base font-bold', 'text-base font-semibold'];
+
+const Markdown = ({ text }) => (
+  <div className="space-y-2 text-sm break-words">
+    {parseMarkdownBlocks(text).map((block, index) => {
+      switch (block.type) {
+        case 'heading':
+          return (
+            <p key={index} role="heading" aria-level={block.level + 2} className={HEADING_CLASSES[Math.min(block.level, 3) - 1]}>
+              {renderInline(block.lines[0])}
+            </p>
+          );
+        case 'list': {
+          const List = block.ordered ? 'ol' : 'ul';
+          return (
+            <List key={index} className={`pl-5 space-y-0.5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+              {block.lines.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+            </List>
+          );
+        }
+        case 'quote':
+          return (
+            <blockquote key={index} className="pl-3 border-l-4 border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-400">
+              {withLineBreaks(block.lines)}
+            </blockquote>
+          );
+        case 'code':
+          return (
+            <pre key={index} className="p-2 rounded bg-slate-200 dark:bg-slate-700 overflow-x-auto font-mono text-xs">
+              {block.lines.join('\n')}
+            </pre>
+          );
+        default:
+          return <p key={index}>{withLineBreaks(block.lines)}</p>;
+      }
+    })}
+  </div>
+);
+
+export default Markdown;
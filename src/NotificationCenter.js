@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Bell, BellRing, X, Clock, Settings, AlertTriangle, CalendarCheck } from 'lucide-react';
+import { REMINDER_OFFSETS, SNOOZE_OPTIONS } from './reminders';
+
+const ReminderSettings = ({ settings, onChange, permission, onRequestPermission }) => {
+  const toggleOffset = (minutes) => {
+    const offsets = settings.offsets.includes(minutes)
+      ? settings.offsets.filter(offset => offset !== minutes)
+      : [...settings.offsets, minutes];
+    onChange({ ...settings, offsets });
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <fieldset>
+        <legend className="font-medium text-slate-700 dark:text-slate-300 mb-1">Remind me</legend>
+        <div className="grid grid-cols-2 gap-1">
+          {REMINDER_OFFSETS.map(offset => (
+            <label key={offset.minutes} className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={settings.offsets.includes(offset.minutes)}
+                onChange={() => toggleOffset(offset.minutes)}
+                className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              {offset.label}
+            </label>
+          ))}
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.notifyOverdue}
+              onChange={(e) => onChange({ ...settings, notifyOverdue: e.target.checked })}
+              className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            When overdue
+          </label>
+        </div>
+      </fieldset>
+
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.digestEnabled}
+            onChange={(e) => onChange({ ...settings, digestEnabled: e.target.checked })}
+            className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Daily digest at
+        </label>
+        <input
+          type="time"
+          value={settings.digestTime}
+          onChange={(e) => e.target.value && onChange({ ...settings, digestTime: e.target.value })}
+          disabled={!settings.digestEnabled}
+          className="p-1 border border-slate-300 dark:border-slate-600 rounded-lg dark:bg-slate-700 dark:text-slate-200 disabled:opacity-50"
+          aria-label="Daily digest time"
+        />
+      </div>
+
+      <div>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.useBrowserNotifications}
+            onChange={(e) => onChange({ ...settings, useBrowserNotifications: e.target.checked })}
+            disabled={permission === 'unsupported'}
+            className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Also show browser notifications
+        </label>
+        {permission === 'unsupported' && (
+          <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">This browser does not support notifications, so reminders only appear here.</p>
+        )}
+        {permission === 'denied' && (
+          <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Notifications are blocked in your browser settings, so reminders only appear here.</p>
+        )}
+        {permission === 'default' && settings.useBrowserNotifications && (
+          <button
+            onClick={onRequestPermission}
+            className="mt-1 px-3 py-1 rounded-lg bg-indigo-600 text-white text-xs font-semibold hover:bg-indigo-700 transition-colors duration-200"
+          >
+            Allow browser notifications
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const NotificationIcon = ({ kind }) => {
+  if (kind === 'overdue') return <AlertTriangle size={18} className="text-rose-500 flex-shrink-0 mt-0.5" />;
+  if (kind === 'digest') return <CalendarCheck size={18} className="text-indigo-500 flex-shrink-0 mt-0.5" />;
+  return <Clock size={18} className="text-amber-500 flex-shrink-0 mt-0.5" />;
+};
+
+const NotificationCenter = ({
+  notifications, snoozedCount, settings, onSettingsChange, permission, onRequestPermission,
+  onDismiss, onDismissAll, onSnooze
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('mousedown', handleClick);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('mousedown', handleClick);
+    };
+  }, [isOpen]);
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-full text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-slate-700 transition-colors duration-200"
+        aria-label={`Notifications${notifications.length > 0 ? ` (${notifications.length})` : ''}`}
+        aria-expanded={isOpen}
+      >
+        {notifications.length > 0 ? <BellRing size={24} /> : <Bell size={24} />}
+        {notifications.length > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-rose-500 text-white text-xs font-bold flex items-center justify-center">
+            {notifications.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div
+          role="dialog"
+          aria-label="Notifications"
+          className="absolute right-0 mt-2 w-80 sm:w-96 z-30 bg-white dark:bg-slate-800 rounded-xl shadow-2xl border border-slate-200 dark:border-slate-700 p-4"
+        >
+          <div className="flex justify-between items-center mb-3">
+            <h2 className="text-lg font-semibold">Notifications</h2>
+            <div className="flex items-center gap-1">
+              {notifications.length > 0 && (
+                <button
+                  onClick={onDismissAll}
+                  className="px-2 py-1 rounded-lg text-xs text-slate-600 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors duration-200"
+                >
+                  Dismiss all
+                </button>
+              )}
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className="p-1 rounded-lg text-slate-600 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors duration-200"
+                aria-label="Reminder settings"
+                aria-pressed={showSettings}
+              >
+                <Settings size={18} />
+              </button>
+            </div>
+          </div>
+
+          {showSettings ? (
+            <ReminderSettings
+              settings={settings}
+              onChange={onSettingsChange}
+              permission={permission}
+              onRequestPermission={onRequestPermission}
+            />
+          ) : notifications.length === 0 ? (
+            <p className="text-sm text-slate-500 dark:text-slate-400 py-4 text-center">
+              You're all caught up.
+              {snoozedCount > 0 && ` ${snoozedCount} snoozed reminder${snoozedCount === 1 ? '' : 's'} will come back later.`}
+            </p>
+          ) : (
+            <ul className="space-y-2 max-h-96 overflow-y-auto">
+              {notifications.map(notification => (
+                <li key={notification.id} className="p-3 rounded-lg bg-slate-100 dark:bg-slate-700 text-sm">
+                  <div className="flex items-start gap-2">
+                    <NotificationIcon kind={notification.kind} />
+                    <div className="flex-grow min-w-0">
+                      <p className="font-semibold break-words">{notification.title}</p>
+                      <p className="text-slate-600 dark:text-slate-400 whitespace-pre-line break-words">{notification.body}</p>
+                    </div>
+                    <button
+                      onClick={() => onDismiss(notification.id)}
+                      className="p-1 rounded-full text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors duration-200"
+                      aria-label={`Dismiss "${notification.title}"`}
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-1 mt-2 ml-7">
+                    <span className="text-xs text-slate-500 dark:text-slate-400 mr-1">Snooze:</span>
+                    {SNOOZE_OPTIONS.map(option => (
+                      <button
+                        key={option.minutes}
+                        onClick={() => onSnooze(notification.id, option.minutes)}
+                        className="px-2 py-0.5 rounded-full text-xs bg-white dark:bg-slate-800 hover:bg-indigo-100 dark:hover:bg-slate-600 transition-colors duration-200"
+                        aria-label={`Snooze "${notification.title}" for ${option.label}`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
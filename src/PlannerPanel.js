@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { CalendarClock, AlertTriangle, X } from 'lucide-react';
+import { formatHours, normalizeAvailability } from './planner';
+import { parseDateKey, WEEKDAY_NAMES } from './dates';
+
+const DAYS_SHOWN = 14;
+
+const formatDay = (key) => parseDateKey(key).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+// Hours per weekday, Sunday first like WEEKDAY_NAMES
+const AvailabilityFields = ({ availability, onChange }) => (
+  <fieldset>
+    <legend className="font-semibold mb-2">Hours available for study</legend>
+    <div className="grid grid-cols-7 gap-2">
+      {WEEKDAY_NAMES.map((name, day) => (
+        <label key={name} className="text-sm text-center">
+          <span className="block text-slate-600 dark:text-slate-400 mb-1">{name}</span>
+          <input
+            type="number"
+            min="0"
+            max="24"
+            step="0.5"
+            value={availability[day]}
+            onChange={(e) => onChange(availability.map((hours, other) => (other === day ? Number(e.target.value) : hours)))}
+            className="w-full p-2 border border-slate-300 dark:border-slate-600 rounded-lg text-center dark:bg-slate-700 dark:text-slate-200"
+            aria-label={`Hours on ${name}`}
+          />
+        </label>
+      ))}
+    </div>
+  </fieldset>
+);
+
+// The plan from planWorkload, day by day, with the weekly availability it was made from
+const PlannerPanel = ({ plan, assignments, availability, onAvailabilityChange, onOpenDetails, onClose }) => {
+  const [showAllDays, setShowAllDays] = useState(false);
+  const titles = new Map(assignments.map(assignment => [assignment.id, assignment.title]));
+  const shortfalls = plan.assignments.filter(entry => entry.shortBy > 0);
+  const workDays = plan.days.filter(day => day.items.length > 0 || day.overbooked);
+  const shownDays = showAllDays ? workDays : workDays.slice(0, DAYS_SHOWN);
+  const totalPlanned = plan.assignments.reduce((sum, entry) => sum + entry.planned, 0);
+
+  return (
+    <section className="lg:col-span-3 bg-white dark:bg-slate-800 p-6 rounded-xl shadow-lg transition-colors duration-200" aria-labelledby="planner-heading">
+      <div className="flex justify-between items-center mb-6">
+        <h2 id="planner-heading" className="text-2xl font-bold text-indigo-700 dark:text-indigo-300 flex items-center">
+          <CalendarClock size={24} className="mr-3" />Study Plan
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-2 rounded-full text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-700 transition-colors duration-200"
+          aria-label="Hide study plan"
+        >
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-4">
+          <AvailabilityFields availability={normalizeAvailability(availability)} onChange={onAvailabilityChange} />
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            {plan.assignments.length === 0
+              ? 'Give pending assignments an estimated effort and a due date to plan them.'
+              : `${formatHours(totalPlanned)} planned for ${plan.assignments.length} assignment${plan.assignments.length === 1 ? '' : 's'}.`}
+            {plan.unestimated > 0 && ` ${plan.unestimated} pending assignment${plan.unestimated === 1 ? ' has' : 's have'} no estimate.`}
+            {plan.undated > 0 && ` ${plan.undated} with an estimate but no due date ${plan.undated === 1 ? 'is' : 'are'} left out.`}
+          </p>
+          {shortfalls.length > 0 && (
+            <div className="p-3 rounded-lg bg-rose-100 dark:bg-rose-900/40 text-rose-800 dark:text-rose-200 text-sm" role="status">
+              <p className="font-semibold flex items-center mb-1"><AlertTriangle size={16} className="mr-1" />Won't fit in time</p>
+              <ul className="space-y-1">
+                {shortfalls.map(entry => (
+                  <li key={entry.assignmentId}>
+                    <button onClick={() => onOpenDetails(entry.assignmentId)} className="underline text-left">{titles.get(entry.assignmentId)}</button>
+                    {entry.overdue
+                      ? ` is overdue with ${formatHours(entry.shortBy)} to go`
+                      : ` is ${formatHours(entry.shortBy)} short by ${formatDay(entry.lastDay)}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-2">
+          {workDays.length === 0 ? (
+            <p className="text-sm text-slate-500 dark:text-slate-400">Nothing to plan.</p>
+          ) : (
+            <ol className="space-y-2">
+              {shownDays.map(day => (
+                <li
+                  key={day.date}
+                  className={`p-3 rounded-lg ${day.overbooked ? 'bg-amber-100 dark:bg-amber-900/40' : 'bg-slate-100 dark:bg-slate-700'}`}
+                >
+                  <div className="flex justify-between text-sm font-semibold">
+                    <span>{formatDay(day.date)}</span>
+                    <span className={day.overbooked ? 'text-amber-800 dark:text-amber-200' : 'text-slate-600 dark:text-slate-400'}>
+                      {formatHours(day.planned)} of {formatHours(day.capacity)}
+                      {day.overbooked && ` · overbooked, needs ${formatHours(day.demand)}`}
+                    </span>
+                  </div>
+                  {day.items.length > 0 && (
+                    <ul className="mt-1 text-sm">
+                      {day.items.map(item => (
+                        <li key={item.assignmentId} className="flex justify-between">
+                          <button onClick={() => onOpenDetails(item.assignmentId)} className="truncate text-left hover:underline">
+                            {titles.get(item.assignmentId)}
+                          </button>
+                          <span className="flex-shrink-0 ml-2 text-slate-600 dark:text-slate-400">{formatHours(item.hours)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+          {workDays.length > DAYS_SHOWN && (
+            <button onClick={() => setShowAllDays(!showAllDays)} className="mt-3 text-sm text-indigo-600 dark:text-indigo-400 hover:underline">
+              {showAllDays ? 'Show fewer days' : `Show all ${workDays.length} days`}
+            </button>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default PlannerPanel;
@@ -0,0 +1,111 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { Search, XCircle } from 'lucide-react';
+import { getTokenAt, getQuerySuggestions } from './query';
+
+// Search input that understands the query language in query.js and completes filters as you type
+const QueryBar = ({ value, onChange, categories, errors }) => {
+  const [caret, setCaret] = useState(0);
+  const [isFocused, setIsFocused] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+  const inputRef = useRef(null);
+
+  const token = useMemo(() => getTokenAt(value, caret), [value, caret]);
+  const suggestions = useMemo(() => getQuerySuggestions(token.text, categories).slice(0, 8), [token.text, categories]);
+  const isOpen = isFocused && !dismissed && suggestions.length > 0;
+
+  const updateCaret = (e) => setCaret(e.target.selectionStart);
+
+  const applySuggestion = (suggestion) => {
+    const before = value.slice(0, token.start);
+    const after = value.slice(token.end);
+    // Finished terms get a trailing space so typing can carry straight on
+    const insert = suggestion.partial ? suggestion.value : `${suggestion.value} `;
+    const next = `${before}${insert}${after.replace(/^\s+/, '')}`;
+    const position = before.length + insert.length;
+    onChange(next);
+    setCaret(position);
+    setActiveIndex(0);
+    requestAnimationFrame(() => {
+      if (inputRef.current) inputRef.current.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setDismissed(true);
+    }
+  };
+
+  return (
+    <div>
+      <div className="relative">
+        <input
+          ref={inputRef}
+          id="assignmentSearch"
+          type="text"
+          placeholder="Search, or try cat:Math due:<7d -essay"
+          value={value}
+          onChange={(e) => { onChange(e.target.value); updateCaret(e); setActiveIndex(0); setDismissed(false); }}
+          onKeyDown={handleKeyDown}
+          onKeyUp={updateCaret}
+          onClick={updateCaret}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => setIsFocused(false)}
+          className={`w-full p-3 pl-10 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200 ${errors.length > 0 ? 'border-amber-500 dark:border-amber-400' : 'border-slate-300 dark:border-slate-600'}`}
+          aria-label="Search assignments"
+          aria-keyshortcuts="/"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={isOpen}
+          aria-controls="query-suggestions"
+          aria-activedescendant={isOpen ? `query-suggestion-${activeIndex}` : undefined}
+          aria-describedby={errors.length > 0 ? 'query-errors' : undefined}
+        />
+        <Search size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 dark:text-slate-500" />
+        {isOpen && (
+          <ul
+            id="query-suggestions"
+            role="listbox"
+            className="absolute left-0 right-0 mt-1 z-20 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-lg overflow-hidden"
+          >
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={suggestion.value}
+                id={`query-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                // Keep focus in the input so the blur does not close the list before the click lands
+                onMouseDown={(e) => { e.preventDefault(); applySuggestion(suggestion); }}
+                className={`px-3 py-2 text-sm cursor-pointer font-mono ${index === activeIndex ? 'bg-indigo-100 dark:bg-slate-600' : ''}`}
+              >
+                {suggestion.label}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <div id="query-errors" className="mt-1 text-amber-600 dark:text-amber-400 text-xs">
+          {errors.map(error => (
+            <p key={error} className="flex items-center">
+              <XCircle size={12} className="mr-1 flex-shrink-0" />{error}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueryBar;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { createRecurrence } from './recurrence';
+import { WEEKDAY_NAMES } from './dates';
+
+// Form controls for an assignment's recurrence rule; `value` is a rule or null for "does not repeat"
+const RecurrenceFields = ({ value, onChange }) => {
+  const handleFrequencyChange = (e) => {
+    onChange(e.target.value === 'none' ? null : { ...createRecurrence(e.target.value), until: value ? value.until : '' });
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day].sort();
+    onChange({ ...value, weekdays });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label htmlFor="assignmentRecurrence" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+          Repeat
+        </label>
+        <select
+          id="assignmentRecurrence"
+          value={value ? value.frequency : 'none'}
+          onChange={handleFrequencyChange}
+          className="w-full p-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
+        >
+          <option value="none">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="interval">Every N days</option>
+        </select>
+      </div>
+
+      {value && value.frequency === 'weekly' && (
+        <fieldset>
+          <legend className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">On</legend>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAY_NAMES.map((name, day) => (
+              <label
+                key={name}
+                className={`px-2 py-1 rounded-lg text-sm cursor-pointer border transition-colors duration-200
+                  ${value.weekdays.includes(day)
+                    ? 'bg-indigo-600 border-indigo-600 text-white'
+                    : 'border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300'}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={value.weekdays.includes(day)}
+                  onChange={() => toggleWeekday(day)}
+                  className="sr-only"
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+          {value.weekdays.length === 0 && (
+            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Repeats on the due date's weekday.</p>
+          )}
+        </fieldset>
+      )}
+
+      {value && value.frequency === 'interval' && (
+        <div>
+          <label htmlFor="assignmentRecurrenceInterval" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+            Every how many days
+          </label>
+          <input
+            type="number"
+            id="assignmentRecurrenceInterval"
+            min="1"
+            max="365"
+            value={value.interval}
+            onChange={(e) => onChange({ ...value, interval: Math.max(1, Math.min(365, parseInt(e.target.value, 10) || 1)) })}
+            className="w-full p-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
+          />
+        </div>
+      )}
+
+      {value && (
+        <div>
+          <label htmlFor="assignmentRecurrenceUntil" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+            Until (optional)
+          </label>
+          <input
+            type="date"
+            id="assignmentRecurrenceUntil"
+            value={value.until}
+            onChange={(e) => onChange({ ...value, until: e.target.value })}
+            className="w-full p-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceFields;
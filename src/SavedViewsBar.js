@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Bookmark, BookmarkPlus, Pencil, X, Check, XCircle } from 'lucide-react';
+import { BUILT_IN_VIEWS, validateViewName } from './savedViews';
+
+// Inline name field used both for saving a new view and for renaming one
+const ViewNameForm = ({ initialName, views, ignoreId, onSubmit, onCancel, label }) => {
+  const [name, setName] = useState(initialName);
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const message = validateViewName(name, views, ignoreId);
+    if (message) {
+      setError(message);
+      return;
+    }
+    onSubmit(name.trim());
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col">
+      <div className="flex items-center gap-1">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => { setName(e.target.value); setError(''); }}
+          onKeyDown={(e) => { if (e.key === 'Escape') onCancel(); }}
+          autoFocus
+          className="p-1 px-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 dark:bg-slate-700 dark:text-slate-200"
+          aria-label={label}
+          aria-invalid={error ? 'true' : 'false'}
+        />
+        <button type="submit" className="p-1 rounded-full text-emerald-600 hover:bg-emerald-100 dark:hover:bg-slate-700" aria-label="Save name">
+          <Check size={16} />
+        </button>
+        <button type="button" onClick={onCancel} className="p-1 rounded-full text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-700" aria-label="Cancel">
+          <X size={16} />
+        </button>
+      </div>
+      {error && (
+        <p className="text-rose-500 text-xs mt-1 flex items-center">
+          <XCircle size={12} className="mr-1" />{error}
+        </p>
+      )}
+    </form>
+  );
+};
+
+const SavedViewsBar = ({ views, counts, totalCount, activeViewId, canSave, onApply, onShowAll, onSave, onRename, onDelete }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+
+  const tabClass = (active) => `flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm font-medium transition-colors duration-200
+    ${active ? 'bg-indigo-600 text-white' : 'bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600'}`;
+
+  const countBadge = (count, active) => (
+    <span className={`text-xs px-1.5 rounded-full ${active ? 'bg-indigo-500' : 'bg-slate-200 dark:bg-slate-600'}`}>{count}</span>
+  );
+
+  return (
+    <nav aria-label="Saved views" className="mb-4 flex flex-wrap items-center gap-2">
+      <button onClick={onShowAll} className={tabClass(activeViewId === 'all')} aria-pressed={activeViewId === 'all'}>
+        All {countBadge(totalCount, activeViewId === 'all')}
+      </button>
+
+      {[...BUILT_IN_VIEWS, ...views].map(view => {
+        const active = activeViewId === view.id;
+        if (renamingId === view.id) {
+          return (
+            <ViewNameForm
+              key={view.id}
+              initialName={view.name}
+              views={views}
+              ignoreId={view.id}
+              label={`New name for "${view.name}"`}
+              onSubmit={(name) => { onRename(view.id, name); setRenamingId(null); }}
+              onCancel={() => setRenamingId(null)}
+            />
+          );
+        }
+        return (
+          <div key={view.id} className="flex items-center">
+            <button onClick={() => onApply(view)} className={tabClass(active)} aria-pressed={active}>
+              {!view.builtIn && <Bookmark size={14} />}
+              {view.name} {countBadge(counts[view.id] || 0, active)}
+            </button>
+            {!view.builtIn && (
+              <>
+                <button
+                  onClick={() => setRenamingId(view.id)}
+                  className="p-1 rounded-full text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-700 transition-colors duration-200"
+                  aria-label={`Rename view "${view.name}"`}
+                >
+                  <Pencil size={14} />
+                </button>
+                <button
+                  onClick={() => onDelete(view.id)}
+                  className="p-1 rounded-full text-rose-500 hover:bg-rose-100 dark:hover:bg-rose-900 transition-colors duration-200"
+                  aria-label={`Delete view "${view.name}"`}
+                >
+                  <X size={14} />
+                </button>
+              </>
+            )}
+          </div>
+        );
+      })}
+
+      {isSaving ? (
+        <ViewNameForm
+          initialName=""
+          views={views}
+          label="Name for this view"
+          onSubmit={(name) => { onSave(name); setIsSaving(false); }}
+          onCancel={() => setIsSaving(false)}
+        />
+      ) : canSave && (
+        <button
+          onClick={() => setIsSaving(true)}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-full text-sm font-medium text-indigo-600 dark:text-indigo-400 border border-dashed border-indigo-400 hover:bg-indigo-50 dark:hover:bg-slate-700 transition-colors duration-200"
+        >
+          <BookmarkPlus size={14} />Save view
+        </button>
+      )}
+    </nav>
+  );
+};
+
+export default SavedViewsBar;
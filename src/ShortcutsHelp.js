@@ -0,0 +1,65 @@
+import React, { useEffect, useRef } from 'react';
+import { Keyboard, X } from 'lucide-react';
+import { SHORTCUTS } from './commands';
+
+// The `?` overlay listing every keyboard shortcut
+const ShortcutsHelp = ({ onClose }) => {
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const returnFocusTo = document.activeElement;
+    closeButtonRef.current.focus();
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      if (returnFocusTo && returnFocusTo.focus && document.contains(returnFocusTo)) returnFocusTo.focus();
+    };
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white dark:bg-slate-800 text-slate-800 dark:text-slate-200 rounded-xl shadow-lg w-full max-w-md p-6"
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="shortcuts-title" className="text-2xl font-bold text-indigo-700 dark:text-indigo-300 flex items-center">
+            <Keyboard size={24} className="mr-3" />Keyboard Shortcuts
+          </h2>
+          <button
+            ref={closeButtonRef}
+            onClick={onClose}
+            className="p-2 rounded-full text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-700 transition-colors duration-200"
+            aria-label="Close keyboard shortcuts"
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <dl className="space-y-2 text-sm">
+          {SHORTCUTS.map(shortcut => (
+            <div key={shortcut.keys.join('+')} className="flex justify-between gap-4">
+              <dt className="flex-shrink-0">
+                {shortcut.keys.map((key, index) => (
+                  <React.Fragment key={key}>
+                    {index > 0 && <span aria-hidden="true"> + </span>}
+                    <kbd className="px-1.5 py-0.5 rounded border border-slate-300 dark:border-slate-600 font-sans">{key}</kbd>
+                  </React.Fragment>
+                ))}
+              </dt>
+              <dd className="text-right text-slate-600 dark:text-slate-400">{shortcut.description}</dd>
+            </div>
+          ))}
+        </dl>
+        <p className="text-xs text-slate-500 dark:text-slate-400 mt-4">Single-key shortcuts are off while you type in a field.</p>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsHelp;
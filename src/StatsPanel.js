@@ -0,0 +1,182 @@
+import React, { useMemo } from 'react';
+import { BarChart3, Flame, Timer, X } from 'lucide-react';
+import {
+  getWeeklyCompletion, getOnTimeByCourse, getDueHeatmap, getAverageLeadTime, getStreaks, countUntracked
+} from './stats';
+import { parseDateKey, getTodayKey, WEEKDAY_NAMES } from './dates';
+
+// Charts are plain SVG so they work offline and follow the page's text colour via `currentColor`
+
+const shortDate = (key) => parseDateKey(key).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const CompletionRateChart = ({ weeks }) => {
+  const width = 320;
+  const height = 140;
+  const barWidth = width / weeks.length;
+  const chartHeight = height - 20;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label="Share of assignments completed per week">
+      {[0.5, 1].map(level => (
+        <line
+          key={level}
+          x1="0" x2={width} y1={chartHeight * (1 - level)} y2={chartHeight * (1 - level)}
+          stroke="currentColor" strokeOpacity="0.15"
+        />
+      ))}
+      {weeks.map((week, i) => {
+        const barHeight = week.rate === null ? 0 : Math.max(2, week.rate * chartHeight);
+        return (
+          <g key={week.start}>
+            <title>{`Week of ${shortDate(week.start)}: ${week.due === 0 ? 'nothing due' : `${week.done} of ${week.due} done`}`}</title>
+            {week.rate === null ? (
+              <rect x={i * barWidth + 4} y={chartHeight - 2} width={barWidth - 8} height="2" fill="currentColor" fillOpacity="0.2" />
+            ) : (
+              <rect x={i * barWidth + 4} y={chartHeight - barHeight} width={barWidth - 8} height={barHeight} rx="3" className="fill-indigo-500" />
+            )}
+            <text x={i * barWidth + barWidth / 2} y={height - 4} textAnchor="middle" fontSize="10" fill="currentColor" fillOpacity="0.7">
+              {shortDate(week.start)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const OnTimeChart = ({ courses }) => {
+  const max = Math.max(...courses.map(entry => entry.onTime + entry.late));
+  return (
+    <ul className="space-y-2">
+      {courses.map(entry => (
+        <li key={entry.name} className="text-sm">
+          <div className="flex justify-between mb-0.5">
+            <span className="truncate">{entry.name}</span>
+            <span className="text-slate-500 dark:text-slate-400 flex-shrink-0 ml-2">{entry.onTime} on time · {entry.late} late</span>
+          </div>
+          <svg viewBox="0 0 100 6" preserveAspectRatio="none" className="w-full h-2" aria-hidden="true">
+            <rect x="0" y="0" width={(entry.onTime / max) * 100} height="6" className="fill-emerald-500" />
+            <rect x={(entry.onTime / max) * 100} y="0" width={(entry.late / max) * 100} height="6" className="fill-rose-500" />
+          </svg>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const heatColor = (count) => {
+  if (count === 0) return 'fill-slate-200 dark:fill-slate-700';
+  if (count === 1) return 'fill-indigo-200 dark:fill-indigo-900';
+  if (count === 2) return 'fill-indigo-400 dark:fill-indigo-700';
+  return 'fill-indigo-600 dark:fill-indigo-400';
+};
+
+const DueHeatmap = ({ weeks, today }) => {
+  const cell = 16;
+  const gap = 3;
+  const labelWidth = 28;
+  return (
+    <svg
+      viewBox={`0 0 ${labelWidth + weeks.length * (cell + gap)} ${7 * (cell + gap)}`}
+      className="w-full max-w-xs h-auto"
+      role="img"
+      aria-label="Assignments due per day over the coming weeks"
+    >
+      {WEEKDAY_NAMES.map((name, day) => (
+        <text key={name} x="0" y={day * (cell + gap) + cell - 4} fontSize="9" fill="currentColor" fillOpacity="0.6">{name}</text>
+      ))}
+      {weeks.map((week, w) => week.map(({ date, count }, day) => (
+        <rect
+          key={date}
+          x={labelWidth + w * (cell + gap)}
+          y={day * (cell + gap)}
+          width={cell}
+          height={cell}
+          rx="3"
+          className={heatColor(count)}
+          stroke={date === today ? 'currentColor' : 'none'}
+          strokeWidth="1.5"
+          opacity={date < today ? 0.35 : 1}
+        >
+          <title>{`${shortDate(date)}: ${count} due`}</title>
+        </rect>
+      )))}
+    </svg>
+  );
+};
+
+const formatLeadTime = (days) => {
+  if (days < 1) return `${Math.round(days * 24)} hours`;
+  const rounded = Math.round(days * 10) / 10;
+  return `${rounded} day${rounded === 1 ? '' : 's'}`;
+};
+
+const StatsPanel = ({ assignments, courseNames, now, onClose }) => {
+  const weekly = useMemo(() => getWeeklyCompletion(assignments, now), [assignments, now]);
+  const onTime = useMemo(() => getOnTimeByCourse(assignments, courseNames), [assignments, courseNames]);
+  const heatmap = useMemo(() => getDueHeatmap(assignments, now), [assignments, now]);
+  const leadTime = useMemo(() => getAverageLeadTime(assignments), [assignments]);
+  const streaks = useMemo(() => getStreaks(assignments, now), [assignments, now]);
+  const untracked = countUntracked(assignments);
+
+  return (
+    <section className="lg:col-span-3 bg-white dark:bg-slate-800 p-6 rounded-xl shadow-lg transition-colors duration-200" aria-labelledby="stats-heading">
+      <div className="flex justify-between items-center mb-6">
+        <h2 id="stats-heading" className="text-2xl font-bold text-indigo-700 dark:text-indigo-300 flex items-center">
+          <BarChart3 size={24} className="mr-3" />Statistics
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-2 rounded-full text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-700 transition-colors duration-200"
+          aria-label="Hide statistics"
+        >
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+        <div className="bg-slate-100 dark:bg-slate-700 p-4 rounded-lg flex items-center gap-3">
+          <Flame size={32} className="text-amber-500 flex-shrink-0" />
+          <div>
+            <p className="text-2xl font-bold">{streaks.current} day{streaks.current === 1 ? '' : 's'}</p>
+            <p className="text-sm text-slate-600 dark:text-slate-400">Current streak · best {streaks.longest}</p>
+          </div>
+        </div>
+        <div className="bg-slate-100 dark:bg-slate-700 p-4 rounded-lg flex items-center gap-3">
+          <Timer size={32} className="text-indigo-500 flex-shrink-0" />
+          <div>
+            <p className="text-2xl font-bold">{leadTime ? formatLeadTime(leadTime.days) : '–'}</p>
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+              Average time from adding to finishing{leadTime ? ` (${leadTime.sample} assignment${leadTime.sample === 1 ? '' : 's'})` : ''}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div>
+          <h3 className="font-semibold mb-2">Completion rate by week due</h3>
+          <CompletionRateChart weeks={weekly} />
+        </div>
+        <div>
+          <h3 className="font-semibold mb-2">On time vs. late</h3>
+          {onTime.length === 0
+            ? <p className="text-sm text-slate-500 dark:text-slate-400">Complete an assignment with a due date to see this.</p>
+            : <OnTimeChart courses={onTime} />}
+        </div>
+        <div>
+          <h3 className="font-semibold mb-2">Due in the coming weeks</h3>
+          <DueHeatmap weeks={heatmap} today={getTodayKey(now)} />
+        </div>
+      </div>
+
+      {untracked > 0 && (
+        <p className="text-xs text-slate-500 dark:text-slate-400 mt-4">
+          {untracked} assignment{untracked === 1 ? ' was' : 's were'} completed before completion times were recorded and {untracked === 1 ? 'is' : 'are'} left out of the timing statistics.
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default StatsPanel;
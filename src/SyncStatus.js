@@ -0,0 +1,50 @@
+import React from 'react';
+import { Cloud, CloudOff, RefreshCw } from 'lucide-react';
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+const describeChanges = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+// Header badge for the sync state from useSync; clicking it syncs straight away
+const SyncStatus = ({ sync }) => {
+  const { status, pending, lastSyncedAt, error, retryAt, syncNow } = sync;
+
+  // Offline with nothing queued, the Offline badge says it all
+  if (status === 'offline' && pending === 0) return null;
+
+  let icon;
+  let label;
+  let details;
+  let colors = 'bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-300';
+  if (status === 'syncing') {
+    icon = <RefreshCw size={14} className="mr-1 animate-spin" />;
+    label = 'Syncing…';
+    details = 'Sending and fetching changes';
+  } else if (status === 'error') {
+    icon = <CloudOff size={14} className="mr-1" />;
+    label = 'Sync failed';
+    details = `${error} ${pending > 0 ? `${describeChanges(pending)} waiting. ` : ''}Trying again at ${formatClock(retryAt)}; click to try now.`;
+    colors = 'bg-rose-100 dark:bg-rose-900/40 text-rose-800 dark:text-rose-200';
+  } else if (status === 'offline') {
+    icon = <CloudOff size={14} className="mr-1" />;
+    label = `${describeChanges(pending)} waiting`;
+    details = 'They sync when you are back online';
+  } else {
+    icon = <Cloud size={14} className="mr-1" />;
+    label = pending > 0 ? `${describeChanges(pending)} to sync` : 'Synced';
+    details = lastSyncedAt ? `Last synced at ${formatClock(lastSyncedAt)}; click to sync now` : 'Click to sync now';
+  }
+
+  return (
+    <button
+      onClick={syncNow}
+      disabled={status === 'syncing'}
+      className={`flex items-center px-3 py-1 rounded-full text-xs font-medium disabled:cursor-wait ${colors}`}
+      title={details}
+    >
+      {icon}{label}
+    </button>
+  );
+};
+
+export default SyncStatus;
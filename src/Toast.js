@@ -0,0 +1,38 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+
+const TOAST_DURATION = 6000;
+
+const Toast = ({ message, actionLabel, onAction, onDismiss, duration = TOAST_DURATION }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss, duration]);
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 bg-slate-800 dark:bg-slate-200 text-slate-100 dark:text-slate-800 px-4 py-3 rounded-lg shadow-lg"
+    >
+      <span>{message}</span>
+      {actionLabel && (
+        <button
+          onClick={onAction}
+          className="font-semibold text-indigo-300 dark:text-indigo-700 hover:underline"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        onClick={onDismiss}
+        className="p-1 rounded-full hover:bg-slate-700 dark:hover:bg-slate-300 transition-colors duration-200"
+        aria-label="Dismiss notification"
+      >
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default Toast;
@@ -0,0 +1,339 @@
+// Everything the app can do to its assignments and courses, without React.
+//
+// - ACTION_TYPES / actions: the changes, as plain `{ type, ... }` objects
+// - listsReducer(lists, action): applies one to `{ assignments, courses }`
+// - validateAssignmentForm: checks the add/edit form and turns it into values
+// - selectors for what the list, header and course manager show
+//
+// The reducer returns `lists` itself when an action changes nothing, so the undo history
+// (useUndoHistory) does not record it. Timestamps come in on the action, and new ids (of next
+// occurrences, courses, subtasks and imported rows) are made from them, so replaying an action on
+// the same lists gives the same result; the action creators fill in the current time.
+
+import { setCompleted, updateAssignments, shiftDueDates } from './bulkActions';
+import { createSubtaskId } from './assignmentUtils';
+import { createCourse, createCourseRegistry, mergeCourses, deleteCourse } from './courses';
+import { moveAssignmentTo, sortAssignments } from './sorting';
+import { filterAssignments } from './filters';
+import { parseQuery } from './query';
+import { parseGradeFields } from './grades';
+import { applyImport } from './importExport';
+import { getTodayKey, toTimeKey } from './dates';
+
+export const ACTION_TYPES = Object.freeze({
+  ADD: 'assignments/add',
+  EDIT: 'assignments/edit',
+  UPDATE: 'assignments/update',
+  DELETE: 'assignments/delete',
+  DELETE_COMPLETED: 'assignments/deleteCompleted',
+  SET_COMPLETED: 'assignments/setCompleted',
+  RESCHEDULE: 'assignments/reschedule',
+  SHIFT_DUE_DATES: 'assignments/shiftDueDates',
+  SET_COURSE: 'assignments/setCourse',
+  MOVE: 'assignments/move',
+  ADD_SUBTASK: 'subtasks/add',
+  TOGGLE_SUBTASK: 'subtasks/toggle',
+  MOVE_SUBTASK: 'subtasks/move',
+  DELETE_SUBTASK: 'subtasks/delete',
+  CREATE_COURSE: 'courses/create',
+  UPDATE_COURSE: 'courses/update',
+  MERGE_COURSES: 'courses/merge',
+  DELETE_COURSE: 'courses/delete',
+  IMPORT: 'lists/import'
+});
+
+const MAX_ESTIMATED_HOURS = 1000;
+
+const timestamp = () => new Date().toISOString();
+
+// `values` is what validateAssignmentForm returns. `ids` are Sets.
+export const actions = {
+  add: (values, id = Date.now(), now = timestamp()) => ({ type: ACTION_TYPES.ADD, values, id, now }),
+  // `scope` is 'occurrence' or 'series' for repeating assignments
+  edit: (id, values, scope = 'occurrence', now = timestamp()) => ({ type: ACTION_TYPES.EDIT, id, values, scope, now }),
+  update: (ids, changes, now = timestamp()) => ({ type: ACTION_TYPES.UPDATE, ids, changes, now }),
+  delete: (ids) => ({ type: ACTION_TYPES.DELETE, ids }),
+  deleteCompleted: () => ({ type: ACTION_TYPES.DELETE_COMPLETED }),
+  setCompleted: (ids, completed, now = timestamp()) => ({ type: ACTION_TYPES.SET_COMPLETED, ids, completed, now }),
+  reschedule: (id, dueDate, now = timestamp()) => ({ type: ACTION_TYPES.RESCHEDULE, id, dueDate, now }),
+  shiftDueDates: (ids, days, now = timestamp()) => ({ type: ACTION_TYPES.SHIFT_DUE_DATES, ids, days, now }),
+  // A course name that is not known yet creates the course; an empty name removes the course
+  setCourse: (ids, courseName, now = timestamp()) => ({ type: ACTION_TYPES.SET_COURSE, ids, courseName, now }),
+  move: (id, targetId, placement) => ({ type: ACTION_TYPES.MOVE, id, targetId, placement }),
+  // `autoComplete`: whether finishing every subtask completes the assignment (a user setting)
+  addSubtask: (id, title, autoComplete, now = timestamp()) => ({ type: ACTION_TYPES.ADD_SUBTASK, id, title, autoComplete, now }),
+  toggleSubtask: (id, subtaskId, autoComplete, now = timestamp()) => ({ type: ACTION_TYPES.TOGGLE_SUBTASK, id, subtaskId, autoComplete, now }),
+  moveSubtask: (id, subtaskId, direction, autoComplete, now = timestamp()) => ({ type: ACTION_TYPES.MOVE_SUBTASK, id, subtaskId, direction, autoComplete, now }),
+  deleteSubtask: (id, subtaskId, autoComplete, now = timestamp()) => ({ type: ACTION_TYPES.DELETE_SUBTASK, id, subtaskId, autoComplete, now }),
+  createCourse: (name, now = timestamp()) => ({ type: ACTION_TYPES.CREATE_COURSE, name, now }),
+  updateCourse: (id, changes, now = timestamp()) => ({ type: ACTION_TYPES.UPDATE_COURSE, id, changes, now }),
+  mergeCourses: (sourceId, targetId, now = timestamp()) => ({ type: ACTION_TYPES.MERGE_COURSES, sourceId, targetId, now }),
+  deleteCourse: (id, now = timestamp()) => ({ type: ACTION_TYPES.DELETE_COURSE, id, now }),
+  // `rows` and `mode` as for applyImport in importExport.js
+  import: (rows, mode, now = timestamp()) => ({ type: ACTION_TYPES.IMPORT, rows, mode, now })
+};
+
+// A complete assignment record with every field the storage schema expects
+export const createAssignment = (fields, id, now) => ({
+  id,
+  title: '',
+  completed: false,
+  completedAt: null,
+  courseId: null,
+  pointsEarned: null,
+  pointsPossible: null,
+  weight: null,
+  gradingCategoryId: null,
+  estimatedHours: null,
+  dueDate: '',
+  dueTime: '',
+  priority: 'medium',
+  subtasks: [],
+  recurrence: null,
+  seriesId: null,
+  icalUid: null,
+  notes: '',
+  links: [],
+  attachments: [],
+  createdAt: now,
+  updatedAt: now,
+  ...fields
+});
+
+// Checks the add/edit form. `form` holds the raw field values (`grade` as in GradeFields,
+// `estimatedHours` as typed); `editing` is the assignment being edited, if any. Returns
+// `{ errors, values }`, where `errors` has a message or '' for `title`, `dueDate`, `recurrence`,
+// `estimatedHours` and `grade`, and `values` is only set when there are no errors.
+export const validateAssignmentForm = (form, editing = null, now = new Date()) => {
+  const errors = { title: '', dueDate: '', recurrence: '', estimatedHours: '', grade: '' };
+  const title = form.title.trim();
+  if (!title) errors.title = 'Title is required.';
+
+  const today = getTodayKey(now);
+  if (form.dueDate && form.dueDate < today) {
+    errors.dueDate = 'Due date cannot be in the past.';
+  } else if (form.dueTime && !form.dueDate) {
+    errors.dueDate = 'Pick a due date to go with the due time.';
+  } else if (form.dueTime && form.dueDate === today && form.dueTime < toTimeKey(now)
+    && !(editing && editing.dueDate === today && editing.dueTime === form.dueTime)) {
+    // Leaving an existing deadline as it was is fine even once it has passed
+    errors.dueDate = 'That time has already passed today.';
+  }
+
+  if (form.recurrence && !form.dueDate) {
+    errors.recurrence = 'Repeating assignments need a due date.';
+  } else if (form.recurrence && form.recurrence.until && form.recurrence.until < form.dueDate) {
+    errors.recurrence = 'The repeat end date must be on or after the due date.';
+  }
+
+  const effort = String(form.estimatedHours ?? '').trim();
+  const estimatedHours = effort === '' ? null : Number(effort);
+  if (estimatedHours !== null && !(estimatedHours >= 0 && estimatedHours <= MAX_ESTIMATED_HOURS)) {
+    errors.estimatedHours = `Enter the effort in hours, from 0 to ${MAX_ESTIMATED_HOURS}.`;
+  }
+
+  const grade = parseGradeFields(form.grade);
+  errors.grade = grade.error || '';
+
+  if (Object.values(errors).some(Boolean)) return { errors, values: null };
+  return {
+    errors,
+    values: {
+      title,
+      courseName: form.courseName,
+      dueDate: form.dueDate,
+      dueTime: form.dueTime,
+      priority: form.priority,
+      recurrence: form.recurrence,
+      estimatedHours,
+      ...grade.values
+    }
+  };
+};
+
+const withAssignments = (lists, assignments) => (assignments === lists.assignments ? lists : { ...lists, assignments });
+
+const hasAny = (assignments, ids) => assignments.some(assign => ids.has(assign.id));
+
+// A grading category only applies within its own course
+const gradeFieldsFor = (values, courseId, courses) => {
+  const course = courses.find(other => other.id === courseId);
+  const keepCategory = course && (course.gradingCategories || []).some(category => category.id === values.gradingCategoryId);
+  return {
+    pointsEarned: values.pointsEarned,
+    pointsPossible: values.pointsPossible,
+    weight: values.weight,
+    gradingCategoryId: keepCategory ? values.gradingCategoryId : null
+  };
+};
+
+const addAssignment = (lists, { values, id, now }) => {
+  const { courseName, ...fields } = values;
+  // A course name that is not known yet creates the course in the same change
+  const registry = createCourseRegistry(lists.courses, now);
+  const courseId = registry.courseIdFor(courseName);
+  const assignment = createAssignment({ ...fields, courseId, ...gradeFieldsFor(values, courseId, registry.courses) }, id, now);
+  return { assignments: [assignment, ...lists.assignments], courses: registry.courses };
+};
+
+const editAssignment = (lists, { id, values, scope, now }) => {
+  const editing = lists.assignments.find(assign => assign.id === id);
+  if (!editing) return lists;
+  const editSeries = scope === 'series' && editing.seriesId !== null;
+  const registry = createCourseRegistry(lists.courses, now);
+  const courseId = registry.courseIdFor(values.courseName);
+  const { pointsEarned, ...gradeChanges } = gradeFieldsFor(values, courseId, registry.courses);
+  const sharedChanges = {
+    title: values.title,
+    courseId,
+    // Scores belong to one occurrence; what the work is worth carries across the series
+    ...gradeChanges,
+    priority: values.priority,
+    recurrence: values.recurrence,
+    estimatedHours: values.estimatedHours,
+    // Repeating assignments are usually due at the same time of day, so the time is shared too
+    dueTime: values.dueTime,
+    updatedAt: now
+  };
+  return {
+    assignments: lists.assignments.map(assign => {
+      if (assign.id === id) {
+        return { ...assign, ...sharedChanges, pointsEarned, dueDate: values.dueDate };
+      }
+      // Finished occurrences are history, so series edits only reach the ones still to do
+      if (editSeries && assign.seriesId === editing.seriesId && !assign.completed) {
+        return { ...assign, ...sharedChanges };
+      }
+      return assign;
+    }),
+    courses: registry.courses
+  };
+};
+
+const updateSubtasks = (lists, { id, autoComplete, now }, getSubtasks) => {
+  const assignment = lists.assignments.find(assign => assign.id === id);
+  if (!assignment) return lists;
+  const subtasks = getSubtasks(assignment.subtasks || []);
+  if (subtasks === assignment.subtasks) return lists;
+  const updated = lists.assignments.map(assign => (assign.id === id ? { ...assign, subtasks, updatedAt: now } : assign));
+  // Checking off the last subtask finishes the assignment like its checkbox does, scheduling the
+  // next occurrence of a repeating one; unchecking one reopens it
+  const completed = subtasks.every(subtask => subtask.done);
+  if (!autoComplete || subtasks.length === 0 || completed === assignment.completed) return withAssignments(lists, updated);
+  return withAssignments(lists, setCompleted(updated, new Set([id]), completed, now));
+};
+
+const moveSubtask = (subtasks, subtaskId, direction) => {
+  const index = subtasks.findIndex(subtask => subtask.id === subtaskId);
+  const newIndex = direction === 'up' ? index - 1 : index + 1;
+  if (index === -1 || newIndex < 0 || newIndex >= subtasks.length) return subtasks;
+  const moved = [...subtasks];
+  const [subtask] = moved.splice(index, 1);
+  moved.splice(newIndex, 0, subtask);
+  return moved;
+};
+
+// Assignments in a grading category that was removed become uncategorized
+const updateCourse = (lists, { id, changes, now }) => {
+  const course = lists.courses.find(other => other.id === id);
+  if (!course) return lists;
+  const keptCategoryIds = new Set((changes.gradingCategories || course.gradingCategories).map(category => category.id));
+  return {
+    assignments: lists.assignments.map(assign => (
+      assign.courseId === id && assign.gradingCategoryId !== null && !keptCategoryIds.has(assign.gradingCategoryId)
+        ? { ...assign, gradingCategoryId: null, updatedAt: now }
+        : assign
+    )),
+    courses: lists.courses.map(other => (other.id === id ? { ...other, ...changes, updatedAt: now } : other))
+  };
+};
+
+export const listsReducer = (lists, action) => {
+  switch (action.type) {
+    case ACTION_TYPES.ADD:
+      return addAssignment(lists, action);
+    case ACTION_TYPES.EDIT:
+      return editAssignment(lists, action);
+    case ACTION_TYPES.UPDATE:
+      if (!hasAny(lists.assignments, action.ids)) return lists;
+      return withAssignments(lists, updateAssignments(lists.assignments, action.ids, () => action.changes, action.now));
+    case ACTION_TYPES.DELETE:
+      if (!hasAny(lists.assignments, action.ids)) return lists;
+      return withAssignments(lists, lists.assignments.filter(assign => !action.ids.has(assign.id)));
+    case ACTION_TYPES.DELETE_COMPLETED:
+      if (!lists.assignments.some(assign => assign.completed)) return lists;
+      return withAssignments(lists, lists.assignments.filter(assign => !assign.completed));
+    case ACTION_TYPES.SET_COMPLETED:
+      if (!lists.assignments.some(assign => action.ids.has(assign.id) && assign.completed !== action.completed)) return lists;
+      return withAssignments(lists, setCompleted(lists.assignments, action.ids, action.completed, action.now));
+    case ACTION_TYPES.RESCHEDULE:
+      if (!lists.assignments.some(assign => assign.id === action.id && assign.dueDate !== action.dueDate)) return lists;
+      return withAssignments(lists, updateAssignments(lists.assignments, new Set([action.id]), () => ({ dueDate: action.dueDate }), action.now));
+    case ACTION_TYPES.SHIFT_DUE_DATES:
+      if (action.days === 0 || !lists.assignments.some(assign => action.ids.has(assign.id) && assign.dueDate)) return lists;
+      return withAssignments(lists, shiftDueDates(lists.assignments, action.ids, action.days, action.now));
+    case ACTION_TYPES.SET_COURSE: {
+      if (!hasAny(lists.assignments, action.ids)) return lists;
+      const registry = createCourseRegistry(lists.courses, action.now);
+      const courseId = registry.courseIdFor(action.courseName);
+      return {
+        assignments: updateAssignments(lists.assignments, action.ids, () => ({ courseId }), action.now),
+        courses: registry.courses
+      };
+    }
+    case ACTION_TYPES.MOVE: {
+      const moved = moveAssignmentTo(lists.assignments, action.id, action.targetId, action.placement);
+      const unchanged = moved.every((assign, index) => assign === lists.assignments[index]);
+      return unchanged ? lists : withAssignments(lists, moved);
+    }
+    case ACTION_TYPES.ADD_SUBTASK:
+      return updateSubtasks(lists, action, subtasks => [...subtasks, { id: createSubtaskId(subtasks, action.now), title: action.title, done: false }]);
+    case ACTION_TYPES.TOGGLE_SUBTASK:
+      return updateSubtasks(lists, action, subtasks => (subtasks.some(subtask => subtask.id === action.subtaskId)
+        ? subtasks.map(subtask => (subtask.id === action.subtaskId ? { ...subtask, done: !subtask.done } : subtask))
+        : subtasks));
+    case ACTION_TYPES.MOVE_SUBTASK:
+      return updateSubtasks(lists, action, subtasks => moveSubtask(subtasks, action.subtaskId, action.direction));
+    case ACTION_TYPES.DELETE_SUBTASK:
+      return updateSubtasks(lists, action, subtasks => (subtasks.some(subtask => subtask.id === action.subtaskId)
+        ? subtasks.filter(subtask => subtask.id !== action.subtaskId)
+        : subtasks));
+    case ACTION_TYPES.CREATE_COURSE:
+      return { ...lists, courses: [...lists.courses, createCourse(action.name, lists.courses, {}, action.now)] };
+    case ACTION_TYPES.UPDATE_COURSE:
+      return updateCourse(lists, action);
+    case ACTION_TYPES.MERGE_COURSES:
+      if (!lists.courses.some(course => course.id === action.sourceId)) return lists;
+      return mergeCourses(lists, action.sourceId, action.targetId, action.now);
+    case ACTION_TYPES.DELETE_COURSE:
+      if (!lists.courses.some(course => course.id === action.id)) return lists;
+      return deleteCourse(lists, action.id, action.now);
+    case ACTION_TYPES.IMPORT:
+      return applyImport(lists, action.rows, action.mode, action.now);
+    default:
+      throw new Error(`Unknown action "${action.type}".`);
+  }
+};
+
+// Selectors
+
+export const selectAssignment = (assignments, id) => assignments.find(assign => assign.id === id) || null;
+
+// What the list shows: `filters` as in filters.js, `query` parsed from its search term
+export const selectVisibleAssignments = (assignments, { filters, sortMode, now = new Date(), query = parseQuery(filters.searchTerm), courseNames = new Map() }) => (
+  sortAssignments(filterAssignments(assignments, filters, now, query, courseNames), sortMode, courseNames)
+);
+
+export const selectAssignmentCounts = (assignments) => {
+  const completed = assignments.filter(assign => assign.completed).length;
+  return { total: assignments.length, completed, pending: assignments.length - completed };
+};
+
+// Course id -> number of assignments in it
+export const selectCourseAssignmentCounts = (assignments) => {
+  const counts = new Map();
+  assignments.forEach(assign => {
+    if (assign.courseId !== null) counts.set(assign.courseId, (counts.get(assign.courseId) || 0) + 1);
+  });
+  return counts;
+};
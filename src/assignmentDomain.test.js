@@ -0,0 +1,293 @@
+import {
+  actions, listsReducer, createAssignment, validateAssignmentForm,
+  selectVisibleAssignments, selectAssignmentCounts, selectCourseAssignmentCounts
+} from './assignmentDomain';
+import { createRecurrence } from './recurrence';
+import { EMPTY_GRADE_FIELDS } from './grades';
+import { DEFAULT_FILTERS } from './filters';
+
+const NOW = '2030-03-01T12:00:00.000Z';
+const LATER = '2030-03-02T08:00:00.000Z';
+
+const makeAssignment = (id, fields = {}) => createAssignment({ title: `Assignment ${id}`, ...fields }, id, NOW);
+
+const makeCourse = (id, name, fields = {}) => ({
+  id, name, color: '#6366f1', instructor: '', term: '', archived: false, gradingCategories: [], createdAt: NOW, updatedAt: NOW, ...fields
+});
+
+const values = (fields = {}) => ({
+  title: 'Essay',
+  courseName: '',
+  dueDate: '',
+  dueTime: '',
+  priority: 'medium',
+  recurrence: null,
+  pointsEarned: null,
+  pointsPossible: null,
+  weight: null,
+  gradingCategoryId: null,
+  ...fields
+});
+
+const emptyLists = { assignments: [], courses: [] };
+
+describe('listsReducer', () => {
+  test('adds a complete record on top and creates its course by name', () => {
+    const lists = { assignments: [makeAssignment(1)], courses: [] };
+    const next = listsReducer(lists, actions.add(values({ courseName: ' Biology ' }), 2, NOW));
+
+    expect(next.assignments.map(assign => assign.id)).toEqual([2, 1]);
+    expect(next.courses).toHaveLength(1);
+    expect(next.courses[0].name).toBe('Biology');
+    expect(next.assignments[0]).toMatchObject({
+      title: 'Essay', courseId: next.courses[0].id, notes: '', links: [], attachments: [], createdAt: NOW, updatedAt: NOW
+    });
+  });
+
+  test('reuses an existing course regardless of case', () => {
+    const lists = { assignments: [], courses: [makeCourse('c1', 'Biology')] };
+    const next = listsReducer(lists, actions.add(values({ courseName: 'biology' }), 1, NOW));
+    expect(next.courses).toHaveLength(1);
+    expect(next.assignments[0].courseId).toBe('c1');
+  });
+
+  test('drops a grading category that belongs to another course', () => {
+    const course = makeCourse('c1', 'Biology', { gradingCategories: [{ id: 'g1', name: 'Labs', weight: 100 }] });
+    const lists = { assignments: [], courses: [course] };
+    const kept = listsReducer(lists, actions.add(values({ courseName: 'Biology', gradingCategoryId: 'g1' }), 1, NOW));
+    const dropped = listsReducer(lists, actions.add(values({ courseName: 'Chemistry', gradingCategoryId: 'g1' }), 1, NOW));
+    expect(kept.assignments[0].gradingCategoryId).toBe('g1');
+    expect(dropped.assignments[0].gradingCategoryId).toBeNull();
+  });
+
+  test('edits one occurrence, or the unfinished rest of its series', () => {
+    const lists = {
+      assignments: [
+        makeAssignment(1, { seriesId: 1, dueDate: '2030-03-01', pointsEarned: 8, pointsPossible: 10 }),
+        makeAssignment(2, { seriesId: 1, dueDate: '2030-03-08' }),
+        makeAssignment(3, { seriesId: 1, dueDate: '2030-02-22', completed: true, completedAt: NOW })
+      ],
+      courses: []
+    };
+    const edit = values({ title: 'Quiz', dueDate: '2030-03-02', priority: 'high', pointsPossible: 20 });
+
+    const single = listsReducer(lists, actions.edit(1, edit, 'occurrence', LATER));
+    expect(single.assignments.map(assign => assign.title)).toEqual(['Quiz', 'Assignment 2', 'Assignment 3']);
+    expect(single.assignments[0]).toMatchObject({ dueDate: '2030-03-02', pointsEarned: null, updatedAt: LATER });
+
+    const series = listsReducer(lists, actions.edit(1, edit, 'series', LATER));
+    expect(series.assignments.map(assign => assign.title)).toEqual(['Quiz', 'Quiz', 'Assignment 3']);
+    // Each occurrence keeps its own due date
+    expect(series.assignments[1]).toMatchObject({ dueDate: '2030-03-08', priority: 'high', pointsPossible: 20 });
+  });
+
+  test('returns the same lists when an action changes nothing', () => {
+    const lists = { assignments: [makeAssignment(1)], courses: [] };
+    expect(listsReducer(lists, actions.delete(new Set([99])))).toBe(lists);
+    expect(listsReducer(lists, actions.setCompleted(new Set([1]), false))).toBe(lists);
+    expect(listsReducer(lists, actions.reschedule(1, ''))).toBe(lists);
+    expect(listsReducer(lists, actions.move(1, 1, 'before'))).toBe(lists);
+    expect(listsReducer(lists, actions.deleteCompleted())).toBe(lists);
+    expect(listsReducer(lists, actions.toggleSubtask(1, 5, true))).toBe(lists);
+  });
+
+  test('completing a repeating assignment schedules the next occurrence', () => {
+    const recurrence = createRecurrence('weekly');
+    const lists = { assignments: [makeAssignment(1, { dueDate: '2030-03-01', recurrence, icalUid: 'event-1@example.com' })], courses: [] };
+    const next = listsReducer(lists, actions.setCompleted(new Set([1]), true, LATER));
+
+    expect(next.assignments).toHaveLength(2);
+    expect(next.assignments[0]).toMatchObject({ dueDate: '2030-03-08', completed: false, seriesId: 1, icalUid: null });
+    expect(next.assignments[1]).toMatchObject({ completed: true, completedAt: LATER, seriesId: 1 });
+  });
+
+  test('finishing the subtasks of a repeating assignment schedules the next occurrence', () => {
+    const subtasks = [{ id: 1, title: 'Read', done: true }, { id: 2, title: 'Summarize', done: false }];
+    const lists = { assignments: [makeAssignment(1, { dueDate: '2030-03-01', recurrence: createRecurrence('weekly'), subtasks })], courses: [] };
+    const next = listsReducer(lists, actions.toggleSubtask(1, 2, true, LATER));
+
+    expect(next.assignments).toHaveLength(2);
+    expect(next.assignments[0]).toMatchObject({ dueDate: '2030-03-08', completed: false, seriesId: 1 });
+    expect(next.assignments[0].subtasks.map(subtask => subtask.done)).toEqual([false, false]);
+    expect(next.assignments[1]).toMatchObject({ completed: true, completedAt: LATER, seriesId: 1 });
+    expect(next.assignments[1].subtasks.map(subtask => subtask.done)).toEqual([true, true]);
+  });
+
+  test('deletes, reschedules, shifts and reorders', () => {
+    const lists = {
+      assignments: [makeAssignment(1, { dueDate: '2030-03-05' }), makeAssignment(2), makeAssignment(3, { completed: true })],
+      courses: []
+    };
+    expect(listsReducer(lists, actions.delete(new Set([1, 2]))).assignments.map(a => a.id)).toEqual([3]);
+    expect(listsReducer(lists, actions.deleteCompleted()).assignments.map(a => a.id)).toEqual([1, 2]);
+    expect(listsReducer(lists, actions.reschedule(2, '2030-04-01', LATER)).assignments[1]).toMatchObject({ dueDate: '2030-04-01', updatedAt: LATER });
+    // Undated assignments are left alone
+    const shifted = listsReducer(lists, actions.shiftDueDates(new Set([1, 2]), 3, LATER));
+    expect(shifted.assignments.map(a => a.dueDate)).toEqual(['2030-03-08', '', '']);
+    expect(listsReducer(lists, actions.move(3, 1, 'before')).assignments.map(a => a.id)).toEqual([3, 1, 2]);
+  });
+
+  test('updates fields and moves assignments between courses', () => {
+    const lists = { assignments: [makeAssignment(1), makeAssignment(2)], courses: [] };
+    const updated = listsReducer(lists, actions.update(new Set([2]), { priority: 'low' }, LATER));
+    expect(updated.assignments[1]).toMatchObject({ priority: 'low', updatedAt: LATER });
+    expect(updated.assignments[0]).toBe(lists.assignments[0]);
+
+    const moved = listsReducer(lists, actions.setCourse(new Set([1, 2]), 'History'));
+    expect(moved.courses.map(course => course.name)).toEqual(['History']);
+    expect(moved.assignments.every(assign => assign.courseId === moved.courses[0].id)).toBe(true);
+    const cleared = listsReducer(moved, actions.setCourse(new Set([1]), ''));
+    expect(cleared.assignments[0].courseId).toBeNull();
+  });
+
+  test('finishing every subtask completes the assignment when asked to', () => {
+    let lists = { assignments: [makeAssignment(1)], courses: [] };
+    lists = listsReducer(lists, actions.addSubtask(1, 'Outline', true, NOW));
+    lists = listsReducer(lists, actions.addSubtask(1, 'Draft', true, NOW));
+    const [first, second] = lists.assignments[0].subtasks;
+    expect(lists.assignments[0].subtasks.map(subtask => subtask.title)).toEqual(['Outline', 'Draft']);
+
+    lists = listsReducer(lists, actions.moveSubtask(1, second.id, 'up', true, NOW));
+    expect(lists.assignments[0].subtasks.map(subtask => subtask.title)).toEqual(['Draft', 'Outline']);
+
+    const manual = listsReducer(listsReducer(lists, actions.toggleSubtask(1, first.id, false, NOW)), actions.toggleSubtask(1, second.id, false, NOW));
+    expect(manual.assignments[0].completed).toBe(false);
+
+    lists = listsReducer(lists, actions.toggleSubtask(1, first.id, true, NOW));
+    lists = listsReducer(lists, actions.toggleSubtask(1, second.id, true, LATER));
+    expect(lists.assignments[0]).toMatchObject({ completed: true, completedAt: LATER });
+
+    lists = listsReducer(lists, actions.deleteSubtask(1, first.id, true, LATER));
+    expect(lists.assignments[0].subtasks).toHaveLength(1);
+  });
+
+  test('manages courses', () => {
+    const course = makeCourse('c1', 'Biology', { gradingCategories: [{ id: 'g1', name: 'Labs', weight: 50 }, { id: 'g2', name: 'Exams', weight: 50 }] });
+    const lists = {
+      assignments: [makeAssignment(1, { courseId: 'c1', gradingCategoryId: 'g1' }), makeAssignment(2, { courseId: 'c2' })],
+      courses: [course, makeCourse('c2', 'Chemistry')]
+    };
+
+    const created = listsReducer(emptyLists, actions.createCourse('Physics'));
+    expect(created.courses.map(other => other.name)).toEqual(['Physics']);
+
+    // Removing a grading category leaves its assignments uncategorized
+    const updated = listsReducer(lists, actions.updateCourse('c1', { name: 'Bio', gradingCategories: [course.gradingCategories[1]] }, LATER));
+    expect(updated.courses[0]).toMatchObject({ name: 'Bio', updatedAt: LATER });
+    expect(updated.assignments[0].gradingCategoryId).toBeNull();
+
+    const merged = listsReducer(lists, actions.mergeCourses('c2', 'c1'));
+    expect(merged.courses.map(other => other.id)).toEqual(['c1']);
+    expect(merged.assignments[1].courseId).toBe('c1');
+
+    const deleted = listsReducer(lists, actions.deleteCourse('c1'));
+    expect(deleted.courses.map(other => other.id)).toEqual(['c2']);
+    expect(deleted.assignments[0]).toMatchObject({ courseId: null, gradingCategoryId: null });
+  });
+
+  test('replaying the same actions gives the same lists, whatever the clock says', () => {
+    const lists = {
+      assignments: [makeAssignment(1, { dueDate: '2030-03-01', recurrence: createRecurrence('weekly'), courseId: 'c1' })],
+      courses: [makeCourse('c1', 'Biology')]
+    };
+    const replayed = [
+      actions.setCompleted(new Set([1]), true, LATER),
+      actions.createCourse('Physics', LATER),
+      actions.add(values({ courseName: 'Chemistry' }), 2, LATER),
+      actions.setCourse(new Set([2]), 'History', LATER),
+      actions.addSubtask(2, 'Outline', false, LATER),
+      actions.addSubtask(2, 'Draft', false, LATER),
+      actions.deleteCourse('c1', LATER)
+    ];
+    const replay = () => replayed.reduce(listsReducer, lists);
+
+    jest.useFakeTimers();
+    try {
+      jest.setSystemTime(new Date('2030-05-01T00:00:00.000Z'));
+      const first = replay();
+      jest.setSystemTime(new Date('2031-01-01T00:00:00.000Z'));
+      expect(replay()).toEqual(first);
+      expect(first.assignments.find(assign => assign.seriesId === 1 && !assign.completed)).toMatchObject({ createdAt: LATER });
+      expect(first.courses.map(course => course.createdAt)).toEqual([LATER, LATER, LATER]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('rejects unknown actions', () => {
+    expect(() => listsReducer(emptyLists, { type: 'nope' })).toThrow('Unknown action "nope".');
+  });
+});
+
+describe('validateAssignmentForm', () => {
+  const now = new Date(2030, 2, 10, 14, 30);
+  const form = (fields = {}) => ({
+    title: 'Essay', courseName: 'Biology', dueDate: '', dueTime: '', priority: 'high', recurrence: null, grade: EMPTY_GRADE_FIELDS, ...fields
+  });
+
+  test('turns a valid form into values', () => {
+    const { errors, values: result } = validateAssignmentForm(form({ title: '  Essay  ', dueDate: '2030-03-11', grade: { ...EMPTY_GRADE_FIELDS, pointsPossible: '20' } }), null, now);
+    expect(Object.values(errors).every(error => error === '')).toBe(true);
+    expect(result).toMatchObject({ title: 'Essay', courseName: 'Biology', dueDate: '2030-03-11', priority: 'high', pointsPossible: 20, pointsEarned: null });
+  });
+
+  test('reports every problem at once', () => {
+    const { errors, values: result } = validateAssignmentForm(form({
+      title: ' ', dueDate: '2030-03-09', recurrence: createRecurrence('daily'), grade: { ...EMPTY_GRADE_FIELDS, pointsEarned: '5' }
+    }), null, now);
+    expect(result).toBeNull();
+    expect(errors).toEqual({
+      title: 'Title is required.',
+      dueDate: 'Due date cannot be in the past.',
+      recurrence: '',
+      estimatedHours: '',
+      grade: 'Enter the points possible to go with the points earned.'
+    });
+  });
+
+  test('checks due times and repeat rules against the due date', () => {
+    expect(validateAssignmentForm(form({ dueTime: '09:00' }), null, now).errors.dueDate).toBe('Pick a due date to go with the due time.');
+    expect(validateAssignmentForm(form({ dueDate: '2030-03-10', dueTime: '09:00' }), null, now).errors.dueDate).toBe('That time has already passed today.');
+    expect(validateAssignmentForm(form({ recurrence: createRecurrence('weekly') }), null, now).errors.recurrence).toBe('Repeating assignments need a due date.');
+    expect(validateAssignmentForm(form({ dueDate: '2030-03-12', recurrence: { ...createRecurrence('weekly'), until: '2030-03-11' } }), null, now).errors.recurrence)
+      .toBe('The repeat end date must be on or after the due date.');
+  });
+
+  test('reads the estimated effort in hours', () => {
+    expect(validateAssignmentForm(form({ estimatedHours: ' 2.5 ' }), null, now).values.estimatedHours).toBe(2.5);
+    expect(validateAssignmentForm(form({ estimatedHours: '' }), null, now).values.estimatedHours).toBeNull();
+    expect(validateAssignmentForm(form({ estimatedHours: '-1' }), null, now).errors.estimatedHours).toBe('Enter the effort in hours, from 0 to 1000.');
+  });
+
+  test('lets an edit keep a deadline that has just passed', () => {
+    const editing = makeAssignment(1, { dueDate: '2030-03-10', dueTime: '09:00' });
+    expect(validateAssignmentForm(form({ dueDate: '2030-03-10', dueTime: '09:00' }), editing, now).values).not.toBeNull();
+  });
+});
+
+describe('selectors', () => {
+  const assignments = [
+    makeAssignment(1, { title: 'Lab report', priority: 'low', courseId: 'c1', dueDate: '2030-03-05' }),
+    makeAssignment(2, { title: 'Essay draft', priority: 'high', dueDate: '2030-03-09', notes: 'Use the library sources' }),
+    makeAssignment(3, { title: 'Problem set', priority: 'high', completed: true, courseId: 'c1' })
+  ];
+  const courseNames = new Map([['c1', 'Biology']]);
+  const now = new Date(2030, 2, 1);
+
+  test('filter and sort the list', () => {
+    const visible = (filters, sortMode = 'smart') => selectVisibleAssignments(assignments, { filters: { ...DEFAULT_FILTERS, ...filters }, sortMode, now, courseNames })
+      .map(assign => assign.id);
+    expect(visible({})).toEqual([2, 1, 3]);
+    expect(visible({}, 'title')).toEqual([2, 1, 3]);
+    expect(visible({}, 'manual')).toEqual([1, 2, 3]);
+    expect(visible({ filterStatus: 'completed' })).toEqual([3]);
+    expect(visible({ filterCategory: 'c1' }, 'due')).toEqual([1, 3]);
+    expect(visible({ searchTerm: 'library' })).toEqual([2]);
+    expect(visible({ searchTerm: 'course:biology priority:low' })).toEqual([1]);
+  });
+
+  test('count assignments', () => {
+    expect(selectAssignmentCounts(assignments)).toEqual({ total: 3, pending: 2, completed: 1 });
+    expect(selectCourseAssignmentCounts(assignments)).toEqual(new Map([['c1', 2]]));
+  });
+});
@@ -0,0 +1,49 @@
+// Display helpers shared by the list and other views of assignments.
+
+import { isPastDue } from './dates';
+
+export const getPriorityColor = (priority) => {
+  switch (priority) {
+    case 'high': return 'bg-rose-500';
+    case 'medium': return 'bg-indigo-500';
+    case 'low': return 'bg-emerald-500';
+    default: return 'bg-gray-400';
+  }
+};
+
+export const getPriorityText = (priority) => {
+  switch (priority) {
+    case 'high': return 'High';
+    case 'medium': return 'Medium';
+    case 'low': return 'Low';
+    default: return 'N/A';
+  }
+};
+
+export const isOverdue = (dueDate, completed, dueTime = '', now = new Date()) => (
+  !completed && isPastDue(dueDate, dueTime, now)
+);
+
+export const getSubtaskProgress = (assignment) => {
+  const subtasks = assignment.subtasks || [];
+  const done = subtasks.filter(subtask => subtask.done).length;
+  return {
+    done,
+    total: subtasks.length,
+    percent: subtasks.length === 0 ? 0 : Math.round((done / subtasks.length) * 100)
+  };
+};
+
+// Started but not finished: some, not all, subtasks are checked off
+export const isInProgress = (assignment) => {
+  const { done, total } = getSubtaskProgress(assignment);
+  return !assignment.completed && done > 0 && done < total;
+};
+
+// The id comes from `now`, bumped past any in use, so the same call always gives the same id
+export const createSubtaskId = (subtasks, now = new Date().toISOString()) => {
+  const usedIds = new Set(subtasks.map(subtask => subtask.id));
+  let id = Date.parse(now);
+  while (usedIds.has(id)) id++;
+  return id;
+};
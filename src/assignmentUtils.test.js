@@ -0,0 +1,42 @@
+import { isOverdue, getPriorityText, getPriorityColor, getSubtaskProgress, isInProgress, createSubtaskId } from './assignmentUtils';
+
+describe('isOverdue', () => {
+  const now = new Date(2030, 2, 10, 14, 30);
+
+  test('past due dates are overdue until completed', () => {
+    expect(isOverdue('2030-03-09', false, '', now)).toBe(true);
+    expect(isOverdue('2030-03-09', true, '', now)).toBe(false);
+  });
+
+  test('a date without a time is due at the end of that day', () => {
+    expect(isOverdue('2030-03-10', false, '', now)).toBe(false);
+  });
+
+  test('a due time makes it overdue once that time has passed', () => {
+    expect(isOverdue('2030-03-10', false, '14:00', now)).toBe(true);
+    expect(isOverdue('2030-03-10', false, '15:00', now)).toBe(false);
+  });
+
+  test('undated assignments are never overdue', () => {
+    expect(isOverdue('', false, '', now)).toBe(false);
+  });
+});
+
+test('priorities have a label and a colour', () => {
+  expect(getPriorityText('high')).toBe('High');
+  expect(getPriorityText('low')).toBe('Low');
+  expect(getPriorityColor('high')).not.toBe(getPriorityColor('low'));
+});
+
+test('subtask progress and in-progress status', () => {
+  const assignment = { completed: false, subtasks: [{ id: 1, title: 'A', done: true }, { id: 2, title: 'B', done: false }] };
+  expect(getSubtaskProgress(assignment)).toEqual({ done: 1, total: 2, percent: 50 });
+  expect(isInProgress(assignment)).toBe(true);
+  expect(isInProgress({ ...assignment, completed: true })).toBe(false);
+  expect(getSubtaskProgress({ completed: false, subtasks: [] }).total).toBe(0);
+});
+
+test('subtask ids are unique within the assignment', () => {
+  const id = createSubtaskId([]);
+  expect([id, id + 1]).not.toContain(createSubtaskId([{ id }, { id: id + 1 }]));
+});
@@ -0,0 +1,120 @@
+// File attachments live in IndexedDB, since localStorage only holds a few megabytes of text.
+//
+// Assignments keep only attachment metadata (`{ id, name, type, size, addedAt }`); the file itself
+// is stored here under the attachment's id. Removing an attachment from an assignment leaves the
+// file in place so the change can still be undone; `deleteOrphanedAttachments` clears files that
+// neither an assignment nor a quarantined record refers to any more when the app starts.
+
+const DB_NAME = 'studentAssignmentFiles';
+const DB_VERSION = 1;
+const STORE = 'attachments';
+
+export const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024;
+
+export const attachmentsSupported = () => typeof window !== 'undefined' && Boolean(window.indexedDB);
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!attachmentsSupported()) {
+    return Promise.reject(new Error('This browser cannot store files (IndexedDB is unavailable).'));
+  }
+  if (!dbPromise) {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE)) request.result.createObjectStore(STORE);
+    };
+    dbPromise = requestToPromise(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  const transaction = db.transaction(STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const [result] = await Promise.all([requestToPromise(run(transaction.objectStore(STORE))), done]);
+  return result;
+};
+
+export const saveAttachmentFile = (id, blob) => withStore('readwrite', store => store.put(blob, id));
+
+export const loadAttachmentFile = async (id) => {
+  const blob = await withStore('readonly', store => store.get(id));
+  if (!blob) throw new Error('The file is missing from this browser\'s storage.');
+  return blob;
+};
+
+// Quarantined records (see storageSchema.js) are malformed by definition, so their attachments are
+// looked for with care; their files are kept so restoring the record brings them back
+const quarantinedAttachmentIds = (quarantine) => quarantine.flatMap(({ record }) => (
+  record && Array.isArray(record.attachments)
+    ? record.attachments.filter(attachment => attachment && typeof attachment.id === 'string').map(attachment => attachment.id)
+    : []
+));
+
+export const deleteOrphanedAttachments = async (assignments, quarantine = []) => {
+  const referenced = new Set([
+    ...assignments.flatMap(assignment => (assignment.attachments || []).map(attachment => attachment.id)),
+    ...quarantinedAttachmentIds(quarantine)
+  ]);
+  const ids = await withStore('readonly', store => store.getAllKeys());
+  const orphans = ids.filter(id => !referenced.has(id));
+  await Promise.all(orphans.map(id => withStore('readwrite', store => store.delete(id))));
+  return orphans.length;
+};
+
+export const createAttachmentId = () => `file-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Backups carry files as data URLs so they survive being written to JSON
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+export const dataUrlToBlob = (dataUrl) => {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/.exec(dataUrl);
+  if (!match) throw new Error('Not a data URL.');
+  const text = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+  return new Blob([bytes], { type: match[1] });
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+};
+
+// Contents of every attachment of `assignments`, for a JSON backup. Files this browser no longer
+// has are skipped and counted in `missing`.
+export const collectAttachmentFiles = async (assignments) => {
+  const attachments = assignments.flatMap(assignment => assignment.attachments || []);
+  const files = [];
+  let missing = 0;
+  for (const attachment of attachments) {
+    try {
+      files.push({ id: attachment.id, dataUrl: await blobToDataUrl(await loadAttachmentFile(attachment.id)) });
+    } catch (error) {
+      missing++;
+    }
+  }
+  return { files, missing };
+};
+
+export const saveAttachmentFiles = (files) => Promise.all(files.map(file => saveAttachmentFile(file.id, dataUrlToBlob(file.dataUrl))));
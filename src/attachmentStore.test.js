@@ -0,0 +1,20 @@
+import 'fake-indexeddb/auto';
+import { saveAttachmentFile, loadAttachmentFile, deleteOrphanedAttachments } from './attachmentStore';
+
+// As in App.test.js: fake-indexeddb copies values with structuredClone, which jsdom lacks
+if (!global.structuredClone) global.structuredClone = (value) => value;
+
+const attachment = (id) => ({ id, name: `${id}.txt`, type: 'text/plain', size: 1, addedAt: '2030-03-01T12:00:00.000Z' });
+
+test('keeps files of assignments and of quarantined records, and deletes the rest', async () => {
+  await Promise.all(['file-kept', 'file-quarantined', 'file-orphan'].map(id => saveAttachmentFile(id, new Blob([id]))));
+  const quarantine = [
+    { record: { id: 2, title: '', attachments: [attachment('file-quarantined'), null] }, errors: ['Title is required.'] },
+    { record: '{not json', errors: ['Stored data was not valid JSON.'] }
+  ];
+
+  await expect(deleteOrphanedAttachments([{ id: 1, attachments: [attachment('file-kept')] }], quarantine)).resolves.toBe(1);
+  await expect(loadAttachmentFile('file-kept')).resolves.toBeDefined();
+  await expect(loadAttachmentFile('file-quarantined')).resolves.toBeDefined();
+  await expect(loadAttachmentFile('file-orphan')).rejects.toThrow('missing');
+});
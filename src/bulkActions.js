@@ -0,0 +1,54 @@
+// Changes applied to several assignments at once. Each takes the full list and a Set of ids and
+// returns a new list, so they can go straight into `applyChange` and be undone in one step.
+
+import { addDays } from './dates';
+import { createNextOccurrence } from './recurrence';
+
+// `update(assignment)` returns the fields to change
+export const updateAssignments = (assignments, ids, update, now = new Date().toISOString()) => (
+  assignments.map(assign => (ids.has(assign.id) ? { ...assign, ...update(assign), updatedAt: now } : assign))
+);
+
+// Completing a repeating assignment schedules its next occurrence, unless that already exists
+// (e.g. this occurrence was reopened and completed again)
+export const setCompleted = (assignments, ids, completed, now = new Date().toISOString()) => {
+  const changing = new Set(assignments.filter(assign => ids.has(assign.id) && assign.completed !== completed).map(assign => assign.id));
+  const completedAt = completed ? now : null;
+  const updated = updateAssignments(assignments, changing, assign => ({
+    completed,
+    completedAt,
+    seriesId: assign.recurrence ? assign.seriesId ?? assign.id : assign.seriesId
+  }), now);
+  if (!completed) return updated;
+
+  const usedIds = new Set(assignments.map(assign => assign.id));
+  const nextOccurrences = [];
+  updated.forEach(assign => {
+    if (!changing.has(assign.id) || !assign.recurrence) return;
+    // Ids come from `now` like the completion time, so the same call gives the same result
+    let nextId = Date.parse(now);
+    while (usedIds.has(nextId)) nextId++;
+    const next = createNextOccurrence(assign, nextId, now);
+    const exists = (list) => list.some(other => other.seriesId === next.seriesId && other.dueDate === next.dueDate);
+    if (!next || exists(assignments) || exists(nextOccurrences)) return;
+    usedIds.add(nextId);
+    nextOccurrences.push(next);
+  });
+  return [...nextOccurrences, ...updated];
+};
+
+// Undated assignments have nothing to shift and are left alone
+export const shiftDueDates = (assignments, ids, days, now = new Date().toISOString()) => updateAssignments(
+  assignments,
+  new Set(assignments.filter(assign => ids.has(assign.id) && assign.dueDate).map(assign => assign.id)),
+  assign => ({ dueDate: addDays(assign.dueDate, days) }),
+  now
+);
+
+// Ids from `anchorId` to `id` inclusive, in the order they are shown
+export const getIdRange = (visibleIds, anchorId, id) => {
+  const from = visibleIds.indexOf(anchorId);
+  const to = visibleIds.indexOf(id);
+  if (from === -1 || to === -1) return [id];
+  return visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+};
@@ -0,0 +1,65 @@
+// Fuzzy matching for the command palette, and the keyboard shortcuts listed in the help overlay.
+//
+// A command is `{ id, label, group, keywords, shortcut, run }`, or `{ ..., commands }` instead of
+// `run` for one that opens a further list (`commands()` returns it).
+
+export const SHORTCUTS = [
+  { keys: ['Ctrl', 'K'], description: 'Open the command palette (Cmd+K on macOS)' },
+  { keys: ['/'], description: 'Search assignments' },
+  { keys: ['j'], description: 'Next assignment in the list' },
+  { keys: ['k'], description: 'Previous assignment in the list' },
+  { keys: ['x'], description: 'Mark the current assignment complete, or reopen it' },
+  { keys: ['e'], description: 'Edit the current assignment' },
+  { keys: ['Alt', '←/→'], description: 'Move the focused calendar assignment a day earlier or later' },
+  { keys: ['Alt', '↑/↓'], description: 'Move the focused calendar assignment a week earlier or later' },
+  { keys: ['Ctrl', 'Z'], description: 'Undo' },
+  { keys: ['Ctrl', 'Shift', 'Z'], description: 'Redo' },
+  { keys: ['?'], description: 'Show these shortcuts' },
+  { keys: ['Esc'], description: 'Close the palette or dialog' }
+];
+
+// Where typed keys belong to the field, not to shortcuts
+export const isTypingTarget = (target) => Boolean(
+  target && target.closest && target.closest('input, textarea, select, [contenteditable="true"]')
+);
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_/:("“]/.test(text[index - 1]);
+
+// How well `query` matches `text` as a subsequence, ignoring case and spaces in the query, or null
+// when it does not. Letters that follow on from each other and letters at the start of a word
+// score higher; a match earlier in a shorter text breaks ties.
+export const fuzzyScore = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  if (!needle) return 0;
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let previous = -2;
+  // Where the query appears as it is typed, match it there rather than letter by letter from the start
+  let position = Math.max(0, haystack.indexOf(needle));
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return null;
+    score += 1;
+    if (index === previous + 1) score += 5;
+    if (isWordStart(haystack, index)) score += 3;
+    previous = index;
+    position = index + 1;
+  }
+  return score - haystack.length / 100 - haystack.indexOf(needle[0]) / 1000;
+};
+
+// The commands matching `query`, best first; with an empty query, all of them in their own order
+export const searchCommands = (commands, query) => {
+  if (!query.trim()) return commands;
+  return commands
+    .map((command, index) => {
+      const label = fuzzyScore(query, command.label);
+      const full = fuzzyScore(query, [command.group, command.label, command.keywords].filter(Boolean).join(' '));
+      // The label alone counts a little more than the label with its group and keywords
+      const score = label !== null ? Math.max(label, full) : full !== null ? full - 1 : null;
+      return { command, index, score };
+    })
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.command);
+};
@@ -0,0 +1,35 @@
+import { fuzzyScore, searchCommands, isTypingTarget } from './commands';
+
+test('fuzzy matches letters in order, ignoring case and spaces', () => {
+  expect(fuzzyScore('dkmd', 'Switch to dark mode')).not.toBeNull();
+  expect(fuzzyScore('DARK mode', 'Switch to dark mode')).not.toBeNull();
+  expect(fuzzyScore('mdk', 'Switch to dark mode')).toBeNull();
+  expect(fuzzyScore('', 'Anything')).toBe(0);
+});
+
+test('prefers word starts and letters next to each other', () => {
+  expect(fuzzyScore('csv', 'Export to CSV')).toBeGreaterThan(fuzzyScore('csv', 'Classes we saved'));
+  expect(fuzzyScore('lab', 'Lab report')).toBeGreaterThan(fuzzyScore('lab', 'Collaborate'));
+  expect(fuzzyScore('lab', 'Global lab')).toBeGreaterThan(fuzzyScore('lab', 'Global a bag'));
+});
+
+test('searches labels, groups and keywords, best match first', () => {
+  const commands = [
+    { id: 'theme', label: 'Switch to dark mode', group: 'View', keywords: 'theme' },
+    { id: 'essay', label: 'History essay', group: 'Assignment', keywords: 'History 101' },
+    { id: 'pending', label: 'Show pending', group: 'Filter', keywords: 'status' }
+  ];
+  expect(searchCommands(commands, '')).toBe(commands);
+  expect(searchCommands(commands, 'essay').map(command => command.id)).toEqual(['essay']);
+  expect(searchCommands(commands, 'theme').map(command => command.id)).toEqual(['theme']);
+  expect(searchCommands(commands, 'filter pend').map(command => command.id)).toEqual(['pending']);
+  expect(searchCommands(commands, 'zzz')).toEqual([]);
+});
+
+test('knows when keys are meant for a text field', () => {
+  const input = document.createElement('input');
+  const button = document.createElement('button');
+  expect(isTypingTarget(input)).toBe(true);
+  expect(isTypingTarget(button)).toBe(false);
+  expect(isTypingTarget(window)).toBe(false);
+});
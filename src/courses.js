@@ -0,0 +1,102 @@
+// Courses that assignments belong to.
+//
+// Assignments point at a course by `courseId`, so renaming a course renames it everywhere.
+// Course names are matched loosely (case and extra spaces are ignored), which is how the old
+// free-text categories "Math" and "math " end up as one course.
+
+export const COURSE_COLORS = ['#6366f1', '#f43f5e', '#10b981', '#f59e0b', '#0ea5e9', '#8b5cf6', '#ec4899', '#14b8a6'];
+
+export const normalizeCourseName = (name) => String(name).trim().replace(/\s+/g, ' ');
+
+const nameKey = (name) => normalizeCourseName(name).toLowerCase();
+
+export const findCourseByName = (courses, name) => {
+  const key = nameKey(name);
+  return courses.find(course => nameKey(course.name) === key) || null;
+};
+
+// The id comes from `now`, so the same call on the same courses gives the same course
+export const createCourse = (name, existingCourses, details = {}, now = new Date().toISOString()) => {
+  const usedIds = new Set(existingCourses.map(course => course.id));
+  let counter = existingCourses.length;
+  let id;
+  do {
+    id = `course-${Date.parse(now).toString(36)}-${counter++}`;
+  } while (usedIds.has(id));
+  return {
+    id,
+    name: normalizeCourseName(name),
+    color: COURSE_COLORS[existingCourses.length % COURSE_COLORS.length],
+    instructor: '',
+    term: '',
+    archived: false,
+    gradingCategories: [],
+    createdAt: now,
+    updatedAt: now,
+    ...details
+  };
+};
+
+// Looks courses up by name, creating any that do not exist yet. Used by the storage migration and
+// by imports, which both start from names. `courses` holds the original list plus everything created;
+// `details` (colour, instructor, term) only apply to a course created by the lookup; `now` is
+// when courses it creates were made.
+export const createCourseRegistry = (initialCourses, now = new Date().toISOString()) => {
+  const registry = {
+    courses: [...initialCourses],
+    courseIdFor: (name, details = {}) => {
+      if (typeof name !== 'string' || normalizeCourseName(name) === '') return null;
+      const existing = findCourseByName(registry.courses, name);
+      if (existing) return existing.id;
+      const course = createCourse(name, registry.courses, details, now);
+      registry.courses = [...registry.courses, course];
+      return course.id;
+    }
+  };
+  return registry;
+};
+
+// Imported rows name their course instead of pointing at one, since course ids from another
+// device mean nothing here. Their `course` is `{ name, color?, instructor?, term?, gradingCategories? }` or null
+// and is resolved against the existing courses when the import is applied.
+export const courseFromName = (name) => (normalizeCourseName(name) ? { name: normalizeCourseName(name) } : null);
+
+export const getCourseNameMap = (courses) => new Map(courses.map(course => [course.id, course.name]));
+
+export const getCourseName = (courseNames, courseId) => (courseId === null ? '' : courseNames.get(courseId) || '');
+
+export const validateCourseName = (name, courses, ignoreId = null) => {
+  if (!normalizeCourseName(name)) return 'Course name is required.';
+  const existing = findCourseByName(courses, name);
+  return existing && existing.id !== ignoreId ? `There is already a course called "${existing.name}".` : '';
+};
+
+// Moves every assignment of `sourceId` to `targetId` and removes the source course. Grading
+// categories carry over by name; work in a category the target lacks is left uncategorized.
+export const mergeCourses = (lists, sourceId, targetId, now = new Date().toISOString()) => {
+  const source = lists.courses.find(course => course.id === sourceId);
+  const target = lists.courses.find(course => course.id === targetId);
+  const gradingCategoryFor = (categoryId) => {
+    const category = source && source.gradingCategories.find(other => other.id === categoryId);
+    const match = category && target && target.gradingCategories.find(other => other.name.toLowerCase() === category.name.toLowerCase());
+    return match ? match.id : null;
+  };
+  return {
+    assignments: lists.assignments.map(assign => (
+      assign.courseId === sourceId
+        ? { ...assign, courseId: targetId, gradingCategoryId: gradingCategoryFor(assign.gradingCategoryId), updatedAt: now }
+        : assign
+    )),
+    courses: lists.courses.filter(course => course.id !== sourceId)
+  };
+};
+
+// Deleting a course keeps its assignments; they just no longer belong to a course
+export const deleteCourse = (lists, courseId, now) => mergeCourses(lists, courseId, null, now);
+
+// Filters saved before courses existed (in views and shared links) hold a category name rather than an id
+export const resolveCourseFilter = (courses, value) => {
+  if (value === 'all' || courses.some(course => course.id === value)) return value;
+  const course = findCourseByName(courses, value);
+  return course ? course.id : value;
+};
@@ -0,0 +1,119 @@
+// All date handling for due dates goes through this module.
+//
+// A due date is a `YYYY-MM-DD` key with an optional `HH:MM` due time, both read as wall-clock
+// time in the user's own timezone. `new Date('2024-05-01')` would parse as UTC midnight instead,
+// which is the previous day for anyone west of UTC, so never hand a date key to `Date` directly.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+export const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const toTimeKey = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+export const getTodayKey = (now = new Date()) => toDateKey(now);
+
+export const addDays = (key, days) => {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+// Whole calendar days from `fromKey` to `toKey`. Counted in UTC so DST changes cannot skew it.
+export const daysBetween = (fromKey, toKey) => {
+  const toUtc = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toKey) - toUtc(fromKey)) / DAY);
+};
+
+// 0 = Sunday, matching Date#getDay
+export const getWeekday = (key) => parseDateKey(key).getDay();
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Sunday of the week containing `key`
+export const startOfWeek = (key) => addDays(key, -getWeekday(key));
+
+export const startOfMonth = (key) => `${key.slice(0, 7)}-01`;
+
+export const addMonths = (key, months) => {
+  const date = parseDateKey(startOfMonth(key));
+  date.setMonth(date.getMonth() + months);
+  return toDateKey(date);
+};
+
+// The moment something is due. Without a due time it is due by the end of that day.
+export const getDueMoment = (dueDate, dueTime = '') => {
+  const date = parseDateKey(dueDate);
+  if (dueTime) {
+    const [hours, minutes] = dueTime.split(':').map(Number);
+    date.setHours(hours, minutes, 0, 0);
+  } else {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+export const isPastDue = (dueDate, dueTime = '', now = new Date()) => (
+  Boolean(dueDate) && getDueMoment(dueDate, dueTime) < now
+);
+
+// Orders by due moment; undated items sort after dated ones
+export const compareDue = (a, b) => {
+  if (a.dueDate && b.dueDate) {
+    return getDueMoment(a.dueDate, a.dueTime).getTime() - getDueMoment(b.dueDate, b.dueTime).getTime();
+  }
+  if (a.dueDate) return -1;
+  if (b.dueDate) return 1;
+  return 0;
+};
+
+export const formatTime = (dueTime) => (
+  dueTime ? getDueMoment('2000-01-01', dueTime).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : ''
+);
+
+export const formatDueDate = (dueDate, dueTime = '') => {
+  const date = parseDateKey(dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return dueTime ? `${date}, ${formatTime(dueTime)}` : date;
+};
+
+// Short relative label such as "due in 3h", "due tomorrow" or "overdue by 2 days"
+export const formatCountdown = (dueDate, dueTime = '', now = new Date()) => {
+  const diff = getDueMoment(dueDate, dueTime).getTime() - now.getTime();
+  const days = daysBetween(getTodayKey(now), dueDate);
+
+  if (diff < 0) {
+    const late = -diff;
+    if (late < HOUR) return `overdue by ${Math.max(1, Math.round(late / MINUTE))}m`;
+    if (days === 0) return `overdue by ${Math.round(late / HOUR)}h`;
+    return days === -1 ? 'overdue by 1 day' : `overdue by ${-days} days`;
+  }
+  // Hours and minutes only mean something when there is a real due time
+  if (dueTime && diff < HOUR) return `due in ${Math.max(1, Math.round(diff / MINUTE))}m`;
+  if (dueTime && days === 0) return `due in ${Math.round(diff / HOUR)}h`;
+  if (days === 0) return 'due today';
+  if (days === 1) return 'due tomorrow';
+  return `due in ${days} days`;
+};
@@ -0,0 +1,50 @@
+import {
+  isValidDate, isValidTime, addDays, daysBetween, getWeekday, startOfWeek, addMonths, getDueMoment,
+  isPastDue, compareDue, formatCountdown
+} from './dates';
+
+test('validates date keys and times', () => {
+  expect(isValidDate('2030-02-28')).toBe(true);
+  expect(isValidDate('2030-02-29')).toBe(false);
+  expect(isValidDate('2028-02-29')).toBe(true);
+  expect(isValidDate('2030-2-28')).toBe(false);
+  expect(isValidTime('23:59')).toBe(true);
+  expect(isValidTime('24:00')).toBe(false);
+});
+
+test('does calendar arithmetic on date keys', () => {
+  expect(addDays('2030-12-31', 1)).toBe('2031-01-01');
+  expect(addDays('2030-03-01', -1)).toBe('2030-02-28');
+  // Across the spring DST change in many timezones
+  expect(daysBetween('2030-03-09', '2030-03-11')).toBe(2);
+  expect(daysBetween('2030-03-11', '2030-03-09')).toBe(-2);
+  expect(getWeekday('2030-03-03')).toBe(0);
+  expect(startOfWeek('2030-03-06')).toBe('2030-03-03');
+  expect(addMonths('2030-01-31', 1)).toBe('2030-02-01');
+  expect(addMonths('2030-11-15', 2)).toBe('2031-01-01');
+});
+
+test('reads due moments as local wall-clock time', () => {
+  expect(getDueMoment('2030-03-05', '09:30')).toEqual(new Date(2030, 2, 5, 9, 30));
+  expect(getDueMoment('2030-03-05')).toEqual(new Date(2030, 2, 5, 23, 59, 59, 999));
+  expect(isPastDue('2030-03-05', '', new Date(2030, 2, 5, 22, 0))).toBe(false);
+  expect(isPastDue('2030-03-05', '09:30', new Date(2030, 2, 5, 10, 0))).toBe(true);
+  expect(isPastDue('', '', new Date(2030, 2, 5))).toBe(false);
+});
+
+test('orders by due moment with undated items last', () => {
+  const items = [{ dueDate: '' }, { dueDate: '2030-03-05' }, { dueDate: '2030-03-05', dueTime: '09:00' }];
+  expect([...items].sort(compareDue)).toEqual([items[2], items[1], items[0]]);
+});
+
+test('describes how long until something is due', () => {
+  const now = new Date(2030, 2, 5, 8, 0);
+  expect(formatCountdown('2030-03-05', '08:20', now)).toBe('due in 20m');
+  expect(formatCountdown('2030-03-05', '11:00', now)).toBe('due in 3h');
+  expect(formatCountdown('2030-03-05', '', now)).toBe('due today');
+  expect(formatCountdown('2030-03-06', '', now)).toBe('due tomorrow');
+  expect(formatCountdown('2030-03-10', '', now)).toBe('due in 5 days');
+  expect(formatCountdown('2030-03-05', '07:30', now)).toBe('overdue by 30m');
+  expect(formatCountdown('2030-03-04', '', now)).toBe('overdue by 1 day');
+  expect(formatCountdown('2030-03-02', '', now)).toBe('overdue by 3 days');
+});
@@ -0,0 +1,51 @@
+// The list's filter pipeline: the search query plus the course, status and priority dropdowns.
+// Shared by the list itself and by saved views, whose counts must agree with what the list shows.
+
+import { parseQuery, matchesQuery } from './query';
+import { isInProgress } from './assignmentUtils';
+
+export const DEFAULT_FILTERS = {
+  searchTerm: '',
+  filterCategory: 'all', // a course id
+  filterStatus: 'all',
+  filterPriority: 'all'
+};
+
+// The choices of the status dropdown besides 'all'
+export const STATUS_FILTERS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' }
+];
+
+export const hasActiveFilters = (filters) => Object.keys(DEFAULT_FILTERS).some(key => filters[key] !== DEFAULT_FILTERS[key]);
+
+const matchesStatus = (assignment, status) => {
+  if (status === 'completed') return assignment.completed;
+  if (status === 'in-progress') return isInProgress(assignment);
+  return !assignment.completed;
+};
+
+// `query` may be passed in when the caller has already parsed `filters.searchTerm`.
+// `courseNames` maps course ids to names for `cat:` terms.
+export const filterAssignments = (assignments, filters, now = new Date(), query = parseQuery(filters.searchTerm), courseNames = new Map()) => {
+  let filtered = assignments;
+
+  if (query.terms.length > 0) {
+    filtered = filtered.filter(assign => matchesQuery(assign, query, now, courseNames));
+  }
+
+  if (filters.filterCategory !== 'all') {
+    filtered = filtered.filter(assign => assign.courseId === filters.filterCategory);
+  }
+
+  if (filters.filterStatus !== 'all') {
+    filtered = filtered.filter(assign => matchesStatus(assign, filters.filterStatus));
+  }
+
+  if (filters.filterPriority !== 'all') {
+    filtered = filtered.filter(assign => assign.priority === filters.filterPriority);
+  }
+
+  return filtered;
+};
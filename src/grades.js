@@ -0,0 +1,110 @@
+// Grades worked out from the points recorded on assignments.
+//
+// An assignment counts once it has both points earned and points possible. Its optional `weight`
+// makes it count that many times within its grading category. A course with grading categories
+// (e.g. homework 30%, exams 50%) averages each category and then weights the averages; categories
+// with nothing graded yet are left out and the others scaled up to fill their share. Without
+// grading categories all graded work of the course is pooled.
+
+export const isGraded = (assignment) => typeof assignment.pointsEarned === 'number'
+  && typeof assignment.pointsPossible === 'number' && assignment.pointsPossible > 0;
+
+const pool = (assignments) => {
+  let earned = 0;
+  let possible = 0;
+  assignments.forEach(assignment => {
+    const weight = typeof assignment.weight === 'number' ? assignment.weight : 1;
+    earned += assignment.pointsEarned * weight;
+    possible += assignment.pointsPossible * weight;
+  });
+  return { gradedCount: assignments.length, percent: possible > 0 ? (earned / possible) * 100 : null };
+};
+
+export const getCourseGrade = (course, assignments) => {
+  const graded = assignments.filter(assignment => assignment.courseId === course.id && isGraded(assignment));
+  const gradingCategories = course.gradingCategories || [];
+  if (gradingCategories.length === 0) {
+    return { ...pool(graded), categories: [], uncategorizedCount: 0 };
+  }
+
+  const categories = gradingCategories.map(category => ({
+    ...category,
+    ...pool(graded.filter(assignment => assignment.gradingCategoryId === category.id))
+  }));
+  const counted = categories.filter(category => category.percent !== null && category.weight > 0);
+  const countedWeight = counted.reduce((sum, category) => sum + category.weight, 0);
+  const knownIds = new Set(gradingCategories.map(category => category.id));
+  return {
+    gradedCount: graded.length,
+    percent: countedWeight > 0 ? counted.reduce((sum, category) => sum + category.percent * category.weight, 0) / countedWeight : null,
+    categories,
+    // Graded work outside every grading category cannot be weighted and is left out
+    uncategorizedCount: graded.filter(assignment => !knownIds.has(assignment.gradingCategoryId)).length
+  };
+};
+
+// Current grade of every course, keyed by course id
+export const getCourseGrades = (courses, assignments) => new Map(
+  courses.map(course => [course.id, getCourseGrade(course, assignments)])
+);
+
+// The score needed on a final worth `finalWeight` percent of the course grade to finish at
+// `target` percent, when everything graded so far makes up the rest
+export const getNeededFinalScore = (currentPercent, target, finalWeight) => {
+  if (currentPercent === null || !(finalWeight > 0 && finalWeight <= 100)) return null;
+  const share = finalWeight / 100;
+  return (target - currentPercent * (1 - share)) / share;
+};
+
+export const formatPercent = (percent) => (percent === null ? '–' : `${Math.round(percent * 10) / 10}%`);
+
+export const createGradingCategory = (existingCategories) => {
+  const usedIds = new Set(existingCategories.map(category => category.id));
+  let counter = existingCategories.length;
+  let id;
+  do {
+    id = `grading-${Date.now().toString(36)}-${counter++}`;
+  } while (usedIds.has(id));
+  return { id, name: '', weight: 0 };
+};
+
+export const validateGradingCategories = (categories) => {
+  if (categories.some(category => !category.name.trim())) return 'Every grading category needs a name.';
+  const names = categories.map(category => category.name.trim().toLowerCase());
+  if (new Set(names).size !== names.length) return 'Grading category names must be different.';
+  if (categories.some(category => !(category.weight >= 0 && category.weight <= 100))) return 'Weights must be between 0 and 100%.';
+  const total = categories.reduce((sum, category) => sum + category.weight, 0);
+  return total > 100 ? `The weights add up to ${total}%, more than 100%.` : '';
+};
+
+// The add/edit form keeps the grade fields as text so half-typed numbers survive re-renders
+export const EMPTY_GRADE_FIELDS = { pointsEarned: '', pointsPossible: '', weight: '', gradingCategoryId: '' };
+
+export const gradeFieldsFromAssignment = (assignment) => ({
+  pointsEarned: assignment.pointsEarned === null ? '' : String(assignment.pointsEarned),
+  pointsPossible: assignment.pointsPossible === null ? '' : String(assignment.pointsPossible),
+  weight: assignment.weight === null ? '' : String(assignment.weight),
+  gradingCategoryId: assignment.gradingCategoryId || ''
+});
+
+const parseNumber = (text) => (text.trim() === '' ? null : Number(text));
+
+// Returns `{ values }` ready to store, or `{ error }`
+export const parseGradeFields = (fields) => {
+  const values = {
+    pointsEarned: parseNumber(fields.pointsEarned),
+    pointsPossible: parseNumber(fields.pointsPossible),
+    weight: parseNumber(fields.weight),
+    gradingCategoryId: fields.gradingCategoryId || null
+  };
+  if ([values.pointsEarned, values.pointsPossible, values.weight].some(value => value !== null && !(Number.isFinite(value) && value >= 0))) {
+    return { error: 'Points and weight must be zero or more.' };
+  }
+  if (values.pointsEarned !== null && values.pointsPossible === null) {
+    return { error: 'Enter the points possible to go with the points earned.' };
+  }
+  if (values.pointsPossible === 0) {
+    return { error: 'Points possible must be more than zero.' };
+  }
+  return { values };
+};
@@ -0,0 +1,61 @@
+import { getCourseGrade, getNeededFinalScore, formatPercent, validateGradingCategories, parseGradeFields } from './grades';
+
+const course = (gradingCategories = []) => ({ id: 'c1', name: 'Biology', gradingCategories });
+
+const graded = (pointsEarned, pointsPossible, fields = {}) => ({
+  courseId: 'c1', pointsEarned, pointsPossible, weight: null, gradingCategoryId: null, ...fields
+});
+
+describe('getCourseGrade', () => {
+  test('pools graded work, counting weights and skipping ungraded and other courses', () => {
+    const grade = getCourseGrade(course(), [
+      graded(8, 10),
+      graded(5, 10, { weight: 2 }),
+      graded(null, 10),
+      graded(0, 10, { courseId: 'c2' })
+    ]);
+    expect(grade.gradedCount).toBe(2);
+    expect(grade.percent).toBeCloseTo((8 + 10) / 30 * 100);
+  });
+
+  test('weights grading categories and leaves out empty ones', () => {
+    const categories = [{ id: 'hw', name: 'Homework', weight: 30 }, { id: 'ex', name: 'Exams', weight: 50 }, { id: 'lab', name: 'Labs', weight: 20 }];
+    const grade = getCourseGrade(course(categories), [
+      graded(10, 10, { gradingCategoryId: 'hw' }),
+      graded(30, 50, { gradingCategoryId: 'ex' }),
+      graded(1, 1)
+    ]);
+    // Homework 100% and exams 60%, scaled up to fill the labs' share
+    expect(grade.percent).toBeCloseTo((100 * 30 + 60 * 50) / 80);
+    expect(grade.categories.map(category => category.percent)).toEqual([100, 60, null]);
+    expect(grade.uncategorizedCount).toBe(1);
+  });
+
+  test('has no grade without graded work', () => {
+    expect(getCourseGrade(course(), []).percent).toBeNull();
+  });
+});
+
+test('works out the final score needed for a target', () => {
+  expect(getNeededFinalScore(80, 85, 25)).toBeCloseTo(100);
+  expect(getNeededFinalScore(null, 85, 25)).toBeNull();
+  expect(getNeededFinalScore(80, 85, 0)).toBeNull();
+  expect(formatPercent(87.456)).toBe('87.5%');
+  expect(formatPercent(null)).toBe('–');
+});
+
+test('validates grading categories', () => {
+  expect(validateGradingCategories([{ name: 'Labs', weight: 40 }, { name: 'Exams', weight: 60 }])).toBe('');
+  expect(validateGradingCategories([{ name: ' ', weight: 10 }])).toBe('Every grading category needs a name.');
+  expect(validateGradingCategories([{ name: 'Labs', weight: 10 }, { name: 'labs ', weight: 10 }])).toBe('Grading category names must be different.');
+  expect(validateGradingCategories([{ name: 'Labs', weight: 70 }, { name: 'Exams', weight: 40 }])).toBe('The weights add up to 110%, more than 100%.');
+});
+
+test('parses the grade fields of the form', () => {
+  expect(parseGradeFields({ pointsEarned: '18', pointsPossible: '20', weight: '', gradingCategoryId: '' })).toEqual({
+    values: { pointsEarned: 18, pointsPossible: 20, weight: null, gradingCategoryId: null }
+  });
+  expect(parseGradeFields({ pointsEarned: '-1', pointsPossible: '20', weight: '', gradingCategoryId: '' }).error).toBe('Points and weight must be zero or more.');
+  expect(parseGradeFields({ pointsEarned: '5', pointsPossible: '', weight: '', gradingCategoryId: '' }).error).toBe('Enter the points possible to go with the points earned.');
+  expect(parseGradeFields({ pointsEarned: '', pointsPossible: '0', weight: '', gradingCategoryId: '' }).error).toBe('Points possible must be more than zero.');
+});
@@ -0,0 +1,236 @@
+// iCalendar (RFC 5545) export and import of assignments.
+
+import { validateAssignmentFields } from './storageSchema';
+import { isValidDate, toDateKey, toTimeKey, addDays, getDueMoment } from './dates';
+import { getCourseNameMap, getCourseName, courseFromName } from './courses';
+
+const PRODID = '-//Student Assignment Hub//EN';
+const UID_DOMAIN = 'student-assignment-hub';
+
+// RFC 5545 priorities run from 1 (highest) to 9 (lowest); 0 means undefined
+const PRIORITY_TO_ICAL = { high: 1, medium: 5, low: 9 };
+
+const priorityFromIcal = (value) => {
+  const priority = parseInt(value, 10);
+  if (!priority) return 'medium';
+  if (priority <= 4) return 'high';
+  if (priority === 5) return 'medium';
+  return 'low';
+};
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets (UTF-8 bytes) are folded onto continuation lines starting with a
+// space, which counts towards their 75. Folds fall between characters, never inside one.
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let bytes = 0;
+  for (const char of line) {
+    const length = utf8Length(char);
+    if (bytes + length > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk);
+      chunk = '';
+      bytes = 0;
+    }
+    chunk += char;
+    bytes += length;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+const formatDate = (key) => key.replace(/-/g, '');
+
+const formatTimestamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// A due time is sent as an absolute UTC moment so calendars in other timezones show it correctly
+const formatDue = (assignment) => (assignment.dueTime
+  ? `:${formatTimestamp(getDueMoment(assignment.dueDate, assignment.dueTime).toISOString())}`
+  : `;VALUE=DATE:${formatDate(assignment.dueDate)}`);
+
+export const getAssignmentUid = (assignment) => assignment.icalUid || `${assignment.id}@${UID_DOMAIN}`;
+
+// `component` is 'VEVENT' (events, all-day unless there is a due time, which every calendar app shows) or 'VTODO' (tasks)
+export const assignmentsToIcs = (assignments, courses, component = 'VEVENT') => {
+  const courseNames = getCourseNameMap(courses);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN'];
+  const stamp = formatTimestamp(new Date().toISOString());
+
+  assignments.filter(assignment => assignment.dueDate).forEach(assignment => {
+    lines.push(`BEGIN:${component}`);
+    lines.push(`UID:${getAssignmentUid(assignment)}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(`CREATED:${formatTimestamp(assignment.createdAt)}`);
+    lines.push(`LAST-MODIFIED:${formatTimestamp(assignment.updatedAt)}`);
+    lines.push(`SUMMARY:${escapeText(assignment.title)}`);
+    if (assignment.notes) lines.push(`DESCRIPTION:${escapeText(assignment.notes)}`);
+    if (component === 'VTODO') {
+      lines.push(`DUE${formatDue(assignment)}`);
+      lines.push(`STATUS:${assignment.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      if (assignment.completed) lines.push('PERCENT-COMPLETE:100');
+      if (assignment.completed && assignment.completedAt) lines.push(`COMPLETED:${formatTimestamp(assignment.completedAt)}`);
+    } else {
+      lines.push(`DTSTART${formatDue(assignment)}`);
+      // All-day events end (exclusively) on the following day; timed ones are a point in time
+      if (!assignment.dueTime) lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(assignment.dueDate, 1))}`);
+      lines.push('TRANSP:TRANSPARENT');
+      // Events have no completion status of their own
+      lines.push(`X-ASSIGNMENT-COMPLETED:${assignment.completed ? 'TRUE' : 'FALSE'}`);
+    }
+    lines.push(`PRIORITY:${PRIORITY_TO_ICAL[assignment.priority] || 0}`);
+    if (assignment.courseId) lines.push(`CATEGORIES:${escapeText(getCourseName(courseNames, assignment.courseId))}`);
+    lines.push(`END:${component}`);
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Splits "NAME;PARAM=VALUE:value" into its parts
+const parseContentLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, value = ''] = param.split('=');
+      return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(colon + 1)
+  };
+};
+
+// Returns `{ date, time }`. DATE values are whole days; DATE-TIME values in UTC ("Z") are converted
+// to the user's local time. Times with a TZID are taken as local, which is right whenever the
+// syllabus and the user share a timezone.
+const parseIcalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (hour && utc) {
+    const moment = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    return { date: toDateKey(moment), time: toTimeKey(moment) };
+  }
+  const key = `${year}-${month}-${day}`;
+  if (!isValidDate(key)) return null;
+  return { date: key, time: hour ? `${hour}:${minute}` : '' };
+};
+
+// COMPLETED is always a UTC DATE-TIME; returns an ISO string or null
+const parseIcalTimestamp = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match;
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Splits a comma-separated property value, leaving escaped "\," alone
+const splitList = (value) => {
+  const items = [''];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      items[items.length - 1] += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ',') {
+      items.push('');
+    } else {
+      items[items.length - 1] += value[i];
+    }
+  }
+  return items;
+};
+
+const componentToRow = ({ type, line, props }) => {
+  const text = (name) => (props[name] ? unescapeText(props[name].value).trim() : '');
+  const dateProp = type === 'VTODO' ? props.DUE || props.DTSTART : props.DTSTART;
+  const due = dateProp ? parseIcalDate(dateProp.value) : null;
+  const now = new Date().toISOString();
+  const categories = props.CATEGORIES ? splitList(props.CATEGORIES.value).map(unescapeText) : [];
+
+  const completed = text('STATUS').toUpperCase() === 'COMPLETED' || text('X-ASSIGNMENT-COMPLETED').toUpperCase() === 'TRUE';
+  const completedAt = completed && props.COMPLETED ? parseIcalTimestamp(props.COMPLETED.value) : null;
+
+  const assignment = {
+    title: text('SUMMARY'),
+    completed,
+    completedAt,
+    courseId: null,
+    course: courseFromName(categories[0] || ''),
+    dueDate: due ? due.date : '',
+    dueTime: due ? due.time : '',
+    priority: priorityFromIcal(text('PRIORITY')),
+    subtasks: [],
+    recurrence: null,
+    seriesId: null,
+    icalUid: text('UID') || null,
+    pointsEarned: null,
+    pointsPossible: null,
+    weight: null,
+    gradingCategoryId: null,
+    estimatedHours: null,
+    notes: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : '',
+    links: [],
+    attachments: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const errors = validateAssignmentFields(assignment);
+  if (dateProp && !due) {
+    errors.push(`Unsupported date "${dateProp.value}".`);
+  }
+  return { line, assignment, errors };
+};
+
+export const parseIcs = (text) => {
+  // Unfold continuation lines before anything else
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR).');
+  }
+
+  const rows = [];
+  let current = null;
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const upper = line.toUpperCase();
+    if (upper === 'BEGIN:VEVENT' || upper === 'BEGIN:VTODO') {
+      // Unfolding shifts line numbers, so entries are numbered in file order instead
+      current = { type: upper.slice(6), line: rows.length + 1, props: {}, nested: [] };
+      return;
+    }
+    if (!current) return;
+    if (upper.startsWith('BEGIN:')) {
+      // Components inside one, like a VALARM, have properties of their own (its DESCRIPTION is the
+      // alarm text), so everything up to their END is skipped
+      current.nested.push(upper.slice(6));
+    } else if (current.nested.length > 0) {
+      if (upper === `END:${current.nested[current.nested.length - 1]}`) current.nested.pop();
+    } else if (upper === `END:${current.type}`) {
+      rows.push(componentToRow(current));
+      current = null;
+    } else {
+      const prop = parseContentLine(line);
+      // Properties should appear once; if one repeats, the first wins
+      if (prop && !(prop.name in current.props)) current.props[prop.name] = prop;
+    }
+  });
+  return rows;
+};
@@ -0,0 +1,53 @@
+import { assignmentsToIcs, parseIcs } from './ical';
+import { createAssignment } from './assignmentDomain';
+
+const NOW = '2030-03-01T12:00:00.000Z';
+
+test('folds long lines at 75 UTF-8 bytes without splitting characters', () => {
+  const title = `Résumé ${'数学'.repeat(20)} ${'📚'.repeat(20)} ${'a'.repeat(80)}`;
+  const ics = assignmentsToIcs([createAssignment({ title, dueDate: '2030-03-05' }, 1, NOW)], []);
+
+  const lines = ics.split('\r\n').filter(Boolean);
+  lines.forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+  // A split surrogate pair or multi-byte character would not survive encoding
+  lines.forEach(line => expect(Buffer.from(line, 'utf8').toString('utf8')).toBe(line));
+  expect(lines.filter(line => line.startsWith(' ')).length).toBeGreaterThan(1);
+
+  expect(parseIcs(ics)[0].assignment.title).toBe(title);
+});
+
+const ics = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('importing', () => {
+  test('reads events and to-dos', () => {
+    const rows = parseIcs(ics(
+      'BEGIN:VEVENT', 'UID:exam@example.com', 'SUMMARY:Midterm\\, part 1', 'DTSTART;VALUE=DATE:20300305',
+      'PRIORITY:1', 'CATEGORIES:Biology,Exams', 'DESCRIPTION:Chapters 1-4\\nBring a pencil', 'END:VEVENT',
+      'BEGIN:VTODO', 'SUMMARY:Lab report', 'DUE:20300306T093000', 'STATUS:COMPLETED', 'COMPLETED:20300305T120000Z', 'END:VTODO'
+    ));
+
+    expect(rows.map(row => row.errors)).toEqual([[], []]);
+    expect(rows[0].assignment).toMatchObject({
+      title: 'Midterm, part 1', dueDate: '2030-03-05', dueTime: '', priority: 'high', icalUid: 'exam@example.com',
+      course: { name: 'Biology' }, notes: 'Chapters 1-4\nBring a pencil', completed: false
+    });
+    expect(rows[1].assignment).toMatchObject({
+      title: 'Lab report', dueDate: '2030-03-06', dueTime: '09:30', priority: 'medium', completed: true, completedAt: '2030-03-05T12:00:00.000Z'
+    });
+  });
+
+  test('ignores the properties of alarms inside an event', () => {
+    const [row] = parseIcs(ics(
+      'BEGIN:VEVENT', 'SUMMARY:Essay', 'DTSTART;VALUE=DATE:20300305',
+      'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:This is an event reminder', 'TRIGGER:-P1D', 'END:VALARM',
+      'PRIORITY:9', 'END:VEVENT'
+    ));
+    expect(row.assignment).toMatchObject({ title: 'Essay', notes: '', priority: 'low' });
+  });
+
+  test('flags entries without a usable date and rejects other files', () => {
+    const [row] = parseIcs(ics('BEGIN:VEVENT', 'SUMMARY:Essay', 'DTSTART:next week', 'END:VEVENT'));
+    expect(row.errors).toContain('Unsupported date "next week".');
+    expect(() => parseIcs('hello')).toThrow('Not an iCalendar file (missing BEGIN:VCALENDAR).');
+  });
+});
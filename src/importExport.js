@@ -0,0 +1,334 @@
+// Serialization helpers for exporting assignments and loading them back in.
+
+import { SCHEMA_VERSION, migrateRecord, validateAssignmentFields, isValidCourse, repairCourse } from './storageSchema';
+import { parseIcs, getAssignmentUid } from './ical';
+import { createCourseRegistry, getCourseNameMap, getCourseName, normalizeCourseName, courseFromName } from './courses';
+
+export const CSV_HEADERS = [
+  "Title", "Category", "Due Date", "Due Time", "Priority", "Completed", "Completed At", "Created At", "Subtasks", "Subtask Progress",
+  "Points Earned", "Points Possible", "Weight", "Grading Category", "Course Grade", "Estimated Hours"
+];
+export const JSON_FORMAT = 'student-assignment-hub';
+export const JSON_FORMAT_VERSION = 1;
+
+export const escapeCsvField = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Subtasks share one cell, one per line, each marked "[x] " when done and "[ ] " when not
+const subtasksToCell = (subtasks = []) => subtasks
+  .map(subtask => `${subtask.done ? '[x]' : '[ ]'} ${subtask.title}`)
+  .join('\n');
+
+// Blank cells are "not set"; anything else that is not a number is kept so validation reports it
+const numberFromCell = (cell) => (cell === '' ? null : Number.isNaN(Number(cell)) ? cell : Number(cell));
+
+const subtasksFromCell = (cell) => cell
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map((line, index) => {
+    const match = /^\[( |x|X)\]\s*(.*)$/.exec(line);
+    return {
+      id: index + 1,
+      title: (match ? match[2] : line).trim(),
+      done: Boolean(match) && match[1] !== ' '
+    };
+  });
+
+// `courseGrades` (see grades.js) fills the "Course Grade" column, which is left out on import
+export const assignmentsToCsv = (assignments, courses, courseGrades = new Map()) => {
+  const courseNames = getCourseNameMap(courses);
+  const gradingCategoryName = (assignment) => {
+    const course = courses.find(other => other.id === assignment.courseId);
+    const category = course && (course.gradingCategories || []).find(other => other.id === assignment.gradingCategoryId);
+    return category ? category.name : '';
+  };
+  const courseGrade = (assignment) => {
+    const grade = courseGrades.get(assignment.courseId);
+    return grade && grade.percent !== null ? (Math.round(grade.percent * 100) / 100).toString() : '';
+  };
+  const csvRows = assignments.map(assignment => [
+    escapeCsvField(assignment.title),
+    escapeCsvField(getCourseName(courseNames, assignment.courseId)),
+    assignment.dueDate || '',
+    assignment.dueTime || '',
+    assignment.priority,
+    assignment.completed ? 'Yes' : 'No',
+    assignment.completedAt || '',
+    assignment.createdAt,
+    escapeCsvField(subtasksToCell(assignment.subtasks)),
+    assignment.subtasks && assignment.subtasks.length > 0
+      ? `${assignment.subtasks.filter(subtask => subtask.done).length}/${assignment.subtasks.length}`
+      : '',
+    assignment.pointsEarned ?? '',
+    assignment.pointsPossible ?? '',
+    assignment.weight ?? '',
+    escapeCsvField(gradingCategoryName(assignment)),
+    courseGrade(assignment),
+    assignment.estimatedHours ?? ''
+  ].join(','));
+
+  return [CSV_HEADERS.join(','), ...csvRows].join('\n');
+};
+
+// `files` are the attachments' contents as `{ id, dataUrl }` (see attachmentStore.js)
+export const assignmentsToJson = (assignments, courses, files = []) => JSON.stringify({
+  format: JSON_FORMAT,
+  version: JSON_FORMAT_VERSION,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  assignments,
+  courses,
+  files
+}, null, 2);
+
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// RFC 4180 style parser: quoted fields may contain commas, newlines and "" escapes.
+// Returns each record together with the line it started on so errors can point at it.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}.`);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  // Drop blank lines, which spreadsheets like to leave at the end of a file
+  return records.filter(r => !(r.fields.length === 1 && r.fields[0].trim() === ''));
+};
+
+export const parseAssignmentsCsv = (text) => {
+  const records = parseCsv(text);
+  if (records.length === 0) {
+    throw new Error('The file is empty.');
+  }
+
+  const header = records[0].fields.map(h => h.trim().toLowerCase());
+  const columnIndex = Object.fromEntries(CSV_HEADERS.map(name => [name, header.indexOf(name.toLowerCase())]));
+  if (columnIndex.Title === -1) {
+    throw new Error('Missing "Title" column. Is this an exported assignments CSV?');
+  }
+
+  return records.slice(1).map(({ line, fields }) => {
+    const get = (name) => (columnIndex[name] === -1 ? '' : (fields[columnIndex[name]] ?? '').trim());
+    const completed = get('Completed').toLowerCase();
+    const assignment = {
+      title: get('Title'),
+      completed: completed === 'yes' || completed === 'true',
+      completedAt: null,
+      courseId: null,
+      course: courseFromName(get('Category')),
+      dueDate: get('Due Date'),
+      dueTime: get('Due Time'),
+      priority: get('Priority').toLowerCase() || 'medium',
+      subtasks: subtasksFromCell(get('Subtasks')),
+      recurrence: null,
+      seriesId: null,
+      icalUid: null,
+      pointsEarned: numberFromCell(get('Points Earned')),
+      pointsPossible: numberFromCell(get('Points Possible')),
+      weight: numberFromCell(get('Weight')),
+      gradingCategoryId: null,
+      gradingCategory: get('Grading Category') || null,
+      estimatedHours: numberFromCell(get('Estimated Hours')),
+      notes: '',
+      links: [],
+      attachments: [],
+      createdAt: get('Created At') || new Date().toISOString()
+    };
+    assignment.updatedAt = assignment.createdAt;
+    if (assignment.completed) assignment.completedAt = get('Completed At') || null;
+
+    const errors = validateAssignmentFields(assignment);
+    if (fields.length !== header.length) {
+      errors.push(`Expected ${header.length} columns but found ${fields.length}.`);
+    }
+    if (completed && !['yes', 'no', 'true', 'false'].includes(completed)) {
+      errors.push(`Unknown completed value "${get('Completed')}".`);
+    }
+    return { line, assignment, errors };
+  });
+};
+
+export const parseAssignmentsJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data && data.assignments;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a list of assignments.');
+  }
+  // Bare arrays are what older builds kept in localStorage, before the schema was versioned
+  const schemaVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the app.');
+  }
+
+  // Older backups only have category names, which the migration turns into courses here
+  const courses = createCourseRegistry(Array.isArray(data.courses) ? data.courses.filter(isValidCourse).map(repairCourse) : []);
+  const files = new Map((Array.isArray(data.files) ? data.files : [])
+    .filter(file => file && typeof file.id === 'string' && typeof file.dataUrl === 'string')
+    .map(file => [file.id, file]));
+  return list.map((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { line: index + 1, assignment: null, errors: ['Entry is not an object.'] };
+    }
+    const migrated = migrateRecord(item, schemaVersion, { courses });
+    const fileCourse = courses.courses.find(course => course.id === migrated.courseId);
+    const gradingCategory = fileCourse && fileCourse.gradingCategories.find(category => category.id === migrated.gradingCategoryId);
+    const assignment = {
+      ...migrated,
+      courseId: null,
+      course: fileCourse ? {
+        name: fileCourse.name,
+        color: fileCourse.color,
+        instructor: fileCourse.instructor,
+        term: fileCourse.term,
+        gradingCategories: fileCourse.gradingCategories
+      } : null,
+      gradingCategoryId: null,
+      gradingCategory: gradingCategory ? gradingCategory.name : null
+    };
+    // Each row carries the files of its own attachments, to be stored if the row is imported
+    const rowFiles = Array.isArray(assignment.attachments)
+      ? assignment.attachments.map(attachment => attachment && files.get(attachment.id)).filter(Boolean)
+      : [];
+    return { line: index + 1, assignment, files: rowFiles, errors: validateAssignmentFields(assignment) };
+  });
+};
+
+export const parseImportFile = (filename, text) => {
+  if (/\.ics$/i.test(filename) || /^\s*BEGIN:VCALENDAR/i.test(text)) {
+    return { format: 'ics', rows: parseIcs(text) };
+  }
+  const looksLikeJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+  return {
+    format: looksLikeJson ? 'json' : 'csv',
+    rows: looksLikeJson ? parseAssignmentsJson(text) : parseAssignmentsCsv(text)
+  };
+};
+
+const duplicateKey = (assignment, courseName) => [
+  assignment.title.trim().toLowerCase(),
+  normalizeCourseName(courseName).toLowerCase(),
+  assignment.dueDate || ''
+].join('\u0000');
+
+// Flags rows that match an existing assignment (same id, same calendar UID, or same
+// title/course/due date) or repeat an earlier row of the same file.
+export const markDuplicates = (rows, existing, courses) => {
+  const courseNames = getCourseNameMap(courses);
+  const existingIds = new Set(existing.map(a => a.id));
+  const existingUids = new Set(existing.map(getAssignmentUid));
+  const existingKeys = new Set(existing.map(a => duplicateKey(a, getCourseName(courseNames, a.courseId))));
+  const seenKeys = new Set();
+  const seenUids = new Set();
+
+  return rows.map(row => {
+    if (row.errors.length > 0) return { ...row, duplicate: null };
+    const key = duplicateKey(row.assignment, row.assignment.course ? row.assignment.course.name : '');
+    const uid = row.assignment.icalUid;
+    let duplicate = null;
+    if ((row.assignment.id !== undefined && existingIds.has(row.assignment.id))
+      || (uid && existingUids.has(uid))
+      || existingKeys.has(key)) {
+      duplicate = 'existing';
+    } else if (seenKeys.has(key) || (uid && seenUids.has(uid))) {
+      duplicate = 'file';
+    }
+    seenKeys.add(key);
+    if (uid) seenUids.add(uid);
+    return { ...row, duplicate };
+  });
+};
+
+// Turns previewed rows into the new assignment and course lists. Invalid rows and repeats within
+// the file are always dropped; matches against existing data are only dropped when merging.
+// Courses are matched by name, so importing never creates a second "Math". New ids and courses
+// are made from `now`.
+export const applyImport = (lists, rows, mode, now = new Date().toISOString()) => {
+  const incoming = rows
+    .filter(row => row.errors.length === 0 && row.duplicate !== 'file')
+    .filter(row => mode === 'replace' || row.duplicate !== 'existing')
+    .map(row => row.assignment);
+
+  const base = mode === 'replace' ? [] : lists.assignments;
+  const usedIds = new Set(base.map(a => a.id));
+  const courses = createCourseRegistry(lists.courses, now);
+  let nextId = Date.parse(now);
+
+  const imported = incoming.map(({ course, gradingCategory, ...assignment }) => {
+    let id = assignment.id;
+    if (id === undefined || id === null || usedIds.has(id)) {
+      while (usedIds.has(nextId)) nextId++;
+      id = nextId;
+    }
+    usedIds.add(id);
+    const { name, ...details } = course || {};
+    const courseId = courses.courseIdFor(name, details);
+    // Grading categories are matched by name within the course, like courses themselves
+    const target = courses.courses.find(other => other.id === courseId);
+    const category = target && gradingCategory && (target.gradingCategories || [])
+      .find(other => other.name.toLowerCase() === gradingCategory.trim().toLowerCase());
+    return { ...assignment, id, title: assignment.title.trim(), courseId, gradingCategoryId: category ? category.id : null };
+  });
+
+  return { assignments: [...imported, ...base], courses: courses.courses };
+};
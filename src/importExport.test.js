@@ -0,0 +1,106 @@
+import {
+  escapeCsvField, parseCsv, assignmentsToCsv, parseAssignmentsCsv, assignmentsToJson, parseAssignmentsJson,
+  parseImportFile, markDuplicates, applyImport
+} from './importExport';
+import { createAssignment } from './assignmentDomain';
+
+const NOW = '2030-03-01T12:00:00.000Z';
+
+const course = {
+  id: 'c1', name: 'Biology', color: '#10b981', instructor: 'Dr. Reed', term: 'Spring', archived: false,
+  gradingCategories: [{ id: 'g1', name: 'Labs', weight: 100 }], createdAt: NOW, updatedAt: NOW
+};
+
+const assignment = createAssignment({
+  title: 'Lab "Cells", part 2',
+  courseId: 'c1',
+  dueDate: '2030-03-05',
+  dueTime: '09:30',
+  priority: 'high',
+  subtasks: [{ id: 1, title: 'Microscope, slides', done: true }, { id: 2, title: 'Write-up', done: false }],
+  pointsEarned: 18,
+  pointsPossible: 20,
+  gradingCategoryId: 'g1'
+}, 1, NOW);
+
+describe('CSV', () => {
+  test('escapes quotes and always quotes the field', () => {
+    expect(escapeCsvField('say "hi", then go')).toBe('"say ""hi"", then go"');
+    expect(escapeCsvField(null)).toBe('""');
+  });
+
+  test('parses quoted fields with commas, quotes and line breaks', () => {
+    const records = parseCsv('a,"b, ""c""","line 1\nline 2"\r\nd,e,f\n\n');
+    expect(records).toEqual([
+      { line: 1, fields: ['a', 'b, "c"', 'line 1\nline 2'] },
+      { line: 3, fields: ['d', 'e', 'f'] }
+    ]);
+  });
+
+  test('reports an unterminated quote', () => {
+    expect(() => parseCsv('a,"b\nc')).toThrow('Unterminated quoted field starting on line 1.');
+  });
+
+  test('round-trips an assignment', () => {
+    const [row] = parseAssignmentsCsv(assignmentsToCsv([assignment], [course]));
+    expect(row.errors).toEqual([]);
+    expect(row.assignment).toMatchObject({
+      title: 'Lab "Cells", part 2',
+      course: { name: 'Biology' },
+      dueDate: '2030-03-05',
+      dueTime: '09:30',
+      priority: 'high',
+      pointsEarned: 18,
+      pointsPossible: 20,
+      gradingCategory: 'Labs'
+    });
+    expect(row.assignment.subtasks.map(subtask => [subtask.title, subtask.done])).toEqual([['Microscope, slides', true], ['Write-up', false]]);
+  });
+
+  test('flags rows that do not validate', () => {
+    const rows = parseAssignmentsCsv('Title,Priority,Due Date\n,urgent,2030-13-01\n');
+    expect(rows[0].errors).toEqual(expect.arrayContaining(['Title is required.', 'Unknown priority "urgent".']));
+  });
+
+  test('needs a Title column', () => {
+    expect(() => parseAssignmentsCsv('Name\nEssay')).toThrow(/Missing "Title" column/);
+  });
+});
+
+describe('JSON backups', () => {
+  test('carry courses, grading categories and attachment files', () => {
+    const withFile = { ...assignment, attachments: [{ id: 'file-1', name: 'rubric.pdf', type: 'application/pdf', size: 3, addedAt: NOW }] };
+    const [row] = parseAssignmentsJson(assignmentsToJson([withFile], [course], [{ id: 'file-1', dataUrl: 'data:application/pdf;base64,YWJj' }]));
+    expect(row.errors).toEqual([]);
+    expect(row.assignment.course).toMatchObject({ name: 'Biology', instructor: 'Dr. Reed' });
+    expect(row.assignment.gradingCategory).toBe('Labs');
+    expect(row.files).toEqual([{ id: 'file-1', dataUrl: 'data:application/pdf;base64,YWJj' }]);
+  });
+
+  test('migrates the bare arrays older builds saved', () => {
+    const { format, rows } = parseImportFile('old.json', JSON.stringify([{ id: 3, title: 'Old', category: 'Math', dueDate: '', priority: 'low', completed: false }]));
+    expect(format).toBe('json');
+    expect(rows[0].errors).toEqual([]);
+    expect(rows[0].assignment.course).toMatchObject({ name: 'Math' });
+  });
+});
+
+describe('applying an import', () => {
+  const existing = { ...assignment, id: 10 };
+
+  test('skips duplicates when merging and matches courses by name', () => {
+    const rows = markDuplicates(parseAssignmentsCsv(assignmentsToCsv([existing, { ...existing, title: 'New lab' }], [course])), [existing], [course]);
+    expect(rows.map(row => row.duplicate)).toEqual(['existing', null]);
+
+    const lists = applyImport({ assignments: [existing], courses: [course] }, rows, 'merge');
+    expect(lists.assignments.map(assign => assign.title)).toEqual(['New lab', 'Lab "Cells", part 2']);
+    expect(lists.courses).toHaveLength(1);
+    expect(lists.assignments[0]).toMatchObject({ courseId: 'c1', gradingCategoryId: 'g1' });
+  });
+
+  test('replaces the list when asked to', () => {
+    const rows = markDuplicates(parseAssignmentsCsv(assignmentsToCsv([existing], [course])), [existing], [course]);
+    const lists = applyImport({ assignments: [existing, { ...existing, id: 11 }], courses: [course] }, rows, 'replace');
+    expect(lists.assignments).toHaveLength(1);
+  });
+});
@@ -1 +1 @@
-import React from 'react';import ReactDOM from 'react-dom/client';import './index.css';import App from './App';const root = ReactDOM.createRoot(document.getElementById('root'));root.render(<React.StrictMode><App /></React.StrictMode>);
\ No newline at end of file
+import React from 'react';import ReactDOM from 'react-dom/client';import './index.css';import App from './App';import * as serviceWorkerRegistration from './serviceWorkerRegistration';const root = ReactDOM.createRoot(document.getElementById('root'));root.render(<React.StrictMode><App /></React.StrictMode>);serviceWorkerRegistration.register();
\ No newline at end of file
@@ -0,0 +1,10 @@
+import { act, screen } from '@testing-library/react';
+
+// index.js renders into #root as soon as it is imported
+test('mounts the app into #root', async () => {
+  document.body.innerHTML = '<div id="root"></div>';
+  act(() => {
+    require('./index');
+  });
+  expect(await screen.findByRole('heading', { name: 'Student Assignment Hub', level: 1 })).toBeInTheDocument();
+});
@@ -0,0 +1,80 @@
+// An in-memory implementation of the sync server's REST API (see restSyncAdapter.js), for tests
+// and for scripts/mock-sync-server.mjs. It has no dependencies, so it runs in the browser, in Jest
+// and in Node alike.
+//
+// `handle({ method, path, headers, body })` answers one request, with `body` as text, and returns
+// `{ status, body }`. `fetch(url, init)` wraps it for createRestSyncAdapter.
+
+const ROUTE = /\/assignments(?:\/([^/]+))?\/?$/;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export const createMockSyncServer = ({ now = () => Date.now() } = {}) => {
+  const records = new Map();
+  let clock = 0;
+
+  // Timestamps only move forward, even for two writes within the same millisecond
+  const stamp = () => {
+    clock = Math.max(now(), clock + 1);
+    return new Date(clock).toISOString();
+  };
+
+  const handle = ({ method = 'GET', path = '/', headers = {}, body = '' }) => {
+    const match = ROUTE.exec(path);
+    if (!match) return { status: 404, body: { error: 'Not found.' } };
+
+    let data;
+    try {
+      data = body ? JSON.parse(body) : undefined;
+    } catch (error) {
+      return { status: 400, body: { error: 'The body is not valid JSON.' } };
+    }
+    const header = (name) => Object.entries(headers).find(([key]) => key.toLowerCase() === name.toLowerCase());
+    const precondition = header('If-Unmodified-Since');
+
+    if (match[1] === undefined) {
+      if (method === 'GET') return { status: 200, body: [...records.values()] };
+      if (method !== 'POST') return { status: 405, body: { error: `${method} is not allowed here.` } };
+      if (!isPlainObject(data) || (typeof data.id !== 'number' && typeof data.id !== 'string')) {
+        return { status: 400, body: { error: 'A record needs an id.' } };
+      }
+      const key = String(data.id);
+      if (records.has(key)) return { status: 409, body: records.get(key) };
+      const record = { ...data, lastModified: stamp() };
+      records.set(key, record);
+      return { status: 201, body: record };
+    }
+
+    const key = decodeURIComponent(match[1]);
+    const current = records.get(key);
+    if (method !== 'PATCH' && method !== 'DELETE') return { status: 405, body: { error: `${method} is not allowed here.` } };
+    if (!current) return { status: 404, body: { error: 'No such assignment.' } };
+    if (precondition && precondition[1] !== current.lastModified) return { status: 412, body: current };
+
+    if (method === 'DELETE') {
+      records.delete(key);
+      return { status: 204 };
+    }
+    if (!isPlainObject(data)) return { status: 400, body: { error: 'Expected an object of changes.' } };
+    const { id, lastModified, ...changes } = data;
+    const record = { ...current, ...changes, lastModified: stamp() };
+    records.set(key, record);
+    return { status: 200, body: record };
+  };
+
+  const fetch = async (url, init = {}) => {
+    const { status, body } = handle({
+      method: init.method,
+      path: new URL(url, 'http://localhost').pathname,
+      headers: init.headers,
+      body: init.body
+    });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => (body === undefined ? null : JSON.parse(JSON.stringify(body)))
+    };
+  };
+
+  return { handle, fetch, records: () => [...records.values()] };
+};
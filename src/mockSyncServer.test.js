@@ -0,0 +1,39 @@
+import { createMockSyncServer } from './mockSyncServer';
+import { createRestSyncAdapter } from './restSyncAdapter';
+
+let server;
+let adapter;
+
+beforeEach(() => {
+  server = createMockSyncServer();
+  adapter = createRestSyncAdapter('http://localhost:4000/', { fetch: server.fetch });
+});
+
+test('creates, lists, updates and deletes records', async () => {
+  const created = await adapter.create({ id: 1, title: 'Essay' });
+  expect(created).toEqual({ status: 'ok', record: { id: 1, title: 'Essay', lastModified: expect.any(String) } });
+
+  const updated = await adapter.update(1, { title: 'Essay draft', id: 99 }, created.record.lastModified);
+  expect(updated.record).toMatchObject({ id: 1, title: 'Essay draft' });
+  expect(updated.record.lastModified > created.record.lastModified).toBe(true);
+  await expect(adapter.list()).resolves.toEqual([updated.record]);
+
+  await expect(adapter.remove(1, updated.record.lastModified)).resolves.toEqual({ status: 'ok', record: null });
+  await expect(adapter.list()).resolves.toEqual([]);
+});
+
+test('rejects writes based on an outdated lastModified with the current record', async () => {
+  const { record } = await adapter.create({ id: 'a', title: 'Essay' });
+  const { record: current } = await adapter.update('a', { title: 'Changed elsewhere' }, record.lastModified);
+
+  await expect(adapter.update('a', { title: 'Stale' }, record.lastModified)).resolves.toEqual({ status: 'conflict', record: current });
+  await expect(adapter.remove('a', record.lastModified)).resolves.toEqual({ status: 'conflict', record: current });
+  await expect(adapter.create({ id: 'a', title: 'Again' })).resolves.toEqual({ status: 'conflict', record: current });
+});
+
+test('reports missing records and bad requests', async () => {
+  await expect(adapter.update(5, { title: 'Nope' })).resolves.toEqual({ status: 'missing' });
+  await expect(adapter.remove(5)).resolves.toEqual({ status: 'missing' });
+  await expect(adapter.create({ title: 'No id' })).rejects.toMatchObject({ status: 400 });
+  expect(server.handle({ method: 'POST', path: '/assignments', body: '{' })).toMatchObject({ status: 400 });
+});
@@ -0,0 +1,147 @@
+// Day-by-day study plan: spreads the remaining effort of each pending assignment over the days
+// before it is due, within the hours the student has each day.
+//
+// Work is planned in quarter hours. An assignment can be worked on up to the day before its due
+// date; one due today (or already overdue) only has today left. Each day, every assignment first
+// gets what it must have for everything to still fit by the deadlines (earliest deadline first),
+// then its even share of what is left, scaled by priority, for as long as the day has room.
+
+import { getTodayKey, addDays, getWeekday, daysBetween, isPastDue } from './dates';
+import { getSubtaskProgress } from './assignmentUtils';
+
+// Hours available per weekday, 0 = Sunday: 2h on weekdays, 5h at weekends
+export const DEFAULT_AVAILABILITY = [5, 2, 2, 2, 2, 2, 5];
+
+export const PRIORITY_WEIGHTS = { high: 1.5, medium: 1, low: 0.75 };
+
+// Nothing is planned further ahead than this, however late the last due date
+const MAX_PLAN_DAYS = 180;
+
+const SLOTS_PER_HOUR = 4;
+
+const toSlots = (hours) => Math.round(hours * SLOTS_PER_HOUR);
+const toHours = (slots) => slots / SLOTS_PER_HOUR;
+
+export const formatHours = (hours) => `${Math.round(hours * 100) / 100}h`;
+
+// Hours still to go: the estimate less the share of subtasks already checked off
+export const getRemainingEffort = (assignment) => {
+  if (assignment.completed || !(assignment.estimatedHours > 0)) return 0;
+  const { done, total } = getSubtaskProgress(assignment);
+  return total === 0 ? assignment.estimatedHours : assignment.estimatedHours * (1 - done / total);
+};
+
+// Hours for each weekday, with anything missing or invalid read as 0
+export const normalizeAvailability = (availability) => Array.from({ length: 7 }, (_, day) => {
+  const hours = Array.isArray(availability) ? Number(availability[day]) : NaN;
+  return hours >= 0 && hours <= 24 ? hours : 0;
+});
+
+// Returns `{ days, assignments, unestimated, undated }`:
+// - days: `{ date, capacity, planned, demand, overbooked, items: [{ assignmentId, hours }] }` from
+//   today to the last day with work. `demand` is what the day would need to keep every assignment
+//   on an even pace; the day is overbooked when that is more than `capacity`.
+// - assignments: `{ assignmentId, remaining, planned, shortBy, lastDay, overdue }` for each planned
+//   assignment; `shortBy` hours did not fit before the deadline.
+// - unestimated / undated: pending assignments left out for lack of an estimate or a due date.
+export const planWorkload = (assignments, availability = DEFAULT_AVAILABILITY, now = new Date()) => {
+  const today = getTodayKey(now);
+  const hoursPerWeekday = normalizeAvailability(availability);
+  const pending = assignments.filter(assignment => !assignment.completed);
+  const unestimated = pending.filter(assignment => assignment.estimatedHours === null || assignment.estimatedHours === undefined).length;
+  const undated = pending.filter(assignment => assignment.estimatedHours > 0 && !assignment.dueDate).length;
+
+  const horizonEnd = addDays(today, MAX_PLAN_DAYS - 1);
+  const tasks = pending
+    .filter(assignment => assignment.dueDate && getRemainingEffort(assignment) > 0)
+    .map(assignment => {
+      const lastDay = assignment.dueDate > today ? addDays(assignment.dueDate, -1) : today;
+      const remaining = toSlots(getRemainingEffort(assignment));
+      return {
+        assignment,
+        lastDay: lastDay < horizonEnd ? lastDay : horizonEnd,
+        weight: PRIORITY_WEIGHTS[assignment.priority] || 1,
+        overdue: isPastDue(assignment.dueDate, assignment.dueTime, now),
+        total: remaining,
+        remaining
+      };
+    })
+    .filter(task => task.remaining > 0)
+    .sort((a, b) => (
+      a.lastDay.localeCompare(b.lastDay) || b.weight - a.weight || a.assignment.dueDate.localeCompare(b.assignment.dueDate)
+    ));
+
+  const lastDay = tasks.reduce((latest, task) => (task.lastDay > latest ? task.lastDay : latest), today);
+  const dayCount = daysBetween(today, lastDay) + 1;
+  const capacities = Array.from({ length: dayCount }, (_, i) => toSlots(hoursPerWeekday[getWeekday(addDays(today, i))]));
+  // capacityBefore[i]: total capacity of days 0..i-1
+  const capacityBefore = capacities.reduce((sums, capacity) => [...sums, sums[sums.length - 1] + capacity], [0]);
+  const workDaysBefore = capacities.reduce((sums, capacity) => [...sums, sums[sums.length - 1] + (capacity > 0 ? 1 : 0)], [0]);
+
+  const days = capacities.map((capacity, i) => {
+    const date = addDays(today, i);
+    const active = tasks.filter(task => task.remaining > 0 && task.lastDay >= date);
+    const given = new Map();
+    let used = 0;
+    let demand = 0;
+    const give = (task, slots) => {
+      const amount = Math.max(0, Math.min(slots, task.remaining - (given.get(task) || 0), capacity - used));
+      if (amount > 0) {
+        given.set(task, (given.get(task) || 0) + amount);
+        used += amount;
+      }
+    };
+
+    // What today must take so that, for every deadline, the work due by then still fits in the days after today
+    const required = new Map();
+    let cumulative = 0;
+    let requiredSoFar = 0;
+    active.forEach(task => {
+      const last = daysBetween(today, task.lastDay);
+      cumulative += task.remaining;
+      const need = Math.max(0, cumulative - (capacityBefore[last + 1] - capacityBefore[i + 1]) - requiredSoFar);
+      required.set(task, Math.min(task.remaining, need));
+      requiredSoFar += required.get(task);
+    });
+
+    active.forEach(task => {
+      const last = daysBetween(today, task.lastDay);
+      const workDays = Math.max(1, workDaysBefore[last + 1] - workDaysBefore[i]);
+      // Days off take only what cannot wait
+      const pace = capacity > 0 ? Math.ceil(task.remaining / workDays) : 0;
+      demand += Math.min(task.remaining, Math.max(required.get(task), pace));
+      task.target = Math.min(task.remaining, Math.max(required.get(task), Math.ceil(pace * task.weight)));
+    });
+
+    active.forEach(task => give(task, required.get(task)));
+    active.forEach(task => give(task, task.target - (given.get(task) || 0)));
+
+    const items = active.filter(task => given.has(task)).map(task => {
+      task.remaining -= given.get(task);
+      return { assignmentId: task.assignment.id, hours: toHours(given.get(task)) };
+    });
+
+    return {
+      date,
+      capacity: toHours(capacity),
+      planned: toHours(used),
+      demand: toHours(demand),
+      overbooked: demand > capacity,
+      items
+    };
+  });
+
+  return {
+    days,
+    assignments: tasks.map(task => ({
+      assignmentId: task.assignment.id,
+      remaining: toHours(task.total),
+      planned: toHours(task.total - task.remaining),
+      shortBy: toHours(task.remaining),
+      lastDay: task.lastDay,
+      overdue: task.overdue
+    })),
+    unestimated,
+    undated
+  };
+};
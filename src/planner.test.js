@@ -0,0 +1,79 @@
+import { planWorkload, getRemainingEffort, normalizeAvailability } from './planner';
+import { createAssignment } from './assignmentDomain';
+
+// Monday morning
+const now = new Date(2030, 2, 4, 9, 0);
+const weekdays = [0, 2, 2, 2, 2, 2, 0];
+
+const task = (id, fields) => createAssignment({ title: `Task ${id}`, ...fields }, id, now.toISOString());
+
+const hoursFor = (plan, id) => plan.days.map(day => {
+  const item = day.items.find(entry => entry.assignmentId === id);
+  return item ? item.hours : 0;
+});
+
+test('spreads the effort evenly over the days before the due date', () => {
+  const plan = planWorkload([task(1, { dueDate: '2030-03-08', estimatedHours: 4 })], weekdays, now);
+  expect(plan.days.map(day => day.date)).toEqual(['2030-03-04', '2030-03-05', '2030-03-06', '2030-03-07']);
+  expect(hoursFor(plan, 1)).toEqual([1, 1, 1, 1]);
+  expect(plan.days.some(day => day.overbooked)).toBe(false);
+  expect(plan.assignments[0]).toMatchObject({ remaining: 4, planned: 4, shortBy: 0, lastDay: '2030-03-07', overdue: false });
+});
+
+test('starts high-priority work sooner', () => {
+  const plan = planWorkload([
+    task(1, { dueDate: '2030-03-08', estimatedHours: 2, priority: 'low' }),
+    task(2, { dueDate: '2030-03-08', estimatedHours: 2, priority: 'high' })
+  ], weekdays, now);
+  expect(hoursFor(plan, 2)[0]).toBeGreaterThan(hoursFor(plan, 1)[0]);
+  expect(plan.assignments.every(entry => entry.shortBy === 0)).toBe(true);
+});
+
+test('makes room for an earlier deadline without losing the later one', () => {
+  const plan = planWorkload([
+    task(1, { dueDate: '2030-03-08', estimatedHours: 6 }),
+    task(2, { dueDate: '2030-03-06', estimatedHours: 4 })
+  ], weekdays, now);
+  expect(hoursFor(plan, 2)).toEqual([2, 2, 0, 0]);
+  expect(plan.assignments.find(entry => entry.assignmentId === 1).shortBy).toBe(2);
+  expect(plan.days.slice(0, 2).every(day => day.planned === day.capacity)).toBe(true);
+});
+
+test('flags overbooked days and work that cannot fit before the deadline', () => {
+  const plan = planWorkload([task(1, { dueDate: '2030-03-05', estimatedHours: 5 })], weekdays, now);
+  expect(plan.days).toEqual([{
+    date: '2030-03-04', capacity: 2, planned: 2, demand: 5, overbooked: true, items: [{ assignmentId: 1, hours: 2 }]
+  }]);
+  expect(plan.assignments[0].shortBy).toBe(3);
+});
+
+test('plans overdue work for today and leaves days off free', () => {
+  const saturday = new Date(2030, 2, 9, 9, 0);
+  const plan = planWorkload([
+    task(1, { dueDate: '2030-03-08', estimatedHours: 1 }),
+    task(2, { dueDate: '2030-03-13', estimatedHours: 2 })
+  ], weekdays, saturday);
+  expect(plan.assignments.find(entry => entry.assignmentId === 1)).toMatchObject({ overdue: true, shortBy: 1, lastDay: '2030-03-09' });
+  expect(plan.days[0]).toMatchObject({ overbooked: true, planned: 0 });
+  expect(plan.days[1]).toMatchObject({ overbooked: false, planned: 0 });
+  expect(hoursFor(plan, 2)).toEqual([0, 0, 1, 1]);
+});
+
+test('counts what subtasks already cover and skips what it cannot plan', () => {
+  const subtasks = [{ id: 1, title: 'Read', done: true }, { id: 2, title: 'Write', done: false }];
+  expect(getRemainingEffort(task(1, { estimatedHours: 3, subtasks }))).toBe(1.5);
+  expect(getRemainingEffort(task(1, { estimatedHours: 3, completed: true }))).toBe(0);
+
+  const plan = planWorkload([
+    task(1, { dueDate: '2030-03-08', estimatedHours: 2, completed: true }),
+    task(2, { dueDate: '2030-03-08' }),
+    task(3, { estimatedHours: 2 })
+  ], weekdays, now);
+  expect(plan).toMatchObject({ assignments: [], unestimated: 1, undated: 1 });
+  expect(plan.days).toEqual([expect.objectContaining({ date: '2030-03-04', planned: 0, items: [] })]);
+});
+
+test('reads missing or invalid availability as no time', () => {
+  expect(normalizeAvailability([1, '2', -1, 30, null])).toEqual([1, 2, 0, 0, 0, 0, 0]);
+  expect(normalizeAvailability(undefined)).toEqual([0, 0, 0, 0, 0, 0, 0]);
+});
@@ -0,0 +1,190 @@
+// The search box's query language.
+//
+//   essay "lab report"     title or notes contain each word or quoted phrase
+//   cat:Math               course name (also `course:`, `category:`); quote names with spaces, `cat:none` for no course
+//   priority:high          priority (also `p:`)
+//   due:today              due:tomorrow, due:this-week, due:next-week, due:none, due:any
+//   due:<7d                due in fewer than 7 days, overdue work included; also <=, >, >= and `w` for weeks
+//   due:<2024-05-01        compared with a date; a bare date matches that day only
+//   is:overdue             is:done, is:pending, is:in-progress, is:recurring
+//   -essay                 a leading "-" negates any term
+//
+// All terms must match. Unknown filters are searched for as plain text and reported back.
+
+import { getTodayKey, daysBetween, startOfWeek, addDays, isValidDate } from './dates';
+import { isOverdue, isInProgress } from './assignmentUtils';
+import { PRIORITIES } from './storageSchema';
+import { getCourseName } from './courses';
+
+const FIELD_ALIASES = { cat: 'category', category: 'category', course: 'category', priority: 'priority', p: 'priority', due: 'due', is: 'is' };
+
+export const QUERY_SUGGESTIONS = {
+  priority: PRIORITIES,
+  due: ['today', 'tomorrow', 'this-week', 'next-week', '<7d', 'none'],
+  is: ['overdue', 'done', 'pending', 'in-progress', 'recurring']
+};
+
+const IS_VALUES = {
+  overdue: (assignment, now) => isOverdue(assignment.dueDate, assignment.completed, assignment.dueTime, now),
+  done: (assignment) => assignment.completed,
+  completed: (assignment) => assignment.completed,
+  pending: (assignment) => !assignment.completed,
+  open: (assignment) => !assignment.completed,
+  'in-progress': (assignment) => isInProgress(assignment),
+  recurring: (assignment) => Boolean(assignment.recurrence)
+};
+
+// Splits on whitespace outside double quotes, keeping the quotes so fields can tell phrases apart
+export const tokenizeQuery = (text) => {
+  const tokens = [];
+  const pattern = /(?:[^\s"]+|"[^"]*"?)+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+const unquote = (value) => value.replace(/^"|"$/g, '');
+
+const parseDueValue = (value) => {
+  const lower = value.toLowerCase();
+  if (['today', 'tomorrow', 'this-week', 'next-week', 'none', 'any', 'overdue'].includes(lower)) {
+    return { kind: lower };
+  }
+  const relative = /^(<=|>=|<|>)?(-?\d+)([dw])$/.exec(lower);
+  if (relative) {
+    const [, op = '=', amount, unit] = relative;
+    return { kind: 'relative', op, days: Number(amount) * (unit === 'w' ? 7 : 1) };
+  }
+  const absolute = /^(<=|>=|<|>)?(\d{4}-\d{2}-\d{2})$/.exec(lower);
+  if (absolute && isValidDate(absolute[2])) {
+    return { kind: 'date', op: absolute[1] || '=', date: absolute[2] };
+  }
+  return null;
+};
+
+const compare = (a, op, b) => {
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return a === b;
+  }
+};
+
+// Returns `{ terms, errors }`; each term is `{ field, value, negated }` plus field-specific data
+export const parseQuery = (text) => {
+  const terms = [];
+  const errors = [];
+
+  tokenizeQuery(text).forEach(({ text: raw }) => {
+    const negated = raw.length > 1 && raw.startsWith('-');
+    const token = negated ? raw.slice(1) : raw;
+    const colon = token.startsWith('"') ? -1 : token.indexOf(':');
+    const field = colon > 0 ? FIELD_ALIASES[token.slice(0, colon).toLowerCase()] : null;
+
+    if (colon > 0 && !field) {
+      errors.push(`Unknown filter "${token.slice(0, colon)}:" was searched for as text.`);
+    }
+    if (!field) {
+      const value = unquote(token).toLowerCase();
+      if (value) terms.push({ field: 'text', value, negated });
+      return;
+    }
+
+    const value = unquote(token.slice(colon + 1));
+    if (!value) return;
+    if (field === 'priority' && !PRIORITIES.includes(value.toLowerCase())) {
+      errors.push(`Unknown priority "${value}".`);
+    } else if (field === 'is' && !IS_VALUES[value.toLowerCase()]) {
+      errors.push(`Unknown status "is:${value}".`);
+    } else if (field === 'due') {
+      const due = parseDueValue(value);
+      if (due) {
+        terms.push({ field, value, negated, due });
+      } else {
+        errors.push(`Could not understand "due:${value}".`);
+      }
+    } else {
+      terms.push({ field, value: value.toLowerCase(), negated });
+    }
+  });
+
+  return { terms, errors };
+};
+
+const matchesDue = (assignment, due, now) => {
+  if (due.kind === 'none') return !assignment.dueDate;
+  if (!assignment.dueDate) return false;
+
+  const today = getTodayKey(now);
+  const days = daysBetween(today, assignment.dueDate);
+  switch (due.kind) {
+    case 'any': return true;
+    case 'overdue': return isOverdue(assignment.dueDate, assignment.completed, assignment.dueTime, now);
+    case 'today': return days === 0;
+    case 'tomorrow': return days === 1;
+    case 'this-week': {
+      const weekStart = startOfWeek(today);
+      return assignment.dueDate >= weekStart && assignment.dueDate < addDays(weekStart, 7);
+    }
+    case 'next-week': {
+      const weekStart = addDays(startOfWeek(today), 7);
+      return assignment.dueDate >= weekStart && assignment.dueDate < addDays(weekStart, 7);
+    }
+    case 'relative': return compare(days, due.op, due.days);
+    case 'date': return compare(assignment.dueDate, due.op, due.date);
+    default: return false;
+  }
+};
+
+const matchesTerm = (assignment, term, now, courseNames) => {
+  switch (term.field) {
+    case 'text': return assignment.title.toLowerCase().includes(term.value) || (assignment.notes || '').toLowerCase().includes(term.value);
+    case 'category': return term.value === 'none' ? !assignment.courseId : getCourseName(courseNames, assignment.courseId).toLowerCase() === term.value;
+    case 'priority': return assignment.priority === term.value;
+    case 'is': return IS_VALUES[term.value](assignment, now);
+    case 'due': return matchesDue(assignment, term.due, now);
+    default: return true;
+  }
+};
+
+export const matchesQuery = (assignment, query, now = new Date(), courseNames = new Map()) => query.terms.every(term => (
+  matchesTerm(assignment, term, now, courseNames) !== term.negated
+));
+
+// The token the caret is in, for autocomplete
+export const getTokenAt = (text, position) => (
+  tokenizeQuery(text).find(token => token.start <= position && position <= token.end)
+  || { text: '', start: position, end: position }
+);
+
+const quoteIfNeeded = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// Completions for a partly typed token, e.g. "cat:Ma" or "pri"
+export const getQuerySuggestions = (tokenText, categories) => {
+  const negation = tokenText.startsWith('-') ? '-' : '';
+  const token = tokenText.slice(negation.length);
+  const colon = token.indexOf(':');
+
+  if (colon === -1) {
+    if (!token) return [];
+    const lower = token.toLowerCase();
+    return ['cat:', 'priority:', 'due:', 'is:']
+      .filter(prefix => prefix.startsWith(lower) && prefix !== lower)
+      .map(prefix => ({ label: prefix, value: `${negation}${prefix}`, partial: true }));
+  }
+
+  const field = FIELD_ALIASES[token.slice(0, colon).toLowerCase()];
+  const typed = unquote(token.slice(colon + 1)).toLowerCase();
+  const options = field === 'category' ? categories : QUERY_SUGGESTIONS[field] || [];
+  return options
+    .filter(option => option.toLowerCase().startsWith(typed) && option.toLowerCase() !== typed)
+    .map(option => ({
+      label: `${token.slice(0, colon)}:${option}`,
+      value: `${negation}${token.slice(0, colon)}:${quoteIfNeeded(option)}`,
+      partial: false
+    }));
+};
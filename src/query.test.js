@@ -0,0 +1,76 @@
+import { parseQuery, matchesQuery, tokenizeQuery, getQuerySuggestions } from './query';
+
+// Tuesday morning, local time
+const NOW = new Date(2030, 2, 5, 9, 0);
+
+const assignment = (fields = {}) => ({
+  id: 1, title: 'Essay', notes: '', courseId: null, priority: 'medium', dueDate: '', dueTime: '',
+  completed: false, subtasks: [], recurrence: null, ...fields
+});
+
+const courseNames = new Map([['c1', 'Art History']]);
+
+const matches = (text, fields) => matchesQuery(assignment(fields), parseQuery(text), NOW, courseNames);
+
+describe('parseQuery', () => {
+  test('keeps quoted phrases together', () => {
+    expect(tokenizeQuery('lab "final report" cat:"Art History"').map(token => token.text))
+      .toEqual(['lab', '"final report"', 'cat:"Art History"']);
+    expect(parseQuery('"Final Report" -draft').terms).toEqual([
+      { field: 'text', value: 'final report', negated: false },
+      { field: 'text', value: 'draft', negated: true }
+    ]);
+  });
+
+  test('reports filters it does not understand', () => {
+    expect(parseQuery('when:today').errors).toEqual(['Unknown filter "when:" was searched for as text.']);
+    expect(parseQuery('p:urgent is:late due:soon').errors).toEqual([
+      'Unknown priority "urgent".',
+      'Unknown status "is:late".',
+      'Could not understand "due:soon".'
+    ]);
+    expect(parseQuery('due:<2w').terms[0].due).toEqual({ kind: 'relative', op: '<', days: 14 });
+  });
+});
+
+describe('matchesQuery', () => {
+  test('searches titles and notes, and negates', () => {
+    expect(matches('essay', {})).toBe(true);
+    expect(matches('sources', { notes: 'Three Sources' })).toBe(true);
+    expect(matches('-essay', {})).toBe(false);
+    expect(matches('essay quiz', {})).toBe(false);
+  });
+
+  test('matches course, priority and status', () => {
+    expect(matches('cat:"art history"', { courseId: 'c1' })).toBe(true);
+    expect(matches('cat:none', {})).toBe(true);
+    expect(matches('course:art', { courseId: 'c1' })).toBe(false);
+    expect(matches('p:high', { priority: 'high' })).toBe(true);
+    expect(matches('is:done', { completed: true })).toBe(true);
+    expect(matches('is:recurring', {})).toBe(false);
+    expect(matches('is:in-progress', { subtasks: [{ id: 1, done: true }, { id: 2, done: false }] })).toBe(true);
+    expect(matches('is:overdue', { dueDate: '2030-03-04' })).toBe(true);
+  });
+
+  test('matches due dates by name, distance and date', () => {
+    expect(matches('due:today', { dueDate: '2030-03-05' })).toBe(true);
+    expect(matches('due:tomorrow', { dueDate: '2030-03-06' })).toBe(true);
+    // The week runs Sunday 2030-03-03 to Saturday 2030-03-09
+    expect(matches('due:this-week', { dueDate: '2030-03-09' })).toBe(true);
+    expect(matches('due:next-week', { dueDate: '2030-03-10' })).toBe(true);
+    expect(matches('due:<7d', { dueDate: '2030-03-01' })).toBe(true);
+    expect(matches('due:<7d', { dueDate: '2030-03-12' })).toBe(false);
+    expect(matches('due:>=2030-03-05', { dueDate: '2030-03-05' })).toBe(true);
+    expect(matches('due:2030-03-05', { dueDate: '2030-03-06' })).toBe(false);
+    expect(matches('due:none', {})).toBe(true);
+    expect(matches('due:any', {})).toBe(false);
+  });
+});
+
+test('suggests filters and values for a partly typed token', () => {
+  expect(getQuerySuggestions('pr', []).map(item => item.value)).toEqual(['priority:']);
+  expect(getQuerySuggestions('-cat:a', ['Art History', 'Biology'])).toEqual([
+    { label: 'cat:Art History', value: '-cat:"Art History"', partial: false }
+  ]);
+  expect(getQuerySuggestions('is:d', []).map(item => item.value)).toEqual(['is:done']);
+});
@@ -0,0 +1,99 @@
+// Recurrence rules for repeating assignments.
+//
+// A rule looks like `{ frequency, interval, weekdays, until }`:
+// - 'daily': every day
+// - 'weekly': every week on `weekdays` (0 = Sunday), or on the same weekday as the due date
+// - 'interval': every `interval` days
+// `until` is an optional last possible due date.
+
+import { addDays, getTodayKey, getWeekday, isValidDate, WEEKDAY_NAMES } from './dates';
+
+export const FREQUENCIES = ['daily', 'weekly', 'interval'];
+
+export const createRecurrence = (frequency) => ({ frequency, interval: frequency === 'interval' ? 2 : 1, weekdays: [], until: '' });
+
+export const validateRecurrence = (rule) => {
+  const errors = [];
+  if (!rule || typeof rule !== 'object' || !FREQUENCIES.includes(rule.frequency)) {
+    return ['Unknown repeat frequency.'];
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+    errors.push('Repeat interval must be between 1 and 365 days.');
+  }
+  if (!Array.isArray(rule.weekdays) || !rule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    errors.push('Repeat weekdays are invalid.');
+  }
+  if (rule.until && !isValidDate(rule.until)) {
+    errors.push(`Invalid repeat end date "${rule.until}".`);
+  }
+  return errors;
+};
+
+const stepFrom = (dueDate, rule) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(dueDate, 1);
+    case 'interval':
+      return addDays(dueDate, rule.interval);
+    case 'weekly': {
+      if (rule.weekdays.length === 0) return addDays(dueDate, 7);
+      let next = addDays(dueDate, 1);
+      while (!rule.weekdays.includes(getWeekday(next))) next = addDays(next, 1);
+      return next;
+    }
+    default:
+      return null;
+  }
+};
+
+// The due date of the occurrence after `dueDate`. Occurrences before `today` are already past and
+// skipped, so finishing a repeating task late does not leave a trail of overdue copies.
+// Returns null once the rule's `until` date has passed.
+export const getNextDueDate = (dueDate, rule, today = getTodayKey()) => {
+  let next = stepFrom(dueDate, rule);
+  while (next && next < today) next = stepFrom(next, rule);
+  if (!next || (rule.until && next > rule.until)) return null;
+  return next;
+};
+
+export const describeRecurrence = (rule) => {
+  let text;
+  switch (rule.frequency) {
+    case 'daily':
+      text = 'Daily';
+      break;
+    case 'interval':
+      text = `Every ${rule.interval} days`;
+      break;
+    case 'weekly':
+      text = rule.weekdays.length > 0
+        ? `Weekly on ${[...rule.weekdays].sort().map(day => WEEKDAY_NAMES[day]).join(', ')}`
+        : 'Weekly';
+      break;
+    default:
+      text = 'Repeats';
+  }
+  return rule.until ? `${text} until ${rule.until}` : text;
+};
+
+// Builds the next occurrence of a repeating assignment that has just been completed (at `now`),
+// or returns null when the series is over
+export const createNextOccurrence = (assignment, id, now = new Date().toISOString()) => {
+  if (!assignment.recurrence || !assignment.dueDate) return null;
+  const dueDate = getNextDueDate(assignment.dueDate, assignment.recurrence, getTodayKey(new Date(now)));
+  if (!dueDate) return null;
+  return {
+    ...assignment,
+    id,
+    completed: false,
+    completedAt: null,
+    pointsEarned: null,
+    // The calendar event it was imported from is the completed occurrence's, not this one's
+    icalUid: null,
+    dueDate,
+    seriesId: assignment.seriesId ?? assignment.id,
+    subtasks: (assignment.subtasks || []).map(subtask => ({ ...subtask, done: false })),
+    createdAt: now,
+    updatedAt: now
+  };
+};
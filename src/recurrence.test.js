@@ -0,0 +1,58 @@
+import { createRecurrence, validateRecurrence, getNextDueDate, describeRecurrence, createNextOccurrence } from './recurrence';
+
+const rule = (frequency, fields = {}) => ({ ...createRecurrence(frequency), ...fields });
+
+describe('getNextDueDate', () => {
+  const today = '2030-03-01';
+
+  test('steps by day, interval and week', () => {
+    expect(getNextDueDate('2030-03-01', rule('daily'), today)).toBe('2030-03-02');
+    expect(getNextDueDate('2030-03-01', rule('interval', { interval: 3 }), today)).toBe('2030-03-04');
+    expect(getNextDueDate('2030-03-01', rule('weekly'), today)).toBe('2030-03-08');
+    // Across the end of a month and a year
+    expect(getNextDueDate('2030-02-28', rule('daily'), '2030-02-28')).toBe('2030-03-01');
+    expect(getNextDueDate('2030-12-27', rule('weekly'), '2030-12-27')).toBe('2031-01-03');
+  });
+
+  test('goes to the next of the chosen weekdays', () => {
+    // 2030-03-01 is a Friday; Monday and Wednesday are 1 and 3
+    const mondaysAndWednesdays = rule('weekly', { weekdays: [1, 3] });
+    expect(getNextDueDate('2030-03-01', mondaysAndWednesdays, today)).toBe('2030-03-04');
+    expect(getNextDueDate('2030-03-04', mondaysAndWednesdays, today)).toBe('2030-03-06');
+  });
+
+  test('skips occurrences that are already past', () => {
+    expect(getNextDueDate('2030-02-01', rule('weekly'), today)).toBe('2030-03-01');
+    expect(getNextDueDate('2030-02-25', rule('daily'), today)).toBe('2030-03-01');
+  });
+
+  test('ends the series after its until date', () => {
+    expect(getNextDueDate('2030-03-01', rule('weekly', { until: '2030-03-08' }), today)).toBe('2030-03-08');
+    expect(getNextDueDate('2030-03-01', rule('weekly', { until: '2030-03-07' }), today)).toBeNull();
+  });
+});
+
+test('validates and describes rules', () => {
+  expect(validateRecurrence(rule('weekly'))).toEqual([]);
+  expect(validateRecurrence({ frequency: 'hourly' })).toEqual(['Unknown repeat frequency.']);
+  expect(validateRecurrence(rule('interval', { interval: 0, until: '2030-02-30' }))).toEqual([
+    'Repeat interval must be between 1 and 365 days.',
+    'Invalid repeat end date "2030-02-30".'
+  ]);
+  expect(describeRecurrence(rule('interval', { interval: 3 }))).toBe('Every 3 days');
+  expect(describeRecurrence(rule('weekly', { weekdays: [3, 1], until: '2030-06-01' }))).toBe('Weekly on Mon, Wed until 2030-06-01');
+});
+
+test('the next occurrence starts fresh but stays in the series', () => {
+  const assignment = {
+    id: 1, title: 'Quiz', dueDate: '2030-03-01', recurrence: rule('daily'), seriesId: null, completed: true,
+    completedAt: '2030-03-01T10:00:00.000Z', pointsEarned: 8, icalUid: 'quiz@example.com',
+    subtasks: [{ id: 1, title: 'Study', done: true }]
+  };
+  const next = createNextOccurrence(assignment, 2, '2030-03-01T12:00:00.000Z');
+  expect(next).toMatchObject({
+    id: 2, dueDate: '2030-03-02', seriesId: 1, completed: false, completedAt: null, pointsEarned: null, icalUid: null,
+    subtasks: [{ id: 1, title: 'Study', done: false }], createdAt: '2030-03-01T12:00:00.000Z'
+  });
+  expect(createNextOccurrence({ ...assignment, recurrence: null }, 2)).toBeNull();
+});
@@ -0,0 +1,149 @@
+// Deciding which deadline reminders are due. Kept free of React and browser APIs.
+//
+// Every reminder has a key built from the assignment's id, its due moment and the kind of
+// reminder, so moving a deadline arms its reminders again while a reminder that already went
+// out is never repeated.
+
+import { getDueMoment, getTodayKey, compareDue, formatCountdown, formatTime } from './dates';
+import { getCourseName } from './courses';
+
+const MINUTE = 60 * 1000;
+
+export const REMINDER_OFFSETS = [
+  { minutes: 7 * 24 * 60, label: '1 week before' },
+  { minutes: 24 * 60, label: '1 day before' },
+  { minutes: 3 * 60, label: '3 hours before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 15, label: '15 minutes before' }
+];
+
+export const SNOOZE_OPTIONS = [
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 3 * 60, label: '3 hours' },
+  { minutes: 24 * 60, label: '1 day' }
+];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  offsets: [24 * 60, 60],
+  notifyOverdue: true,
+  digestEnabled: true,
+  digestTime: '08:00',
+  useBrowserNotifications: true
+};
+
+export const createReminderState = () => ({ fired: {}, notifications: [], lastDigest: null });
+
+// Bounds on what is remembered, so the stored state cannot grow forever
+const MAX_NOTIFICATIONS = 50;
+const FIRED_RETENTION_DAYS = 60;
+
+const dueKey = (assignment) => `${assignment.id}@${assignment.dueDate}T${assignment.dueTime || 'end'}`;
+
+// Reminders an assignment could have sent by `now`, oldest first
+const getPassedReminders = (assignment, settings, now) => {
+  const due = getDueMoment(assignment.dueDate, assignment.dueTime);
+  const passed = [];
+  [...settings.offsets].sort((a, b) => b - a).forEach(minutes => {
+    if (due.getTime() - minutes * MINUTE <= now.getTime() && due > now) {
+      passed.push({ key: `${dueKey(assignment)}:${minutes}`, kind: 'upcoming' });
+    }
+  });
+  if (settings.notifyOverdue && due <= now) {
+    passed.push({ key: `${dueKey(assignment)}:overdue`, kind: 'overdue' });
+  }
+  return passed;
+};
+
+const describeReminder = (assignment, kind, now, courseName) => ({
+  title: kind === 'overdue' ? `Overdue: ${assignment.title}` : `Coming up: ${assignment.title}`,
+  body: `${courseName ? `${courseName} – ` : ''}${formatCountdown(assignment.dueDate, assignment.dueTime, now)}`
+});
+
+const buildDigest = (assignments, now) => {
+  const today = getTodayKey(now);
+  const pending = assignments.filter(assignment => !assignment.completed && assignment.dueDate);
+  const dueToday = pending.filter(assignment => assignment.dueDate === today).sort(compareDue);
+  const overdue = pending.filter(assignment => assignment.dueDate < today);
+  if (dueToday.length === 0 && overdue.length === 0) return null;
+
+  const lines = dueToday.map(assignment => (
+    assignment.dueTime ? `${formatTime(assignment.dueTime)} ${assignment.title}` : assignment.title
+  ));
+  if (overdue.length > 0) lines.push(`Plus ${overdue.length} overdue`);
+  return {
+    title: dueToday.length === 0
+      ? 'Nothing due today'
+      : `${dueToday.length} assignment${dueToday.length === 1 ? '' : 's'} due today`,
+    body: lines.join('\n')
+  };
+};
+
+// Works out what should be announced at `now`. Returns the next reminder state and the
+// notifications that were just created, or `null` when nothing changed.
+export const collectReminders = (assignments, settings, state, now, courseNames = new Map()) => {
+  const fired = { ...state.fired };
+  const created = [];
+  const stamp = now.toISOString();
+
+  assignments.forEach(assignment => {
+    if (assignment.completed || !assignment.dueDate) return;
+    const passed = getPassedReminders(assignment, settings, now).filter(reminder => !fired[reminder.key]);
+    if (passed.length === 0) return;
+    // After time away several reminders may be due at once; only the latest one is worth sending
+    passed.forEach(reminder => { fired[reminder.key] = stamp; });
+    const latest = passed[passed.length - 1];
+    created.push({
+      id: latest.key,
+      kind: latest.kind,
+      assignmentId: assignment.id,
+      ...describeReminder(assignment, latest.kind, now, getCourseName(courseNames, assignment.courseId)),
+      createdAt: stamp,
+      snoozedUntil: null
+    });
+  });
+
+  let { lastDigest } = state;
+  const today = getTodayKey(now);
+  const [digestHours, digestMinutes] = settings.digestTime.split(':').map(Number);
+  const digestDue = now.getHours() * 60 + now.getMinutes() >= digestHours * 60 + digestMinutes;
+  // With nothing to report the day stays open, so work added later that day still gets a digest
+  const digest = settings.digestEnabled && lastDigest !== today && digestDue ? buildDigest(assignments, now) : null;
+  if (digest) {
+    lastDigest = today;
+    created.push({ id: `digest:${today}`, kind: 'digest', assignmentId: null, ...digest, createdAt: stamp, snoozedUntil: null });
+  }
+
+  if (created.length === 0 && lastDigest === state.lastDigest) return null;
+
+  // Forget reminders sent long ago; at worst something left overdue for months is announced once more
+  const cutoff = now.getTime() - FIRED_RETENTION_DAYS * 24 * 60 * MINUTE;
+  Object.keys(fired).forEach(key => {
+    if (new Date(fired[key]).getTime() < cutoff) delete fired[key];
+  });
+
+  // A newer reminder about the same assignment replaces the older one
+  const replaced = (notification) => created.some(item => (
+    item.id === notification.id || (item.assignmentId !== null && item.assignmentId === notification.assignmentId)
+  ));
+
+  return {
+    state: {
+      fired,
+      notifications: [...created, ...state.notifications.filter(notification => !replaced(notification))].slice(0, MAX_NOTIFICATIONS),
+      lastDigest
+    },
+    created
+  };
+};
+
+export const isSnoozed = (notification, now) => (
+  Boolean(notification.snoozedUntil) && new Date(notification.snoozedUntil) > now
+);
+
+// Snoozed notifications whose snooze ran out between `since` and `now`, so they can be shown again
+export const getWokenNotifications = (notifications, since, now) => notifications.filter(notification => {
+  if (!notification.snoozedUntil) return false;
+  const until = new Date(notification.snoozedUntil);
+  return until > since && until <= now;
+});
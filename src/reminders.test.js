@@ -0,0 +1,58 @@
+import { DEFAULT_REMINDER_SETTINGS, createReminderState, collectReminders, isSnoozed, getWokenNotifications } from './reminders';
+import { createAssignment } from './assignmentDomain';
+
+const NOW = '2030-03-01T12:00:00.000Z';
+// Local time, after the default 08:00 digest
+const MORNING = new Date(2030, 2, 5, 9, 0);
+
+const settings = { ...DEFAULT_REMINDER_SETTINGS, offsets: [] };
+
+describe('the daily digest', () => {
+  test('is sent once the digest time has passed', () => {
+    const result = collectReminders([createAssignment({ title: 'Quiz', dueDate: '2030-03-05' }, 1, NOW)], settings, createReminderState(), MORNING);
+    expect(result.state.lastDigest).toBe('2030-03-05');
+    expect(result.created).toEqual([expect.objectContaining({ id: 'digest:2030-03-05', kind: 'digest', title: '1 assignment due today', body: 'Quiz' })]);
+    expect(collectReminders([createAssignment({ title: 'Quiz', dueDate: '2030-03-05' }, 1, NOW)], settings, result.state, MORNING)).toBeNull();
+  });
+
+  test('does not use up the day when there is nothing to report', () => {
+    expect(collectReminders([], settings, createReminderState(), MORNING)).toBeNull();
+    const later = collectReminders([createAssignment({ title: 'Quiz', dueDate: '2030-03-05' }, 1, NOW)], settings, createReminderState(), MORNING);
+    expect(later.created.map(notification => notification.kind)).toEqual(['digest']);
+  });
+});
+
+describe('deadline reminders', () => {
+  const noDigest = { ...DEFAULT_REMINDER_SETTINGS, digestEnabled: false };
+  const quiz = createAssignment({ title: 'Quiz', dueDate: '2030-03-05', dueTime: '10:00', courseId: 'c1' }, 1, NOW);
+  const courseNames = new Map([['c1', 'Biology']]);
+
+  test('sends only the latest reminder that has come due, and each one once', () => {
+    const first = collectReminders([quiz], noDigest, createReminderState(), MORNING, courseNames);
+    expect(first.created).toEqual([expect.objectContaining({
+      id: '1@2030-03-05T10:00:60', kind: 'upcoming', assignmentId: 1, title: 'Coming up: Quiz', body: 'Biology – due in 1h'
+    })]);
+    expect(Object.keys(first.state.fired)).toEqual(['1@2030-03-05T10:00:1440', '1@2030-03-05T10:00:60']);
+    expect(collectReminders([quiz], noDigest, first.state, MORNING, courseNames)).toBeNull();
+
+    // Once overdue, the overdue notice replaces the earlier one
+    const overdue = collectReminders([quiz], noDigest, first.state, new Date(2030, 2, 5, 11, 0), courseNames);
+    expect(overdue.created.map(notification => notification.title)).toEqual(['Overdue: Quiz']);
+    expect(overdue.state.notifications).toHaveLength(1);
+  });
+
+  test('moving the deadline arms the reminders again; finished work has none', () => {
+    const first = collectReminders([quiz], noDigest, createReminderState(), MORNING);
+    const moved = { ...quiz, dueTime: '09:30' };
+    expect(collectReminders([moved], noDigest, first.state, MORNING).created.map(notification => notification.kind)).toEqual(['upcoming']);
+    expect(collectReminders([{ ...quiz, completed: true }], noDigest, createReminderState(), MORNING)).toBeNull();
+  });
+});
+
+test('snoozed notifications come back when the snooze runs out', () => {
+  const notification = { id: 'n1', snoozedUntil: new Date(2030, 2, 5, 9, 30).toISOString() };
+  expect(isSnoozed(notification, MORNING)).toBe(true);
+  expect(isSnoozed(notification, new Date(2030, 2, 5, 9, 30))).toBe(false);
+  expect(getWokenNotifications([notification], MORNING, new Date(2030, 2, 5, 9, 45))).toEqual([notification]);
+  expect(getWokenNotifications([notification], new Date(2030, 2, 5, 9, 45), new Date(2030, 2, 5, 10, 0))).toEqual([]);
+});
@@ -0,0 +1,79 @@
+// Talks to a sync server over a small REST API, for syncEngine.js. Any object with the same four
+// methods can stand in for it.
+//
+// The API, relative to the server's base URL:
+//
+//   GET    /assignments        200 with every record as a JSON array
+//   POST   /assignments        body: a record with its `id`; 201 with the stored record, or 409 with
+//                              the stored record if the id is taken
+//   PATCH  /assignments/:id    body: the fields to change; 200 with the updated record
+//   DELETE /assignments/:id    204
+//
+// A record is an assignment as the app stores it, except that it names its course and grading
+// category instead of pointing at them by id (see toSyncRecord in syncEngine.js) and leaves out
+// attachments, whose files stay on the device that added them. The server stamps every record it
+// writes with `lastModified`, an ISO 8601 timestamp that only moves forward.
+//
+// PATCH and DELETE send the `lastModified` the client last saw in an `If-Unmodified-Since` header,
+// as an ISO timestamp rather than an HTTP date so edits within the same second are still told
+// apart. When the record has changed since, the server answers 412 with the current record. Both
+// answer 404 when the record does not exist.
+//
+// Methods resolve to `{ status: 'ok', record }`, `{ status: 'conflict', record }` for 409 and 412,
+// or `{ status: 'missing' }` for 404, and reject when the server cannot be reached or answers
+// anything else. Such errors carry the HTTP `status`, if there was one.
+
+const createSyncError = (message, status = null) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const createRestSyncAdapter = (baseUrl, { fetch: fetchImpl = (...args) => window.fetch(...args) } = {}) => {
+  const root = `${baseUrl.replace(/\/+$/, '')}/assignments`;
+
+  const request = async (method, id, { body, lastModified } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (lastModified) headers['If-Unmodified-Since'] = lastModified;
+
+    let response;
+    try {
+      response = await fetchImpl(id === undefined ? root : `${root}/${encodeURIComponent(String(id))}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw createSyncError(`The sync server could not be reached (${error.message}).`);
+    }
+
+    if (response.status === 404) return { status: 'missing' };
+    if (response.status === 409 || response.status === 412) return { status: 'conflict', record: await response.json() };
+    if (!response.ok) throw createSyncError(`The sync server answered ${response.status}.`, response.status);
+    return { status: 'ok', record: response.status === 204 ? null : await response.json() };
+  };
+
+  const list = async () => {
+    const { status, record: records } = await request('GET');
+    if (status !== 'ok' || !Array.isArray(records)) throw createSyncError('The sync server did not send a list of assignments.');
+    return records;
+  };
+
+  return {
+    list,
+    create: (record) => request('POST', undefined, { body: record }),
+    update: (id, changes, lastModified) => request('PATCH', id, { body: changes, lastModified }),
+    remove: (id, lastModified) => request('DELETE', id, { lastModified })
+  };
+};
+
+let defaultAdapter = null;
+
+// The server named by REACT_APP_SYNC_URL when the app was built, or null to keep everything on
+// this device
+export const getDefaultSyncAdapter = () => {
+  if (!process.env.REACT_APP_SYNC_URL) return null;
+  if (!defaultAdapter) defaultAdapter = createRestSyncAdapter(process.env.REACT_APP_SYNC_URL);
+  return defaultAdapter;
+};
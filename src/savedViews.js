@@ -0,0 +1,34 @@
+// Named filter and sort combinations, plus the built-in smart lists.
+
+import { DEFAULT_FILTERS } from './filters';
+
+// Smart lists are plain queries, so they stay in step with whatever the query language supports
+export const BUILT_IN_VIEWS = [
+  { id: 'builtin:today', name: 'Today', builtIn: true, filters: { ...DEFAULT_FILTERS, searchTerm: 'due:today is:pending' }, sortMode: 'due' },
+  { id: 'builtin:week', name: 'This week', builtIn: true, filters: { ...DEFAULT_FILTERS, searchTerm: 'due:this-week is:pending' }, sortMode: 'due' },
+  { id: 'builtin:overdue', name: 'Overdue', builtIn: true, filters: { ...DEFAULT_FILTERS, searchTerm: 'is:overdue' }, sortMode: 'due' }
+];
+
+export const createSavedView = (name, filters, sortMode, existingViews) => {
+  const usedIds = new Set(existingViews.map(view => view.id));
+  let id = `view:${Date.now()}`;
+  for (let suffix = 1; usedIds.has(id); suffix++) id = `view:${Date.now()}-${suffix}`;
+  return {
+    id,
+    name: name.trim(),
+    filters: Object.fromEntries(Object.keys(DEFAULT_FILTERS).map(key => [key, filters[key]])),
+    sortMode
+  };
+};
+
+export const isSameView = (view, filters, sortMode) => (
+  view.sortMode === sortMode && Object.keys(DEFAULT_FILTERS).every(key => view.filters[key] === filters[key])
+);
+
+// Views saved by name must be told apart in the tab list
+export const validateViewName = (name, views, ignoreId = null) => {
+  const trimmed = name.trim();
+  if (!trimmed) return 'Give the view a name.';
+  const taken = [...BUILT_IN_VIEWS, ...views].some(view => view.id !== ignoreId && view.name.toLowerCase() === trimmed.toLowerCase());
+  return taken ? `There is already a view called "${trimmed}".` : '';
+};
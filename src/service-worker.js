@@ -0,0 +1,70 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for offline use, built by react-scripts (Workbox InjectManifest) into
+// /service-worker.js. It precaches the app shell: index.html and every bundled script and
+// stylesheet, which includes the lucide icons since they are compiled into the JS. Tailwind is
+// loaded from its CDN at runtime; that script is fetched into its own cache during install.
+//
+// A new build installs alongside the old one and waits; the page offers to reload and then sends
+// SKIP_WAITING (see serviceWorkerRegistration.js). Assignments themselves never touch the
+// network; they live in IndexedDB.
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Any page navigation gets the cached shell, except files such as /manifest.json and URLs
+// reserved by the server
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && url.origin === self.location.origin
+    && !url.pathname.startsWith('/_')
+    && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+const TAILWIND_URL = 'https://cdn.tailwindcss.com';
+const TAILWIND_CACHE = 'tailwind-cdn';
+
+// The page's first request for Tailwind goes out before this worker controls it, so the route below
+// would only cache it on the second visit. Fetch it now instead; a failure must not stop the install.
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    fetch(new Request(TAILWIND_URL, { mode: 'no-cors' }))
+      .then(response => caches.open(TAILWIND_CACHE).then(cache => cache.put(TAILWIND_URL, response)))
+      .catch(() => {})
+  );
+});
+
+// The Tailwind CDN script; opaque (status 0) responses are fine to keep, it is loaded without CORS
+registerRoute(
+  ({ url }) => url.origin === TAILWIND_URL,
+  new StaleWhileRevalidate({
+    cacheName: TAILWIND_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 4 })
+    ]
+  })
+);
+
+// Same-origin files outside the build, such as the manifest and icons
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'static-files',
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })]
+  })
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
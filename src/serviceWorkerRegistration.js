@@ -0,0 +1,55 @@
+// Registers the service worker (see service-worker.js) in production builds and reports when a
+// newly deployed build is installed and waiting to take over.
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let waitingWorker = null;
+let isApplyingUpdate = false;
+const listeners = new Set();
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach(listener => listener());
+};
+
+// A worker that finishes installing while another one controls the page is an update
+const watchInstalling = (worker) => {
+  if (!worker) return;
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaitingWorker(worker);
+  });
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).then(registration => {
+      if (registration.waiting && navigator.serviceWorker.controller) setWaitingWorker(registration.waiting);
+      watchInstalling(registration.installing);
+      registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+      // The page can stay open all day, so look for new builds now and then
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+    }).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+
+  // Reload once the new worker has taken over, but not when the very first one claims the page
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (isApplyingUpdate) window.location.reload();
+  });
+};
+
+// `listener()` runs when an update is waiting, straight away if one already is
+export const subscribeToUpdates = (listener) => {
+  listeners.add(listener);
+  if (waitingWorker) listener();
+  return () => listeners.delete(listener);
+};
+
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+  isApplyingUpdate = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
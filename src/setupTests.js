@@ -0,0 +1,2 @@
+// Custom matchers such as toBeInTheDocument() for every test
+import '@testing-library/jest-dom';
@@ -0,0 +1,58 @@
+// Sort modes for the assignment list and manual reordering.
+//
+// The stored array order is the user's custom order. Sorting always works on a copy, so
+// switching to another mode and back never loses it.
+
+import { compareDue } from './dates';
+import { getCourseName } from './courses';
+
+export const SORT_MODES = [
+  { value: 'smart', label: 'Smart' },
+  { value: 'manual', label: 'Custom order' },
+  { value: 'due', label: 'Due date' },
+  { value: 'created', label: 'Newest first' },
+  { value: 'title', label: 'Title' },
+  { value: 'category', label: 'Course' }
+];
+
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+const compareText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+
+const COMPARATORS = {
+  // Unfinished work first, then by priority (high to low), then by due date (closest first)
+  smart: (a, b) => {
+    if (a.completed !== b.completed) return a.completed ? 1 : -1;
+    const priorityDiff = PRIORITY_ORDER[b.priority] - PRIORITY_ORDER[a.priority];
+    if (priorityDiff !== 0) return priorityDiff;
+    return compareDue(a, b);
+  },
+  due: (a, b) => compareDue(a, b) || compareText(a.title, b.title),
+  created: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  title: (a, b) => compareText(a.title, b.title) || compareDue(a, b),
+  // By course name; assignments without a course go last
+  category: (a, b, courseNames) => {
+    const [nameA, nameB] = [getCourseName(courseNames, a.courseId), getCourseName(courseNames, b.courseId)];
+    if (!nameA !== !nameB) return nameA ? -1 : 1;
+    return compareText(nameA, nameB) || compareDue(a, b);
+  }
+};
+
+// Array#sort is stable, so ties keep the custom order
+export const sortAssignments = (assignments, mode, courseNames = new Map()) => {
+  const comparator = COMPARATORS[mode];
+  return comparator ? [...assignments].sort((a, b) => comparator(a, b, courseNames)) : assignments;
+};
+
+// Moves `id` to just before or after `targetId` in the full list. Working relative to another
+// assignment rather than an index keeps this correct when filters hide part of the list.
+export const moveAssignmentTo = (assignments, id, targetId, placement) => {
+  if (id === targetId) return assignments;
+  const moved = assignments.find(assignment => assignment.id === id);
+  if (!moved || !assignments.some(assignment => assignment.id === targetId)) return assignments;
+
+  const rest = assignments.filter(assignment => assignment.id !== id);
+  const targetIndex = rest.findIndex(assignment => assignment.id === targetId);
+  rest.splice(placement === 'after' ? targetIndex + 1 : targetIndex, 0, moved);
+  return rest;
+};
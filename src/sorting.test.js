@@ -0,0 +1,38 @@
+import { sortAssignments, moveAssignmentTo } from './sorting';
+
+const assignment = (id, fields = {}) => ({
+  id, title: `Assignment ${id}`, courseId: null, priority: 'medium', dueDate: '', dueTime: '',
+  completed: false, createdAt: '2030-03-01T12:00:00.000Z', ...fields
+});
+
+const ids = (list) => list.map(item => item.id);
+
+describe('sortAssignments', () => {
+  const list = [
+    assignment(1, { priority: 'low', dueDate: '2030-03-02' }),
+    assignment(2, { priority: 'high', completed: true }),
+    assignment(3, { priority: 'high', dueDate: '2030-03-09', title: 'assignment 10', createdAt: '2030-03-03T12:00:00.000Z' }),
+    assignment(4, { priority: 'high', dueDate: '2030-03-05', courseId: 'c1' })
+  ];
+
+  test('sorts smart, by due date, newest and title', () => {
+    expect(ids(sortAssignments(list, 'smart'))).toEqual([4, 3, 1, 2]);
+    expect(ids(sortAssignments(list, 'due'))).toEqual([1, 4, 3, 2]);
+    expect(ids(sortAssignments(list, 'created'))).toEqual([3, 1, 2, 4]);
+    // Numbers in titles sort by value
+    expect(ids(sortAssignments(list, 'title'))).toEqual([1, 2, 4, 3]);
+  });
+
+  test('sorts by course with the rest last, and leaves the custom order alone', () => {
+    expect(ids(sortAssignments(list, 'category', new Map([['c1', 'Biology']])))).toEqual([4, 1, 3, 2]);
+    expect(sortAssignments(list, 'manual')).toBe(list);
+  });
+});
+
+test('moves an assignment before or after another', () => {
+  const list = [assignment(1), assignment(2), assignment(3)];
+  expect(ids(moveAssignmentTo(list, 3, 1, 'before'))).toEqual([3, 1, 2]);
+  expect(ids(moveAssignmentTo(list, 1, 3, 'after'))).toEqual([2, 3, 1]);
+  expect(moveAssignmentTo(list, 1, 1, 'after')).toBe(list);
+  expect(moveAssignmentTo(list, 1, 9, 'after')).toBe(list);
+});
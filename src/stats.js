@@ -0,0 +1,88 @@
+// Numbers behind the statistics panel. Everything is derived from the assignments themselves;
+// completion times come from `completedAt`, which is unknown (null) for work finished before it existed.
+
+import { getDueMoment, getTodayKey, toDateKey, addDays, startOfWeek, daysBetween } from './dates';
+import { getCourseName } from './courses';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isTracked = (assignment) => assignment.completed && Boolean(assignment.completedAt);
+
+const completionDayKey = (assignment) => toDateKey(new Date(assignment.completedAt));
+
+// For each of the last `weeks` weeks (oldest first): how many assignments were due that week and
+// how many of those are done
+export const getWeeklyCompletion = (assignments, now = new Date(), weeks = 8) => {
+  const thisWeek = startOfWeek(getTodayKey(now));
+  return Array.from({ length: weeks }, (_, i) => {
+    const start = addDays(thisWeek, (i - weeks + 1) * 7);
+    const end = addDays(start, 7);
+    const due = assignments.filter(assignment => assignment.dueDate >= start && assignment.dueDate < end);
+    const done = due.filter(assignment => assignment.completed).length;
+    return { start, due: due.length, done, rate: due.length === 0 ? null : done / due.length };
+  });
+};
+
+// Completed assignments with a due date, split by course and by whether they were finished in time
+export const getOnTimeByCourse = (assignments, courseNames) => {
+  const byCourse = new Map();
+  assignments.filter(assignment => isTracked(assignment) && assignment.dueDate).forEach(assignment => {
+    const name = getCourseName(courseNames, assignment.courseId) || 'No course';
+    if (!byCourse.has(name)) byCourse.set(name, { name, onTime: 0, late: 0 });
+    const entry = byCourse.get(name);
+    if (new Date(assignment.completedAt) <= getDueMoment(assignment.dueDate, assignment.dueTime)) {
+      entry.onTime++;
+    } else {
+      entry.late++;
+    }
+  });
+  return [...byCourse.values()].sort((a, b) => (b.onTime + b.late) - (a.onTime + a.late) || a.name.localeCompare(b.name));
+};
+
+// Unfinished assignments due on each day of the coming `weeks` weeks, starting this Sunday
+export const getDueHeatmap = (assignments, now = new Date(), weeks = 6) => {
+  const first = startOfWeek(getTodayKey(now));
+  const counts = {};
+  assignments.forEach(assignment => {
+    if (!assignment.completed && assignment.dueDate) counts[assignment.dueDate] = (counts[assignment.dueDate] || 0) + 1;
+  });
+  return Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (__, day) => {
+    const date = addDays(first, week * 7 + day);
+    return { date, count: counts[date] || 0 };
+  }));
+};
+
+// Average time from creating an assignment to completing it, in days
+export const getAverageLeadTime = (assignments) => {
+  const durations = assignments
+    .filter(isTracked)
+    .map(assignment => new Date(assignment.completedAt) - new Date(assignment.createdAt))
+    .filter(duration => duration >= 0);
+  if (durations.length === 0) return null;
+  return { days: durations.reduce((sum, duration) => sum + duration, 0) / durations.length / DAY, sample: durations.length };
+};
+
+// Days in a row with at least one completion. Today still counts as "in progress" until it is over,
+// so the current streak runs through yesterday when nothing has been finished yet today.
+export const getStreaks = (assignments, now = new Date()) => {
+  const days = [...new Set(assignments.filter(isTracked).map(completionDayKey))].sort();
+  const today = getTodayKey(now);
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && daysBetween(days[i - 1], day) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const completedDays = new Set(days);
+  let current = 0;
+  let day = completedDays.has(today) ? today : addDays(today, -1);
+  while (completedDays.has(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+  return { current, longest };
+};
+
+export const countUntracked = (assignments) => assignments.filter(assignment => assignment.completed && !assignment.completedAt).length;
@@ -0,0 +1,56 @@
+import { getWeeklyCompletion, getOnTimeByCourse, getDueHeatmap, getAverageLeadTime, getStreaks, countUntracked } from './stats';
+
+// Wednesday 2030-03-06, local time
+const NOW = new Date(2030, 2, 6, 12, 0);
+
+const local = (day, hour = 12) => new Date(2030, 2, day, hour).toISOString();
+
+const assignment = (fields = {}) => ({
+  courseId: null, dueDate: '', dueTime: '', completed: false, completedAt: null, createdAt: local(1), ...fields
+});
+
+test('counts how much of each week\'s work is done', () => {
+  const weeks = getWeeklyCompletion([
+    assignment({ dueDate: '2030-03-04', completed: true }),
+    assignment({ dueDate: '2030-03-05' }),
+    assignment({ dueDate: '2030-02-26', completed: true })
+  ], NOW, 2);
+  expect(weeks).toEqual([
+    { start: '2030-02-24', due: 1, done: 1, rate: 1 },
+    { start: '2030-03-03', due: 2, done: 1, rate: 0.5 }
+  ]);
+});
+
+test('splits finished work by course into on time and late', () => {
+  const courseNames = new Map([['c1', 'Biology']]);
+  expect(getOnTimeByCourse([
+    assignment({ courseId: 'c1', dueDate: '2030-03-04', completed: true, completedAt: local(4, 20) }),
+    assignment({ courseId: 'c1', dueDate: '2030-03-04', dueTime: '09:00', completed: true, completedAt: local(4, 10) }),
+    assignment({ dueDate: '2030-03-04', completed: true, completedAt: local(3) }),
+    assignment({ dueDate: '2030-03-04', completed: true })
+  ], courseNames)).toEqual([
+    { name: 'Biology', onTime: 1, late: 1 },
+    { name: 'No course', onTime: 1, late: 0 }
+  ]);
+});
+
+test('maps unfinished work onto the coming weeks', () => {
+  const heatmap = getDueHeatmap([
+    assignment({ dueDate: '2030-03-07' }),
+    assignment({ dueDate: '2030-03-07' }),
+    assignment({ dueDate: '2030-03-07', completed: true })
+  ], NOW, 1);
+  expect(heatmap[0].map(day => day.date)).toEqual(['2030-03-03', '2030-03-04', '2030-03-05', '2030-03-06', '2030-03-07', '2030-03-08', '2030-03-09']);
+  expect(heatmap[0][4].count).toBe(2);
+});
+
+test('averages lead time and counts streaks of finished work', () => {
+  const done = (day) => assignment({ completed: true, completedAt: local(day), createdAt: local(day - 2) });
+  const finished = [done(2), done(3), done(5), done(5), assignment({ completed: true })];
+
+  expect(getAverageLeadTime(finished)).toEqual({ days: 2, sample: 4 });
+  expect(getAverageLeadTime([])).toBeNull();
+  // Nothing finished today yet, so the current streak runs through yesterday
+  expect(getStreaks(finished, NOW)).toEqual({ current: 1, longest: 2 });
+  expect(countUntracked(finished)).toBe(1);
+});
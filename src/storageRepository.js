@@ -0,0 +1,281 @@
+import { SCHEMA_VERSION, createEmptyStore, migrateStore, assignmentStoreCodec } from './storageSchema';
+
+// Where the assignment store lives between visits.
+//
+// A repository loads and saves the whole `{ version, assignments, courses, quarantine }` store
+// (see storageSchema.js) but writes only the records that changed, so saving one edit does not
+// re-serialize every assignment. The records themselves are kept by a backend:
+//
+// - createIndexedDbBackend(): the browser's IndexedDB, one object per assignment and course
+// - createMemoryBackend(): plain maps, for tests and anywhere IndexedDB is missing
+//
+// A backend provides `read()`, returning `{ meta, assignments, courses }` or null when empty,
+// `write(changes, source)`, applying one batch atomically, and `subscribe(listener)`, which is
+// told `{ source }` after a write from any repository on the same data (in IndexedDB's case,
+// also other tabs).
+
+export const LEGACY_STORAGE_KEY = 'studentAssignments';
+
+const DB_NAME = 'studentAssignments';
+const DB_VERSION = 1;
+const ASSIGNMENTS = 'assignments';
+const COURSES = 'courses';
+const META = 'meta';
+const META_KEY = 'store';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const createIndexedDbBackend = (name = DB_NAME) => {
+  let dbPromise = null;
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${name}-changes`) : null;
+
+  const openDb = () => {
+    if (typeof window === 'undefined' || !window.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is unavailable.'));
+    }
+    if (!dbPromise) {
+      const request = window.indexedDB.open(name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ASSIGNMENTS)) db.createObjectStore(ASSIGNMENTS, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(COURSES)) db.createObjectStore(COURSES, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+      };
+      dbPromise = requestToPromise(request).then(db => {
+        // Let a newer build in another tab upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        return db;
+      }, error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The save was aborted.'));
+  });
+
+  const read = async () => {
+    const db = await openDb();
+    const transaction = db.transaction([ASSIGNMENTS, COURSES, META], 'readonly');
+    const [assignments, courses, meta] = await Promise.all([
+      requestToPromise(transaction.objectStore(ASSIGNMENTS).getAll()),
+      requestToPromise(transaction.objectStore(COURSES).getAll()),
+      requestToPromise(transaction.objectStore(META).get(META_KEY)),
+      transactionDone(transaction)
+    ]);
+    return meta ? { meta, assignments, courses } : null;
+  };
+
+  const write = async (changes, source) => {
+    const db = await openDb();
+    const transaction = db.transaction([ASSIGNMENTS, COURSES, META], 'readwrite');
+    const done = transactionDone(transaction);
+    const assignmentStore = transaction.objectStore(ASSIGNMENTS);
+    const courseStore = transaction.objectStore(COURSES);
+    if (changes.clear) {
+      assignmentStore.clear();
+      courseStore.clear();
+    }
+    changes.deleteAssignments.forEach(id => assignmentStore.delete(id));
+    changes.putAssignments.forEach(record => assignmentStore.put(record));
+    changes.deleteCourses.forEach(id => courseStore.delete(id));
+    changes.putCourses.forEach(record => courseStore.put(record));
+    if (changes.meta) transaction.objectStore(META).put(changes.meta, META_KEY);
+    await done;
+    if (channel) channel.postMessage({ source });
+  };
+
+  const subscribe = (listener) => {
+    if (!channel) return () => {};
+    const handleMessage = (e) => listener(e.data);
+    channel.addEventListener('message', handleMessage);
+    return () => channel.removeEventListener('message', handleMessage);
+  };
+
+  return { read, write, subscribe };
+};
+
+// Records are cloned on the way in and out, as IndexedDB would, so callers cannot share state
+// with the backend by accident
+export const createMemoryBackend = () => {
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+  const assignments = new Map();
+  const courses = new Map();
+  const listeners = new Set();
+  let meta = null;
+
+  const read = async () => (meta
+    ? { meta: clone(meta), assignments: clone([...assignments.values()]), courses: clone([...courses.values()]) }
+    : null);
+
+  const write = async (changes, source) => {
+    if (changes.clear) {
+      assignments.clear();
+      courses.clear();
+    }
+    changes.deleteAssignments.forEach(id => assignments.delete(id));
+    changes.putAssignments.forEach(record => assignments.set(record.id, clone(record)));
+    changes.deleteCourses.forEach(id => courses.delete(id));
+    changes.putCourses.forEach(record => courses.set(record.id, clone(record)));
+    if (changes.meta) meta = clone(changes.meta);
+    listeners.forEach(listener => listener({ source }));
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { read, write, subscribe };
+};
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const getMeta = (store) => ({
+  version: SCHEMA_VERSION,
+  quarantine: store.quarantine,
+  assignmentOrder: store.assignments.map(assign => assign.id),
+  courseOrder: store.courses.map(course => course.id)
+});
+
+// Records in `next` that are new or differ from `previous`, and ids that are gone
+const diffRecords = (previous, next) => {
+  const previousById = new Map(previous.map(record => [record.id, record]));
+  const nextIds = new Set(next.map(record => record.id));
+  return {
+    put: next.filter(record => !previousById.has(record.id) || !sameValue(previousById.get(record.id), record)),
+    remove: previous.filter(record => !nextIds.has(record.id)).map(record => record.id)
+  };
+};
+
+// Restores the saved list order; records missing from it were added by a write that raced with
+// another tab's, and go on top like any new assignment
+const inOrder = (records, order = []) => {
+  const position = new Map(order.map((id, index) => [id, index]));
+  const unordered = records.filter(record => !position.has(record.id));
+  const ordered = records.filter(record => position.has(record.id))
+    .sort((a, b) => position.get(a.id) - position.get(b.id));
+  return [...unordered, ...ordered];
+};
+
+// The store as the localStorage-only versions of the app saved it, or null
+export const readLegacyStore = () => {
+  try {
+    const raw = window.localStorage.getItem(LEGACY_STORAGE_KEY);
+    return raw ? assignmentStoreCodec.deserialize(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Turns a storage failure into something to tell the user
+export const describeStorageError = (error) => {
+  const name = error && error.name;
+  if (name === 'QuotaExceededError') {
+    return 'Your browser\'s storage is full. Free up space, for example by removing large attachments, then try again.';
+  }
+  if (name === 'SecurityError' || name === 'InvalidStateError' || /unavailable/i.test(error && error.message)) {
+    return 'This browser is not letting the app store data, which can happen in private browsing.';
+  }
+  return (error && error.message) || 'Saving failed for an unknown reason.';
+};
+
+export const createAssignmentRepository = (backend) => {
+  // Identifies this repository's own writes among the change notifications
+  const source = `repo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+  // Operations run one at a time, so a load never sees half of a save
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const writeAll = (store) => backend.write({
+    clear: true,
+    meta: getMeta(store),
+    putAssignments: store.assignments,
+    deleteAssignments: [],
+    putCourses: store.courses,
+    deleteCourses: []
+  }, source);
+
+  // Moves data saved by the localStorage-only versions of the app over, once
+  const migrateLegacy = async () => {
+    const legacy = readLegacyStore();
+    if (!legacy) return createEmptyStore();
+    await writeAll(legacy);
+    try {
+      window.localStorage.removeItem(LEGACY_STORAGE_KEY);
+    } catch (error) {
+      // Harmless: the key is ignored once the database has data
+    }
+    return legacy;
+  };
+
+  const load = () => enqueue(async () => {
+    const saved = await backend.read();
+    if (!saved) return migrateLegacy();
+
+    const { meta, assignments, courses } = saved;
+    const store = migrateStore({
+      version: meta.version,
+      assignments: inOrder(assignments, meta.assignmentOrder),
+      courses: inOrder(courses, meta.courseOrder),
+      quarantine: meta.quarantine || []
+    });
+    // Upgraded or newly quarantined records are written back so this only happens once
+    if (meta.version !== SCHEMA_VERSION || store.quarantine.length !== (meta.quarantine || []).length) {
+      await writeAll(store);
+    }
+    return store;
+  });
+
+  // Writes what changed between two versions of the store
+  const save = (previous, next) => enqueue(() => {
+    const assignments = diffRecords(previous.assignments, next.assignments);
+    const courses = diffRecords(previous.courses, next.courses);
+    const meta = getMeta(next);
+    const metaChanged = !sameValue(getMeta(previous), meta);
+    if (!metaChanged && assignments.put.length + assignments.remove.length + courses.put.length + courses.remove.length === 0) {
+      return Promise.resolve();
+    }
+    return backend.write({
+      meta: metaChanged ? meta : null,
+      putAssignments: assignments.put,
+      deleteAssignments: assignments.remove,
+      putCourses: courses.put,
+      deleteCourses: courses.remove
+    }, source);
+  });
+
+  // Overwrites everything, e.g. after a failed save left the stored copy out of date
+  const replace = (store) => enqueue(() => writeAll(store));
+
+  // `listener()` runs when another repository, usually in another tab, changed the data
+  const subscribe = (listener) => backend.subscribe(message => {
+    if (message && message.source !== source) listener();
+  });
+
+  return { load, save, replace, subscribe };
+};
+
+let defaultRepository = null;
+
+// The IndexedDB repository the app uses unless it is given another one
+export const getDefaultRepository = () => {
+  if (!defaultRepository) defaultRepository = createAssignmentRepository(createIndexedDbBackend());
+  return defaultRepository;
+};
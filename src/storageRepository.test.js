@@ -0,0 +1,84 @@
+import { createAssignmentRepository, createMemoryBackend, LEGACY_STORAGE_KEY, describeStorageError } from './storageRepository';
+import { SCHEMA_VERSION, createEmptyStore } from './storageSchema';
+import { createAssignment } from './assignmentDomain';
+
+const NOW = '2030-03-01T12:00:00.000Z';
+
+// Records every batch the repository writes
+const createRecordingBackend = () => {
+  const backend = createMemoryBackend();
+  const writes = [];
+  return {
+    ...backend,
+    writes,
+    write: (changes, source) => {
+      writes.push(changes);
+      return backend.write(changes, source);
+    }
+  };
+};
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('an empty backend loads as an empty store', async () => {
+  const repository = createAssignmentRepository(createMemoryBackend());
+  await expect(repository.load()).resolves.toEqual(createEmptyStore());
+});
+
+test('moves data from the old localStorage key over once', async () => {
+  window.localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify([{ id: 1, title: 'Essay', category: 'History', priority: 'low', completed: false }]));
+  const backend = createMemoryBackend();
+  const store = await createAssignmentRepository(backend).load();
+  expect(store.assignments.map(assign => assign.title)).toEqual(['Essay']);
+  expect(window.localStorage.getItem(LEGACY_STORAGE_KEY)).toBeNull();
+
+  const reloaded = await createAssignmentRepository(backend).load();
+  expect(reloaded).toEqual(store);
+});
+
+test('writes only the records that changed and keeps the list order', async () => {
+  const backend = createRecordingBackend();
+  const repository = createAssignmentRepository(backend);
+  const first = createAssignment({ title: 'First' }, 1, NOW);
+  const second = createAssignment({ title: 'Second' }, 2, NOW);
+  const store = { ...createEmptyStore(), assignments: [second, first] };
+  await repository.replace(store);
+
+  const edited = { ...store, assignments: [second, { ...first, completed: true }] };
+  await repository.save(store, edited);
+  expect(backend.writes[1]).toMatchObject({ meta: null, putAssignments: [edited.assignments[1]], deleteAssignments: [] });
+
+  const reordered = { ...edited, assignments: [edited.assignments[1]] };
+  await repository.save(edited, reordered);
+  expect(backend.writes[2]).toMatchObject({ putAssignments: [], deleteAssignments: [2] });
+  expect(backend.writes[2].meta.assignmentOrder).toEqual([1]);
+
+  await repository.save(reordered, reordered);
+  expect(backend.writes).toHaveLength(3);
+
+  const loaded = await repository.load();
+  expect(loaded.version).toBe(SCHEMA_VERSION);
+  expect(loaded.assignments).toEqual(reordered.assignments);
+});
+
+test('tells other repositories on the same data about saves', async () => {
+  const backend = createMemoryBackend();
+  const mine = createAssignmentRepository(backend);
+  const theirs = createAssignmentRepository(backend);
+  const mineListener = jest.fn();
+  const theirsListener = jest.fn();
+  mine.subscribe(mineListener);
+  theirs.subscribe(theirsListener);
+
+  await mine.replace({ ...createEmptyStore(), assignments: [createAssignment({ title: 'Essay' }, 1, NOW)] });
+  expect(mineListener).not.toHaveBeenCalled();
+  expect(theirsListener).toHaveBeenCalledTimes(1);
+});
+
+test('explains a full disk', () => {
+  const error = new Error('quota');
+  error.name = 'QuotaExceededError';
+  expect(describeStorageError(error)).toMatch(/storage is full/);
+});
@@ -0,0 +1,326 @@
+// Versioned storage format for the assignment store (see storageRepository.js).
+//
+// Data is stored as `{ version, assignments, courses, quarantine }`. Records written by an older
+// version of the app are upgraded one step at a time through `migrations`; anything that
+// still fails validation afterwards is moved into `quarantine` instead of breaking the list.
+
+import { isValidDate, isValidTime } from './dates';
+import { validateRecurrence } from './recurrence';
+import { mergeRecordLists } from './syncMerge';
+import { COURSE_COLORS, normalizeCourseName, createCourseRegistry } from './courses';
+
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+const isValidTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const isValidGradingCategory = (category) => isPlainObject(category)
+  && typeof category.id === 'string' && typeof category.name === 'string'
+  && isScore(category.weight) && category.weight <= 100;
+
+// Links open from the drawer, so only web and mail addresses are kept (not `javascript:` and the like)
+export const SAFE_LINK_URL = /^(https?:|mailto:)/i;
+
+const isValidLink = (link) => isPlainObject(link)
+  && typeof link.id === 'string' && typeof link.url === 'string' && SAFE_LINK_URL.test(link.url)
+  && typeof link.title === 'string';
+
+// Only the metadata; the file itself is in IndexedDB (see attachmentStore.js)
+const isValidAttachment = (attachment) => isPlainObject(attachment)
+  && typeof attachment.id === 'string' && typeof attachment.name === 'string'
+  && typeof attachment.type === 'string' && isScore(attachment.size) && isValidTimestamp(attachment.addedAt);
+
+const isValidSubtask = (subtask) => isPlainObject(subtask)
+  && (typeof subtask.id === 'number' || typeof subtask.id === 'string')
+  && typeof subtask.title === 'string' && subtask.title.trim() !== ''
+  && typeof subtask.done === 'boolean';
+
+// migrations[n] upgrades a single record from version n to version n + 1. `context.courses` is a
+// course registry (see courses.js) for steps that need to find or create courses.
+// Append new steps to the end; never edit a step that has already shipped.
+const migrations = [
+  // 0 -> 1: records from before the envelope existed, stored as a bare array
+  (record) => ({
+    ...record,
+    completed: record.completed === true || record.completed === 'true',
+    category: typeof record.category === 'string' ? record.category : '',
+    dueDate: record.dueDate || '',
+    priority: record.priority || 'medium',
+    createdAt: record.createdAt || new Date().toISOString()
+  }),
+  // 1 -> 2: track when each record last changed, so edits made in two tabs can be reconciled
+  (record) => ({
+    ...record,
+    updatedAt: record.updatedAt || record.createdAt
+  }),
+  // 2 -> 3: ordered checklist of subtasks
+  (record) => ({
+    ...record,
+    subtasks: Array.isArray(record.subtasks) ? record.subtasks : []
+  }),
+  // 3 -> 4: repeating assignments; occurrences of one series share a seriesId
+  (record) => ({
+    ...record,
+    recurrence: record.recurrence || null,
+    seriesId: record.seriesId ?? null
+  }),
+  // 4 -> 5: UID of the calendar event an assignment was imported from, to skip it next time
+  (record) => ({
+    ...record,
+    icalUid: typeof record.icalUid === 'string' ? record.icalUid : null
+  }),
+  // 5 -> 6: optional due time ("HH:MM", local wall-clock time) alongside the due date
+  (record) => ({
+    ...record,
+    dueTime: typeof record.dueTime === 'string' ? record.dueTime : ''
+  }),
+  // 6 -> 7: when an assignment was completed; unknown for anything finished before this
+  (record) => ({
+    ...record,
+    completedAt: record.completed && isValidTimestamp(record.completedAt) ? record.completedAt : null
+  }),
+  // 7 -> 8: the free-text category becomes a reference to a course, created on first use
+  ({ category, ...record }, context) => ({
+    ...record,
+    courseId: context.courses.courseIdFor(category)
+  }),
+  // 8 -> 9: optional grade (points earned out of points possible), weight and grading category
+  (record) => ({
+    ...record,
+    pointsEarned: isScore(record.pointsEarned) ? record.pointsEarned : null,
+    pointsPossible: isScore(record.pointsPossible) ? record.pointsPossible : null,
+    weight: isScore(record.weight) ? record.weight : null,
+    gradingCategoryId: typeof record.gradingCategoryId === 'string' ? record.gradingCategoryId : null
+  }),
+  // 9 -> 10: Markdown notes, reference links and file attachments
+  (record) => ({
+    ...record,
+    notes: typeof record.notes === 'string' ? record.notes : '',
+    links: Array.isArray(record.links) ? record.links : [],
+    attachments: Array.isArray(record.attachments) ? record.attachments : []
+  }),
+  // 10 -> 11: estimated effort in hours, for the study planner
+  (record) => ({
+    ...record,
+    estimatedHours: isScore(record.estimatedHours) ? record.estimatedHours : null
+  })
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
+export const migrateRecord = (record, fromVersion, context = { courses: createCourseRegistry([]) }) => {
+  let migrated = record;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    migrated = migrations[version](migrated, context);
+  }
+  return migrated;
+};
+
+// Checks the user-editable fields; shared with the importer, where records have no id yet
+export const validateAssignmentFields = (record) => {
+  const errors = [];
+  if (typeof record.title !== 'string' || !record.title.trim()) {
+    errors.push('Title is required.');
+  }
+  if (record.courseId !== null && typeof record.courseId !== 'string') {
+    errors.push('Invalid course id.');
+  }
+  ['pointsEarned', 'pointsPossible', 'weight'].forEach(field => {
+    if (record[field] !== null && !isScore(record[field])) {
+      errors.push(`Invalid ${field === 'weight' ? 'weight' : 'points'} "${record[field]}".`);
+    }
+  });
+  if (record.estimatedHours !== null && !isScore(record.estimatedHours)) {
+    errors.push(`Invalid estimated effort "${record.estimatedHours}".`);
+  }
+  if (record.pointsEarned !== null && !(record.pointsPossible > 0)) {
+    errors.push('Points earned need points possible greater than zero.');
+  }
+  if (record.gradingCategoryId !== null && typeof record.gradingCategoryId !== 'string') {
+    errors.push('Invalid grading category.');
+  }
+  if (record.dueDate && !isValidDate(record.dueDate)) {
+    errors.push(`Invalid due date "${record.dueDate}" (expected YYYY-MM-DD).`);
+  }
+  if (record.dueTime && !isValidTime(record.dueTime)) {
+    errors.push(`Invalid due time "${record.dueTime}" (expected HH:MM).`);
+  } else if (record.dueTime && !record.dueDate) {
+    errors.push('A due time needs a due date.');
+  } else if (typeof record.dueTime !== 'string') {
+    errors.push('Due time must be text.');
+  }
+  if (!PRIORITIES.includes(record.priority)) {
+    errors.push(`Unknown priority "${record.priority}".`);
+  }
+  if (typeof record.completed !== 'boolean') {
+    errors.push('Completed must be true or false.');
+  }
+  if (record.completedAt !== null && !isValidTimestamp(record.completedAt)) {
+    errors.push(`Invalid completion date "${record.completedAt}".`);
+  }
+  if (!isValidTimestamp(record.createdAt)) {
+    errors.push(`Invalid created date "${record.createdAt}".`);
+  }
+  if (!isValidTimestamp(record.updatedAt)) {
+    errors.push(`Invalid updated date "${record.updatedAt}".`);
+  }
+  if (!Array.isArray(record.subtasks)) {
+    errors.push('Subtasks must be a list.');
+  } else if (!record.subtasks.every(isValidSubtask)) {
+    errors.push('Some subtasks are malformed.');
+  } else if (new Set(record.subtasks.map(subtask => subtask.id)).size !== record.subtasks.length) {
+    errors.push('Subtask ids must be unique.');
+  }
+  if (typeof record.notes !== 'string') {
+    errors.push('Notes must be text.');
+  }
+  if (!Array.isArray(record.links) || !record.links.every(isValidLink)) {
+    errors.push('Some links are malformed.');
+  }
+  if (!Array.isArray(record.attachments) || !record.attachments.every(isValidAttachment)) {
+    errors.push('Some attachments are malformed.');
+  }
+  if (record.recurrence !== null) {
+    errors.push(...validateRecurrence(record.recurrence));
+  }
+  if (record.seriesId !== null && typeof record.seriesId !== 'number' && typeof record.seriesId !== 'string') {
+    errors.push('Invalid series id.');
+  }
+  if (record.icalUid !== null && typeof record.icalUid !== 'string') {
+    errors.push('Invalid calendar UID.');
+  }
+  return errors;
+};
+
+export const validateAssignment = (record) => {
+  if (!isPlainObject(record)) return ['Entry is not an object.'];
+  const errors = validateAssignmentFields(record);
+  if (typeof record.id !== 'number' && typeof record.id !== 'string') {
+    errors.push('Missing id.');
+  }
+  return errors;
+};
+
+// Best-effort fix-up used when the user restores a quarantined record
+export const repairAssignment = (record, id) => {
+  const source = isPlainObject(record) ? record : {};
+  const now = new Date().toISOString();
+  return {
+    ...source,
+    id: typeof source.id === 'number' || typeof source.id === 'string' ? source.id : id,
+    title: typeof source.title === 'string' && source.title.trim() ? source.title.trim() : 'Untitled assignment',
+    completed: source.completed === true,
+    completedAt: source.completed === true && isValidTimestamp(source.completedAt) ? source.completedAt : null,
+    courseId: typeof source.courseId === 'string' ? source.courseId : null,
+    pointsPossible: isScore(source.pointsPossible) && source.pointsPossible > 0 ? source.pointsPossible : null,
+    pointsEarned: isScore(source.pointsEarned) && isScore(source.pointsPossible) && source.pointsPossible > 0 ? source.pointsEarned : null,
+    weight: isScore(source.weight) ? source.weight : null,
+    gradingCategoryId: typeof source.gradingCategoryId === 'string' ? source.gradingCategoryId : null,
+    estimatedHours: isScore(source.estimatedHours) ? source.estimatedHours : null,
+    dueDate: isValidDate(source.dueDate) ? source.dueDate : '',
+    dueTime: isValidDate(source.dueDate) && isValidTime(source.dueTime) ? source.dueTime : '',
+    priority: PRIORITIES.includes(source.priority) ? source.priority : 'medium',
+    subtasks: Array.isArray(source.subtasks)
+      ? source.subtasks.filter(isValidSubtask).filter((subtask, index, list) => list.findIndex(s => s.id === subtask.id) === index)
+      : [],
+    notes: typeof source.notes === 'string' ? source.notes : '',
+    links: Array.isArray(source.links) ? source.links.filter(isValidLink) : [],
+    attachments: Array.isArray(source.attachments) ? source.attachments.filter(isValidAttachment) : [],
+    recurrence: source.recurrence && validateRecurrence(source.recurrence).length === 0 ? source.recurrence : null,
+    seriesId: typeof source.seriesId === 'number' || typeof source.seriesId === 'string' ? source.seriesId : null,
+    icalUid: typeof source.icalUid === 'string' ? source.icalUid : null,
+    createdAt: isValidTimestamp(source.createdAt) ? source.createdAt : now,
+    updatedAt: now
+  };
+};
+
+export const isValidCourse = (course) => isPlainObject(course)
+  && typeof course.id === 'string' && course.id !== ''
+  && typeof course.name === 'string' && normalizeCourseName(course.name) !== '';
+
+// Fills in course fields that a course saved by another build might lack
+export const repairCourse = (course, index = 0) => {
+  const now = new Date().toISOString();
+  return {
+    ...course,
+    name: normalizeCourseName(course.name),
+    color: typeof course.color === 'string' && /^#[0-9a-f]{6}$/i.test(course.color) ? course.color : COURSE_COLORS[index % COURSE_COLORS.length],
+    instructor: typeof course.instructor === 'string' ? course.instructor : '',
+    term: typeof course.term === 'string' ? course.term : '',
+    archived: course.archived === true,
+    gradingCategories: Array.isArray(course.gradingCategories) ? course.gradingCategories.filter(isValidGradingCategory) : [],
+    createdAt: isValidTimestamp(course.createdAt) ? course.createdAt : now,
+    updatedAt: isValidTimestamp(course.updatedAt) ? course.updatedAt : now
+  };
+};
+
+export const createEmptyStore = () => ({ version: SCHEMA_VERSION, assignments: [], courses: [], quarantine: [] });
+
+// Upgrades whatever is stored under the key into the current envelope
+export const migrateStore = (data) => {
+  const isEnvelope = isPlainObject(data) && Array.isArray(data.assignments);
+  const fromVersion = isEnvelope && Number.isInteger(data.version) ? data.version : 0;
+  const records = isEnvelope ? data.assignments : Array.isArray(data) ? data : [];
+  const quarantine = isEnvelope && Array.isArray(data.quarantine) ? [...data.quarantine] : [];
+  const assignments = [];
+  const seenIds = new Set();
+  const storedCourses = isEnvelope && Array.isArray(data.courses) ? data.courses.filter(isValidCourse).map(repairCourse) : [];
+  const context = { courses: createCourseRegistry(storedCourses) };
+
+  if (!isEnvelope && !Array.isArray(data)) {
+    quarantine.push({ record: data, errors: ['Stored data was not a list of assignments.'], fromVersion, quarantinedAt: new Date().toISOString() });
+  }
+
+  records.forEach(record => {
+    let migrated = record;
+    let errors;
+    try {
+      // Records from a newer build are kept as-is and only validated
+      migrated = isPlainObject(record) && fromVersion < SCHEMA_VERSION ? migrateRecord(record, fromVersion, context) : record;
+      errors = validateAssignment(migrated);
+    } catch (error) {
+      errors = [`Migration failed: ${error.message}`];
+    }
+    if (errors.length === 0 && seenIds.has(migrated.id)) {
+      errors = [`Duplicate id ${migrated.id}.`];
+    }
+
+    if (errors.length > 0) {
+      quarantine.push({ record, errors, fromVersion, quarantinedAt: new Date().toISOString() });
+    } else {
+      seenIds.add(migrated.id);
+      assignments.push(migrated);
+    }
+  });
+
+  return { version: SCHEMA_VERSION, assignments, courses: context.courses.courses, quarantine };
+};
+
+// Reconciles the store with a copy another tab wrote; see useAssignmentStore
+export const mergeStores = (base, local, remote) => {
+  const { value: assignments, conflicts } = mergeRecordLists(base.assignments, local.assignments, remote.assignments);
+  // Course conflicts are settled by the most recent edit without asking; only assignments are reported
+  const { value: courses } = mergeRecordLists(base.courses, local.courses, remote.courses);
+  const quarantine = JSON.stringify(local.quarantine) === JSON.stringify(base.quarantine) ? remote.quarantine : local.quarantine;
+  return { value: { version: SCHEMA_VERSION, assignments, courses, quarantine }, conflicts };
+};
+
+// How the store was kept under the `studentAssignments` localStorage key before the repository;
+// still used to read that key once and move its data over
+export const assignmentStoreCodec = {
+  merge: mergeStores,
+  serialize: (store) => JSON.stringify({ ...store, version: SCHEMA_VERSION }),
+  deserialize: (raw) => {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      // Keep the unreadable text around so it can still be recovered by hand
+      return { ...createEmptyStore(), quarantine: [{ record: raw, errors: [`Stored data is not valid JSON: ${error.message}`], fromVersion: 0, quarantinedAt: new Date().toISOString() }] };
+    }
+    return migrateStore(data);
+  }
+};
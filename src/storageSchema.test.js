@@ -0,0 +1,76 @@
+import { SCHEMA_VERSION, createEmptyStore, migrateStore, mergeStores, assignmentStoreCodec, repairAssignment } from './storageSchema';
+import { createAssignment } from './assignmentDomain';
+
+const NOW = '2030-03-01T12:00:00.000Z';
+const LATER = '2030-03-02T12:00:00.000Z';
+
+describe('migrateStore', () => {
+  test('upgrades the bare array the first version saved', () => {
+    const store = migrateStore([{ id: 1, title: 'Essay', category: 'History', dueDate: '2030-03-05', priority: 'medium', completed: false }]);
+    expect(store.version).toBe(SCHEMA_VERSION);
+    expect(store.quarantine).toEqual([]);
+    expect(store.courses.map(course => course.name)).toEqual(['History']);
+    expect(store.assignments[0]).toMatchObject({
+      id: 1, title: 'Essay', courseId: store.courses[0].id, subtasks: [], notes: '', links: [], attachments: []
+    });
+  });
+
+  test('quarantines records that do not validate instead of dropping them', () => {
+    const store = migrateStore({ version: 0, assignments: [{ id: 1, title: 'Fine', priority: 'low', completed: false }, { id: 2, priority: 'urgent' }] });
+    expect(store.assignments.map(assign => assign.id)).toEqual([1]);
+    expect(store.quarantine).toHaveLength(1);
+    expect(store.quarantine[0].record).toEqual({ id: 2, priority: 'urgent' });
+  });
+
+  test('quarantines duplicate ids', () => {
+    const assignment = createAssignment({ title: 'Quiz' }, 7, NOW);
+    const store = migrateStore({ ...createEmptyStore(), assignments: [assignment, { ...assignment }] });
+    expect(store.assignments).toHaveLength(1);
+    expect(store.quarantine[0].errors).toEqual(['Duplicate id 7.']);
+  });
+
+  test('quarantines links that are not web or mail addresses, and repair drops them', () => {
+    const links = [
+      { id: 'link-1', url: 'data:text/html,<script>alert(1)</script>', title: 'Click' },
+      { id: 'link-2', url: 'https://example.com', title: '' }
+    ];
+    const store = migrateStore({ ...createEmptyStore(), assignments: [{ ...createAssignment({ title: 'Quiz' }, 7, NOW), links }] });
+    expect(store.assignments).toEqual([]);
+    expect(store.quarantine[0].errors).toEqual(['Some links are malformed.']);
+    expect(repairAssignment(store.quarantine[0].record, 7).links).toEqual([links[1]]);
+  });
+
+  test('keeps text that is not JSON in quarantine', () => {
+    const store = assignmentStoreCodec.deserialize('{not json');
+    expect(store.assignments).toEqual([]);
+    expect(store.quarantine[0].record).toBe('{not json');
+  });
+});
+
+describe('mergeStores', () => {
+  const first = createAssignment({ title: 'First' }, 1, NOW);
+  const second = createAssignment({ title: 'Second' }, 2, NOW);
+  const base = { ...createEmptyStore(), assignments: [second, first] };
+
+  test('keeps edits made on either side to different records', () => {
+    const local = { ...base, assignments: [{ ...second, completed: true, updatedAt: LATER }, first] };
+    const remote = { ...base, assignments: [second, { ...first, title: 'First (edited)', updatedAt: LATER }] };
+    const { value, conflicts } = mergeStores(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(value.assignments.map(assign => [assign.title, assign.completed])).toEqual([['Second', true], ['First (edited)', false]]);
+  });
+
+  test('keeps the newer edit when both sides changed a record and reports it', () => {
+    const local = { ...base, assignments: [second, { ...first, title: 'Local', updatedAt: LATER }] };
+    const remote = { ...base, assignments: [second, { ...first, title: 'Remote', updatedAt: NOW }] };
+    const { value, conflicts } = mergeStores(base, local, remote);
+    expect(value.assignments[1].title).toBe('Local');
+    expect(conflicts).toEqual([{ id: 1, kept: local.assignments[1], discarded: remote.assignments[1] }]);
+  });
+
+  test('puts records added on the other side on top', () => {
+    const third = createAssignment({ title: 'Third' }, 3, LATER);
+    const { value } = mergeStores(base, base, { ...base, assignments: [third, ...base.assignments] });
+    expect(value.assignments.map(assign => assign.id)).toEqual([3, 2, 1]);
+  });
+});
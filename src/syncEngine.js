@@ -0,0 +1,364 @@
+import { validateAssignment } from './storageSchema';
+import { createCourseRegistry } from './courses';
+
+// Keeps the assignments in step with a server through an adapter, such as restSyncAdapter.js.
+//
+// Local edits are queued in an outbox and pushed on the next sync; while offline they simply wait
+// there. A sync pulls every record first and then pushes the outbox. For each record the engine
+// remembers the server's `lastModified` from the last time both sides agreed, plus a hash of the
+// content then, which is how it tells which side changed. When both did, the most recently updated
+// version is kept and the other one is reported, and an edit always beats a delete, as between tabs
+// (see syncMerge.js).
+//
+// That state is kept under the `studentAssignmentsSync` localStorage key as
+// `{ versions: { [id]: { id, lastModified, hash } }, outbox: [id, ...], lastSyncedAt }`, so queued
+// changes survive a reload. Each sync also compares every record with its hash, which picks up
+// changes another tab made or that were never queued.
+
+export const SYNC_STATE_KEY = 'studentAssignmentsSync';
+
+const createEmptyState = () => ({ versions: {}, outbox: [], lastSyncedAt: null });
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// JSON with sorted keys, so the same content always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// A 53-bit fingerprint (cyrb53), to notice changes without keeping a copy of every record
+const hashRecord = (record) => {
+  const text = canonicalJson(record);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+const getCourseMap = (courses) => new Map(courses.map(course => [course.id, course]));
+
+// The assignment as the server keeps it. Course ids mean nothing on another device, so the course
+// and grading category travel by name; attachments stay on this device with their files.
+export const toSyncRecord = (assignment, coursesById) => {
+  const { courseId, gradingCategoryId, attachments, ...fields } = assignment;
+  const course = courseId === null ? null : coursesById.get(courseId);
+  const category = course && (course.gradingCategories || []).find(other => other.id === gradingCategoryId);
+  return {
+    ...fields,
+    course: course ? {
+      name: course.name,
+      color: course.color,
+      instructor: course.instructor,
+      term: course.term,
+      gradingCategories: course.gradingCategories
+    } : null,
+    gradingCategory: category ? category.name : null
+  };
+};
+
+const hashServerRecord = ({ lastModified, ...record }) => hashRecord(record);
+
+// Resolves a server record against the local courses the way imports do, creating missing ones
+// in `courses` (a registry from courses.js); `local` is the record it replaces, if any
+const fromSyncRecord = ({ lastModified, course, gradingCategory, ...fields }, courses, local) => {
+  const { name, ...details } = isPlainObject(course) ? course : {};
+  const courseId = courses.courseIdFor(name, details);
+  const target = courses.courses.find(other => other.id === courseId);
+  const category = target && typeof gradingCategory === 'string' && (target.gradingCategories || [])
+    .find(other => other.name.toLowerCase() === gradingCategory.trim().toLowerCase());
+  return {
+    // Devices that have not been updated yet send records without the newer fields
+    estimatedHours: null,
+    ...fields,
+    courseId,
+    gradingCategoryId: category ? category.id : null,
+    attachments: local ? local.attachments : []
+  };
+};
+
+// Which version to keep when both sides changed a record: 'local', 'remote' or 'same'
+const chooseVersion = (local, record) => {
+  if (!local) return 'remote';
+  const localTime = Date.parse(local.updatedAt) || 0;
+  const remoteTime = Date.parse(record.updatedAt) || 0;
+  if (localTime === remoteTime) return 'same';
+  return localTime > remoteTime ? 'local' : 'remote';
+};
+
+// Errors the server gives for one record, which should not hold up the rest of the outbox
+const isRecordError = (error) => error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+
+export const createSyncEngine = (adapter, { stateKey = SYNC_STATE_KEY } = {}) => {
+  // The state of the sync in progress, so changes tracked meanwhile are not lost when it is saved
+  let activeState = null;
+
+  const readState = () => {
+    if (activeState) return activeState;
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(stateKey));
+      return isPlainObject(saved) && isPlainObject(saved.versions) && Array.isArray(saved.outbox)
+        ? saved
+        : createEmptyState();
+    } catch (error) {
+      return createEmptyState();
+    }
+  };
+
+  const writeState = (state) => {
+    try {
+      window.localStorage.setItem(stateKey, JSON.stringify(state));
+    } catch (error) {
+      // Harmless: the next sync finds the changes again by comparing hashes
+    }
+  };
+
+  const isQueued = (state, id) => state.outbox.includes(id);
+
+  const queue = (state, id) => {
+    if (!isQueued(state, id)) state.outbox.push(id);
+  };
+
+  const unqueue = (state, id) => {
+    state.outbox = state.outbox.filter(other => other !== id);
+  };
+
+  // Queues records that differ from what the server last confirmed. With `previous`, only records
+  // that changed since then are hashed.
+  const queueChanges = (state, previous, next) => {
+    const coursesById = getCourseMap(next.courses);
+    const previousById = previous ? new Map(previous.assignments.map(assignment => [assignment.id, assignment])) : new Map();
+    const changedCourseIds = new Set(next.courses
+      .filter(course => !previous || !previous.courses.includes(course))
+      .map(course => course.id));
+
+    next.assignments.forEach(assignment => {
+      if (previousById.get(assignment.id) === assignment && !changedCourseIds.has(assignment.courseId)) return;
+      const version = state.versions[String(assignment.id)];
+      if (!version || version.hash !== hashRecord(toSyncRecord(assignment, coursesById))) queue(state, assignment.id);
+    });
+    const ids = new Set(next.assignments.map(assignment => String(assignment.id)));
+    Object.values(state.versions).forEach(version => {
+      if (!ids.has(String(version.id))) queue(state, version.id);
+    });
+  };
+
+  // Records local changes between two versions of `{ assignments, courses }`
+  const trackChanges = (previous, next) => {
+    const state = readState();
+    const queued = state.outbox.length;
+    queueChanges(state, previous, next);
+    if (!activeState && state.outbox.length !== queued) writeState(state);
+  };
+
+  const getSummary = () => {
+    const state = readState();
+    return { pending: state.outbox.length, lastSyncedAt: state.lastSyncedAt };
+  };
+
+  // Syncs run one at a time, and tabs take turns so two of them never push the same change
+  let running = Promise.resolve();
+  const serialize = (task) => {
+    const result = running.then(() => (typeof navigator !== 'undefined' && navigator.locks
+      ? navigator.locks.request(stateKey, task)
+      : task()));
+    running = result.catch(() => {});
+    return result;
+  };
+
+  // `getLists()` returns the current `{ assignments, courses }`. `setLists(updater)` changes them
+  // and must call the updater straight away, as useAssignmentStore does. `onConflict(conflicts)`
+  // hears about records both sides changed, like useAssignmentStore's option of the same name.
+  const sync = ({ getLists, setLists, onConflict }) => serialize(async () => {
+    const state = readState();
+    activeState = state;
+    const conflicts = [];
+    let lists = getLists();
+
+    const setVersion = (id, lastModified, hash) => {
+      state.versions[String(id)] = { id, lastModified, hash };
+    };
+    const forget = (id) => {
+      delete state.versions[String(id)];
+    };
+    const findLocal = (id) => lists.assignments.find(assignment => String(assignment.id) === String(id));
+    const hashLocal = (assignment) => hashRecord(toSyncRecord(assignment, getCourseMap(lists.courses)));
+
+    // A server record as it would look here, without adding its course, for reporting conflicts
+    const previewRecord = (record) => {
+      const assignment = fromSyncRecord(record, createCourseRegistry(lists.courses), findLocal(record.id));
+      return lists.courses.some(course => course.id === assignment.courseId) ? assignment : { ...assignment, courseId: null };
+    };
+
+    // Takes server records, and removals, into the local lists as one change
+    const applyRemote = (records, removedIds = []) => {
+      if (records.length === 0 && removedIds.length === 0) return;
+      setLists(current => {
+        const registry = createCourseRegistry(current.courses);
+        const currentById = new Map(current.assignments.map(assignment => [String(assignment.id), assignment]));
+        const incoming = new Map();
+        records.forEach(record => {
+          const assignment = fromSyncRecord(record, registry, currentById.get(String(record.id)));
+          // Records this version of the app cannot read are left for a later pull
+          if (validateAssignment(assignment).length === 0) incoming.set(String(assignment.id), { assignment, lastModified: record.lastModified });
+        });
+        const removed = new Set(removedIds.map(String));
+        const kept = current.assignments
+          .filter(assignment => !removed.has(String(assignment.id)))
+          .map(assignment => (incoming.has(String(assignment.id)) ? incoming.get(String(assignment.id)).assignment : assignment));
+        const added = [...incoming.entries()].filter(([key]) => !currentById.has(key)).map(([, entry]) => entry.assignment);
+        lists = { assignments: [...added, ...kept], courses: registry.courses };
+
+        // Hashed as they turned out here, since the course may look different on this device
+        const coursesById = getCourseMap(lists.courses);
+        incoming.forEach(({ assignment, lastModified }) => setVersion(assignment.id, lastModified, hashRecord(toSyncRecord(assignment, coursesById))));
+        removedIds.forEach(forget);
+        return lists;
+      });
+    };
+
+    const pull = async () => {
+      const remoteById = new Map((await adapter.list())
+        .filter(record => isPlainObject(record) && (typeof record.id === 'number' || typeof record.id === 'string'))
+        .map(record => [String(record.id), record]));
+      const toApply = [];
+      const toRemove = [];
+      const keptRemote = [];
+
+      remoteById.forEach((record, key) => {
+        const version = state.versions[key];
+        if (version && version.lastModified === record.lastModified) return;
+        if (!isQueued(state, record.id)) {
+          toApply.push(record);
+          return;
+        }
+        // Changed on both sides since the last sync
+        const local = findLocal(record.id);
+        const choice = local && hashLocal(local) === hashServerRecord(record) ? 'same' : chooseVersion(local, record);
+        if (choice === 'same') {
+          setVersion(record.id, record.lastModified, hashLocal(local));
+          unqueue(state, record.id);
+        } else if (choice === 'local') {
+          // Pushed over the server's version, which is what the precondition must name
+          setVersion(record.id, record.lastModified, version ? version.hash : null);
+          conflicts.push({ id: local.id, kept: local, discarded: previewRecord(record) });
+        } else {
+          toApply.push(record);
+          unqueue(state, record.id);
+          keptRemote.push({ id: record.id, discarded: local || null });
+        }
+      });
+
+      // Records that are gone from the server
+      Object.entries(state.versions).forEach(([key, version]) => {
+        if (remoteById.has(key)) return;
+        const local = findLocal(version.id);
+        if (!isQueued(state, version.id)) {
+          toRemove.push(version.id);
+        } else if (local) {
+          // Edited here, so it is kept and the push creates it again
+          forget(version.id);
+          conflicts.push({ id: local.id, kept: local, discarded: null });
+        } else {
+          forget(version.id);
+          unqueue(state, version.id);
+        }
+      });
+
+      applyRemote(toApply, toRemove);
+      keptRemote.forEach(({ id, discarded }) => {
+        const kept = findLocal(id);
+        if (kept) conflicts.push({ id: kept.id, kept, discarded });
+      });
+    };
+
+    const push = async (id) => {
+      const local = findLocal(id);
+      const version = state.versions[String(id)];
+      if (!local) {
+        if (version) {
+          const result = await adapter.remove(id, version.lastModified);
+          if (result.status === 'conflict') {
+            // Edited on the server since the last pull, and an edit beats a delete
+            applyRemote([result.record]);
+            const kept = findLocal(id);
+            if (kept) conflicts.push({ id: kept.id, kept, discarded: null });
+          } else {
+            forget(id);
+          }
+        }
+        unqueue(state, id);
+        return;
+      }
+
+      const record = toSyncRecord(local, getCourseMap(lists.courses));
+      const hash = hashRecord(record);
+      if (version && version.hash === hash) {
+        unqueue(state, id);
+        return;
+      }
+      let result = version ? await adapter.update(id, record, version.lastModified) : await adapter.create(record);
+      if (result.status === 'missing') {
+        // Deleted on the server since the last pull, and an edit beats a delete
+        result = await adapter.create(record);
+      }
+      if (result.status === 'conflict') {
+        const current = result.record;
+        const choice = hashServerRecord(current) === hash ? 'same' : chooseVersion(local, current);
+        if (choice === 'remote') {
+          applyRemote([current]);
+          unqueue(state, id);
+          conflicts.push({ id: local.id, kept: findLocal(id), discarded: local });
+          return;
+        }
+        if (choice === 'same') {
+          setVersion(id, current.lastModified, hash);
+          unqueue(state, id);
+          return;
+        }
+        conflicts.push({ id: local.id, kept: local, discarded: previewRecord(current) });
+        result = await adapter.update(id, record, current.lastModified);
+        // Changed yet again in the meantime; the next sync sorts it out
+        if (result.status !== 'ok') return;
+      }
+      setVersion(id, result.record.lastModified, hash);
+      unqueue(state, id);
+    };
+
+    let recordError = null;
+    try {
+      queueChanges(state, null, lists);
+      await pull();
+      writeState(state);
+      for (const id of [...state.outbox]) {
+        try {
+          await push(id);
+        } catch (error) {
+          if (!isRecordError(error)) throw error;
+          recordError = recordError || error;
+        }
+        writeState(state);
+      }
+      if (recordError) throw recordError;
+      state.lastSyncedAt = new Date().toISOString();
+    } finally {
+      activeState = null;
+      writeState(state);
+      if (conflicts.length > 0 && onConflict) onConflict(conflicts.map(conflict => ({ ...conflict, source: 'device' })));
+    }
+  });
+
+  return { trackChanges, getSummary, sync };
+};
@@ -0,0 +1,171 @@
+import { createSyncEngine } from './syncEngine';
+import { createRestSyncAdapter } from './restSyncAdapter';
+import { createMockSyncServer } from './mockSyncServer';
+import { actions, listsReducer } from './assignmentDomain';
+
+const NOW = '2030-03-01T12:00:00.000Z';
+const LATER = '2030-03-02T08:00:00.000Z';
+const LATEST = '2030-03-03T08:00:00.000Z';
+
+const values = (fields = {}) => ({
+  title: 'Essay',
+  courseName: '',
+  dueDate: '',
+  dueTime: '',
+  priority: 'medium',
+  recurrence: null,
+  pointsEarned: null,
+  pointsPossible: null,
+  weight: null,
+  gradingCategoryId: null,
+  estimatedHours: null,
+  ...fields
+});
+
+// One browser: its own lists and sync state, talking to the shared mock server
+const createDevice = (server, name) => {
+  const requests = [];
+  let isOnline = true;
+  const fetch = (url, init = {}) => {
+    if (!isOnline) return Promise.reject(new TypeError('Failed to fetch'));
+    requests.push(init.method || 'GET');
+    return server.fetch(url, init);
+  };
+  const engine = createSyncEngine(createRestSyncAdapter('https://sync.example.com/api', { fetch }), { stateKey: `sync-${name}` });
+  const device = {
+    lists: { assignments: [], courses: [] },
+    conflicts: [],
+    requests,
+    engine,
+    setOnline: (online) => { isOnline = online; },
+    dispatch: (action) => {
+      const previous = device.lists;
+      device.lists = listsReducer(previous, action);
+      engine.trackChanges(previous, device.lists);
+    },
+    sync: () => engine.sync({
+      getLists: () => device.lists,
+      setLists: (updater) => { device.lists = updater(device.lists); },
+      onConflict: (conflicts) => device.conflicts.push(...conflicts)
+    }),
+    find: (id) => device.lists.assignments.find(assignment => assignment.id === id)
+  };
+  return device;
+};
+
+let server;
+let laptop;
+let phone;
+
+beforeEach(() => {
+  server = createMockSyncServer();
+  laptop = createDevice(server, 'laptop');
+  phone = createDevice(server, 'phone');
+});
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('brings assignments and their courses to another device', async () => {
+  laptop.dispatch(actions.add(values({ title: 'Lab report', courseName: 'Biology' }), 1, NOW));
+  expect(laptop.engine.getSummary().pending).toBe(1);
+  await laptop.sync();
+  expect(laptop.engine.getSummary()).toMatchObject({ pending: 0, lastSyncedAt: expect.any(String) });
+  expect(server.records()).toEqual([expect.objectContaining({ id: 1, title: 'Lab report', course: expect.objectContaining({ name: 'Biology' }) })]);
+
+  await phone.sync();
+  const course = phone.lists.courses.find(other => other.name === 'Biology');
+  expect(phone.find(1)).toMatchObject({ title: 'Lab report', courseId: course.id, attachments: [] });
+});
+
+test('accepts records from devices that do not know about estimated effort yet', async () => {
+  const { record } = await createRestSyncAdapter('https://sync.example.com/api', { fetch: server.fetch }).create({
+    id: 7, title: 'Old essay', course: null, gradingCategory: null, completed: false, dueDate: '', dueTime: '', priority: 'medium',
+    createdAt: NOW, updatedAt: NOW, completedAt: null, subtasks: [], recurrence: null, seriesId: null, icalUid: null,
+    pointsEarned: null, pointsPossible: null, weight: null, notes: '', links: []
+  });
+  expect(record).not.toHaveProperty('estimatedHours');
+  await phone.sync();
+  expect(phone.find(7)).toMatchObject({ title: 'Old essay', estimatedHours: null });
+});
+
+test('passes edits and deletions along, and sends nothing when nothing changed', async () => {
+  laptop.dispatch(actions.add(values({ title: 'Lab report' }), 1, NOW));
+  laptop.dispatch(actions.add(values({ title: 'Problem set' }), 2, NOW));
+  await laptop.sync();
+  await phone.sync();
+
+  phone.dispatch(actions.setCompleted(new Set([1]), true, LATER));
+  phone.dispatch(actions.delete(new Set([2])));
+  await phone.sync();
+  await laptop.sync();
+  expect(laptop.lists.assignments.map(assignment => [assignment.id, assignment.completed])).toEqual([[1, true]]);
+
+  const requestCount = laptop.requests.length;
+  await laptop.sync();
+  expect(laptop.requests.slice(requestCount)).toEqual(['GET']);
+});
+
+test('keeps changes made offline and sends them once back online', async () => {
+  laptop.setOnline(false);
+  laptop.dispatch(actions.add(values({ title: 'Offline essay' }), 1, NOW));
+  await expect(laptop.sync()).rejects.toThrow('could not be reached');
+
+  // A reload in between keeps the queue
+  const reloaded = createDevice(server, 'laptop');
+  reloaded.lists = laptop.lists;
+  expect(reloaded.engine.getSummary().pending).toBe(1);
+
+  await reloaded.sync();
+  expect(server.records().map(record => record.title)).toEqual(['Offline essay']);
+  expect(reloaded.engine.getSummary().pending).toBe(0);
+});
+
+test('keeps the newer edit when both devices changed an assignment', async () => {
+  laptop.dispatch(actions.add(values({ title: 'Essay' }), 1, NOW));
+  await laptop.sync();
+  await phone.sync();
+
+  phone.dispatch(actions.edit(1, values({ title: 'Essay (phone)' }), 'occurrence', LATEST));
+  laptop.dispatch(actions.edit(1, values({ title: 'Essay (laptop)' }), 'occurrence', LATER));
+  await laptop.sync();
+  await phone.sync();
+  expect(server.records()[0].title).toBe('Essay (phone)');
+  expect(phone.conflicts).toEqual([expect.objectContaining({
+    id: 1, source: 'device', kept: expect.objectContaining({ title: 'Essay (phone)' }), discarded: expect.objectContaining({ title: 'Essay (laptop)' })
+  })]);
+
+  await laptop.sync();
+  expect(laptop.find(1).title).toBe('Essay (phone)');
+});
+
+test('takes the server version when it is newer than the local edit', async () => {
+  laptop.dispatch(actions.add(values({ title: 'Essay' }), 1, NOW));
+  await laptop.sync();
+  await phone.sync();
+
+  laptop.dispatch(actions.edit(1, values({ title: 'Essay (laptop)' }), 'occurrence', LATEST));
+  await laptop.sync();
+  phone.dispatch(actions.edit(1, values({ title: 'Essay (phone)' }), 'occurrence', LATER));
+  await phone.sync();
+  expect(phone.find(1).title).toBe('Essay (laptop)');
+  expect(server.records()[0].title).toBe('Essay (laptop)');
+  expect(phone.conflicts[0]).toMatchObject({ kept: { title: 'Essay (laptop)' }, discarded: { title: 'Essay (phone)' } });
+  expect(phone.engine.getSummary().pending).toBe(0);
+});
+
+test('an edit on one device beats a delete on another', async () => {
+  laptop.dispatch(actions.add(values({ title: 'Essay' }), 1, NOW));
+  await laptop.sync();
+  await phone.sync();
+
+  laptop.dispatch(actions.delete(new Set([1])));
+  await laptop.sync();
+  phone.dispatch(actions.edit(1, values({ title: 'Essay, still needed' }), 'occurrence', LATER));
+  await phone.sync();
+  expect(phone.conflicts[0]).toMatchObject({ id: 1, kept: { title: 'Essay, still needed' }, discarded: null });
+
+  await laptop.sync();
+  expect(laptop.find(1).title).toBe('Essay, still needed');
+});
@@ -0,0 +1,60 @@
+// Three-way merge for lists of `{ id, updatedAt }` records edited in more than one place.
+//
+// `base` is the last version both sides agreed on. A record changed on only one side takes
+// that side's version. A record changed on both sides is a conflict: the most recently
+// updated version is kept (an edit always beats a delete) and the other one is reported.
+
+const sameRecord = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const byId = (records) => new Map(records.map(record => [record.id, record]));
+
+const updatedTime = (record) => Date.parse(record.updatedAt || record.createdAt) || 0;
+
+const resolveRecord = (baseRecord, localRecord, remoteRecord) => {
+  if (sameRecord(localRecord, remoteRecord)) return { record: localRecord };
+  if (sameRecord(localRecord, baseRecord)) return { record: remoteRecord };
+  if (sameRecord(remoteRecord, baseRecord)) return { record: localRecord };
+
+  if (!localRecord) return { record: remoteRecord, conflict: { kept: remoteRecord, discarded: null } };
+  if (!remoteRecord) return { record: localRecord, conflict: { kept: localRecord, discarded: null } };
+  const [kept, discarded] = updatedTime(localRecord) >= updatedTime(remoteRecord)
+    ? [localRecord, remoteRecord]
+    : [remoteRecord, localRecord];
+  return { record: kept, conflict: { kept, discarded } };
+};
+
+const sameOrder = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
+
+export const mergeRecordLists = (base, local, remote) => {
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+  const conflicts = [];
+  const merged = new Map();
+
+  new Set([...localById.keys(), ...remoteById.keys()]).forEach(id => {
+    const { record, conflict } = resolveRecord(baseById.get(id), localById.get(id), remoteById.get(id));
+    if (conflict) conflicts.push({ id, ...conflict });
+    if (record) merged.set(id, record);
+  });
+
+  // Follow whichever side reordered the list; records only the other side added go on top,
+  // which is where new assignments are inserted
+  const sharedIds = (list) => list.map(record => record.id).filter(id => baseById.has(id));
+  const localReordered = !sameOrder(sharedIds(local), sharedIds(base));
+  const remoteReordered = !sameOrder(sharedIds(remote), sharedIds(base));
+  const [primary, secondary] = localReordered && !remoteReordered ? [local, remote] : [remote, local];
+  const primaryIds = new Set(primary.map(record => record.id));
+  const order = [
+    ...secondary.map(record => record.id).filter(id => !primaryIds.has(id) && !baseById.has(id)),
+    ...primary.map(record => record.id),
+    ...secondary.map(record => record.id).filter(id => !primaryIds.has(id) && baseById.has(id))
+  ];
+
+  const seen = new Set();
+  const value = order
+    .filter(id => merged.has(id) && !seen.has(id) && seen.add(id))
+    .map(id => merged.get(id));
+
+  return { value, conflicts };
+};
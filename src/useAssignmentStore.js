@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { createEmptyStore, mergeStores } from './storageSchema';
+import { readLegacyStore, describeStorageError } from './storageRepository';
+
+// Keeps the assignment store in a repository (see storageRepository.js) and in sync with other
+// tabs. Used like useState; updates apply at once and are saved in the background.
+//
+// Returns `[store, setStore, storage]`, where `storage` is `{ status, error, saving, retry }`:
+// status is 'loading' until the saved data is in, then 'ready', or 'error' with a message when
+// loading or saving failed. `saving` is true while a save has not finished, so the latest change
+// could still be lost. `retry()` loads again, or saves everything again once loaded.
+//
+// Options:
+// - onConflict(conflicts): told about edits another tab made to the same records (see syncMerge.js)
+const useAssignmentStore = (repository, options = {}) => {
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const initialStoreRef = useRef(null);
+  if (!initialStoreRef.current) initialStoreRef.current = createEmptyStore();
+
+  const [store, setStoredValue] = useState(initialStoreRef.current);
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Functional updates must see the latest value even when several run before a re-render
+  const valueRef = useRef(store);
+  // What the repository holds, as far as this tab knows; null until loaded
+  const savedRef = useRef(null);
+  // The last version this tab and the others agreed on, for three-way merges
+  const baseRef = useRef(null);
+  // After a failed save the stored copy may lag behind by more than one change
+  const needsFullSaveRef = useRef(false);
+  const pendingSavesRef = useRef(0);
+
+  const apply = useCallback((value) => {
+    valueRef.current = value;
+    setStoredValue(value);
+  }, []);
+
+  const handleSaveError = useCallback((saveError) => {
+    needsFullSaveRef.current = true;
+    setStatus('error');
+    setError(describeStorageError(saveError));
+  }, []);
+
+  const persist = useCallback((previous, next) => {
+    savedRef.current = next;
+    baseRef.current = next;
+    const fullSave = needsFullSaveRef.current;
+    needsFullSaveRef.current = false;
+    pendingSavesRef.current++;
+    setSaving(true);
+    return (fullSave ? repository.replace(next) : repository.save(previous, next)).then(() => {
+      if (!needsFullSaveRef.current) {
+        setStatus('ready');
+        setError('');
+      }
+    }, handleSaveError).finally(() => {
+      pendingSavesRef.current--;
+      if (pendingSavesRef.current === 0) setSaving(false);
+    });
+  }, [repository, handleSaveError]);
+
+  const setStore = useCallback((value) => {
+    const nextValue = value instanceof Function ? value(valueRef.current) : value;
+    if (nextValue === valueRef.current) return;
+    apply(nextValue);
+    // Changes made while loading are merged into the loaded data instead
+    if (savedRef.current) persist(savedRef.current, nextValue);
+  }, [apply, persist]);
+
+  // Combines the stored data with what this tab has and saves anything only this tab had
+  const reconcile = useCallback((remote, base) => {
+    const local = valueRef.current;
+    let value = remote;
+    if (local !== base) {
+      const { value: merged, conflicts } = mergeStores(base, local, remote);
+      const { onConflict } = optionsRef.current;
+      if (conflicts.length > 0 && onConflict) onConflict(conflicts);
+      value = merged;
+    }
+    apply(value);
+    savedRef.current = remote;
+    baseRef.current = value;
+    if (value !== remote) persist(remote, value);
+  }, [apply, persist]);
+
+  const loadStore = useCallback(() => repository.load().then(remote => {
+    setStatus('ready');
+    setError('');
+    reconcile(remote, savedRef.current ? baseRef.current : initialStoreRef.current);
+  }, loadError => {
+    // Show whatever the older versions of the app left behind rather than an empty list. Nothing is
+    // saved until a load succeeds, so a passing failure cannot overwrite the stored data.
+    const legacy = readLegacyStore();
+    if (legacy && valueRef.current === initialStoreRef.current) apply(legacy);
+    setStatus('error');
+    setError(describeStorageError(loadError));
+  }), [repository, reconcile, apply]);
+
+  useEffect(() => {
+    loadStore();
+  }, [loadStore]);
+
+  useEffect(() => repository.subscribe(() => {
+    // Ignore other tabs until this one has loaded; loading picks their changes up anyway
+    if (!savedRef.current) return;
+    repository.load().then(remote => reconcile(remote, baseRef.current), handleSaveError);
+  }), [repository, reconcile, handleSaveError]);
+
+  const retry = useCallback(() => {
+    if (!savedRef.current) return loadStore();
+    needsFullSaveRef.current = true;
+    return persist(savedRef.current, valueRef.current);
+  }, [loadStore, persist]);
+
+  return [store, setStore, { status, error, saving, retry }];
+};
+
+export default useAssignmentStore;
@@ -0,0 +1,31 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useAssignmentStore from './useAssignmentStore';
+import { createEmptyStore } from './storageSchema';
+
+// A repository whose saves only finish when the test says so
+const createSlowRepository = () => {
+  const pending = [];
+  return {
+    pending,
+    load: () => Promise.resolve(createEmptyStore()),
+    save: () => new Promise(resolve => pending.push(resolve)),
+    replace: () => Promise.resolve(),
+    subscribe: () => () => {}
+  };
+};
+
+test('reports a save in flight until it has finished', async () => {
+  const repository = createSlowRepository();
+  const { result } = renderHook(() => useAssignmentStore(repository));
+  await waitFor(() => expect(result.current[2].status).toBe('ready'));
+  expect(result.current[2].saving).toBe(false);
+
+  act(() => { result.current[1](store => ({ ...store, courses: [{ id: 'c1', name: 'Biology' }] })); });
+  act(() => { result.current[1](store => ({ ...store, courses: [] })); });
+  expect(result.current[2]).toMatchObject({ status: 'ready', saving: true });
+
+  await act(async () => { repository.pending[0](); });
+  expect(result.current[2].saving).toBe(true);
+  await act(async () => { repository.pending[1](); });
+  expect(result.current[2].saving).toBe(false);
+});
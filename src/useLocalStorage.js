@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// Without a merge function the most recent write wins, which is right for simple settings
+const takeRemote = (base, local, remote) => ({ value: remote, conflicts: [] });
+
+// Custom hook for localStorage persistence, kept in sync across open tabs.
+//
+// Options:
+// - serialize / deserialize: control how the value is stored, e.g. in a versioned envelope
+// - merge(base, local, remote): reconcile this tab's value with one written by another tab,
+//   where `base` is the last value both agreed on; returns `{ value, conflicts }`
+// - onConflict(conflicts): told about anything `merge` could not combine cleanly
+const useLocalStorage = (key, initialValue, options = {}) => {
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  // Only a fallback for an empty key, so a new object on each render must not change anything
+  const initialValueRef = useRef(initialValue);
+
+  const read = useCallback((raw) => {
+    const { deserialize = JSON.parse } = optionsRef.current;
+    return raw ? deserialize(raw) : initialValueRef.current;
+  }, []);
+
+  // The raw string and value last seen in storage, used to spot writes from other tabs
+  const lastRawRef = useRef(null);
+  const [storedValue, setStoredValue] = useState(() => {
+    try {
+      lastRawRef.current = window.localStorage.getItem(key);
+      return read(lastRawRef.current);
+    } catch (error) {
+      console.error('Error reading from localStorage:', error);
+      return initialValue;
+    }
+  });
+  const baseRef = useRef(storedValue);
+
+  // Functional updates must see the latest value even when several run before a re-render
+  const valueRef = useRef(storedValue);
+
+  const reconcile = useCallback((local, remoteRaw) => {
+    const { merge = takeRemote, onConflict } = optionsRef.current;
+    const { value, conflicts } = merge(baseRef.current, local, read(remoteRaw));
+    if (conflicts.length > 0 && onConflict) onConflict(conflicts);
+    return value;
+  }, [read]);
+
+  const write = useCallback((value) => {
+    const { serialize = JSON.stringify } = optionsRef.current;
+    const raw = serialize(value);
+    window.localStorage.setItem(key, raw);
+    lastRawRef.current = raw;
+    baseRef.current = value;
+  }, [key]);
+
+  const setValue = useCallback((value) => {
+    try {
+      let valueToStore = value instanceof Function ? value(valueRef.current) : value;
+      // Another tab may have written since we last looked and its storage event not arrived yet
+      const currentRaw = window.localStorage.getItem(key);
+      if (currentRaw !== lastRawRef.current) {
+        valueToStore = reconcile(valueToStore, currentRaw);
+      }
+      valueRef.current = valueToStore;
+      setStoredValue(valueToStore);
+      write(valueToStore);
+    } catch (error) {
+      console.error('Error writing to localStorage:', error);
+    }
+  }, [key, reconcile, write]);
+
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.storageArea !== window.localStorage || (e.key !== key && e.key !== null)) return;
+      try {
+        // Events can arrive after this tab has already merged a newer write, so go by what is stored now
+        const currentRaw = window.localStorage.getItem(key);
+        if (currentRaw === lastRawRef.current) return;
+
+        const merged = reconcile(valueRef.current, currentRaw);
+        valueRef.current = merged;
+        setStoredValue(merged);
+        lastRawRef.current = currentRaw;
+        baseRef.current = merged;
+
+        // Hand anything only this tab had back to the others
+        const { serialize = JSON.stringify } = optionsRef.current;
+        if (currentRaw !== null && serialize(merged) !== currentRaw) write(merged);
+      } catch (error) {
+        console.error('Error syncing localStorage:', error);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [key, reconcile, write]);
+
+  return [storedValue, setValue];
+};
+
+export default useLocalStorage;
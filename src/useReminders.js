@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import useLocalStorage from './useLocalStorage';
+import {
+  DEFAULT_REMINDER_SETTINGS, createReminderState, collectReminders, isSnoozed, getWokenNotifications
+} from './reminders';
+
+// More than this many at once are announced as one browser notification instead of a burst
+const MAX_BROWSER_BURST = 3;
+
+const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+const showBrowserNotification = (title, body, tag) => {
+  try {
+    // The tag makes the browser replace rather than stack a notification another tab already showed
+    const notification = new window.Notification(title, { body, tag });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Error showing notification:', error);
+  }
+};
+
+// Watches assignments for upcoming and overdue deadlines and keeps the notification center's list.
+// Browser notifications are used on top of the in-app list when permission has been granted.
+// Nothing is collected until `enabled`, since the list is empty while the saved assignments load.
+const useReminders = (assignments, now, courseNames, enabled = true) => {
+  const [settings, setSettings] = useLocalStorage('reminderSettings', DEFAULT_REMINDER_SETTINGS);
+  const [state, setState] = useLocalStorage('reminderState', createReminderState());
+  const [permission, setPermission] = useState(() => (notificationsSupported() ? window.Notification.permission : 'unsupported'));
+  const lastCheckRef = useRef(now);
+
+  // Settings saved by an older version may be missing newer fields
+  const fullSettings = useMemo(() => ({ ...DEFAULT_REMINDER_SETTINGS, ...settings }), [settings]);
+
+  const announce = useCallback((notifications) => {
+    if (!fullSettings.useBrowserNotifications || permission !== 'granted' || notifications.length === 0) return;
+    if (notifications.length > MAX_BROWSER_BURST) {
+      showBrowserNotification(`${notifications.length} assignment reminders`, notifications.map(item => item.title).join('\n'), 'assignment-reminders');
+      return;
+    }
+    notifications.forEach(item => showBrowserNotification(item.title, item.body, item.id));
+  }, [fullSettings.useBrowserNotifications, permission]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const since = lastCheckRef.current;
+    lastCheckRef.current = now;
+
+    const result = collectReminders(assignments, fullSettings, state, now, courseNames);
+    const woken = getWokenNotifications(state.notifications, since, now);
+    if (result) setState(result.state);
+    announce([...(result ? result.created : []), ...woken]);
+  }, [enabled, assignments, courseNames, fullSettings, state, now, setState, announce]);
+
+  const requestPermission = useCallback(async () => {
+    if (!notificationsSupported()) return;
+    const result = await window.Notification.requestPermission();
+    setPermission(result);
+  }, []);
+
+  const updateNotifications = useCallback((update) => {
+    setState(prevState => ({ ...prevState, notifications: update(prevState.notifications) }));
+  }, [setState]);
+
+  const dismiss = useCallback((id) => {
+    updateNotifications(notifications => notifications.filter(notification => notification.id !== id));
+  }, [updateNotifications]);
+
+  const dismissAll = useCallback(() => {
+    updateNotifications(() => []);
+  }, [updateNotifications]);
+
+  const snooze = useCallback((id, minutes) => {
+    const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    updateNotifications(notifications => notifications.map(notification => (
+      notification.id === id ? { ...notification, snoozedUntil: until } : notification
+    )));
+  }, [updateNotifications]);
+
+  // Reminders about work that has since been finished or deleted are no longer worth showing
+  const visibleNotifications = useMemo(() => state.notifications.filter(notification => {
+    if (isSnoozed(notification, now)) return false;
+    if (notification.assignmentId === null) return true;
+    const assignment = assignments.find(assign => assign.id === notification.assignmentId);
+    return Boolean(assignment) && !assignment.completed;
+  }), [state.notifications, assignments, now]);
+
+  const snoozedCount = state.notifications.filter(notification => isSnoozed(notification, now)).length;
+
+  return {
+    notifications: visibleNotifications,
+    snoozedCount,
+    settings: fullSettings,
+    setSettings,
+    permission,
+    requestPermission,
+    dismiss,
+    dismissAll,
+    snooze
+  };
+};
+
+export default useReminders;
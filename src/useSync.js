@@ -0,0 +1,135 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { createSyncEngine } from './syncEngine';
+
+const POLL_INTERVAL = 60 * 1000;
+const CHANGE_DELAY = 2000;
+const FIRST_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+const sameSummary = (a, b) => Object.keys(b).every(key => a[key] === b[key]);
+
+// Syncs `lists` (`{ assignments, courses }`) through `adapter` with syncEngine.js: as soon as
+// `enabled`, shortly after each local change, every minute, and when the browser comes back
+// online. Failed syncs are retried with exponential backoff, from 2 seconds up to 5 minutes.
+//
+// Returns null when `adapter` is null, otherwise `{ status, pending, lastSyncedAt, error, retryAt,
+// syncNow }`. status is 'syncing', 'synced', 'offline' or 'error'; `pending` counts queued
+// changes and `retryAt` is when a failed sync is tried again.
+//
+// Options:
+// - setLists(updater): changes the lists without recording an undo step
+// - enabled: false while the local data is still loading
+// - onConflict(conflicts): told about records changed here and on another device at once
+const useSync = (adapter, { lists, setLists, enabled = true, onConflict }) => {
+  const engine = useMemo(() => (adapter ? createSyncEngine(adapter) : null), [adapter]);
+  const listsRef = useRef(lists);
+  listsRef.current = lists;
+  const onConflictRef = useRef(onConflict);
+  onConflictRef.current = onConflict;
+  const syncNowRef = useRef(() => {});
+  const changedRef = useRef(() => {});
+
+  const [summary, setSummary] = useState(() => ({
+    status: 'syncing',
+    error: '',
+    retryAt: null,
+    ...(engine ? engine.getSummary() : { pending: 0, lastSyncedAt: null })
+  }));
+
+  useEffect(() => {
+    if (!engine || !enabled) return undefined;
+    let cancelled = false;
+    let timer = null;
+    let dueAt = 0;
+    let isRunning = false;
+    let runAgain = false;
+    let failures = 0;
+
+    const update = (changes) => {
+      if (cancelled) return;
+      const next = { ...engine.getSummary(), ...changes };
+      setSummary(prev => (sameSummary(prev, next) ? prev : { ...prev, ...next }));
+    };
+
+    // Runs a sync after `delay`, unless one is already due sooner
+    const schedule = (delay) => {
+      if (cancelled || (timer && Date.now() + delay >= dueAt)) return;
+      clearTimeout(timer);
+      dueAt = Date.now() + delay;
+      timer = setTimeout(run, delay);
+    };
+
+    const run = async () => {
+      timer = null;
+      if (isRunning) {
+        runAgain = true;
+        return;
+      }
+      if (!navigator.onLine) {
+        update({ status: 'offline' });
+        return;
+      }
+      isRunning = true;
+      update({ status: 'syncing' });
+      try {
+        await engine.sync({
+          getLists: () => listsRef.current,
+          setLists,
+          onConflict: (conflicts) => onConflictRef.current && onConflictRef.current(conflicts)
+        });
+        failures = 0;
+        update({ status: 'synced', error: '', retryAt: null });
+        schedule(runAgain ? CHANGE_DELAY : POLL_INTERVAL);
+      } catch (error) {
+        const delay = Math.min(FIRST_RETRY_DELAY * 2 ** failures, MAX_RETRY_DELAY);
+        failures += 1;
+        update({ status: navigator.onLine ? 'error' : 'offline', error: error.message, retryAt: Date.now() + delay });
+        schedule(delay);
+      } finally {
+        isRunning = false;
+        runAgain = false;
+      }
+    };
+
+    const handleOnline = () => schedule(0);
+    const handleOffline = () => {
+      if (!isRunning) update({ status: 'offline' });
+    };
+
+    syncNowRef.current = () => schedule(0);
+    changedRef.current = () => {
+      update({});
+      if (isRunning) runAgain = true;
+      // A failing server is left alone until the retry is due
+      else if (failures === 0) schedule(CHANGE_DELAY);
+    };
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    schedule(0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      syncNowRef.current = () => {};
+      changedRef.current = () => {};
+    };
+  }, [engine, enabled, setLists]);
+
+  // Queue local changes as they happen, so they are counted and kept even before the next sync
+  const previousListsRef = useRef(null);
+  useEffect(() => {
+    const previous = previousListsRef.current;
+    previousListsRef.current = lists;
+    if (!engine || !enabled || !previous || previous === lists) return;
+    engine.trackChanges(previous, lists);
+    changedRef.current();
+  }, [engine, enabled, lists]);
+
+  const syncNow = useCallback(() => syncNowRef.current(), []);
+
+  return engine ? { ...summary, syncNow } : null;
+};
+
+export default useSync;
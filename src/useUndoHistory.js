@@ -0,0 +1,133 @@
+import { useState, useCallback, useRef } from 'react';
+
+const HISTORY_LIMIT = 50;
+
+const EMPTY_HISTORY = { past: [], future: [] };
+
+const sameOrder = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
+
+// What a change did to each list of records (`{ id }` objects) in the value: the records it
+// touched, as they were before and after (null when absent), and the order of ids on both sides
+export const recordChanges = (before, after) => Object.keys(after)
+  .filter(key => Array.isArray(before[key]) && Array.isArray(after[key]) && before[key] !== after[key])
+  .map(key => {
+    const beforeById = new Map(before[key].map(record => [record.id, record]));
+    const afterById = new Map(after[key].map(record => [record.id, record]));
+    const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])];
+    const orderBefore = before[key].map(record => record.id);
+    const orderAfter = after[key].map(record => record.id);
+    const shared = (order, other) => order.filter(id => other.has(id));
+    return {
+      key,
+      records: ids
+        .filter(id => beforeById.get(id) !== afterById.get(id))
+        .map(id => ({ id, before: beforeById.get(id) || null, after: afterById.get(id) || null })),
+      orderBefore,
+      orderAfter,
+      reordered: !sameOrder(shared(orderBefore, afterById), shared(orderAfter, beforeById))
+    };
+  })
+  .filter(change => change.records.length > 0 || change.reordered);
+
+// Puts the touched records of one list back the way they were on `side` ('before' or 'after'),
+// leaving every other record, including ones merged in since, where it is
+const applyListChange = (list, change, side) => {
+  const targets = new Map(change.records.map(record => [record.id, record[side]]));
+  const order = side === 'before' ? change.orderBefore : change.orderAfter;
+  const result = list
+    .filter(record => !targets.has(record.id) || targets.get(record.id) !== null)
+    .map(record => (targets.has(record.id) ? targets.get(record.id) : record));
+
+  // Records that come back go after the record they followed then, if it is still there
+  const present = new Set(result.map(record => record.id));
+  order.forEach((id, index) => {
+    const record = targets.get(id);
+    if (!record || present.has(id)) return;
+    const previousIds = order.slice(0, index).reverse();
+    const previousId = previousIds.find(other => present.has(other));
+    const insertAt = previousId === undefined ? 0 : result.findIndex(other => other.id === previousId) + 1;
+    result.splice(insertAt, 0, record);
+    present.add(id);
+  });
+
+  if (!change.reordered) return result;
+  // Only the records the change moved get their old order back, in the places they hold now
+  const position = new Map(order.map((id, index) => [id, index]));
+  const slots = result.map((record, index) => (position.has(record.id) ? index : -1)).filter(index => index !== -1);
+  const ordered = slots.map(index => result[index]).sort((a, b) => position.get(a.id) - position.get(b.id));
+  slots.forEach((slot, i) => { result[slot] = ordered[i]; });
+  return result;
+};
+
+export const applyRecordedChanges = (value, changes, side) => changes.reduce(
+  (current, change) => ({ ...current, [change.key]: applyListChange(current[change.key] || [], change, side) }),
+  value
+);
+
+// Records every change made through `applyChange` so it can be undone and redone. The value is an
+// object of record lists (like `{ assignments, courses }`). Entries keep only the records a change
+// touched, and undo/redo apply them to the current value, so changes that came in meanwhile from
+// other tabs or the sync server are kept.
+const useUndoHistory = (setValue, limit = HISTORY_LIMIT) => {
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  // Undo and redo must see the latest history even when several run before a re-render
+  const historyRef = useRef(EMPTY_HISTORY);
+
+  const updateHistory = useCallback((update) => {
+    historyRef.current = update(historyRef.current);
+    setHistory(historyRef.current);
+  }, []);
+
+  const applyChange = useCallback((updater, label) => {
+    let entry = null;
+    setValue(prevValue => {
+      const nextValue = updater instanceof Function ? updater(prevValue) : updater;
+      if (nextValue !== prevValue) {
+        const changes = recordChanges(prevValue, nextValue);
+        if (changes.length > 0) entry = { label, changes };
+      }
+      return nextValue;
+    });
+    if (entry) {
+      const newEntry = entry;
+      updateHistory(prevHistory => ({ past: [...prevHistory.past, newEntry].slice(-limit), future: [] }));
+    }
+    return entry !== null;
+  }, [setValue, limit, updateHistory]);
+
+  const undo = useCallback(() => {
+    const { past } = historyRef.current;
+    const entry = past[past.length - 1];
+    if (!entry) return null;
+    setValue(prevValue => applyRecordedChanges(prevValue, entry.changes, 'before'));
+    updateHistory(prevHistory => ({
+      past: prevHistory.past.slice(0, -1),
+      future: [...prevHistory.future, entry]
+    }));
+    return entry;
+  }, [setValue, updateHistory]);
+
+  const redo = useCallback(() => {
+    const { future } = historyRef.current;
+    const entry = future[future.length - 1];
+    if (!entry) return null;
+    setValue(prevValue => applyRecordedChanges(prevValue, entry.changes, 'after'));
+    updateHistory(prevHistory => ({
+      past: [...prevHistory.past, entry],
+      future: prevHistory.future.slice(0, -1)
+    }));
+    return entry;
+  }, [setValue, updateHistory]);
+
+  return {
+    applyChange,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoLabel: history.past.length > 0 ? history.past[history.past.length - 1].label : '',
+    redoLabel: history.future.length > 0 ? history.future[history.future.length - 1].label : ''
+  };
+};
+
+export default useUndoHistory;
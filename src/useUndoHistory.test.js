@@ -0,0 +1,63 @@
+import { renderHook, act } from '@testing-library/react';
+import useUndoHistory from './useUndoHistory';
+
+const record = (id, title) => ({ id, title });
+
+// A value that runs functional updates right away, like the assignment store does
+const renderHistory = (initial) => {
+  let value = initial;
+  const setValue = (update) => { value = update instanceof Function ? update(value) : update; };
+  const hook = renderHook(() => useUndoHistory(setValue));
+  return {
+    hook,
+    get value() { return value; },
+    // A change that bypasses the history, like a sync pull or another tab
+    merge: (update) => setValue(update)
+  };
+};
+
+const titles = (list) => list.map(item => item.title);
+
+test('undo and redo keep records that were merged in after the change', () => {
+  const state = renderHistory({ assignments: [record(1, 'Essay'), record(2, 'Lab')], courses: [] });
+
+  act(() => { state.hook.result.current.applyChange(lists => ({ ...lists, assignments: lists.assignments.filter(a => a.id !== 1) }), 'Delete'); });
+  state.merge(lists => ({ ...lists, assignments: [...lists.assignments, record(3, 'Pulled')], courses: [{ id: 'c1', name: 'Math' }] }));
+
+  act(() => { state.hook.result.current.undo(); });
+  expect(titles(state.value.assignments)).toEqual(['Essay', 'Lab', 'Pulled']);
+  expect(state.value.courses).toEqual([{ id: 'c1', name: 'Math' }]);
+
+  act(() => { state.hook.result.current.redo(); });
+  expect(titles(state.value.assignments)).toEqual(['Lab', 'Pulled']);
+});
+
+test('undo restores only the edited record and the order of the records a move touched', () => {
+  const state = renderHistory({ assignments: [record(1, 'A'), record(2, 'B'), record(3, 'C')], courses: [] });
+
+  act(() => {
+    state.hook.result.current.applyChange(lists => ({ ...lists, assignments: [lists.assignments[1], lists.assignments[0], lists.assignments[2]] }), 'Move');
+  });
+  state.merge(lists => ({ ...lists, assignments: lists.assignments.map(a => (a.id === 3 ? record(3, 'C edited elsewhere') : a)) }));
+
+  act(() => { state.hook.result.current.undo(); });
+  expect(titles(state.value.assignments)).toEqual(['A', 'B', 'C edited elsewhere']);
+});
+
+test('several undos before a re-render each take the next entry', () => {
+  const state = renderHistory({ assignments: [], courses: [] });
+  act(() => {
+    state.hook.result.current.applyChange(lists => ({ ...lists, assignments: [...lists.assignments, record(1, 'A')] }), 'Add A');
+    state.hook.result.current.applyChange(lists => ({ ...lists, assignments: [...lists.assignments, record(2, 'B')] }), 'Add B');
+  });
+
+  let labels;
+  act(() => {
+    const { undo } = state.hook.result.current;
+    labels = [undo().label, undo().label];
+  });
+  expect(labels).toEqual(['Add B', 'Add A']);
+  expect(state.value.assignments).toEqual([]);
+  expect(state.hook.result.current.canUndo).toBe(false);
+  expect(state.hook.result.current.redoLabel).toBe('Add A');
+});
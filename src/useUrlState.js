@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+
+const readParam = (param, defaultValue) => {
+  const value = new URLSearchParams(window.location.search).get(param);
+  return value === null ? defaultValue : value;
+};
+
+// String state mirrored in a URL query parameter, so the current view can be bookmarked or shared.
+// The parameter is left out while the value is the default, keeping plain links plain.
+const useUrlState = (param, defaultValue) => {
+  const [value, setValue] = useState(() => readParam(param, defaultValue));
+
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (value === defaultValue) {
+      url.searchParams.delete(param);
+    } else {
+      url.searchParams.set(param, value);
+    }
+    if (url.href !== window.location.href) {
+      // Replace rather than push, so typing in the search box does not flood the back button
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }, [param, value, defaultValue]);
+
+  useEffect(() => {
+    const handlePopState = () => setValue(readParam(param, defaultValue));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [param, defaultValue]);
+
+  return [value, setValue];
+};
+
+export default useUrlState;